@@ -102,6 +102,8 @@ const loadPageModule = async (modulePath, initFnName, label) => {
 const pageInitializers = {
   "login.html": () => loadPageModule("./js/auth.js", "initLogin", "login"),
   "register.html": () => loadPageModule("./js/auth.js", "initRegister", "register"),
+  "forgot-password.html": () => loadPageModule("./js/auth.js", "initForgotPassword", "forgot password"),
+  "reset-password.html": () => loadPageModule("./js/auth.js", "initResetPassword", "reset password"),
   "dashboard.html": () => loadPageModule("./js/dashboard.js", "initDashboard", "dashboard"),
   "accounts.html": () => loadPageModule("./js/accounts.js", "initAccounts", "accounts"),
   "transactions.html": () =>
@@ -6,12 +6,57 @@
  * an in-memory mock so the UI can already function.
  */
 
-// Feature flag: flip this to true once a real backend exists.
-export const USE_BACKEND = false;
-
 import { createToast } from "./ui/toast.js";
 import { openContactOfficerModal } from "./ui/contactOfficerModal.js";
-import { makeReferenceCode } from "./ui/formatters.js";
+import { formatCurrency, makeReferenceCode } from "./ui/formatters.js";
+import { getExternalAccountProblems, looksLikeIban, normalizeIban } from "./ui/formValidation.js";
+import {
+  DEFAULT_CURRENCY,
+  RATE_DECIMALS,
+  addMoney,
+  compareMoney,
+  convertMinor,
+  fromMinor,
+  parseMoney,
+  subtractMoney,
+  sumMoney,
+  toMinor,
+} from "../../shared/money.js";
+
+// ---------------------------------------------------------------------------
+// Runtime configuration
+// ---------------------------------------------------------------------------
+
+/**
+ * The mock stays the default. A page can switch to the Express backend without
+ * editing this file, either with meta tags:
+ *
+ *   <meta name="bankly:use-backend" content="true">
+ *   <meta name="bankly:api-base-url" content="http://localhost:3001/api">
+ *
+ * or with a global set before index.js loads:
+ *
+ *   <script>window.__BANKLY_CONFIG__ = { useBackend: true, apiBaseUrl: "http://localhost:3001/api" };</script>
+ *
+ * The global wins when both are present.
+ */
+const DEFAULT_API_BASE_URL = "http://localhost:3001/api";
+
+const readMeta = (name) => document.querySelector(`meta[name="${name}"]`)?.getAttribute("content") ?? undefined;
+
+export const getRuntimeConfig = () => {
+  const globalConfig = window.__BANKLY_CONFIG__ || {};
+  const useBackend = globalConfig.useBackend ?? readMeta("bankly:use-backend");
+  const apiBaseUrl = globalConfig.apiBaseUrl || readMeta("bankly:api-base-url") || DEFAULT_API_BASE_URL;
+
+  return {
+    useBackend: useBackend === true || useBackend === "true",
+    apiBaseUrl: apiBaseUrl.replace(/\/+$/, ""),
+  };
+};
+
+// Read once at startup so every request in a page load uses the same mode.
+export const USE_BACKEND = getRuntimeConfig().useBackend;
 
 // ---------------------------------------------------------------------------
 // Shared error + officer helpers
@@ -41,6 +86,50 @@ const fetchOfficerContact = async () => {
   return cachedOfficerContact;
 };
 
+// The bank directory (routing number -> bank name) is also fetched once.
+let cachedBankDirectory = null;
+
+/**
+ * Look up the bank for a US routing number in /shared/bank-directory.json, the
+ * same file the backend uses. Resolves to null for numbers the directory does
+ * not know (or when the file cannot be loaded), so callers can simply skip the name.
+ * @param {string} routingNumber
+ * @returns {Promise<string|null>}
+ */
+export const lookupBankName = async (routingNumber) => {
+  if (!cachedBankDirectory) {
+    try {
+      const response = await fetch("/shared/bank-directory.json");
+      if (!response.ok) throw new Error("Bank directory lookup failed");
+      cachedBankDirectory = await response.json();
+    } catch (error) {
+      // Not knowing the bank name is fine; the form just shows less.
+      cachedBankDirectory = {};
+    }
+  }
+
+  return cachedBankDirectory[String(routingNumber ?? "").trim()] || null;
+};
+
+// The mock reads its exchange rates from /shared/fx-rates.json, the table the backend
+// starts from. There are no admin screens in the mock, so these rates never change.
+let cachedFxRates = null;
+
+const loadMockFxRates = async () => {
+  if (!cachedFxRates) {
+    try {
+      const response = await fetch("/shared/fx-rates.json");
+      if (!response.ok) throw new Error("Exchange rate lookup failed");
+      cachedFxRates = await response.json();
+    } catch (error) {
+      // Without the table only same-currency transfers work.
+      cachedFxRates = { baseCurrency: DEFAULT_CURRENCY, asOf: null, rates: {} };
+    }
+  }
+
+  return cachedFxRates;
+};
+
 /**
  * Decide whether a failure should escalate to the contact officer flow.
  * User/validation errors only show a toast, while serious/unknown issues
@@ -64,9 +153,23 @@ export const shouldEscalateToOfficer = (errorLike = {}) => {
     "ACCOUNT_NOT_FOUND",
     "INSUFFICIENT_FUNDS",
     "TRANSFER_NOT_FOUND",
+    "RECEIPT_NOT_FOUND",
+    "RESET_TOKEN_INVALID",
+    "INVALID_CURRENT_PASSWORD",
+    "PASSWORD_REUSED",
+    "EMAIL_VERIFICATION_INVALID",
     "OTP_EXPIRED",
     "OTP_INVALID",
     "OTP_REQUIRED",
+    "OTP_RESEND_THROTTLED",
+    "RATE_LIMITED",
+    "SCHEDULE_NOT_FOUND",
+    "SCHEDULE_CLOSED",
+    "BENEFICIARY_NOT_FOUND",
+    "BENEFICIARY_EXISTS",
+    "BENEFICIARY_COOLING_OFF",
+    "FX_RATE_CHANGED",
+    "FX_RATE_UNAVAILABLE",
   ]);
 
   if (nonEscalatingCodes.has(code)) return false;
@@ -87,6 +190,8 @@ export const handleFailure = async (errorLike, context = "") => {
     errorCode: errorLike?.errorCode || "CONTACT_OFFICER",
     message: errorLike?.message || "Something went wrong. Please contact support.",
     requestId: reference,
+    // Field-level validation problems from the API ([{ field, message }]) so forms can mark inputs.
+    ...(Array.isArray(errorLike?.fields) ? { fields: errorLike.fields } : {}),
   };
 
   // Show a quick toast so the user immediately knows something failed.
@@ -117,6 +222,7 @@ const mockState = {
       role: "customer",
       phone: "+1 (555) 010-7788",
       address: "123 Market Street, Springfield, USA",
+      baseCurrency: "USD",
       createdAt: Date.now() - 1000 * 60 * 60 * 24 * 45,
     },
   ],
@@ -138,6 +244,14 @@ const mockState = {
       balance: 13250.35,
       currency: "USD",
     },
+    {
+      id: "acct-3",
+      userId: "user-1",
+      name: "Euro Travel",
+      number: "5550001234",
+      balance: 1250,
+      currency: "EUR",
+    },
   ],
   transactions: [
     {
@@ -145,6 +259,7 @@ const mockState = {
       accountId: "acct-1",
       description: "Coffee shop",
       amount: -8.75,
+      status: "posted",
       createdAt: Date.now() - 1000 * 60 * 60 * 4,
     },
     {
@@ -152,6 +267,7 @@ const mockState = {
       accountId: "acct-1",
       description: "Direct deposit",
       amount: 1800,
+      status: "posted",
       createdAt: Date.now() - 1000 * 60 * 60 * 26,
     },
     {
@@ -159,48 +275,52 @@ const mockState = {
       accountId: "acct-2",
       description: "Transfer to checking",
       amount: -200,
+      status: "posted",
       createdAt: Date.now() - 1000 * 60 * 60 * 30,
     },
-  ],
-  notifications: [
-    {
-      id: "notif-1",
-      userId: "user-1",
-      type: "success",
-      title: "Deposit received",
-      message: "Your payroll deposit of $2,900.00 is available.",
-      timestamp: Date.now() - 1000 * 60 * 60 * 2,
-      read: false,
-    },
     {
-      id: "notif-2",
-      userId: "user-1",
-      type: "warning",
-      title: "Low balance alert",
-      message: "Your checking account dipped below $100 yesterday.",
-      timestamp: Date.now() - 1000 * 60 * 60 * 14,
-      read: false,
-    },
-    {
-      id: "notif-3",
-      userId: "user-1",
-      type: "info",
-      title: "Transfer scheduled",
-      message: "$300.00 to Rainy Day Savings scheduled for Friday.",
-      timestamp: Date.now() - 1000 * 60 * 60 * 36,
-      read: true,
+      id: "tx-4",
+      accountId: "acct-1",
+      description: "Payment to 55501234",
+      amount: -120,
+      // Still waiting for the bank to settle it. Admins move it to posted or declined.
+      status: "pending",
+      createdAt: Date.now() - 1000 * 60 * 30,
     },
+  ],
+  // Filled by activity (sign-ins, transfers, low balances), the same way the
+  // backend notification service works. See pushMockNotification below.
+  notifications: [],
+  // userId -> saved alert preferences (see getMockPreferences for the defaults).
+  notificationPreferences: new Map(),
+  transfers: new Map(),
+  // transferId -> receipt, written once when a transfer completes (never edited).
+  receipts: new Map(),
+  // reset token -> { userId, expiresAt, usedAt, replacedAt } for the forgot-password flow.
+  passwordResets: new Map(),
+  // email -> { failures, lockedUntil, lockouts } for the sign-in lockout.
+  loginAttempts: new Map(),
+  // "userId:Idempotency-Key" -> { fingerprint, result } for money-moving requests.
+  idempotencyKeys: new Map(),
+  // Future-dated and recurring transfers, sent by runDueMockSchedules.
+  scheduledTransfers: [],
+  // "userId:accountNumber:routingNumber" -> { coolingOffEndsAt, coolingOffSent } for outside accounts,
+  // from the first transfer to them (see getMockOutsideAccount).
+  outsideAccounts: new Map(),
+  // Saved payees. This one was added long ago, so its cooling-off period is over.
+  beneficiaries: [
     {
-      id: "notif-4",
+      id: "payee-1",
       userId: "user-1",
-      type: "info",
-      title: "Profile updated",
-      message: "You changed your mailing address on Apr 20.",
-      timestamp: Date.now() - 1000 * 60 * 60 * 72,
-      read: true,
+      name: "Jordan Rivers",
+      nickname: "Landlord",
+      bankName: "First Example Bank",
+      routingNumber: "021000021",
+      accountNumber: "55508899",
+      coolingOffEndsAt: Date.now() - 1000 * 60 * 60 * 24 * 30,
+      createdAt: new Date(Date.now() - 1000 * 60 * 60 * 24 * 31).toISOString(),
     },
   ],
-  transfers: new Map(),
 };
 
 const generateId = (prefix) => {
@@ -208,15 +328,385 @@ const generateId = (prefix) => {
   return `${prefix}-${rawId}`;
 };
 
+// ---------------------------------------------------------------------------
+// Mock notifications
+// ---------------------------------------------------------------------------
+
+// Same defaults as the backend: everything in-app, plus email for low balance and security.
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  alerts: {
+    transfer: { inApp: true, email: false, sms: false },
+    deposit: { inApp: true, email: false, sms: false },
+    low_balance: { inApp: true, email: true, sms: false },
+    security: { inApp: true, email: true, sms: false },
+  },
+  lowBalanceThreshold: 100,
+  quietHours: { enabled: false, start: "22:00", end: "07:00", timezone: "UTC" },
+};
+
+const getMockPreferences = (userId) => {
+  const saved = mockState.notificationPreferences.get(userId) || {};
+  const alerts = {};
+  Object.keys(DEFAULT_NOTIFICATION_PREFERENCES.alerts).forEach((type) => {
+    alerts[type] = { ...DEFAULT_NOTIFICATION_PREFERENCES.alerts[type], ...saved.alerts?.[type] };
+  });
+
+  return {
+    alerts,
+    lowBalanceThreshold: saved.lowBalanceThreshold ?? DEFAULT_NOTIFICATION_PREFERENCES.lowBalanceThreshold,
+    quietHours: { ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours, ...saved.quietHours },
+  };
+};
+
+const toMinutes = (time = "00:00") => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * When the current quiet period ends (as a timestamp), or null outside quiet hours.
+ * The mock uses the browser clock, which is the time zone the panel saves anyway.
+ */
+const getQuietHoursEnd = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+  const inside = start < end ? current >= start && current < end : current >= start || current < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  return now.getTime() + minutesLeft * 60 * 1000 - now.getSeconds() * 1000 - now.getMilliseconds();
+};
+
+/**
+ * Add an alert on the channels the user picked. Email/SMS go to the console
+ * "outbox". Non-security alerts raised during quiet hours stay hidden until
+ * the quiet period ends.
+ */
+const pushMockNotification = (userId, { type = "info", category, title, message }) => {
+  const preferences = getMockPreferences(userId);
+  const channels = preferences.alerts[category] || DEFAULT_NOTIFICATION_PREFERENCES.alerts.security;
+  const deliverAt = category === "security" ? null : getQuietHoursEnd(preferences.quietHours);
+
+  if (channels.email) console.info(`[Banking Demo] Outbox (email${deliverAt ? ", held for quiet hours" : ""}): ${title}`);
+  if (channels.sms) console.info(`[Banking Demo] Outbox (SMS${deliverAt ? ", held for quiet hours" : ""}): ${title}`);
+  if (!channels.inApp) return;
+
+  mockState.notifications.push({
+    id: generateId("notif"),
+    userId,
+    type,
+    category,
+    title,
+    message,
+    timestamp: deliverAt || Date.now(),
+    deliverAt,
+    read: false,
+  });
+};
+
+// "Everyday Checking (...7890)" reads better in an alert than a raw id.
+const describeMockAccount = (account) => `${account.name} (...${String(account.number).slice(-4)})`;
+
+/**
+ * Record the alerts a completed transfer produces: the transfer itself, plus a
+ * low balance warning the first time the source account dips under the user's threshold.
+ */
+const notifyTransferCompleted = ({ userId, fromAccount, destination, amount, fx = null, balanceBefore }) => {
+  const sent = formatCurrency(amount, { currency: fromAccount.currency });
+  const received = fx ? `, received as ${formatCurrency(fx.convertedAmount, { currency: fx.toCurrency })}` : "";
+  pushMockNotification(userId, {
+    type: "success",
+    category: "transfer",
+    title: "Transfer completed",
+    message: `You sent ${sent} from ${describeMockAccount(fromAccount)} to ${destination}${received}.`,
+  });
+
+  const threshold = getMockPreferences(userId).lowBalanceThreshold;
+  if (compareMoney(balanceBefore, threshold) >= 0 && compareMoney(fromAccount.balance, threshold) < 0) {
+    pushMockNotification(userId, {
+      type: "warning",
+      category: "low_balance",
+      title: "Low balance alert",
+      message: `${describeMockAccount(fromAccount)} dropped below ${formatCurrency(threshold)}.`,
+    });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Mock exchange rates
+// ---------------------------------------------------------------------------
+
+/**
+ * Same maths as the backend's quoteConversion: cross rates go through the base
+ * currency, the rate keeps six decimals and the amount is converted in whole
+ * minor units (convertMinor), rounded once to the target currency's smallest unit. Fails with FX_RATE_UNAVAILABLE for unknown currencies.
+ */
+const quoteMockConversion = async ({ amount, fromCurrency, toCurrency }, context) => {
+  const { baseCurrency, asOf, rates } = await loadMockFxRates();
+  const rateOf = (currency) => (currency === baseCurrency ? 1 : rates[currency]);
+
+  const missing = [fromCurrency, toCurrency].find((currency) => !rateOf(currency));
+  if (missing) {
+    await handleFailure({ errorCode: "FX_RATE_UNAVAILABLE", message: `There is no exchange rate for ${missing}.` }, context);
+  }
+
+  const sameCurrency = fromCurrency === toCurrency;
+  const rate = sameCurrency ? 1 : Number((rateOf(toCurrency) / rateOf(fromCurrency)).toFixed(RATE_DECIMALS));
+  const amountMinor = toMinor(amount, fromCurrency);
+  return {
+    fromCurrency,
+    toCurrency,
+    rate,
+    amount: fromMinor(amountMinor, fromCurrency),
+    convertedAmount: fromMinor(convertMinor(amountMinor, rate, fromCurrency, toCurrency), toCurrency),
+    rateDate: sameCurrency ? null : asOf,
+  };
+};
+
+const mockFxRates = {
+  list: async (authToken) => {
+    await requireAuth(authToken);
+    const { baseCurrency, asOf, rates } = await loadMockFxRates();
+    return {
+      baseCurrency,
+      rates: Object.keys(rates)
+        .sort()
+        .map((currency) => ({ currency, rate: rates[currency], updatedAt: asOf })),
+    };
+  },
+  quote: async (authToken, query) => {
+    await requireAuth(authToken);
+    const from = String(query.get("from") || "").trim().toUpperCase();
+    const to = String(query.get("to") || "").trim().toUpperCase();
+    const amount = parseMoney(query.get("amount"));
+
+    const problems = [
+      !from && { field: "from", message: "From currency is required." },
+      !to && { field: "to", message: "To currency is required." },
+      !(amount > 0) && { field: "amount", message: "Amount must be greater than zero." },
+    ].filter(Boolean);
+    if (problems.length > 0) {
+      await failFields(problems, "Exchange rate quote");
+    }
+
+    return { quote: await quoteMockConversion({ amount, fromCurrency: from, toCurrency: to }, "Exchange rate quote") };
+  },
+};
+
+// Review threshold and payee limits are set in the base currency, as on the backend.
+const toMockBaseAmount = async (amount, currency, context) => {
+  const { baseCurrency } = await loadMockFxRates();
+  const quote = await quoteMockConversion({ amount, fromCurrency: currency, toCurrency: baseCurrency }, context);
+  return quote.convertedAmount;
+};
+
+/**
+ * The conversion for a transfer between accounts in different currencies, or null.
+ * When the customer was shown a rate (`fxRate`) and it no longer matches, the
+ * transfer fails with FX_RATE_CHANGED instead of going through at a surprise rate.
+ */
+const quoteMockTransferFx = async ({ fromAccount, toAccount, amount, fxRate }, context) => {
+  const fromCurrency = fromAccount.currency || DEFAULT_CURRENCY;
+  const toCurrency = toAccount ? toAccount.currency || DEFAULT_CURRENCY : fromCurrency;
+  if (toCurrency === fromCurrency) return null;
+
+  const { rate, convertedAmount, rateDate } = await quoteMockConversion({ amount, fromCurrency, toCurrency }, context);
+  if (fxRate !== undefined && fxRate !== null && Number(fxRate) !== rate) {
+    await handleFailure(
+      {
+        errorCode: "FX_RATE_CHANGED",
+        message: `The exchange rate has changed to 1 ${fromCurrency} = ${rate} ${toCurrency}. Please review the new amount.`,
+      },
+      context
+    );
+  }
+  return { fromCurrency, toCurrency, rate, convertedAmount, rateDate };
+};
+
+// ---------------------------------------------------------------------------
+// Mock receipts
+// ---------------------------------------------------------------------------
+
+const maskMockNumber = (number) => (number ? `****${String(number).slice(-4)}` : null);
+
+/**
+ * Store the receipt for a completed transfer, in the same shape GET /receipts/:transferId
+ * returns from the backend. Internal transfers pass `toAccount`; external ones pass the
+ * beneficiary details typed into the form.
+ */
+const issueMockReceipt = ({
+  transferId,
+  userId,
+  fromAccount,
+  toAccount,
+  externalAccount,
+  beneficiary = {},
+  amount,
+  fx = null,
+  note,
+}) => {
+  const receipt = {
+    id: generateId("receipt"),
+    transferId,
+    userId,
+    reference: makeReferenceCode(),
+    from: { accountId: fromAccount.id, name: fromAccount.name, number: maskMockNumber(fromAccount.number) },
+    to: toAccount
+      ? { accountId: toAccount.id, name: toAccount.name, bank: "Bankly", number: maskMockNumber(toAccount.number) }
+      : {
+          accountId: null,
+          name: beneficiary.name || null,
+          bank: beneficiary.bank || null,
+          number: maskMockNumber(externalAccount),
+        },
+    amount,
+    currency: fromAccount.currency || "USD",
+    fx: fx
+      ? { rate: fx.rate, toCurrency: fx.toCurrency, convertedAmount: fx.convertedAmount, rateDate: fx.rateDate }
+      : null,
+    memo: note || "",
+    status: "completed",
+    completedAt: new Date().toISOString(),
+  };
+
+  mockState.receipts.set(transferId, receipt);
+  return receipt;
+};
+
+const mockReceipts = {
+  get: async (authToken, transferId) => {
+    const user = await requireAuth(authToken);
+    const receipt = mockState.receipts.get(transferId);
+
+    if (!receipt || receipt.userId !== user.id) {
+      await handleFailure({ errorCode: "RECEIPT_NOT_FOUND", message: "Receipt could not be located." }, "Load receipt");
+    }
+
+    return { receipt };
+  },
+};
+
 // All tokens share a predictable prefix so learners can see how auth flows work.
+// The random part after "~" keeps each sign-in distinct so sessions can be revoked one by one.
 const issueDemoToken = (userId) => {
-  const token = `demo-token-${userId}`;
+  const token = `demo-token-${userId}~${Math.random().toString(36).slice(2, 10)}`;
   mockState.tokens.set(token, userId);
   return token;
 };
 
+// Sign a user out everywhere, optionally keeping the token that asked. Returns how many were revoked.
+const revokeMockSessions = (userId, { exceptToken } = {}) => {
+  let revoked = 0;
+  mockState.tokens.forEach((tokenUserId, token) => {
+    if (tokenUserId === userId && token !== exceptToken) {
+      mockState.tokens.delete(token);
+      revoked += 1;
+    }
+  });
+  const user = mockState.users.find((u) => u.id === userId);
+  if (user) user.sessionsRevokedAt = Date.now();
+  return revoked;
+};
+
+// Same password rules as the backend: 8+ characters with at least one letter and one number.
 /**
- * Helper to standardize new user creation so register/login behave the same.
+ * Fail with VALIDATION plus `fields: [{ field, message }]`, the shape the backend's
+ * validate middleware uses, so forms can mark the matching inputs.
+ */
+const failFields = (fields, context) =>
+  handleFailure(
+    { errorCode: "VALIDATION", message: fields.map((entry) => entry.message).join(" "), fields },
+    context
+  );
+
+// Same checks as the backend's TRANSFER_REQUEST_SCHEMA for the fields the mock uses.
+const getMockTransferProblems = ({ fromAccountId, toAccountId, beneficiaryId, toAccount, toRoutingNumber, amount }) => {
+  const problems = [];
+  if (!fromAccountId) problems.push({ field: "fromAccountId", message: "Source account is required." });
+  if (!toAccountId && !beneficiaryId && !toAccount) {
+    problems.push({ field: "toAccount", message: "Please choose an account or enter an account number." });
+  } else if (!toAccountId && !beneficiaryId) {
+    problems.push(
+      ...getExternalAccountProblems(
+        { accountNumber: toAccount, routingNumber: toRoutingNumber },
+        { accountField: "toAccount", routingField: "toRoutingNumber" }
+      )
+    );
+  }
+  if (amount === undefined || amount === null || String(amount).trim() === "") {
+    problems.push({ field: "amount", message: "Amount is required." });
+  } else if (parseMoney(amount, DEFAULT_CURRENCY, { allowNegative: true }) === null) {
+    problems.push({ field: "amount", message: "Amount must be a number with at most two decimal places." });
+  } else if (parseMoney(amount, DEFAULT_CURRENCY, { allowNegative: true }) <= 0) {
+    problems.push({ field: "amount", message: "Amount must be greater than zero." });
+  }
+  return problems;
+};
+
+const getMockPasswordProblem = (password = "") => {
+  if (String(password).length < 8) return "Passwords must be at least 8 characters long.";
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return "Passwords must contain at least one letter and one number.";
+  }
+  return null;
+};
+
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+// Like the backend, the current password and the ones before it (5 in total) cannot be reused.
+const PASSWORD_HISTORY_SIZE = 5;
+
+// Like the backend login limiter: 5 wrong passwords lock the email for 1 minute,
+// doubling with every further lockout (up to 30 minutes).
+const LOGIN_LOCKOUT_THRESHOLD = 5;
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 30 * 60 * 1000;
+
+const getLoginAttempts = (email) => {
+  if (!mockState.loginAttempts.has(email)) {
+    mockState.loginAttempts.set(email, { failures: 0, lockedUntil: 0, lockouts: 0 });
+  }
+  return mockState.loginAttempts.get(email);
+};
+
+const recordLoginFailure = (attempts) => {
+  attempts.failures += 1;
+  if (attempts.failures >= LOGIN_LOCKOUT_THRESHOLD) {
+    attempts.lockedUntil = Date.now() + Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** attempts.lockouts, LOGIN_LOCKOUT_MAX_MS);
+    attempts.lockouts += 1;
+    attempts.failures = 0;
+  }
+};
+
+/**
+ * Apply the password rules and history check, then store the new password.
+ * Mock users keep plain-text passwords; the backend only ever stores hashes.
+ */
+const setMockPassword = async (user, password, context, field = "password") => {
+  const passwordProblem = getMockPasswordProblem(password);
+  if (passwordProblem) {
+    await failFields([{ field, message: passwordProblem }], context);
+  }
+
+  const recent = [user.password, ...(user.passwordHistory || [])];
+  if (recent.includes(password)) {
+    await handleFailure(
+      {
+        errorCode: "PASSWORD_REUSED",
+        message: `Please choose a password you have not used for your last ${PASSWORD_HISTORY_SIZE} passwords.`,
+      },
+      context
+    );
+  }
+
+  user.passwordHistory = recent.slice(0, PASSWORD_HISTORY_SIZE - 1);
+  user.password = password;
+};
+
+/**
+ * Helper to standardize new user creation for registration.
  * New users receive a starter checking account so the rest of the UI renders.
  */
 const createMockUser = ({ email, password, name }) => {
@@ -244,11 +734,12 @@ const createMockUser = ({ email, password, name }) => {
 
 const requireAuth = async (authToken) => {
   // Prefer the token map, but also allow direct demo tokens so reloads remain seamless.
+  // Users whose sessions were revoked must sign in again to get a fresh token.
   let userId = mockState.tokens.get(authToken);
   if (!userId && authToken?.startsWith("demo-token-")) {
-    const derivedId = authToken.replace("demo-token-", "");
+    const derivedId = authToken.replace("demo-token-", "").split("~")[0];
     const knownUser = mockState.users.find((u) => u.id === derivedId);
-    if (knownUser) {
+    if (knownUser && !knownUser.sessionsRevokedAt) {
       userId = derivedId;
       mockState.tokens.set(authToken, derivedId);
     }
@@ -273,6 +764,11 @@ const mockAuth = {
       await handleFailure({ errorCode: "VALIDATION", message: "Email and password are required." }, "Registration");
     }
 
+    const passwordProblem = getMockPasswordProblem(password);
+    if (passwordProblem) {
+      await failFields([{ field: "password", message: passwordProblem }], "Registration");
+    }
+
     const existing = mockState.users.find((user) => user.email === email);
     if (existing) {
       await handleFailure({ errorCode: "EMAIL_IN_USE", message: "This email is already registered." }, "Registration");
@@ -283,19 +779,32 @@ const mockAuth = {
     return { user: { id: newUser.id, email: newUser.email, name: newUser.name, role: newUser.role }, token };
   },
   login: async ({ email, password }) => {
-    // For the learning experience we accept any credentials. If the user
-    // already exists we return their details; otherwise we create them on the fly.
     if (!email || !password) {
       await handleFailure({ errorCode: "VALIDATION", message: "Email and password are required." }, "Login");
     }
 
-    let user = mockState.users.find((u) => u.email === email);
-    if (!user) {
-      user = createMockUser({ email, password });
-    } else if (user.password !== password) {
+    const attempts = getLoginAttempts(String(email).trim().toLowerCase());
+    if (attempts.lockedUntil > Date.now()) {
+      const seconds = Math.ceil((attempts.lockedUntil - Date.now()) / 1000);
+      await handleFailure(
+        {
+          errorCode: "RATE_LIMITED",
+          message: `Too many failed attempts. Please try again in ${seconds} second${seconds === 1 ? "" : "s"}.`,
+        },
+        "Login"
+      );
+    }
+
+    // Unknown emails and wrong passwords get the same answer, like the backend.
+    const user = mockState.users.find((u) => u.email === email);
+    if (!user || user.password !== password) {
+      recordLoginFailure(attempts);
       await handleFailure({ errorCode: "INVALID_CREDENTIALS", message: "Invalid email or password." }, "Login");
     }
 
+    attempts.failures = 0;
+    attempts.lockouts = 0;
+
     // Preserve older seed data that might not have a role assigned.
     if (!user.role) {
       user.role = "customer";
@@ -313,6 +822,12 @@ const mockAuth = {
       user.address = "";
     }
 
+    pushMockNotification(user.id, {
+      category: "security",
+      title: "New sign-in",
+      message: "New sign-in from this browser. If this was not you, change your password.",
+    });
+
     const token = issueDemoToken(user.id);
     return { token, user: { id: user.id, email: user.email, name: user.name, role: user.role } };
   },
@@ -320,6 +835,78 @@ const mockAuth = {
     const user = await requireAuth(authToken);
     return { user: { id: user.id, email: user.email, name: user.name, role: user.role } };
   },
+  forgotPassword: async ({ email } = {}) => {
+    const normalized = String(email || "").trim().toLowerCase();
+    const user = mockState.users.find((u) => u.email.toLowerCase() === normalized);
+
+    // Same answer either way, so the response never reveals which emails are registered.
+    if (user) {
+      mockState.passwordResets.forEach((reset) => {
+        if (reset.userId === user.id && !reset.usedAt) reset.replacedAt = Date.now();
+      });
+
+      const token = generateId("reset");
+      mockState.passwordResets.set(token, {
+        userId: user.id,
+        expiresAt: Date.now() + RESET_TOKEN_TTL_MS,
+        usedAt: null,
+        replacedAt: null,
+      });
+
+      // The console stands in for the email outbox, like the transfer passcodes.
+      console.info(`[Banking Demo] Outbox: reset your password at reset-password.html?token=${token}`);
+    }
+
+    return { accepted: true, message: "If that email is registered, we have sent instructions to reset your password." };
+  },
+  resetPassword: async ({ token, password } = {}) => {
+    const reset = mockState.passwordResets.get(token);
+    if (!reset || reset.usedAt || reset.replacedAt || reset.expiresAt <= Date.now()) {
+      await handleFailure(
+        { errorCode: "RESET_TOKEN_INVALID", message: "This reset link is invalid or has expired. Please request a new one." },
+        "Reset password"
+      );
+    }
+
+    const user = mockState.users.find((u) => u.id === reset.userId);
+    await setMockPassword(user, password, "Reset password");
+    reset.usedAt = Date.now();
+    const revokedSessions = revokeMockSessions(user.id);
+    pushMockNotification(user.id, {
+      type: "warning",
+      category: "security",
+      title: "Password changed",
+      message: `Your password was reset with an emailed link. ${revokedSessions} session(s) were signed out.`,
+    });
+    return { reset: true, revokedSessions };
+  },
+  changePassword: async (authToken, { currentPassword, newPassword } = {}) => {
+    const user = await requireAuth(authToken);
+
+    if (!currentPassword || !newPassword) {
+      await handleFailure(
+        { errorCode: "VALIDATION", message: "Current and new passwords are required." },
+        "Change password"
+      );
+    }
+
+    if (user.password !== currentPassword) {
+      await handleFailure(
+        { errorCode: "INVALID_CURRENT_PASSWORD", message: "Your current password is incorrect." },
+        "Change password"
+      );
+    }
+
+    await setMockPassword(user, newPassword, "Change password", "newPassword");
+    const revokedSessions = revokeMockSessions(user.id, { exceptToken: authToken });
+    pushMockNotification(user.id, {
+      type: "warning",
+      category: "security",
+      title: "Password changed",
+      message: `Your password was changed from your profile. ${revokedSessions} other session(s) were signed out.`,
+    });
+    return { changed: true, revokedSessions };
+  },
 };
 
 const mockAccounts = async (authToken) => {
@@ -327,35 +914,196 @@ const mockAccounts = async (authToken) => {
   return mockState.accounts.filter((acct) => acct.userId === user.id);
 };
 
+// Every balance converted into the user's base currency, like the backend's GET /accounts/summary.
+const mockAccountSummary = async (authToken) => {
+  const user = await requireAuth(authToken);
+  const currency = user.baseCurrency || DEFAULT_CURRENCY;
+  const quotes = [];
+  for (const account of mockState.accounts.filter((acct) => acct.userId === user.id)) {
+    quotes.push(
+      await quoteMockConversion(
+        { amount: account.balance, fromCurrency: account.currency || DEFAULT_CURRENCY, toCurrency: currency },
+        "Load accounts"
+      )
+    );
+  }
+  return {
+    total: {
+      amount: sumMoney(quotes.map((quote) => quote.convertedAmount), currency),
+      currency,
+      rateDate: quotes.map((quote) => quote.rateDate).find(Boolean) || null,
+    },
+  };
+};
+
 const mockTransactions = async (authToken, { accountId } = {}) => {
   const user = await requireAuth(authToken);
   const accounts = mockState.accounts.filter((acct) => acct.userId === user.id);
   const allowedAccountIds = accounts.map((acct) => acct.id);
 
+  // Another customer's account is reported as missing, same as the backend.
+  if (accountId && !allowedAccountIds.includes(accountId)) {
+    await handleFailure({ errorCode: "ACCOUNT_NOT_FOUND", message: "Account was not found." }, "Load transactions");
+  }
+
   return mockState.transactions
     .filter((tx) => (accountId ? tx.accountId === accountId : allowedAccountIds.includes(tx.accountId)))
     .sort((a, b) => b.createdAt - a.createdAt);
 };
 
-const mockProfile = async (authToken) => {
-  const user = await requireAuth(authToken);
+// Same rules as the backend's PATCH /profile.
+const PROFILE_FIELDS = ["phone", "address", "email", "baseCurrency"];
+const PROFILE_LABELS = { phone: "Phone number", address: "Address", email: "Email", baseCurrency: "Base currency" };
+const EMAIL_VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
 
+const toMockProfile = (user) => {
+  const pending = user.pendingEmail && user.pendingEmailExpiresAt > Date.now();
   return {
-    profile: {
-      fullName: user.name || user.fullName || "",
-      email: user.email || "",
-      phone: user.phone || "",
-      address: user.address || "",
-      createdAt: user.createdAt || user.created_at || Date.now(),
-    },
+    fullName: user.name || user.fullName || "",
+    email: user.email || "",
+    phone: user.phone || "",
+    address: user.address || "",
+    baseCurrency: user.baseCurrency || DEFAULT_CURRENCY,
+    createdAt: user.createdAt || user.created_at || Date.now(),
+    pendingEmail: pending ? user.pendingEmail : null,
+    pendingEmailExpiresAt: pending ? user.pendingEmailExpiresAt : null,
   };
 };
 
+const mockProfile = {
+  get: async (authToken) => {
+    const user = await requireAuth(authToken);
+    return { profile: toMockProfile(user) };
+  },
+  update: async (authToken, changes = {}) => {
+    const user = await requireAuth(authToken);
+    const context = "Update profile";
+
+    const unknown = Object.keys(changes).filter((field) => !PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      await handleFailure(
+        {
+          errorCode: "VALIDATION",
+          message: `These fields cannot be changed here: ${unknown.join(", ")}.`,
+          fields: unknown.map((field) => ({ field, message: `${field} cannot be changed here.` })),
+        },
+        context
+      );
+    }
+
+    // Values must be text; null only clears phone or address.
+    const notText = PROFILE_FIELDS.filter(
+      (field) =>
+        field in changes &&
+        typeof changes[field] !== "string" &&
+        !(changes[field] == null && (field === "phone" || field === "address"))
+    );
+    if (notText.length > 0) {
+      await failFields(
+        notText.map((field) => ({ field, message: `${PROFILE_LABELS[field]} must be text.` })),
+        context
+      );
+    }
+
+    const phone = "phone" in changes ? String(changes.phone ?? "").trim() : user.phone;
+    const digits = (phone || "").replace(/\D/g, "").length;
+    if (phone && (!/^\+?[\d\s().-]+$/.test(phone) || digits < 7 || digits > 15)) {
+      await failFields(
+        [{ field: "phone", message: "Phone numbers need 7 to 15 digits and may use spaces, +, -, . and brackets." }],
+        context
+      );
+    }
+
+    const address = "address" in changes ? String(changes.address ?? "").trim() : user.address;
+    if ((address || "").length > 200) {
+      await failFields([{ field: "address", message: "Addresses can be at most 200 characters long." }], context);
+    }
+
+    const baseCurrency =
+      "baseCurrency" in changes ? changes.baseCurrency.trim().toUpperCase() : undefined;
+    if (baseCurrency !== undefined) {
+      const { baseCurrency: bankCurrency, rates } = await loadMockFxRates();
+      const currencies = [bankCurrency, ...Object.keys(rates).sort()];
+      if (!currencies.includes(baseCurrency)) {
+        await failFields(
+          [{ field: "baseCurrency", message: `Base currency must be one of: ${currencies.join(", ")}.` }],
+          context
+        );
+      }
+    }
+
+    let newEmail = null;
+    if ("email" in changes) {
+      const email = changes.email.trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        await failFields([{ field: "email", message: "Please enter a valid email address." }], context);
+      }
+      if (email !== user.email.toLowerCase()) {
+        if (mockState.users.some((other) => other.id !== user.id && other.email.toLowerCase() === email)) {
+          await handleFailure({ errorCode: "EMAIL_IN_USE", message: "This email is already registered." }, context);
+        }
+        newEmail = email;
+      }
+    }
+
+    const nextValues = { phone, address, baseCurrency: baseCurrency ?? user.baseCurrency };
+    const changedFields = Object.keys(nextValues).filter(
+      (field) => field in changes && (user[field] || "") !== nextValues[field]
+    );
+    Object.assign(user, nextValues);
+
+    if (changedFields.length > 0) {
+      pushMockNotification(user.id, {
+        category: "security",
+        title: "Profile updated",
+        message: `Your ${changedFields.join(", ")} changed. If this was not you, contact your account officer.`,
+      });
+    }
+
+    // The new address only takes over once the emailed link is opened.
+    if (newEmail) {
+      const token = generateId("verify");
+      user.pendingEmail = newEmail;
+      user.pendingEmailToken = token;
+      user.pendingEmailExpiresAt = Date.now() + EMAIL_VERIFY_TTL_MS;
+      console.info(`[Banking Demo] Outbox (email to ${newEmail}): confirm at profile.html?verifyEmail=${token}`);
+    }
+
+    return {
+      updated: changedFields.length > 0 || Boolean(newEmail),
+      profile: toMockProfile(user),
+      emailVerificationSent: Boolean(newEmail),
+    };
+  },
+  confirmEmail: async ({ token } = {}) => {
+    const user = token ? mockState.users.find((u) => u.pendingEmailToken === token) : null;
+    if (!user || !user.pendingEmail || user.pendingEmailExpiresAt <= Date.now()) {
+      await handleFailure(
+        { errorCode: "EMAIL_VERIFICATION_INVALID", message: "This confirmation link is invalid or has expired." },
+        "Confirm email"
+      );
+    }
+
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+    user.pendingEmailToken = null;
+    user.pendingEmailExpiresAt = null;
+    pushMockNotification(user.id, {
+      category: "security",
+      title: "Profile updated",
+      message: "Your email changed. If this was not you, contact your account officer.",
+    });
+
+    return { confirmed: true, email: user.email };
+  },
+};
+
 const mockNotifications = {
   list: async (authToken) => {
     const user = await requireAuth(authToken);
     return mockState.notifications
       .filter((notification) => notification.userId === user.id)
+      .filter((notification) => !notification.deliverAt || notification.deliverAt <= Date.now())
       .sort((a, b) => b.timestamp - a.timestamp);
   },
   markRead: async (authToken, notificationId) => {
@@ -374,6 +1122,38 @@ const mockNotifications = {
     notification.read = true;
     return { notification };
   },
+  getPreferences: async (authToken) => {
+    const user = await requireAuth(authToken);
+    return { preferences: getMockPreferences(user.id) };
+  },
+  updatePreferences: async (authToken, input = {}) => {
+    const user = await requireAuth(authToken);
+    const current = getMockPreferences(user.id);
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    const quietHours = { ...current.quietHours, ...input.quietHours };
+    const lowBalanceThreshold = input.lowBalanceThreshold ?? current.lowBalanceThreshold;
+
+    if (!timePattern.test(quietHours.start) || !timePattern.test(quietHours.end)) {
+      await handleFailure({ errorCode: "VALIDATION", message: "Quiet hours must use the HH:MM format." }, "Save preferences");
+    }
+
+    if (!Number.isFinite(Number(lowBalanceThreshold)) || Number(lowBalanceThreshold) < 0) {
+      await handleFailure(
+        { errorCode: "VALIDATION", message: "The low balance threshold must be zero or more." },
+        "Save preferences"
+      );
+    }
+
+    const alerts = { ...current.alerts };
+    Object.entries(input.alerts || {}).forEach(([alertType, channels]) => {
+      if (alerts[alertType]) alerts[alertType] = { ...alerts[alertType], ...channels };
+    });
+
+    const preferences = { alerts, lowBalanceThreshold: Number(lowBalanceThreshold), quietHours };
+    mockState.notificationPreferences.set(user.id, preferences);
+    return { saved: true, preferences };
+  },
   markAllRead: async (authToken) => {
     const user = await requireAuth(authToken);
     mockState.notifications.forEach((notification) => {
@@ -386,11 +1166,12 @@ const mockNotifications = {
 };
 
 const mockTransfer = {
-  initiate: async (authToken, { fromAccountId, toAccountId, amount }) => {
+  initiate: async (authToken, { fromAccountId, toAccountId, amount, beneficiaryName, beneficiaryBank, fxRate }) => {
     const user = await requireAuth(authToken);
 
-    if (!fromAccountId || !toAccountId || !amount) {
-      await handleFailure({ errorCode: "VALIDATION", message: "Please fill in all transfer fields." }, "Initiate transfer");
+    const problems = getMockTransferProblems({ fromAccountId, toAccountId, amount });
+    if (problems.length > 0) {
+      await failFields(problems, "Initiate transfer");
     }
 
     const fromAccount = mockState.accounts.find((acct) => acct.id === fromAccountId && acct.userId === user.id);
@@ -398,7 +1179,10 @@ const mockTransfer = {
       await handleFailure({ errorCode: "ACCOUNT_NOT_FOUND", message: "Source account not found." }, "Initiate transfer");
     }
 
-    if (Number(amount) > fromAccount.balance) {
+    const toAccount = mockState.accounts.find((acct) => acct.id === toAccountId && acct.userId === user.id);
+    const fx = await quoteMockTransferFx({ fromAccount, toAccount, amount: parseMoney(amount), fxRate }, "Initiate transfer");
+
+    if (compareMoney(amount, fromAccount.balance) > 0) {
       await handleFailure({ errorCode: "INSUFFICIENT_FUNDS", message: "Insufficient funds for this transfer." }, "Initiate transfer");
     }
 
@@ -408,13 +1192,15 @@ const mockTransfer = {
       userId: user.id,
       fromAccountId,
       toAccountId,
-      amount: Number(amount),
+      beneficiary: { name: beneficiaryName, bank: beneficiaryBank },
+      amount: parseMoney(amount),
+      fx,
       status: "PENDING_OTP",
       otp: null,
       createdAt: Date.now(),
     });
 
-    return { transferId, status: "PENDING_OTP" };
+    return { transferId, status: "PENDING_OTP", fx };
   },
   sendOtp: async (authToken, { transferId }) => {
     const transfer = mockState.transfers.get(transferId);
@@ -431,8 +1217,10 @@ const mockTransfer = {
       expiresAt: Date.now() + 5 * 60 * 1000, // 5 minutes
     };
 
-    // In a real app this would be sent via SMS/email. Here we return it for convenience.
-    return { status: "OTP_SENT", code };
+    // Codes never travel back in the response. The console stands in for the
+    // email/SMS outbox the backend uses, so learners can still complete the flow.
+    console.info(`[Banking Demo] Outbox: your transfer verification code is ${code}.`);
+    return { status: "OTP_SENT", expiresAt: transfer.otp.expiresAt };
   },
   verifyOtp: async (authToken, { transferId, code }) => {
     const transfer = mockState.transfers.get(transferId);
@@ -476,15 +1264,17 @@ const mockTransfer = {
       await handleFailure({ errorCode: "ACCOUNT_NOT_FOUND", message: "Source account not found." }, "Confirm transfer");
     }
 
-    if (transfer.amount > fromAccount.balance) {
+    if (compareMoney(transfer.amount, fromAccount.balance) > 0) {
       await handleFailure({ errorCode: "INSUFFICIENT_FUNDS", message: "Insufficient funds for this transfer." }, "Confirm transfer");
     }
 
-    fromAccount.balance -= transfer.amount;
+    const balanceBefore = fromAccount.balance;
+    fromAccount.balance = subtractMoney(fromAccount.balance, transfer.amount, fromAccount.currency);
 
     const toAccount = mockState.accounts.find((acct) => acct.id === transfer.toAccountId);
+    const creditAmount = transfer.fx ? transfer.fx.convertedAmount : transfer.amount;
     if (toAccount) {
-      toAccount.balance += transfer.amount;
+      toAccount.balance = addMoney(toAccount.balance, creditAmount, toAccount.currency);
     }
 
     const receiptId = generateId("tx");
@@ -493,10 +1283,43 @@ const mockTransfer = {
       accountId: fromAccount.id,
       description: note || "Transfer",
       amount: -transfer.amount,
+      // Money leaving the bank stays pending until it settles, like the backend.
+      status: toAccount ? "posted" : "pending",
       createdAt: Date.now(),
     });
 
+    // Internal transfers get the matching credit so both sides of the ledger agree.
+    if (toAccount) {
+      mockState.transactions.push({
+        id: generateId("tx"),
+        accountId: toAccount.id,
+        description: note || "Incoming transfer",
+        amount: creditAmount,
+        status: "posted",
+        createdAt: Date.now(),
+      });
+    }
+
     transfer.status = "COMPLETED";
+    const receipt = issueMockReceipt({
+      transferId,
+      userId: user.id,
+      fromAccount,
+      toAccount,
+      externalAccount: transfer.toAccountId,
+      beneficiary: transfer.beneficiary,
+      amount: transfer.amount,
+      fx: transfer.fx,
+      note,
+    });
+    notifyTransferCompleted({
+      userId: user.id,
+      fromAccount,
+      destination: toAccount ? describeMockAccount(toAccount) : `account ${transfer.toAccountId}`,
+      amount: transfer.amount,
+      fx: transfer.fx,
+      balanceBefore,
+    });
 
     return {
       transferId,
@@ -506,25 +1329,55 @@ const mockTransfer = {
         toAccount: toAccount?.number || transfer.toAccountId,
         amount: transfer.amount,
         currency: fromAccount.currency,
+        fx: transfer.fx,
         createdAt: Date.now(),
-        reference: makeReferenceCode(),
+        reference: receipt.reference,
       },
     };
   },
 };
 
-const mockSimpleTransfer = async (authToken, { fromAccountId, toAccountId, toAccount, amount, note }) => {
+const mockSimpleTransfer = async (
+  authToken,
+  {
+    fromAccountId,
+    toAccountId,
+    beneficiaryId,
+    toAccount,
+    toRoutingNumber,
+    amount,
+    note,
+    beneficiaryName,
+    beneficiaryBank,
+    fxRate,
+  }
+) => {
   const user = await requireAuth(authToken);
-  const numericAmount = Number(amount);
 
-  if (!fromAccountId || (!toAccountId && !toAccount) || !Number.isFinite(numericAmount) || numericAmount <= 0) {
-    await handleFailure({ errorCode: "VALIDATION", message: "Please provide all transfer details." }, "Create transfer");
+  const problems = getMockTransferProblems({
+    fromAccountId,
+    toAccountId,
+    beneficiaryId,
+    toAccount,
+    toRoutingNumber,
+    amount,
+  });
+  if (problems.length > 0) {
+    await failFields(problems, "Create transfer");
   }
 
   const fromAccount = mockState.accounts.find((acct) => acct.id === fromAccountId && acct.userId === user.id);
   if (!fromAccount) {
     await handleFailure({ errorCode: "ACCOUNT_NOT_FOUND", message: "Source account not found." }, "Create transfer");
   }
+  const currency = fromAccount.currency || DEFAULT_CURRENCY;
+  const numericAmount = parseMoney(amount, currency);
+  if (numericAmount === null) {
+    await failFields(
+      [{ field: "amount", message: "Amount must have no more decimal places than the account currency allows." }],
+      "Create transfer"
+    );
+  }
 
   const destinationAccount = toAccountId
     ? mockState.accounts.find((acct) => acct.id === toAccountId && acct.userId === user.id)
@@ -534,13 +1387,64 @@ const mockSimpleTransfer = async (authToken, { fromAccountId, toAccountId, toAcc
     await handleFailure({ errorCode: "ACCOUNT_NOT_FOUND", message: "Destination account not found." }, "Create transfer");
   }
 
-  if (numericAmount > fromAccount.balance) {
+  // A saved payee supplies the external account details and may still be cooling off.
+  // Typing a payee's account details by hand counts against the same limit, and an
+  // outside account with no saved payee has its own limit from the first transfer to it.
+  const payee =
+    !destinationAccount && beneficiaryId ? await findMockBeneficiary(user.id, beneficiaryId, "Create transfer") : null;
+  const typedDetails = { accountNumber: toAccount, routingNumber: toRoutingNumber };
+  const outsideAccount = destinationAccount ? null : getMockOutsideAccount(user.id, payee || typedDetails);
+  const limitedPayee =
+    payee || (destinationAccount ? null : findMockBeneficiaryByAccount(user.id, typedDetails) || outsideAccount);
+  const coolingOff = Boolean(limitedPayee && limitedPayee.coolingOffEndsAt > Date.now());
+  const accountCoolingOff = Boolean(outsideAccount && outsideAccount.coolingOffEndsAt > Date.now());
+  const baseAmount =
+    coolingOff || accountCoolingOff
+      ? await toMockBaseAmount(numericAmount, currency, "Create transfer")
+      : numericAmount;
+  if (coolingOff && compareMoney(baseAmount, getMockCoolingOffRemaining(limitedPayee)) > 0) {
+    const until = new Date(limitedPayee.coolingOffEndsAt).toUTCString();
+    const limit = formatCurrency(BENEFICIARY_COOLING_OFF_LIMIT);
+    const remaining = formatCurrency(getMockCoolingOffRemaining(limitedPayee));
+    const reason =
+      limitedPayee === outsideAccount ? "You have not paid this account before" : "This payee was added recently";
+    await handleFailure(
+      {
+        errorCode: "BENEFICIARY_COOLING_OFF",
+        message: `${reason}. Until ${until} you can send them up to ${limit} in total (${remaining} left).`,
+      },
+      "Create transfer"
+    );
+  }
+  let externalAccount = payee ? payee.accountNumber : toAccount;
+  let externalBank = payee ? payee.bankName : beneficiaryBank;
+  if (!payee && !destinationAccount) {
+    externalAccount = looksLikeIban(toAccount) ? normalizeIban(toAccount) : String(toAccount).trim();
+    externalBank = beneficiaryBank || (looksLikeIban(toAccount) ? null : await lookupBankName(toRoutingNumber));
+  }
+
+  const fx = await quoteMockTransferFx(
+    { fromAccount, toAccount: destinationAccount, amount: numericAmount, fxRate },
+    "Create transfer"
+  );
+  const creditAmount = fx ? fx.convertedAmount : numericAmount;
+
+  if (compareMoney(numericAmount, fromAccount.balance, currency) > 0) {
     await handleFailure({ errorCode: "INSUFFICIENT_FUNDS", message: "Insufficient funds for this transfer." }, "Create transfer");
   }
 
-  fromAccount.balance -= numericAmount;
+  const balanceBefore = fromAccount.balance;
+  fromAccount.balance = subtractMoney(fromAccount.balance, numericAmount, currency);
+  if (coolingOff && limitedPayee !== outsideAccount) {
+    limitedPayee.coolingOffSent = addMoney(limitedPayee.coolingOffSent || 0, baseAmount);
+  }
+  // Kept even when the payee is deleted later, so deleting it does not reset the limit.
+  if (outsideAccount) {
+    if (accountCoolingOff) outsideAccount.coolingOffSent = addMoney(outsideAccount.coolingOffSent, baseAmount);
+    mockState.outsideAccounts.set(outsideAccount.key, outsideAccount);
+  }
   if (destinationAccount) {
-    destinationAccount.balance += numericAmount;
+    destinationAccount.balance = addMoney(destinationAccount.balance, creditAmount, destinationAccount.currency);
   }
 
   const receiptId = generateId("tx");
@@ -549,6 +1453,7 @@ const mockSimpleTransfer = async (authToken, { fromAccountId, toAccountId, toAcc
     accountId: fromAccount.id,
     description: note || "Transfer",
     amount: -numericAmount,
+    status: destinationAccount ? "posted" : "pending",
     createdAt: Date.now(),
   });
 
@@ -557,64 +1462,694 @@ const mockSimpleTransfer = async (authToken, { fromAccountId, toAccountId, toAcc
       id: generateId("tx"),
       accountId: destinationAccount.id,
       description: note || "Incoming transfer",
-      amount: numericAmount,
+      amount: creditAmount,
+      status: "posted",
       createdAt: Date.now(),
     });
   }
 
+  const transferId = generateId("transfer");
+  const receipt = issueMockReceipt({
+    transferId,
+    userId: user.id,
+    fromAccount,
+    toAccount: destinationAccount,
+    externalAccount,
+    beneficiary: { name: payee ? payee.name : beneficiaryName, bank: externalBank },
+    amount: numericAmount,
+    fx,
+    note,
+  });
+
+  notifyTransferCompleted({
+    userId: user.id,
+    fromAccount,
+    destination: destinationAccount
+      ? describeMockAccount(destinationAccount)
+      : payee
+        ? `${payee.name} (...${payee.accountNumber.slice(-4)})`
+        : `account ${toAccount || toAccountId}`,
+    amount: numericAmount,
+    fx,
+    balanceBefore,
+  });
+
   return {
-    reference: makeReferenceCode(),
+    transferId,
+    status: "completed",
+    reference: receipt.reference,
     receiptId,
     amount: numericAmount,
     fromAccount: fromAccount.number,
-    toAccount: destinationAccount?.number || toAccount || toAccountId,
-    currency: fromAccount.currency,
+    toAccount: destinationAccount?.number || externalAccount || toAccountId,
+    currency,
+    fx,
   };
 };
 
+// ---------------------------------------------------------------------------
+// Mock beneficiaries (saved payees)
+// ---------------------------------------------------------------------------
+
+// Same rules as the backend: new payees (or changed account details) only accept
+// transfers up to the limit, in total, until the cooling-off period ends.
+// coolingOffSent keeps the running total (in the base currency).
+const BENEFICIARY_COOLING_OFF_MS = 24 * 60 * 60 * 1000;
+const BENEFICIARY_COOLING_OFF_LIMIT = 500;
+
+const getMockCoolingOffRemaining = (payee) =>
+  Math.max(0, subtractMoney(BENEFICIARY_COOLING_OFF_LIMIT, payee.coolingOffSent || 0));
+
+// Account details as the backend stores them: IBANs without spaces and without a routing number.
+const normalizeMockAccountDetails = ({ accountNumber, routingNumber }) => {
+  const iban = looksLikeIban(accountNumber);
+  return {
+    number: iban ? normalizeIban(accountNumber) : String(accountNumber ?? "").trim(),
+    routing: iban ? null : String(routingNumber ?? "").trim() || null,
+  };
+};
+
+// The user's saved payee with these (typed-in) account details, if any.
+const findMockBeneficiaryByAccount = (userId, details) => {
+  const { number, routing } = normalizeMockAccountDetails(details);
+  return (
+    mockState.beneficiaries.find(
+      (entry) => entry.userId === userId && entry.accountNumber === number && (entry.routingNumber || null) === routing
+    ) || null
+  );
+};
+
+// Cooling-off for an outside account, like a payee's but starting with the first transfer to it.
+// Not stored until a transfer is made.
+const getMockOutsideAccount = (userId, details) => {
+  const { number, routing } = normalizeMockAccountDetails(details);
+  const key = `${userId}:${number}:${routing || ""}`;
+  return (
+    mockState.outsideAccounts.get(key) || {
+      key,
+      coolingOffEndsAt: Date.now() + BENEFICIARY_COOLING_OFF_MS,
+      coolingOffSent: 0,
+    }
+  );
+};
+
+const toMockBeneficiary = ({ userId, coolingOffSent, ...beneficiary }) => ({
+  ...beneficiary,
+  status: beneficiary.coolingOffEndsAt > Date.now() ? "cooling_off" : "verified",
+  coolingOffEndsAt: new Date(beneficiary.coolingOffEndsAt).toISOString(),
+  coolingOffLimit: BENEFICIARY_COOLING_OFF_LIMIT,
+});
+
+/**
+ * Like the backend: check the account details together, store IBANs without
+ * spaces (and without a routing number), and take the bank name from the
+ * directory when it was left out. Returns the details or the field problems.
+ */
+const resolveMockAccountDetails = async ({ accountNumber, routingNumber, bankName }) => {
+  const problems = getExternalAccountProblems({ accountNumber, routingNumber });
+  if (problems.length > 0) return { problems };
+
+  const iban = looksLikeIban(accountNumber);
+  const details = {
+    accountNumber: iban ? normalizeIban(accountNumber) : String(accountNumber).trim(),
+    routingNumber: iban ? null : String(routingNumber).trim(),
+  };
+  details.bankName = String(bankName ?? "").trim() || (iban ? null : await lookupBankName(details.routingNumber));
+  if (!details.bankName) return { problems: [{ field: "bankName", message: "Bank name is required." }] };
+  return { details, problems: [] };
+};
+
+const getMockPayeeNameProblems = (name) =>
+  String(name ?? "").trim().length >= 2
+    ? []
+    : [{ field: "name", message: "Recipient name must be at least 2 characters long." }];
+
+const findMockBeneficiary = async (userId, beneficiaryId, context) => {
+  const beneficiary = mockState.beneficiaries.find((entry) => entry.id === beneficiaryId && entry.userId === userId);
+  if (!beneficiary) {
+    await handleFailure({ errorCode: "BENEFICIARY_NOT_FOUND", message: "Payee not found." }, context);
+  }
+  return beneficiary;
+};
+
+const assertMockBeneficiaryUnique = async (userId, { routingNumber, accountNumber }, exceptId, context) => {
+  const duplicate = mockState.beneficiaries.find(
+    (entry) =>
+      entry.userId === userId &&
+      entry.id !== exceptId &&
+      entry.routingNumber === routingNumber &&
+      entry.accountNumber === accountNumber
+  );
+  if (duplicate) {
+    await handleFailure(
+      {
+        errorCode: "BENEFICIARY_EXISTS",
+        message: `This account is already saved as "${duplicate.nickname || duplicate.name}".`,
+      },
+      context
+    );
+  }
+};
+
+// Same security notice the backend sends when a payee is added or its account details change.
+const notifyMockPayeeSaved = (beneficiary, action) => {
+  const payee = `${beneficiary.name} (...${beneficiary.accountNumber.slice(-4)})`;
+  const change = action === "added" ? `${payee} was added as a payee` : `The account details for ${payee} changed`;
+  const until = new Date(beneficiary.coolingOffEndsAt).toUTCString();
+  pushMockNotification(beneficiary.userId, {
+    type: "info",
+    category: "security",
+    title: action === "added" ? "New payee added" : "Payee details changed",
+    message:
+      `${change}. Until ${until}, transfers to them are limited to ${formatCurrency(BENEFICIARY_COOLING_OFF_LIMIT)} in total. ` +
+      "If this was not you, contact your account officer.",
+  });
+};
+
+const mockBeneficiaries = {
+  list: async (authToken) => {
+    const user = await requireAuth(authToken);
+    const beneficiaries = mockState.beneficiaries
+      .filter((beneficiary) => beneficiary.userId === user.id)
+      .sort((a, b) => (a.nickname || a.name).localeCompare(b.nickname || b.name));
+    return { beneficiaries: beneficiaries.map(toMockBeneficiary) };
+  },
+
+  create: async (authToken, body = {}) => {
+    const user = await requireAuth(authToken);
+    const { details, problems } = await resolveMockAccountDetails(body);
+    problems.unshift(...getMockPayeeNameProblems(body.name));
+    if (problems.length > 0) {
+      await failFields(problems, "Add payee");
+    }
+    await assertMockBeneficiaryUnique(user.id, details, null, "Add payee");
+
+    const beneficiary = {
+      id: generateId("payee"),
+      userId: user.id,
+      name: body.name.trim(),
+      nickname: body.nickname?.trim() || null,
+      ...details,
+      coolingOffEndsAt: Date.now() + BENEFICIARY_COOLING_OFF_MS,
+      coolingOffSent: 0,
+      createdAt: new Date().toISOString(),
+    };
+    mockState.beneficiaries.push(beneficiary);
+    notifyMockPayeeSaved(beneficiary, "added");
+    return { beneficiary: toMockBeneficiary(beneficiary) };
+  },
+
+  update: async (authToken, beneficiaryId, changes = {}) => {
+    const user = await requireAuth(authToken);
+    const beneficiary = await findMockBeneficiary(user.id, beneficiaryId, "Edit payee");
+    const problems = changes.name !== undefined ? getMockPayeeNameProblems(changes.name) : [];
+
+    // Account details are only re-checked (and the bank name re-filled) when one of them is edited.
+    let details = null;
+    if (["bankName", "routingNumber", "accountNumber"].some((field) => changes[field] !== undefined)) {
+      const resolved = await resolveMockAccountDetails({ ...beneficiary, ...changes });
+      details = resolved.details;
+      problems.push(...resolved.problems);
+    }
+    if (problems.length > 0) {
+      await failFields(problems, "Edit payee");
+    }
+
+    const numbersChanged =
+      details &&
+      (details.routingNumber !== beneficiary.routingNumber || details.accountNumber !== beneficiary.accountNumber);
+    if (numbersChanged) {
+      await assertMockBeneficiaryUnique(user.id, details, beneficiary.id, "Edit payee");
+      beneficiary.coolingOffEndsAt = Date.now() + BENEFICIARY_COOLING_OFF_MS;
+      beneficiary.coolingOffSent = 0;
+    }
+
+    if (details) Object.assign(beneficiary, details);
+    if (changes.name !== undefined) beneficiary.name = String(changes.name).trim();
+    if (changes.nickname !== undefined) beneficiary.nickname = changes.nickname?.trim() || null;
+    if (numbersChanged) notifyMockPayeeSaved(beneficiary, "updated");
+    return { beneficiary: toMockBeneficiary(beneficiary) };
+  },
+
+  remove: async (authToken, beneficiaryId) => {
+    const user = await requireAuth(authToken);
+    const beneficiary = await findMockBeneficiary(user.id, beneficiaryId, "Remove payee");
+    mockState.beneficiaries.splice(mockState.beneficiaries.indexOf(beneficiary), 1);
+    return { removed: true };
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Mock scheduled transfers
+// ---------------------------------------------------------------------------
+
+const SCHEDULE_FREQUENCIES = ["once", "weekly", "biweekly", "monthly"];
+const SCHEDULE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates are "YYYY-MM-DD" calendar days in UTC, like the backend.
+const todayDateString = () => new Date().toISOString().slice(0, 10);
+
+const isMockDate = (value) =>
+  SCHEDULE_DATE_PATTERN.test(value || "") && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+/**
+ * The next date after `dateString`. Monthly schedules keep their day of the month
+ * and use the last day in shorter months (31 Jan -> 28 Feb -> 31 Mar).
+ */
+const addMockInterval = (dateString, frequency, anchorDay) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+
+  if (frequency === "weekly" || frequency === "biweekly") {
+    date.setUTCDate(date.getUTCDate() + (frequency === "weekly" ? 7 : 14));
+    return date.toISOString().slice(0, 10);
+  }
+
+  const year = date.getUTCFullYear() + (date.getUTCMonth() === 11 ? 1 : 0);
+  const month = (date.getUTCMonth() + 1) % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay))).toISOString().slice(0, 10);
+};
+
+const isMockScheduleOpen = (schedule) => schedule.status === "active" || schedule.status === "paused";
+
+// Close the current date (sent, skipped or failed) and move to the next one, if any.
+const finishMockOccurrence = (schedule, lastResult) => {
+  schedule.runCount += 1;
+  schedule.lastResult = lastResult;
+
+  let next = null;
+  if (schedule.frequency !== "once") {
+    next = addMockInterval(schedule.nextRunDate, schedule.frequency, schedule.anchorDay);
+    while (next < todayDateString()) next = addMockInterval(next, schedule.frequency, schedule.anchorDay);
+  }
+
+  const ended =
+    !next ||
+    (schedule.endDate && next > schedule.endDate) ||
+    (schedule.maxOccurrences && schedule.runCount >= schedule.maxOccurrences);
+  if (ended) {
+    schedule.status = lastResult.outcome === "failed" ? "failed" : "completed";
+  } else {
+    schedule.nextRunDate = next;
+  }
+};
+
+/**
+ * Stand-in for the backend scheduler: the mock has no server process, so due
+ * schedules are sent whenever the list is loaded. Unlike the backend, a
+ * transfer without enough money is skipped (or fails) straight away instead of being retried.
+ * So is one whose payee was removed or is still cooling off.
+ */
+const runDueMockSchedules = async (authToken, userId) => {
+  const today = todayDateString();
+  const due = mockState.scheduledTransfers.filter(
+    (schedule) => schedule.userId === userId && schedule.status === "active" && schedule.nextRunDate <= today
+  );
+
+  for (const schedule of due) {
+    const fromAccount = mockState.accounts.find((account) => account.id === schedule.fromAccountId);
+    const scheduledFor = schedule.nextRunDate;
+
+    const payee = schedule.beneficiaryId
+      ? mockState.beneficiaries.find((entry) => entry.id === schedule.beneficiaryId && entry.userId === userId)
+      : null;
+    const limitedPayee =
+      payee ||
+      (schedule.toAccountId
+        ? null
+        : findMockBeneficiaryByAccount(userId, {
+            accountNumber: schedule.toAccount,
+            routingNumber: schedule.toRoutingNumber,
+          }));
+    let problem = null;
+    if (!fromAccount || compareMoney(schedule.amount, fromAccount.balance) > 0) {
+      problem = {
+        errorCode: "INSUFFICIENT_FUNDS",
+        message: "Insufficient funds for this transfer.",
+        reason: "not enough money",
+      };
+    } else if (schedule.beneficiaryId && !payee) {
+      problem = { errorCode: "BENEFICIARY_NOT_FOUND", message: "Payee not found.", reason: "the payee was removed" };
+    } else if (
+      limitedPayee &&
+      limitedPayee.coolingOffEndsAt > Date.now() &&
+      compareMoney(schedule.amount, getMockCoolingOffRemaining(limitedPayee)) > 0
+    ) {
+      problem = {
+        errorCode: "BENEFICIARY_COOLING_OFF",
+        message: "This payee was added recently.",
+        reason: "the payee was added too recently",
+      };
+    }
+
+    if (problem) {
+      const outcome = schedule.frequency === "once" ? "failed" : "skipped";
+      finishMockOccurrence(schedule, {
+        outcome,
+        scheduledFor,
+        errorCode: problem.errorCode,
+        message: problem.message,
+      });
+      pushMockNotification(userId, {
+        type: "danger",
+        category: "transfer",
+        title: outcome === "failed" ? "Scheduled transfer failed" : "Scheduled transfer skipped",
+        message: `We could not send ${formatCurrency(schedule.amount)} due on ${scheduledFor}: ${problem.reason}.`,
+      });
+      continue;
+    }
+
+    const result = await mockSimpleTransfer(authToken, {
+      fromAccountId: schedule.fromAccountId,
+      toAccountId: schedule.toAccountId,
+      beneficiaryId: schedule.beneficiaryId,
+      toAccount: schedule.toAccount,
+      toRoutingNumber: schedule.toRoutingNumber,
+      beneficiaryName: schedule.beneficiaryName,
+      beneficiaryBank: schedule.beneficiaryBank,
+      amount: schedule.amount,
+      note: schedule.memo,
+    });
+    finishMockOccurrence(schedule, {
+      outcome: "sent",
+      scheduledFor,
+      transferId: result.transferId,
+      reference: result.reference,
+    });
+  }
+};
+
+const getMockScheduleProblems = ({ frequency, startDate, endDate, maxOccurrences }, { partial = false } = {}) => {
+  const problems = [];
+  const today = todayDateString();
+
+  if ((!partial || frequency !== undefined) && !SCHEDULE_FREQUENCIES.includes(frequency)) {
+    problems.push({ field: "frequency", message: `Frequency must be one of: ${SCHEDULE_FREQUENCIES.join(", ")}.` });
+  }
+  if (!partial || startDate !== undefined) {
+    if (!isMockDate(startDate)) problems.push({ field: "startDate", message: "Please choose a valid date." });
+    else if (startDate < today) problems.push({ field: "startDate", message: "The date cannot be in the past." });
+  }
+  if (endDate && (!isMockDate(endDate) || endDate < (startDate || today))) {
+    problems.push({ field: "endDate", message: "End date must be on or after the start date." });
+  }
+  if (maxOccurrences && (!Number.isInteger(Number(maxOccurrences)) || Number(maxOccurrences) < 1)) {
+    problems.push({ field: "maxOccurrences", message: "Number of transfers must be a whole number of at least 1." });
+  }
+  return problems;
+};
+
+const mockScheduledTransfers = {
+  list: async (authToken) => {
+    const user = await requireAuth(authToken);
+    await runDueMockSchedules(authToken, user.id);
+
+    const scheduledTransfers = mockState.scheduledTransfers
+      .filter((schedule) => schedule.userId === user.id)
+      .sort((a, b) => {
+        if (isMockScheduleOpen(a) !== isMockScheduleOpen(b)) return isMockScheduleOpen(a) ? -1 : 1;
+        return a.nextRunDate.localeCompare(b.nextRunDate);
+      });
+    return { scheduledTransfers: structuredClone(scheduledTransfers) };
+  },
+
+  create: async (authToken, body = {}) => {
+    const user = await requireAuth(authToken);
+    const problems = [...getMockTransferProblems(body), ...getMockScheduleProblems(body)];
+    if (problems.length > 0) {
+      await failFields(problems, "Schedule transfer");
+    }
+
+    const ownsAccount = (id) => mockState.accounts.some((account) => account.id === id && account.userId === user.id);
+    if (!ownsAccount(body.fromAccountId) || (body.toAccountId && !ownsAccount(body.toAccountId))) {
+      await handleFailure({ errorCode: "ACCOUNT_NOT_FOUND", message: "Account not found." }, "Schedule transfer");
+    }
+    const payee =
+      !body.toAccountId && body.beneficiaryId
+        ? await findMockBeneficiary(user.id, body.beneficiaryId, "Schedule transfer")
+        : null;
+
+    const once = body.frequency === "once";
+    const schedule = {
+      id: generateId("sched"),
+      userId: user.id,
+      fromAccountId: body.fromAccountId,
+      toAccountId: body.toAccountId || null,
+      beneficiaryId: payee?.id || null,
+      toAccount: body.toAccountId ? null : payee?.accountNumber || body.toAccount,
+      toRoutingNumber: body.toAccountId ? null : (payee ? payee.routingNumber : body.toRoutingNumber) || null,
+      beneficiaryName: payee?.name || body.beneficiaryName || null,
+      beneficiaryBank: payee?.bankName || body.beneficiaryBank || null,
+      amount: parseMoney(body.amount),
+      memo: body.memo || body.note || "",
+      frequency: body.frequency,
+      startDate: body.startDate,
+      endDate: once ? null : body.endDate || null,
+      maxOccurrences: once ? 1 : Number(body.maxOccurrences) || null,
+      anchorDay: Number(body.startDate.slice(8, 10)),
+      status: "active",
+      nextRunDate: body.startDate,
+      runCount: 0,
+      lastResult: null,
+      createdAt: new Date().toISOString(),
+    };
+    mockState.scheduledTransfers.push(schedule);
+    return { scheduledTransfer: structuredClone(schedule) };
+  },
+
+  update: async (authToken, id, changes = {}) => {
+    const schedule = await mockScheduledTransfers.findOpen(authToken, id, "Edit scheduled transfer");
+    const problems = getMockScheduleProblems(
+      { frequency: changes.frequency, startDate: changes.nextRunDate, endDate: changes.endDate },
+      { partial: true }
+    ).map((problem) => (problem.field === "startDate" ? { ...problem, field: "nextRunDate" } : problem));
+    if (changes.amount !== undefined) {
+      problems.push(...getMockTransferProblems({ ...schedule, amount: changes.amount }));
+    }
+    if (problems.length > 0) {
+      await failFields(problems, "Edit scheduled transfer");
+    }
+
+    if (changes.amount !== undefined) schedule.amount = parseMoney(changes.amount);
+    if (changes.memo !== undefined) schedule.memo = changes.memo;
+    if (changes.frequency !== undefined) schedule.frequency = changes.frequency;
+    if (changes.endDate !== undefined) schedule.endDate = changes.endDate || null;
+    if (changes.maxOccurrences !== undefined) schedule.maxOccurrences = Number(changes.maxOccurrences) || null;
+    if (changes.nextRunDate) {
+      schedule.nextRunDate = changes.nextRunDate;
+      schedule.anchorDay = Number(changes.nextRunDate.slice(8, 10));
+    }
+    return { scheduledTransfer: structuredClone(schedule) };
+  },
+
+  setStatus: async (authToken, id, status) => {
+    const schedule = await mockScheduledTransfers.findOpen(authToken, id, "Update scheduled transfer");
+    schedule.status = status;
+    // Dates missed while paused are skipped.
+    if (status === "active" && schedule.nextRunDate < todayDateString()) {
+      while (schedule.frequency !== "once" && schedule.nextRunDate < todayDateString()) {
+        schedule.nextRunDate = addMockInterval(schedule.nextRunDate, schedule.frequency, schedule.anchorDay);
+      }
+      if (schedule.frequency === "once") schedule.nextRunDate = todayDateString();
+    }
+    return { scheduledTransfer: structuredClone(schedule) };
+  },
+
+  findOpen: async (authToken, id, context) => {
+    const user = await requireAuth(authToken);
+    const schedule = mockState.scheduledTransfers.find((entry) => entry.id === id && entry.userId === user.id);
+    if (!schedule) {
+      await handleFailure({ errorCode: "SCHEDULE_NOT_FOUND", message: "Scheduled transfer not found." }, context);
+    }
+    if (!isMockScheduleOpen(schedule)) {
+      await handleFailure(
+        { errorCode: "SCHEDULE_CLOSED", message: `This scheduled transfer is already ${schedule.status}.` },
+        context
+      );
+    }
+    return schedule;
+  },
+};
+
 // ---------------------------------------------------------------------------
 // Public API request router
 // ---------------------------------------------------------------------------
 
+// ---------------------------------------------------------------------------
+// Backend response adapters
+// ---------------------------------------------------------------------------
+
+/**
+ * The backend follows shared/docs/api-spec.md, which wraps lists in objects
+ * and uses a few different field names. These adapters reshape each payload
+ * into what the mock returns, so page modules never need to know which one
+ * answered. Keys are "METHOD path" with the query string removed.
+ */
+const adaptUser = (user = {}) => ({ ...user, name: user.name || user.fullName || "" });
+
+const adaptAccount = (account = {}) => ({
+  ...account,
+  name: account.name || account.nickname || account.type || "Account",
+  currency: account.currency || "USD",
+});
+
+const adaptTransaction = (transaction = {}) => ({
+  ...transaction,
+  createdAt: transaction.createdAt || transaction.timestamp,
+});
+
+const adaptNotification = (notification = {}) => ({
+  ...notification,
+  timestamp: notification.timestamp || notification.createdAt,
+});
+
+const adaptAuthSession = (payload = {}) => ({
+  ...payload,
+  user: adaptUser(payload.user || { id: payload.userId, email: payload.email }),
+});
+
+const unwrapList = (payload, key) => (Array.isArray(payload) ? payload : payload?.[key] || []);
+
+const responseAdapters = {
+  "POST auth/register": adaptAuthSession,
+  "POST auth/login": adaptAuthSession,
+  "GET auth/me": (payload) => ({ ...payload, user: adaptUser(payload?.user) }),
+  "GET accounts": (payload) => unwrapList(payload, "accounts").map(adaptAccount),
+  "GET transactions": (payload) => unwrapList(payload, "transactions").map(adaptTransaction),
+  "GET notifications": (payload) => unwrapList(payload, "notifications").map(adaptNotification),
+  "GET profile": (payload) => (payload?.profile ? payload : { profile: payload || {} }),
+};
+
+const adaptResponse = (method, path, payload) => {
+  const key = `${method} ${path.replace(/^\/+/, "").split("?")[0]}`;
+  const adapter = responseAdapters[key];
+  return adapter ? adapter(payload) : payload;
+};
+
+/**
+ * Read a response body without assuming it is JSON (empty 204s, text, files).
+ */
+const readResponseBody = async (response) => {
+  if (response.status === 204) return null;
+
+  const contentType = response.headers.get("Content-Type") || "";
+  if (contentType.includes("application/json")) return response.json().catch(() => null);
+  if (contentType.startsWith("text/")) return response.text();
+  return response.blob();
+};
+
+// ---------------------------------------------------------------------------
+// Public API request router
+// ---------------------------------------------------------------------------
+
+// Requests that move money. apiRequest gives each one an Idempotency-Key so a
+// retry is recognised by the server instead of sending the money twice.
+const MONEY_MOVING_REQUESTS = new Set(["POST transfers", "POST transfer/confirm"]);
+
+const createIdempotencyKey = () =>
+  globalThis.crypto?.randomUUID?.() || `idem-${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+
 /**
  * Lightweight request wrapper so calling code has a single entry point.
  *
+ * Every call gets a request id. It is sent as the `x-request-id` header so
+ * backend logs use the same value that appears as "Ref:" in error toasts.
+ *
+ * Money-moving calls (see MONEY_MOVING_REQUESTS) also get an `Idempotency-Key`.
+ * If the network drops before a response arrives, the request is sent once more
+ * with the same key; the server then replays its first answer rather than
+ * moving the money again.
+ *
  * @param {Object} options
  * @param {string} options.path - API path such as "/auth/login".
  * @param {string} [options.method="GET"] - HTTP verb (only relevant once a backend exists).
  * @param {Object} [options.body] - Payload for POST/PUT requests.
  * @param {string} [options.authToken] - Session token for authenticated requests.
+ * @param {string} [options.idempotencyKey] - Reuse a key from an earlier attempt (generated when omitted).
  */
-export const apiRequest = async ({ path, method = "GET", body, authToken } = {}) => {
+export const apiRequest = async ({ path, method = "GET", body, authToken, idempotencyKey } = {}) => {
+  const requestId = makeReferenceCode();
+  const upperMethod = method.toUpperCase();
+  const requestName = `${upperMethod} ${path.replace(/^\/+/, "").split("?")[0]}`;
+  const key = idempotencyKey || (MONEY_MOVING_REQUESTS.has(requestName) ? createIdempotencyKey() : undefined);
+
   try {
     if (!USE_BACKEND) {
-      return await routeMockRequest({ path, method: method.toUpperCase(), body, authToken });
+      return await routeMockRequest({ path, method: upperMethod, body, authToken, idempotencyKey: key });
     }
 
-    // Placeholder for future backend support.
-    const response = await fetch(path, {
-      method,
-      headers: {
-        "Content-Type": "application/json",
-        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
-      },
-      body: body ? JSON.stringify(body) : undefined,
-    });
+    const { apiBaseUrl } = getRuntimeConfig();
+    const send = () =>
+      fetch(`${apiBaseUrl}/${path.replace(/^\/+/, "")}`, {
+        method: upperMethod,
+        headers: {
+          "Content-Type": "application/json",
+          "x-request-id": requestId,
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+          ...(key ? { "Idempotency-Key": key } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+    let response;
+    try {
+      response = await send();
+    } catch (networkError) {
+      // Only safe to repeat when the key lets the server spot the duplicate.
+      if (!key) throw networkError;
+      response = await send();
+    }
+
+    const payload = await readResponseBody(response);
 
     if (!response.ok) {
-      const errorPayload = await response.json().catch(() => null);
-      await handleFailure(errorPayload || { message: `Request failed with ${response.status}` }, path);
+      const errorPayload = payload && typeof payload === "object" && payload.errorCode ? payload : null;
+      await handleFailure(
+        errorPayload || { message: `Request failed with ${response.status}`, requestId },
+        path
+      );
     }
 
-    return response.json();
+    return adaptResponse(upperMethod, path, payload);
   } catch (error) {
     // Ensure unexpected issues are still reported consistently.
     if (error?.errorCode) throw error;
-    await handleFailure({ message: error.message || "Unexpected error" }, path);
+    await handleFailure({ message: error.message || "Unexpected error", requestId }, path);
   }
 };
 
-const routeMockRequest = async ({ path, method, body = {}, authToken }) => {
+/**
+ * Mock version of the backend's Idempotency-Key handling: the first result for a
+ * key is remembered and handed back on repeats, and reusing a key for a different
+ * request fails. Unlike the backend, failed attempts are not remembered.
+ */
+const withMockIdempotency = async ({ authToken, idempotencyKey, path, body }, run) => {
+  if (!idempotencyKey) return run();
+
+  const user = await requireAuth(authToken);
+  const storeKey = `${user.id}:${idempotencyKey}`;
+  const fingerprint = `${path} ${JSON.stringify(Object.fromEntries(Object.entries(body || {}).sort()))}`;
+  const stored = mockState.idempotencyKeys.get(storeKey);
+
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) {
+      await handleFailure(
+        {
+          errorCode: "IDEMPOTENCY_KEY_REUSED",
+          message: "This Idempotency-Key was already used for a different request.",
+        },
+        "Create transfer"
+      );
+    }
+    return structuredClone(stored.result);
+  }
+
+  const result = await run();
+  mockState.idempotencyKeys.set(storeKey, { fingerprint, result: structuredClone(result) });
+  return result;
+};
+
+const routeMockRequest = async ({ path, method, body = {}, authToken, idempotencyKey }) => {
   const normalizedPath = path.replace(/^\/+/, "");
 
   switch (true) {
@@ -624,11 +2159,23 @@ const routeMockRequest = async ({ path, method, body = {}, authToken }) => {
       return mockAuth.login(body);
     case normalizedPath === "auth/me" && method === "GET":
       return mockAuth.me(authToken);
+    case normalizedPath === "auth/forgot-password" && method === "POST":
+      return mockAuth.forgotPassword(body);
+    case normalizedPath === "auth/reset-password" && method === "POST":
+      return mockAuth.resetPassword(body);
+    case normalizedPath === "auth/change-password" && method === "POST":
+      return mockAuth.changePassword(authToken, body);
 
     case normalizedPath === "accounts" && method === "GET":
       return mockAccounts(authToken);
+    case normalizedPath === "accounts/summary" && method === "GET":
+      return mockAccountSummary(authToken);
     case normalizedPath === "profile" && method === "GET":
-      return mockProfile(authToken);
+      return mockProfile.get(authToken);
+    case normalizedPath === "profile" && method === "PATCH":
+      return mockProfile.update(authToken, body);
+    case normalizedPath === "profile/confirm-email" && method === "POST":
+      return mockProfile.confirmEmail(body);
 
     case normalizedPath.startsWith("transactions") && method === "GET": {
       const url = new URL(`https://demo.local/${normalizedPath}`);
@@ -636,15 +2183,53 @@ const routeMockRequest = async ({ path, method, body = {}, authToken }) => {
       return mockTransactions(authToken, { accountId });
     }
 
+    case normalizedPath === "fx-rates" && method === "GET":
+      return mockFxRates.list(authToken);
+    case normalizedPath.startsWith("fx-rates/quote") && method === "GET": {
+      const url = new URL(`https://demo.local/${normalizedPath}`);
+      return mockFxRates.quote(authToken, url.searchParams);
+    }
+
     case normalizedPath === "notifications" && method === "GET":
       return mockNotifications.list(authToken);
+    case normalizedPath === "notifications/preferences" && method === "GET":
+      return mockNotifications.getPreferences(authToken);
+    case normalizedPath === "notifications/preferences" && method === "PUT":
+      return mockNotifications.updatePreferences(authToken, body);
     case normalizedPath === "notifications/mark-read" && method === "POST":
       return mockNotifications.markRead(authToken, body?.id);
     case normalizedPath === "notifications/mark-all-read" && method === "POST":
       return mockNotifications.markAllRead(authToken);
 
     case normalizedPath === "transfers" && method === "POST":
-      return mockSimpleTransfer(authToken, body);
+      return withMockIdempotency({ authToken, idempotencyKey, path: normalizedPath, body }, () =>
+        mockSimpleTransfer(authToken, body)
+      );
+
+    case normalizedPath === "beneficiaries" && method === "GET":
+      return mockBeneficiaries.list(authToken);
+    case normalizedPath === "beneficiaries" && method === "POST":
+      return mockBeneficiaries.create(authToken, body);
+    case normalizedPath.startsWith("beneficiaries/") && method === "PATCH":
+      return mockBeneficiaries.update(authToken, normalizedPath.slice("beneficiaries/".length), body);
+    case normalizedPath.startsWith("beneficiaries/") && method === "DELETE":
+      return mockBeneficiaries.remove(authToken, normalizedPath.slice("beneficiaries/".length));
+
+    case normalizedPath === "scheduled-transfers" && method === "GET":
+      return mockScheduledTransfers.list(authToken);
+    case normalizedPath === "scheduled-transfers" && method === "POST":
+      return mockScheduledTransfers.create(authToken, body);
+    case normalizedPath.startsWith("scheduled-transfers/"): {
+      const [, id, action] = normalizedPath.split("/");
+      if (method === "PATCH" && !action) return mockScheduledTransfers.update(authToken, id, body);
+      if (method === "DELETE" && !action) return mockScheduledTransfers.setStatus(authToken, id, "cancelled");
+      if (method === "POST" && action === "pause") return mockScheduledTransfers.setStatus(authToken, id, "paused");
+      if (method === "POST" && action === "resume") return mockScheduledTransfers.setStatus(authToken, id, "active");
+      return handleFailure({ message: `Unknown endpoint: ${path}` }, "Unknown request");
+    }
+
+    case normalizedPath.startsWith("receipts/") && method === "GET":
+      return mockReceipts.get(authToken, decodeURIComponent(normalizedPath.split("?")[0].slice("receipts/".length)));
 
     case normalizedPath === "transfer/initiate" && method === "POST":
       return mockTransfer.initiate(authToken, body);
@@ -653,7 +2238,9 @@ const routeMockRequest = async ({ path, method, body = {}, authToken }) => {
     case normalizedPath === "transfer/verify-otp" && method === "POST":
       return mockTransfer.verifyOtp(authToken, body);
     case normalizedPath === "transfer/confirm" && method === "POST":
-      return mockTransfer.confirm(authToken, body);
+      return withMockIdempotency({ authToken, idempotencyKey, path: normalizedPath, body }, () =>
+        mockTransfer.confirm(authToken, body)
+      );
 
     default:
       await handleFailure({ message: `Unknown endpoint: ${path}` }, "Unknown request");
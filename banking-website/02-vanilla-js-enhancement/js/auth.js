@@ -7,6 +7,7 @@
  */
 
 import { apiRequest, handleFailure } from "./apiClient.js";
+import { applyFieldErrors } from "./ui/formValidation.js";
 import { createToast } from "./ui/toast.js";
 
 // Storage key kept private to this module so we can swap strategies later.
@@ -57,6 +58,22 @@ export const isLoggedIn = () => Boolean(getAuthToken());
  */
 const isValidEmail = (value = "") => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim());
 
+/**
+ * Password rules shared by registration, password resets and password changes.
+ * They match the backend: at least 8 characters with a letter and a number.
+ * @returns {string|null} What is wrong with the password, or null if it is fine.
+ */
+export const getPasswordProblem = (password = "", { email } = {}) => {
+  if (password.length < 8) return "Passwords must be at least 8 characters long.";
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return "Passwords must contain at least one letter and one number.";
+  }
+  if (email && password.toLowerCase() === email.toLowerCase()) {
+    return "Passwords cannot be the same as your email address.";
+  }
+  return null;
+};
+
 /**
  * Shared helper to redirect after a tiny delay.
  */
@@ -79,6 +96,7 @@ export const initLogin = () => {
 
   const emailInput = form.querySelector("#login-email");
   const passwordInput = form.querySelector("#login-password");
+  const inputsByField = { email: emailInput, password: passwordInput };
 
   form.addEventListener("submit", async (event) => {
     event.preventDefault();
@@ -117,6 +135,7 @@ export const initLogin = () => {
       });
       redirect("dashboard.html");
     } catch (error) {
+      applyFieldErrors(error?.fields, inputsByField)?.focus();
       // The mock API already routes known issues through handleFailure, which shows a toast.
       if (error?.errorCode) {
         console.error("[Banking Demo] Login failed.", error);
@@ -147,6 +166,7 @@ export const initRegister = () => {
   const passwordInput = form.querySelector("#register-password");
   const confirmInput = form.querySelector("#confirm-password");
   const termsCheckbox = form.querySelector("#terms");
+  const inputsByField = { name: nameInput, fullName: nameInput, email: emailInput, password: passwordInput };
 
   form.addEventListener("submit", async (event) => {
     event.preventDefault();
@@ -168,8 +188,9 @@ export const initRegister = () => {
       return;
     }
 
-    if (password.length < 8) {
-      createToast("Passwords must be at least 8 characters long.", { type: "warning" });
+    const passwordProblem = getPasswordProblem(password, { email });
+    if (passwordProblem) {
+      createToast(passwordProblem, { type: "warning" });
       passwordInput?.focus();
       return;
     }
@@ -196,6 +217,7 @@ export const initRegister = () => {
       createToast("Account created! You can now log in with your credentials.", { type: "success" });
       redirect("login.html");
     } catch (error) {
+      applyFieldErrors(error?.fields, inputsByField)?.focus();
       if (error?.errorCode) {
         console.error("[Banking Demo] Registration failed.", error);
         return;
@@ -205,6 +227,132 @@ export const initRegister = () => {
   });
 };
 
+/**
+ * Attach forgot-password form behavior.
+ *
+ * - Validates the email format.
+ * - Asks the API to send a reset link.
+ * - Shows the same confirmation whether or not the email is registered (the API never says).
+ */
+export const initForgotPassword = () => {
+  const form =
+    document.querySelector('form[aria-label="Forgot password form"]') || document.querySelector("form");
+  if (!form) {
+    console.warn("[Banking Demo] Forgot password form not found; skipping initForgotPassword.");
+    return;
+  }
+
+  const emailInput = form.querySelector("#forgot-email");
+  const submitButton = form.querySelector('button[type="submit"]');
+  const inputsByField = { email: emailInput };
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const email = emailInput?.value?.trim() || "";
+    if (!isValidEmail(email)) {
+      createToast("Please enter a valid email address.", { type: "warning" });
+      emailInput?.focus();
+      return;
+    }
+
+    if (submitButton) submitButton.disabled = true;
+
+    try {
+      const response = await apiRequest({
+        path: "/auth/forgot-password",
+        method: "POST",
+        body: { email },
+      });
+
+      createToast(response?.message || "If that email is registered, we have sent reset instructions.", {
+        type: "success",
+        durationMs: 6000,
+      });
+      form.reset();
+    } catch (error) {
+      applyFieldErrors(error?.fields, inputsByField)?.focus();
+      if (error?.errorCode) {
+        console.error("[Banking Demo] Password reset request failed.", error);
+        return;
+      }
+      await handleFailure(error, "Forgot password");
+    } finally {
+      if (submitButton) submitButton.disabled = false;
+    }
+  });
+};
+
+/**
+ * Attach reset-password form behavior.
+ *
+ * - Reads the single-use token from the emailed link (?token=...).
+ * - Checks the password rules and confirmation before calling the API.
+ * - Clears any stored session (the API signs the user out everywhere) and sends them to login.
+ */
+export const initResetPassword = () => {
+  const form =
+    document.querySelector('form[aria-label="Reset password form"]') || document.querySelector("form");
+  if (!form) {
+    console.warn("[Banking Demo] Reset password form not found; skipping initResetPassword.");
+    return;
+  }
+
+  const passwordInput = form.querySelector("#new-password");
+  const confirmInput = form.querySelector("#confirm-new-password");
+  const submitButton = form.querySelector('button[type="submit"]');
+  const inputsByField = { password: passwordInput };
+  const token = new URLSearchParams(window.location.search).get("token");
+
+  if (!token) {
+    createToast("This reset link is incomplete. Please request a new one.", { type: "warning" });
+    if (submitButton) submitButton.disabled = true;
+    return;
+  }
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const password = passwordInput?.value || "";
+    const confirm = confirmInput?.value || "";
+
+    const passwordProblem = getPasswordProblem(password);
+    if (passwordProblem) {
+      createToast(passwordProblem, { type: "warning" });
+      passwordInput?.focus();
+      return;
+    }
+
+    if (password !== confirm) {
+      createToast("Passwords must match before continuing.", { type: "warning" });
+      confirmInput?.focus();
+      return;
+    }
+
+    if (submitButton) submitButton.disabled = true;
+
+    try {
+      await apiRequest({
+        path: "/auth/reset-password",
+        method: "POST",
+        body: { token, password },
+      });
+
+      clearAuthToken();
+      createToast("Password updated. Please log in with your new password.", { type: "success" });
+      redirect("login.html");
+    } catch (error) {
+      if (submitButton) submitButton.disabled = false;
+      applyFieldErrors(error?.fields, inputsByField)?.focus();
+      if (error?.errorCode) {
+        console.error("[Banking Demo] Password reset failed.", error);
+        return;
+      }
+      await handleFailure(error, "Reset password");
+    }
+  });
+};
+
 /**
  * Clear session data and return to the login screen.
  */
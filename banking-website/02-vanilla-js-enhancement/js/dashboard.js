@@ -7,6 +7,7 @@
 
 import { getAuthToken, isLoggedIn } from "./auth.js";
 import { apiRequest } from "./apiClient.js";
+import { sumMoney } from "../../shared/money.js";
 import { formatCurrency, formatDate, maskAccountNumber } from "./ui/formatters.js";
 import { createToast } from "./ui/toast.js";
 
@@ -44,17 +45,21 @@ const findBalanceElement = (headingText, selectors = []) => {
 // ---------------------------------------------------------------------------
 
 /**
- * Sum balances across all accounts.
+ * Sum balances across all accounts, to the cent (see shared/money.js).
  * @param {Array} accounts
  * @returns {number}
  */
-export const computeTotalBalance = (accounts = []) =>
-  accounts.reduce((total, account) => total + Number(account?.balance || 0), 0);
+export const computeTotalBalance = (accounts = []) => sumMoney(accounts.map((account) => account?.balance));
 
 /**
  * Render the top-line summary values (total, checking, savings).
+ *
+ * @param {Array} accounts
+ * @param {{ amount: number, currency: string, rateDate: string|null }|null} [total]
+ *   The converted total from GET /accounts/summary. Without it, the balances are
+ *   simply added up, which is only right when every account shares one currency.
  */
-export const renderSummary = (accounts = []) => {
+export const renderSummary = (accounts = [], total = null) => {
   if (!Array.isArray(accounts) || accounts.length === 0) {
     console.warn("[Banking Demo] No accounts found to render dashboard summary.");
     return;
@@ -75,9 +80,20 @@ export const renderSummary = (accounts = []) => {
     target.textContent = formatBalance(amount, account?.currency);
   };
 
-  // Total balance across every account.
-  const totalBalance = computeTotalBalance(accounts);
-  updateBalance(null, "total balance", ["#total-balance", "[data-total-balance]", '[data-role="total-balance"]'], totalBalance);
+  // Total balance across every account, in the customer's base currency.
+  const totalTarget = findBalanceElement("total balance", ["#total-balance", "[data-total-balance]", '[data-role="total-balance"]']);
+  if (totalTarget) {
+    totalTarget.textContent = total
+      ? formatBalance(total.amount, total.currency)
+      : formatBalance(computeTotalBalance(accounts), defaultCurrency);
+  }
+
+  // Foreign-currency balances are converted, so say which day's rates were used.
+  const rateNote = document.querySelector("[data-total-rate-date]");
+  if (rateNote) {
+    rateNote.hidden = !total?.rateDate;
+    rateNote.textContent = total?.rateDate ? `Converted at exchange rates from ${formatDate(total.rateDate)}.` : "";
+  }
 
   // Best-effort lookup for common account types.
   const findAccountByName = (keyword) =>
@@ -99,8 +115,8 @@ export const renderSummary = (accounts = []) => {
  */
 const getStatusBadgeClass = (status = "") => {
   const normalized = status.toString().toLowerCase();
-  if (["success", "completed", "settled"].includes(normalized)) return "badge--success";
-  if (["pending", "processing", "in_progress"].includes(normalized)) return "badge--warning";
+  if (["success", "completed", "posted", "settled"].includes(normalized)) return "badge--success";
+  if (["pending", "processing", "in_progress", "review"].includes(normalized)) return "badge--warning";
   if (["failed", "declined", "error"].includes(normalized)) return "badge--danger";
   return "badge--info";
 };
@@ -189,12 +205,20 @@ export const initDashboard = async () => {
   let accounts = [];
   try {
     accounts = await apiRequest({ path: "/accounts", authToken });
-    renderSummary(accounts);
   } catch (error) {
     console.error("[Banking Demo] Failed to load accounts for dashboard.", error);
     return;
   }
 
+  // The converted total is a nice-to-have: fall back to adding the balances up.
+  let total = null;
+  try {
+    ({ total } = await apiRequest({ path: "/accounts/summary", authToken }));
+  } catch (error) {
+    console.error("[Banking Demo] Failed to load the converted total balance.", error);
+  }
+  renderSummary(accounts, total);
+
   try {
     const transactions = await apiRequest({ path: "/transactions", authToken });
     renderRecentTransactions(transactions, accounts);
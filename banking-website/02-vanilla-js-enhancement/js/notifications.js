@@ -5,6 +5,7 @@
  * - Require authentication before loading data.
  * - Fetch and render mock notifications.
  * - Provide “mark as read” interactions (single + bulk).
+ * - Read and save alert preferences (channels, low balance threshold, quiet hours).
  * - Stay resilient when expected DOM elements are missing.
  */
 
@@ -101,6 +102,86 @@ const renderNotifications = (listEl, notifications = []) => {
   });
 };
 
+// ---------------------------------------------------------------------------
+// Alert preferences
+// ---------------------------------------------------------------------------
+
+/**
+ * Copy saved preferences into the form.
+ * Each channel checkbox carries data-alert (e.g. "deposit") and data-channel ("inApp", "email", "sms").
+ */
+const fillPreferencesForm = (form, preferences = {}) => {
+  form.querySelectorAll("input[data-alert][data-channel]").forEach((checkbox) => {
+    checkbox.checked = Boolean(preferences.alerts?.[checkbox.dataset.alert]?.[checkbox.dataset.channel]);
+  });
+
+  const threshold = form.querySelector("#low-balance-threshold");
+  if (threshold) threshold.value = preferences.lowBalanceThreshold ?? "";
+
+  const quietHours = preferences.quietHours || {};
+  const enabled = form.querySelector("#quiet-hours-enabled");
+  const start = form.querySelector("#quiet-hours-start");
+  const end = form.querySelector("#quiet-hours-end");
+  if (enabled) enabled.checked = Boolean(quietHours.enabled);
+  if (start && quietHours.start) start.value = quietHours.start;
+  if (end && quietHours.end) end.value = quietHours.end;
+};
+
+// Build the PUT body from the form. Quiet hours use the browser's time zone.
+const readPreferencesForm = (form) => {
+  const alerts = {};
+  form.querySelectorAll("input[data-alert][data-channel]").forEach((checkbox) => {
+    alerts[checkbox.dataset.alert] = { ...alerts[checkbox.dataset.alert], [checkbox.dataset.channel]: checkbox.checked };
+  });
+
+  const thresholdValue = form.querySelector("#low-balance-threshold")?.value;
+
+  return {
+    alerts,
+    ...(thresholdValue ? { lowBalanceThreshold: Number(thresholdValue) } : {}),
+    quietHours: {
+      enabled: Boolean(form.querySelector("#quiet-hours-enabled")?.checked),
+      start: form.querySelector("#quiet-hours-start")?.value || "22:00",
+      end: form.querySelector("#quiet-hours-end")?.value || "07:00",
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+    },
+  };
+};
+
+const initPreferencesPanel = async (authToken) => {
+  const form = findFirst("[data-notification-preferences]", "form[aria-label='Alert preferences form']");
+  if (!form) return;
+
+  try {
+    const { preferences } = await apiRequest({ path: "/notifications/preferences", authToken });
+    fillPreferencesForm(form, preferences);
+  } catch (error) {
+    console.error("[Banking Demo] Failed to load alert preferences.", error);
+    return;
+  }
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const submitButton = form.querySelector("button[type='submit']");
+    if (submitButton) submitButton.disabled = true;
+
+    try {
+      const { preferences } = await apiRequest({
+        path: "/notifications/preferences",
+        method: "PUT",
+        body: readPreferencesForm(form),
+        authToken,
+      });
+      fillPreferencesForm(form, preferences);
+      createToast("Alert preferences saved.", { type: "success" });
+    } catch (error) {
+      console.error("[Banking Demo] Failed to save alert preferences.", error);
+    } finally {
+      if (submitButton) submitButton.disabled = false;
+    }
+  });
+};
+
 // ---------------------------------------------------------------------------
 // Initialization
 // ---------------------------------------------------------------------------
@@ -130,6 +211,9 @@ export const initNotifications = async () => {
   const authToken = getAuthToken();
   let notifications = [];
 
+  // The preferences panel loads on its own so a slow list never blocks it.
+  initPreferencesPanel(authToken);
+
   try {
     notifications = await apiRequest({ path: "/notifications", authToken });
   } catch (error) {
@@ -1,7 +1,7 @@
-import { getAuthToken, isLoggedIn } from "./auth.js";
+import { getAuthToken, getPasswordProblem, isLoggedIn } from "./auth.js";
 import { apiRequest } from "./apiClient.js";
 import { formatDate } from "./ui/formatters.js";
-import { openModal, closeModal } from "./ui/modal.js";
+import { applyFieldErrors, email as emailRule, required } from "./ui/formValidation.js";
 import { createToast } from "./ui/toast.js";
 
 const findFirst = (...selectors) => selectors.map((selector) => document.querySelector(selector)).find(Boolean);
@@ -45,8 +45,43 @@ const ensureCreatedField = (form) => {
   return input;
 };
 
+// Small note under the email field, shown while a new address waits for confirmation.
+const ensurePendingEmailNote = (emailInput) => {
+  if (!emailInput) return null;
+
+  const group = emailInput.closest(".form-group") || emailInput.parentElement;
+  const existing = group?.querySelector("[data-profile-email-pending]");
+  if (existing) return existing;
+
+  const note = document.createElement("p");
+  note.className = "text-muted";
+  note.dataset.profileEmailPending = "true";
+  note.setAttribute("role", "status");
+  note.hidden = true;
+  group?.appendChild(note);
+
+  return note;
+};
+
+/**
+ * Fill the base currency picker with the bank's currencies: its own base
+ * currency plus every currency it has an exchange rate for.
+ */
+const populateCurrencies = (selectEl, { baseCurrency, rates = [] } = {}) => {
+  if (!selectEl || !baseCurrency) return;
+
+  selectEl.innerHTML = "";
+  [baseCurrency, ...rates.map((rate) => rate.currency)].forEach((currency) => {
+    const option = document.createElement("option");
+    option.value = currency;
+    option.textContent = currency;
+    selectEl.appendChild(option);
+  });
+};
+
 const renderProfile = (profile = {}, elements = {}) => {
-  const { nameInput, emailInput, phoneInput, addressInput, createdInput } = elements;
+  const { nameInput, emailInput, phoneInput, addressInput, baseCurrencySelect, createdInput, pendingEmailNote } =
+    elements;
 
   const safeName = profile.fullName || profile.name || "";
   const safeEmail = profile.email || "";
@@ -61,7 +96,14 @@ const renderProfile = (profile = {}, elements = {}) => {
 
   if (emailInput) {
     emailInput.value = safeEmail;
-    setReadOnly(emailInput);
+  }
+
+  if (pendingEmailNote) {
+    // The current address keeps working until the new one is confirmed from the emailed link.
+    pendingEmailNote.hidden = !profile.pendingEmail;
+    pendingEmailNote.textContent = profile.pendingEmail
+      ? `Pending verification: ${profile.pendingEmail}. Open the link we emailed to that address to finish the change.`
+      : "";
   }
 
   if (phoneInput) {
@@ -72,12 +114,86 @@ const renderProfile = (profile = {}, elements = {}) => {
     addressInput.value = safeAddress;
   }
 
+  if (baseCurrencySelect && profile.baseCurrency) {
+    baseCurrencySelect.value = profile.baseCurrency;
+  }
+
   if (createdInput) {
     createdInput.value = createdValue;
     setReadOnly(createdInput);
   }
 };
 
+// Same rule as the API: 7 to 15 digits, with optional +, spaces, dashes, dots and brackets.
+const isValidPhone = (value = "") => {
+  if (!value) return true;
+  const digits = value.replace(/\D/g, "").length;
+  return /^\+?[\d\s().-]+$/.test(value) && digits >= 7 && digits <= 15;
+};
+
+/**
+ * Work out which fields changed so PATCH /profile only receives real edits.
+ */
+const collectProfileChanges = (profile, values) =>
+  Object.fromEntries(
+    Object.entries(values).filter(([field, value]) => {
+      // A pending email counts as already requested, so re-saving the form does not send another link.
+      if (field === "email") {
+        const known = [profile.email, profile.pendingEmail].map((email) => (email || "").toLowerCase());
+        return !known.includes(value.toLowerCase());
+      }
+      return (profile[field] || "") !== value;
+    })
+  );
+
+/**
+ * Finish an email change when the page is opened from the confirmation link (?verifyEmail=...).
+ * The token itself proves ownership of the new address, so this works before signing in.
+ */
+const confirmEmailFromLink = async () => {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get("verifyEmail");
+  if (!token) return;
+
+  try {
+    const response = await apiRequest({
+      path: "/profile/confirm-email",
+      method: "POST",
+      body: { token },
+    });
+    createToast(`Email confirmed. Sign in with ${response?.email || "your new address"} from now on.`, {
+      type: "success",
+      durationMs: 6000,
+    });
+  } catch (error) {
+    console.error("[Banking Demo] Email confirmation failed.", error);
+  } finally {
+    // Drop the token from the address bar so a refresh does not try it again.
+    params.delete("verifyEmail");
+    const query = params.toString();
+    window.history?.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+  }
+};
+
+const buildPasswordField = (id, labelText, autocomplete) => {
+  const group = document.createElement("div");
+  group.className = "form-group";
+
+  const label = document.createElement("label");
+  label.setAttribute("for", id);
+  label.textContent = labelText;
+
+  const input = document.createElement("input");
+  input.id = id;
+  input.type = "password";
+  input.className = "input";
+  input.autocomplete = autocomplete;
+  input.required = true;
+
+  group.append(label, input);
+  return group;
+};
+
 const buildChangePasswordSection = () => {
   const main = document.querySelector(".app-main") || document.querySelector("main");
   if (!main) return null;
@@ -98,75 +214,104 @@ const buildChangePasswordSection = () => {
 
   const subtitle = document.createElement("p");
   subtitle.className = "text-muted";
-  subtitle.textContent = "Security is important—even in demos.";
+  subtitle.textContent = "Your other devices will be signed out after the change.";
 
   header.append(title, subtitle);
 
-  const body = document.createElement("div");
-  body.className = "stack-sm";
-
-  const description = document.createElement("p");
-  description.textContent = "Update your password from here when live systems are connected.";
-
-  const button = document.createElement("button");
-  button.type = "button";
-  button.className = "btn btn--secondary";
-  button.textContent = "Change password";
-  button.addEventListener("click", () => {
-    const modalContent = document.createElement("div");
-    modalContent.className = "stack-md";
-
-    const modalHeader = document.createElement("header");
-    modalHeader.className = "modal__header";
-
-    const headerTextWrap = document.createElement("div");
-    const modalEyebrow = document.createElement("p");
-    modalEyebrow.className = "text-muted";
-    modalEyebrow.textContent = "Security notice";
-
-    const modalTitle = document.createElement("h2");
-    modalTitle.className = "modal__title";
-    modalTitle.textContent = "Password changes unavailable in this demo";
-
-    headerTextWrap.append(modalEyebrow, modalTitle);
-
-    const closeButton = document.createElement("button");
-    closeButton.type = "button";
-    closeButton.setAttribute("aria-label", "Close change password info");
-    closeButton.className = "modal__close";
-    closeButton.textContent = "×";
-    closeButton.addEventListener("click", () => closeModal());
-
-    modalHeader.append(headerTextWrap, closeButton);
-
-    const modalBody = document.createElement("div");
-    modalBody.className = "modal__body stack-sm";
-
-    const line1 = document.createElement("p");
-    line1.textContent =
-      "For your safety, password resets are disabled in this sandbox. No real credentials are stored.";
-    const line2 = document.createElement("p");
-    line2.textContent = "In a production app, you would receive a secure reset link via email or SMS.";
-
-    const acknowledgeButton = document.createElement("button");
-    acknowledgeButton.type = "button";
-    acknowledgeButton.className = "btn btn--primary";
-    acknowledgeButton.textContent = "Got it";
-    acknowledgeButton.addEventListener("click", () => closeModal());
-
-    modalBody.append(line1, line2, acknowledgeButton);
-    modalContent.append(modalHeader, modalBody);
-    openModal(modalContent);
-  });
+  const form = document.createElement("form");
+  form.className = "stack-md";
+  form.setAttribute("aria-label", "Change password form");
 
-  body.append(description, button);
-  section.append(header, body);
+  const hint = document.createElement("p");
+  hint.className = "text-muted";
+  hint.textContent = "Use at least 8 characters with a letter and a number. Your last few passwords cannot be reused.";
+
+  const submitButton = document.createElement("button");
+  submitButton.type = "submit";
+  submitButton.className = "btn btn--primary";
+  submitButton.textContent = "Update password";
+
+  form.append(
+    buildPasswordField("current-password", "Current password", "current-password"),
+    buildPasswordField("change-new-password", "New password", "new-password"),
+    buildPasswordField("change-confirm-password", "Confirm new password", "new-password"),
+    hint,
+    submitButton
+  );
+
+  section.append(header, form);
   main.appendChild(section);
 
   return section;
 };
 
+/**
+ * Send the change-password form to the API.
+ * The API checks the current password and password history; this only catches obvious mistakes first.
+ */
+const bindChangePasswordForm = (section, { authToken, email }) => {
+  const form = section?.querySelector("form");
+  if (!form) return;
+
+  const currentInput = form.querySelector("#current-password");
+  const newInput = form.querySelector("#change-new-password");
+  const confirmInput = form.querySelector("#change-confirm-password");
+  const submitButton = form.querySelector('button[type="submit"]');
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const currentPassword = currentInput?.value || "";
+    const newPassword = newInput?.value || "";
+
+    if (!currentPassword) {
+      createToast("Please enter your current password.", { type: "warning" });
+      currentInput?.focus();
+      return;
+    }
+
+    const passwordProblem = getPasswordProblem(newPassword, { email });
+    if (passwordProblem) {
+      createToast(passwordProblem, { type: "warning" });
+      newInput?.focus();
+      return;
+    }
+
+    if (newPassword !== confirmInput?.value) {
+      createToast("Passwords must match before continuing.", { type: "warning" });
+      confirmInput?.focus();
+      return;
+    }
+
+    if (submitButton) submitButton.disabled = true;
+
+    try {
+      const response = await apiRequest({
+        path: "/auth/change-password",
+        method: "POST",
+        authToken,
+        body: { currentPassword, newPassword },
+      });
+
+      const signedOut = Number(response?.revokedSessions || 0);
+      createToast(
+        signedOut > 0
+          ? `Password updated. ${signedOut} other session(s) were signed out.`
+          : "Password updated.",
+        { type: "success" }
+      );
+      form.reset();
+    } catch (error) {
+      console.error("[Banking Demo] Password change failed.", error);
+    } finally {
+      if (submitButton) submitButton.disabled = false;
+    }
+  });
+};
+
 export const initProfile = async () => {
+  await confirmEmailFromLink();
+
   if (!isLoggedIn()) {
     createToast("Please log in to view your profile.", { type: "warning" });
     window.location.href = "../../01-static-html-css/pages/login.html";
@@ -182,7 +327,18 @@ export const initProfile = async () => {
   const emailInput = findFirst("#profile-email", "[name='email']", "[data-profile-email]");
   const phoneInput = findFirst("#profile-phone", "[name='phone']", "[data-profile-phone]");
   const addressInput = findFirst("#profile-address", "[name='address']", "[data-profile-address]");
+  const baseCurrencySelect = findFirst("#profile-base-currency", "[data-profile-base-currency]");
   const createdInput = ensureCreatedField(form);
+  const pendingEmailNote = ensurePendingEmailNote(emailInput);
+  const elements = {
+    nameInput,
+    emailInput,
+    phoneInput,
+    addressInput,
+    baseCurrencySelect,
+    createdInput,
+    pendingEmailNote,
+  };
 
   const authToken = getAuthToken();
   let profileData = {};
@@ -195,24 +351,74 @@ export const initProfile = async () => {
     return;
   }
 
-  renderProfile(profileData, { nameInput, emailInput, phoneInput, addressInput, createdInput });
-  buildChangePasswordSection();
+  // Without the rates the picker keeps its static options; the API still checks the choice.
+  try {
+    populateCurrencies(baseCurrencySelect, await apiRequest({ path: "/fx-rates", authToken }));
+  } catch (error) {
+    console.error("[Banking Demo] Failed to load currencies.", error);
+  }
+
+  renderProfile(profileData, elements);
+  bindChangePasswordForm(buildChangePasswordSection(), { authToken, email: profileData.email });
 
   if (!form) return;
 
-  form.addEventListener("submit", (event) => {
+  const submitButton = form.querySelector('button[type="submit"]');
+  const inputsByField = {
+    email: emailInput,
+    phone: phoneInput,
+    address: addressInput,
+    baseCurrency: baseCurrencySelect,
+  };
+
+  form.addEventListener("submit", async (event) => {
     event.preventDefault();
 
-    const updatedPhone = phoneInput?.value?.trim() || "";
-    const updatedAddress = addressInput?.value?.trim() || "";
-
-    profileData = {
-      ...profileData,
-      phone: updatedPhone,
-      address: updatedAddress,
+    const values = {
+      email: emailInput?.value?.trim() || "",
+      phone: phoneInput?.value?.trim() || "",
+      address: addressInput?.value?.trim() || "",
+      ...(baseCurrencySelect?.value && { baseCurrency: baseCurrencySelect.value }),
     };
 
-    renderProfile(profileData, { nameInput, emailInput, phoneInput, addressInput, createdInput });
-    createToast("Profile updated locally. Changes will reset on refresh.", { type: "success" });
+    const emailProblem = required(values.email) || emailRule(values.email);
+    if (emailProblem) {
+      createToast(emailProblem, { type: "warning" });
+      emailInput?.focus();
+      return;
+    }
+
+    if (!isValidPhone(values.phone)) {
+      createToast("Phone numbers need 7 to 15 digits and may use spaces, +, -, . and brackets.", { type: "warning" });
+      phoneInput?.focus();
+      return;
+    }
+
+    const changes = collectProfileChanges(profileData, values);
+    if (Object.keys(changes).length === 0) {
+      createToast("Nothing to save. Your profile is up to date.", { type: "info" });
+      return;
+    }
+
+    if (submitButton) submitButton.disabled = true;
+
+    try {
+      const response = await apiRequest({ path: "/profile", method: "PATCH", authToken, body: changes });
+      applyFieldErrors([], inputsByField);
+      profileData = response?.profile || profileData;
+      renderProfile(profileData, elements);
+
+      createToast(
+        response?.emailVerificationSent
+          ? `Saved. We sent a confirmation link to ${profileData.pendingEmail || changes.email}.`
+          : "Profile saved.",
+        { type: "success" }
+      );
+    } catch (error) {
+      applyFieldErrors(error?.fields, inputsByField)?.focus();
+      console.error("[Banking Demo] Profile update failed.", error);
+    } finally {
+      if (submitButton) submitButton.disabled = false;
+    }
   });
 };
@@ -0,0 +1,133 @@
+/**
+ * Transfer receipt page behavior for the vanilla JS banking demo.
+ *
+ * Responsibilities:
+ * - Require authentication before loading data.
+ * - Load the receipt named by `?transferId=` and fill in every field.
+ * - Print the page (the print stylesheet hides navigation and buttons).
+ * - Offer the PDF copy when a real backend is connected.
+ */
+
+import { getAuthToken, isLoggedIn } from "./auth.js";
+import { apiRequest, USE_BACKEND } from "./apiClient.js";
+import { formatCurrency, formatDate } from "./ui/formatters.js";
+import { createToast } from "./ui/toast.js";
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const setText = (selector, value) => {
+  const element = document.querySelector(selector);
+  if (element) element.textContent = value;
+};
+
+// Completed transfers are green, reversed or failed ones red, anything else is still in progress.
+const getStatusBadgeClass = (status = "") => {
+  const normalized = status.toString().toLowerCase();
+  if (normalized === "completed") return "badge--success";
+  if (normalized === "reversed" || normalized === "failed") return "badge--danger";
+  return "badge--warning";
+};
+
+const capitalize = (value = "") => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Write the receipt into the page. Account numbers arrive already masked ("****1234").
+ */
+const renderReceipt = (receipt) => {
+  setText("[data-receipt-reference]", receipt.reference || "—");
+  setText("[data-receipt-from]", [receipt.from?.name, receipt.from?.number].filter(Boolean).join(" ") || "—");
+  setText("[data-receipt-to]", receipt.to?.name || "—");
+  setText("[data-receipt-bank]", receipt.to?.bank || "—");
+  setText("[data-receipt-account-number]", receipt.to?.number || "—");
+  setText("[data-receipt-amount]", formatCurrency(receipt.amount, { currency: receipt.currency || "USD" }));
+  setText("[data-receipt-note]", receipt.memo || "—");
+  setText("[data-receipt-date]", formatDate(receipt.completedAt));
+
+  // Transfers between currencies also show what arrived and the rate used.
+  const fxRow = document.querySelector("[data-receipt-fx]");
+  if (fxRow) fxRow.hidden = !receipt.fx;
+  if (receipt.fx) {
+    const { rate, toCurrency, convertedAmount, rateDate } = receipt.fx;
+    const ratesFrom = rateDate ? `, rates from ${formatDate(rateDate)}` : "";
+    setText("[data-receipt-fx-amount]", formatCurrency(convertedAmount, { currency: toCurrency }));
+    setText("[data-receipt-fx-rate]", `1 ${receipt.currency || "USD"} = ${rate} ${toCurrency}${ratesFrom}`);
+  }
+
+  const statusBadge = document.querySelector("[data-receipt-status]");
+  if (statusBadge) {
+    statusBadge.className = `badge ${getStatusBadgeClass(receipt.status)}`;
+    statusBadge.textContent = capitalize(receipt.status || "completed");
+  }
+
+  document.title = `Receipt ${receipt.reference} | Bankly`;
+};
+
+/**
+ * Fetch the PDF copy and hand it to the browser as a download.
+ */
+const downloadPdf = async (transferId, reference, authToken) => {
+  const file = await apiRequest({
+    path: `/receipts/${encodeURIComponent(transferId)}?format=pdf`,
+    authToken,
+  });
+
+  const url = URL.createObjectURL(file);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `receipt-${reference}.pdf`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// ---------------------------------------------------------------------------
+// Initialization
+// ---------------------------------------------------------------------------
+
+export const initReceipt = async () => {
+  if (!isLoggedIn()) {
+    createToast("Please log in to view your receipt.", { type: "warning" });
+    window.location.href = "../../01-static-html-css/pages/login.html";
+    return;
+  }
+
+  const printButton = document.querySelector("[data-print-receipt]");
+  printButton?.addEventListener("click", () => window.print());
+
+  const transferId = new URLSearchParams(window.location.search).get("transferId");
+  if (!transferId) {
+    createToast("No transfer selected. Open a receipt from the transfer page.", { type: "warning" });
+    return;
+  }
+
+  const authToken = getAuthToken();
+  let receipt;
+
+  try {
+    ({ receipt } = await apiRequest({ path: `/receipts/${encodeURIComponent(transferId)}`, authToken }));
+  } catch (error) {
+    console.error("[Banking Demo] Failed to load receipt.", error);
+    return;
+  }
+
+  renderReceipt(receipt);
+
+  // The mock API has no PDF renderer, so the download button only appears with the backend.
+  const downloadButton = document.querySelector("[data-download-receipt]");
+  if (downloadButton && USE_BACKEND) {
+    downloadButton.hidden = false;
+    downloadButton.addEventListener("click", async () => {
+      downloadButton.disabled = true;
+      try {
+        await downloadPdf(transferId, receipt.reference, authToken);
+      } catch (error) {
+        console.error("[Banking Demo] Failed to download receipt PDF.", error);
+      } finally {
+        downloadButton.disabled = false;
+      }
+    });
+  }
+};
@@ -94,6 +94,8 @@ const buildStatusContent = (status) => {
     badge.classList.add("badge--success");
   } else if (["pending", "processing", "in_progress"].includes(normalized)) {
     badge.classList.add("badge--info");
+  } else if (normalized === "review") {
+    badge.classList.add("badge--warning");
   } else if (["failed", "declined", "error"].includes(normalized)) {
     badge.classList.add("badge--danger");
   } else {
@@ -170,7 +172,8 @@ export const initTransactions = async () => {
   let allTransactions = [];
 
   try {
-    allTransactions = await apiRequest({ path: "/transactions", authToken });
+    // Filtering happens in the browser, so ask the backend for its largest page.
+    allTransactions = await apiRequest({ path: "/transactions?limit=100", authToken });
   } catch (error) {
     console.error("[Banking Demo] Failed to load transactions.", error);
     return;
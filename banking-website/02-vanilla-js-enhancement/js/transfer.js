@@ -1,6 +1,16 @@
 import { getAuthToken, isLoggedIn } from "./auth.js";
-import { apiRequest } from "./apiClient.js";
-import { formatCurrency, maskAccountNumber } from "./ui/formatters.js";
+import { apiRequest, lookupBankName } from "./apiClient.js";
+import { DEFAULT_CURRENCY, compareMoney, getMinorDigits, parseMoney } from "../../shared/money.js";
+import { formatCurrency, formatDate, maskAccountNumber } from "./ui/formatters.js";
+import {
+  applyFieldErrors,
+  clearFieldInvalid,
+  getExternalAccountProblems,
+  isValidIban,
+  isValidRoutingNumber,
+  looksLikeIban,
+  markFieldInvalid,
+} from "./ui/formValidation.js";
 import { createToast } from "./ui/toast.js";
 
 // ---------------------------------------------------------------------------
@@ -15,6 +25,25 @@ const describeAccount = (account = {}) => {
   return `${name} (${number})`;
 };
 
+const createActionButton = (label, action, className = "btn btn--ghost", dataKey = "scheduleAction") => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = label;
+  button.dataset[dataKey] = action;
+  return button;
+};
+
+const createLabeledInput = (labelText, input) => {
+  const group = document.createElement("div");
+  group.className = "form-group";
+  const label = document.createElement("label");
+  label.textContent = labelText;
+  label.append(input);
+  group.append(label);
+  return group;
+};
+
 const buildAccountOption = (account) => {
   const option = document.createElement("option");
   option.value = account.id;
@@ -45,19 +74,460 @@ const populateFromAccounts = (selectEl, accounts = []) => {
   accounts.forEach((account) => selectEl.appendChild(buildAccountOption(account)));
 };
 
-const populateDestinationAccounts = (selectEl, accounts = [], excludeId) => {
+// "Landlord · Jordan Rivers (****8899)", or just the name when there is no nickname.
+const describePayee = (payee = {}) => {
+  const name = payee.nickname ? `${payee.nickname} · ${payee.name}` : payee.name;
+  return `${name} (${maskAccountNumber(payee.accountNumber)})`;
+};
+
+/**
+ * Fill the "Send to" picker: your other accounts, then saved payees. The empty
+ * option means "someone new", typed into the recipient fields. The current
+ * choice is kept when it is still in the list.
+ */
+const populateDestinationAccounts = (selectEl, accounts = [], excludeId, payees = []) => {
   if (!selectEl) return;
 
+  const previousValue = selectEl.value;
   selectEl.innerHTML = "";
 
   const placeholder = document.createElement("option");
   placeholder.value = "";
-  placeholder.textContent = "Select an internal account (optional)";
+  placeholder.textContent = "Someone new (enter their details)";
   selectEl.appendChild(placeholder);
 
-  accounts
-    .filter((account) => account.id !== excludeId)
-    .forEach((account) => selectEl.appendChild(buildAccountOption(account)));
+  const ownAccounts = accounts.filter((account) => account.id !== excludeId);
+  if (ownAccounts.length > 0) {
+    const group = document.createElement("optgroup");
+    group.label = "Your accounts";
+    ownAccounts.forEach((account) => group.appendChild(buildAccountOption(account)));
+    selectEl.appendChild(group);
+  }
+
+  if (payees.length > 0) {
+    const group = document.createElement("optgroup");
+    group.label = "Saved payees";
+    payees.forEach((payee) => {
+      const option = document.createElement("option");
+      option.value = payee.id;
+      option.textContent = describePayee(payee);
+      group.appendChild(option);
+    });
+    selectEl.appendChild(group);
+  }
+
+  selectEl.value = [...selectEl.options].some((option) => option.value === previousValue) ? previousValue : "";
+};
+
+/**
+ * Show the confirmation panel under the form with a link to the stored receipt.
+ * Scheduled transfers have no receipt yet, so the link is hidden for them.
+ */
+const showResult = (panel, { title = "Transfer sent", message, transferId }) => {
+  if (!panel) return;
+
+  const titleEl = panel.querySelector(".alert__title");
+  if (titleEl) titleEl.textContent = title;
+
+  const messageEl = panel.querySelector("[data-transfer-result-message]");
+  if (messageEl) messageEl.textContent = message;
+
+  const receiptLink = panel.querySelector("[data-transfer-receipt-link]");
+  if (receiptLink) {
+    receiptLink.hidden = !transferId;
+    receiptLink.href = `receipt.html?transferId=${encodeURIComponent(transferId || "")}`;
+  }
+
+  panel.hidden = false;
+};
+
+// ---------------------------------------------------------------------------
+// Currency conversion
+// ---------------------------------------------------------------------------
+
+const accountCurrency = (account) => account?.currency || DEFAULT_CURRENCY;
+
+// "1 USD = 0.92 EUR"
+const describeRate = (quote) => `1 ${quote.fromCurrency} = ${quote.rate} ${quote.toCurrency}`;
+
+const fetchFxQuote = async ({ amount, fromCurrency, toCurrency }, authToken) => {
+  const query = new URLSearchParams({ from: fromCurrency, to: toCurrency, amount: String(amount) });
+  const response = await apiRequest({ path: `/fx-rates/quote?${query}`, authToken });
+  return response.quote;
+};
+
+/**
+ * Text for the quote under the amount field. Scheduled transfers are converted
+ * when they run, so for them the quote is only a guide.
+ */
+const describeFxQuote = (quote, { scheduled = false } = {}) => {
+  const received = formatCurrency(quote.convertedAmount, { currency: quote.toCurrency });
+  const ratesFrom = quote.rateDate ? ` (rates from ${formatDate(quote.rateDate)})` : "";
+  return scheduled
+    ? `At today's rate of ${describeRate(quote)}${ratesFrom} they would receive ${received}. ` +
+        "Scheduled transfers are converted at the rate on the day they are sent."
+    : `They receive ${received} at ${describeRate(quote)}${ratesFrom}.`;
+};
+
+// "with at most two decimal places", or "as a whole number" for currencies like JPY.
+const describeAmountPrecision = (currency) => {
+  const digits = getMinorDigits(currency);
+  if (digits === 0) return "as a whole number";
+  return `with at most ${digits === 2 ? "two" : digits} decimal place${digits === 1 ? "" : "s"}`;
+};
+
+// ---------------------------------------------------------------------------
+// Outside account details
+// ---------------------------------------------------------------------------
+
+/**
+ * Live feedback for an account number + routing number pair:
+ * - a valid routing number shows the bank from the bank directory and fills in
+ *   the bank name field (unless the customer typed one themselves);
+ * - IBANs do not need a routing number, so that field is disabled for them;
+ * - when a field is left with a value that fails its check digits, it is marked invalid.
+ *
+ * @returns {() => void} Call after resetting the form to clear the hint.
+ */
+const setupBankDetails = ({ accountInput, routingInput, bankInput, hintEl }) => {
+  if (!accountInput || !routingInput) return () => {};
+
+  const setHint = (text) => {
+    if (hintEl) hintEl.textContent = text;
+  };
+
+  const update = async () => {
+    const isIban = looksLikeIban(accountInput.value);
+    routingInput.disabled = isIban;
+    if (isIban) {
+      setHint(isValidIban(accountInput.value) ? "IBAN check digits are correct. No routing number needed." : "");
+      return;
+    }
+
+    const routing = routingInput.value.trim();
+    if (!isValidRoutingNumber(routing)) {
+      setHint("");
+      return;
+    }
+
+    const bankName = await lookupBankName(routing);
+    // The customer may have kept typing while the directory loaded.
+    if (routingInput.value.trim() !== routing) return;
+    setHint(bankName || "Valid routing number. This bank is not in our directory, so enter its name.");
+    if (bankName && bankInput && (!bankInput.value.trim() || bankInput.dataset.autofilled === "true")) {
+      bankInput.value = bankName;
+      bankInput.dataset.autofilled = "true";
+    }
+  };
+
+  // Mark typos when the customer leaves a field, rather than on every keystroke.
+  const checkOnLeave = () => {
+    const [problem] = getExternalAccountProblems({
+      accountNumber: accountInput.value,
+      routingNumber: routingInput.value,
+    });
+    [accountInput, routingInput].forEach(clearFieldInvalid);
+    if (!problem || !accountInput.value.trim()) return;
+    if (problem.field === "routingNumber" && !routingInput.value.trim()) return;
+    markFieldInvalid(problem.field === "routingNumber" ? routingInput : accountInput, problem.message);
+  };
+
+  accountInput.addEventListener("input", update);
+  routingInput.addEventListener("input", update);
+  accountInput.addEventListener("change", checkOnLeave);
+  routingInput.addEventListener("change", checkOnLeave);
+  bankInput?.addEventListener("input", () => {
+    bankInput.dataset.autofilled = "false";
+  });
+
+  return () => {
+    delete bankInput?.dataset.autofilled;
+    update();
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Saved payees
+// ---------------------------------------------------------------------------
+
+const PAYEE_FIELDS = ["name", "nickname", "bankName", "routingNumber", "accountNumber"];
+
+const describePayeeStatus = (payee) => {
+  if (payee.status !== "cooling_off") return "";
+  const limit = formatCurrency(payee.coolingOffLimit);
+  return `Recently added: up to ${limit} in total until ${formatDate(payee.coolingOffEndsAt)}.`;
+};
+
+/**
+ * Inline form for editing a payee. Inputs carry `data-edit-field` with the API
+ * field name, like the scheduled transfer edit form.
+ */
+const buildPayeeEditForm = (payee) => {
+  const form = document.createElement("form");
+  form.className = "stack-sm";
+  form.dataset.payeeEditForm = payee.id;
+
+  const labels = {
+    name: "Recipient name",
+    nickname: "Nickname",
+    bankName: "Bank name",
+    routingNumber: "Routing number",
+    accountNumber: "Account number",
+  };
+  const fields = document.createElement("div");
+  fields.className = "section-grid";
+  PAYEE_FIELDS.forEach((field) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "input";
+    input.value = payee[field] ?? "";
+    input.dataset.editField = field;
+    fields.append(createLabeledInput(labels[field], input));
+  });
+
+  const actions = document.createElement("div");
+  const saveButton = document.createElement("button");
+  saveButton.type = "submit";
+  saveButton.className = "btn btn--primary";
+  saveButton.textContent = "Save changes";
+  actions.append(saveButton, createActionButton("Close", "close-edit", "btn btn--ghost", "payeeAction"));
+
+  const hint = document.createElement("p");
+  hint.className = "text-muted";
+  hint.textContent = "Changing the routing or account number restarts the cooling-off period.";
+
+  form.append(fields, hint, actions);
+  return form;
+};
+
+const renderPayee = (payee, { editing = false } = {}) => {
+  const item = document.createElement("li");
+  item.className = "stack-sm";
+  item.dataset.payeeId = payee.id;
+
+  const header = document.createElement("div");
+  header.className = "section-header";
+
+  const summary = document.createElement("div");
+  const title = document.createElement("p");
+  const strong = document.createElement("strong");
+  strong.textContent = payee.nickname || payee.name;
+  title.append(strong);
+  if (payee.nickname) title.append(` · ${payee.name}`);
+
+  const details = document.createElement("p");
+  details.className = "text-muted";
+  // Payees abroad have an IBAN and no routing number.
+  details.textContent = [
+    payee.bankName,
+    payee.routingNumber && `routing ${payee.routingNumber}`,
+    `account ${maskAccountNumber(payee.accountNumber)}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  summary.append(title, details);
+
+  const statusText = describePayeeStatus(payee);
+  if (statusText) {
+    const status = document.createElement("p");
+    status.className = "text-muted";
+    status.style.fontSize = "0.875rem";
+    status.textContent = statusText;
+    summary.append(status);
+  }
+
+  const badge = document.createElement("span");
+  const coolingOff = payee.status === "cooling_off";
+  badge.className = `badge ${coolingOff ? "badge--warning" : "badge--success"}`;
+  badge.textContent = coolingOff ? "Cooling off" : "Verified";
+
+  header.append(summary, badge);
+  item.append(header);
+
+  const actions = document.createElement("div");
+  actions.append(
+    createActionButton("Edit", "edit", "btn btn--ghost", "payeeAction"),
+    createActionButton("Remove", "remove", "btn btn--danger", "payeeAction")
+  );
+  item.append(editing ? buildPayeeEditForm(payee) : actions);
+
+  return item;
+};
+
+const renderPayees = (listEl, emptyEl, payees = [], editingId = null) => {
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+  if (emptyEl) emptyEl.hidden = payees.length > 0;
+  payees.forEach((payee) => listEl.appendChild(renderPayee(payee, { editing: payee.id === editingId })));
+};
+
+// ---------------------------------------------------------------------------
+// Scheduled transfers
+// ---------------------------------------------------------------------------
+
+const FREQUENCY_LABELS = {
+  once: "One time",
+  weekly: "Every week",
+  biweekly: "Every two weeks",
+  monthly: "Every month",
+};
+
+const STATUS_BADGES = {
+  active: "badge--success",
+  paused: "badge--warning",
+  completed: "badge--info",
+  cancelled: "badge--danger",
+  failed: "badge--danger",
+};
+
+// Schedule dates are "YYYY-MM-DD" days. Reading them as local midnight keeps the same day on screen.
+const formatScheduleDate = (value) => (value ? formatDate(`${value}T00:00:00`) : "—");
+
+// Today as the API counts it (UTC), used as the earliest date a schedule can start.
+const todayDateValue = () => new Date().toISOString().slice(0, 10);
+
+const describeDestination = (schedule, accounts = []) => {
+  const ownAccount = accounts.find((account) => account.id === schedule.toAccountId);
+  if (ownAccount) return describeAccount(ownAccount);
+  const number = maskAccountNumber(schedule.toAccount);
+  return schedule.beneficiaryName ? `${schedule.beneficiaryName} (${number})` : number;
+};
+
+/**
+ * One line about how the last run went, e.g. "Last run Jan 5, 2024: skipped — Insufficient funds".
+ */
+const describeLastResult = (lastResult) => {
+  if (!lastResult) return "";
+  const when = formatScheduleDate(lastResult.scheduledFor);
+  if (lastResult.outcome === "sent") return `Last sent ${when}. Reference ${lastResult.reference}.`;
+  if (lastResult.outcome === "retrying") return `Not sent on ${when}: ${lastResult.message} Trying again soon.`;
+  return `Last run ${when}: ${lastResult.outcome}. ${lastResult.message || ""}`.trim();
+};
+
+const describeSchedulePlan = (schedule) => {
+  const parts = [FREQUENCY_LABELS[schedule.frequency] || schedule.frequency];
+  if (schedule.status === "active" || schedule.status === "paused") {
+    parts.push(`next on ${formatScheduleDate(schedule.nextRunDate)}`);
+  }
+  if (schedule.endDate) parts.push(`until ${formatScheduleDate(schedule.endDate)}`);
+  if (schedule.maxOccurrences && schedule.frequency !== "once") {
+    parts.push(`${schedule.runCount} of ${schedule.maxOccurrences} done`);
+  }
+  return parts.join(" · ");
+};
+
+/**
+ * Inline form for changing the amount, next date, repeat or end date of a schedule.
+ * Inputs carry `data-edit-field` with the API field name they map to.
+ */
+const buildEditForm = (schedule) => {
+  const form = document.createElement("form");
+  form.className = "stack-sm";
+  form.dataset.scheduleEditForm = schedule.id;
+
+  const makeInput = (field, type, value) => {
+    const input = document.createElement("input");
+    input.type = type;
+    input.className = "input";
+    input.value = value ?? "";
+    input.dataset.editField = field;
+    return input;
+  };
+
+  const amountInput = makeInput("amount", "number", schedule.amount);
+  amountInput.step = "0.01";
+  const nextDateInput = makeInput("nextRunDate", "date", schedule.nextRunDate);
+  nextDateInput.min = todayDateValue();
+  const endDateInput = makeInput("endDate", "date", schedule.endDate);
+
+  const frequencySelect = document.createElement("select");
+  frequencySelect.className = "input";
+  frequencySelect.dataset.editField = "frequency";
+  Object.entries(FREQUENCY_LABELS).forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === schedule.frequency;
+    frequencySelect.append(option);
+  });
+
+  const fields = document.createElement("div");
+  fields.className = "section-grid";
+  fields.append(
+    createLabeledInput("Amount", amountInput),
+    createLabeledInput("Next date", nextDateInput),
+    createLabeledInput("Repeat", frequencySelect),
+    createLabeledInput("End date (optional)", endDateInput)
+  );
+
+  const actions = document.createElement("div");
+  const saveButton = document.createElement("button");
+  saveButton.type = "submit";
+  saveButton.className = "btn btn--primary";
+  saveButton.textContent = "Save changes";
+  actions.append(saveButton, createActionButton("Close", "close-edit"));
+
+  form.append(fields, actions);
+  return form;
+};
+
+const renderScheduledTransfer = (schedule, accounts, { editing = false } = {}) => {
+  const item = document.createElement("li");
+  item.className = "stack-sm";
+  item.dataset.scheduleId = schedule.id;
+
+  const header = document.createElement("div");
+  header.className = "section-header";
+
+  const summary = document.createElement("div");
+  const title = document.createElement("p");
+  const strong = document.createElement("strong");
+  strong.textContent = `${formatCurrency(schedule.amount)} to ${describeDestination(schedule, accounts)}`;
+  title.append(strong);
+
+  const plan = document.createElement("p");
+  plan.className = "text-muted";
+  plan.textContent = describeSchedulePlan(schedule);
+  summary.append(title, plan);
+
+  const lastResultText = describeLastResult(schedule.lastResult);
+  if (lastResultText) {
+    const lastResult = document.createElement("p");
+    lastResult.className = "text-muted";
+    lastResult.style.fontSize = "0.875rem";
+    lastResult.textContent = lastResultText;
+    summary.append(lastResult);
+  }
+
+  const badge = document.createElement("span");
+  badge.className = `badge ${STATUS_BADGES[schedule.status] || "badge--info"}`;
+  badge.textContent = schedule.status.charAt(0).toUpperCase() + schedule.status.slice(1);
+
+  header.append(summary, badge);
+  item.append(header);
+
+  if (schedule.status === "active" || schedule.status === "paused") {
+    const actions = document.createElement("div");
+    actions.append(
+      schedule.status === "active" ? createActionButton("Pause", "pause") : createActionButton("Resume", "resume"),
+      createActionButton("Edit", "edit"),
+      createActionButton("Cancel transfer", "cancel", "btn btn--danger")
+    );
+    item.append(editing ? buildEditForm(schedule) : actions);
+  }
+
+  return item;
+};
+
+const renderScheduledTransfers = (listEl, emptyEl, schedules = [], accounts = [], editingId = null) => {
+  if (!listEl) return;
+
+  listEl.innerHTML = "";
+  if (emptyEl) emptyEl.hidden = schedules.length > 0;
+  schedules.forEach((schedule) => {
+    listEl.appendChild(renderScheduledTransfer(schedule, accounts, { editing: schedule.id === editingId }));
+  });
 };
 
 // ---------------------------------------------------------------------------
@@ -86,13 +556,66 @@ export const initTransfer = async () => {
     "input[name='account-number']",
     "[data-to-account-external]"
   );
+  const routingNumberInput = findFirst("#routing-number", "[data-routing-number]");
   const amountInput = findFirst("#transfer-amount", "[data-transfer-amount]", "input[name='amount']");
   const noteInput = findFirst("#transfer-note", "[data-transfer-note]", "input[name='note']");
+  const beneficiaryNameInput = findFirst("#beneficiary-name", "[data-beneficiary-name]");
+  const beneficiaryBankInput = findFirst("#beneficiary-bank", "[data-beneficiary-bank]");
+  const frequencySelect = findFirst("#transfer-frequency", "[data-transfer-frequency]");
+  const startDateInput = findFirst("#transfer-start-date", "[data-transfer-start-date]");
+  const endDateInput = findFirst("#transfer-end-date", "[data-transfer-end-date]");
+  const occurrencesInput = findFirst("#transfer-occurrences", "[data-transfer-occurrences]");
+  const newRecipientFields = document.querySelectorAll("[data-new-recipient-field]");
+  const scheduleFields = document.querySelectorAll("[data-schedule-field]");
+  const recurringFields = document.querySelectorAll("[data-recurring-field]");
+  const scheduledList = findFirst("[data-scheduled-list]");
+  const scheduledEmpty = findFirst("[data-scheduled-empty]");
+  const payeeList = findFirst("[data-payees-list]");
+  const payeeEmpty = findFirst("[data-payees-empty]");
+  const payeeForm = findFirst("[data-payee-form]");
+  const payeeInputs = {
+    name: findFirst("#payee-name"),
+    nickname: findFirst("#payee-nickname"),
+    bankName: findFirst("#payee-bank"),
+    routingNumber: findFirst("#payee-routing"),
+    accountNumber: findFirst("#payee-account"),
+  };
+  const resultPanel = findFirst("[data-transfer-result]");
   const submitButton = form.querySelector('button[type="submit"]') || form.querySelector("button");
+  // API field name -> input, for highlighting the fields named in a VALIDATION error.
+  const inputsByField = {
+    fromAccountId: fromSelect,
+    toAccountId: toSelect,
+    beneficiaryId: toSelect,
+    toAccount: externalAccountInput,
+    toRoutingNumber: routingNumberInput,
+    amount: amountInput,
+    note: noteInput,
+    memo: noteInput,
+    beneficiaryName: beneficiaryNameInput,
+    beneficiaryBank: beneficiaryBankInput,
+    frequency: frequencySelect,
+    startDate: startDateInput,
+    endDate: endDateInput,
+    maxOccurrences: occurrencesInput,
+  };
 
   const authToken = getAuthToken();
   let accounts = [];
 
+  const resetTransferBankHint = setupBankDetails({
+    accountInput: externalAccountInput,
+    routingInput: routingNumberInput,
+    bankInput: beneficiaryBankInput,
+    hintEl: routingNumberInput?.parentElement?.querySelector("[data-bank-hint]"),
+  });
+  const resetPayeeBankHint = setupBankDetails({
+    accountInput: payeeInputs.accountNumber,
+    routingInput: payeeInputs.routingNumber,
+    bankInput: payeeInputs.bankName,
+    hintEl: payeeInputs.routingNumber?.parentElement?.querySelector("[data-bank-hint]"),
+  });
+
   try {
     accounts = await apiRequest({ path: "/accounts", authToken });
   } catch (error) {
@@ -106,14 +629,291 @@ export const initTransfer = async () => {
     console.warn("[Banking Demo] From-account select not found; transfer form may not function fully.");
   }
 
+  let payees = [];
+
+  // The recipient fields are only needed when sending to someone who is not in the picker.
+  const updateRecipientFields = () => {
+    newRecipientFields.forEach((field) => {
+      field.hidden = Boolean(toSelect?.value);
+    });
+  };
+  const refreshDestinations = () => {
+    populateDestinationAccounts(toSelect, accounts, fromSelect?.value, payees);
+    updateRecipientFields();
+  };
+
   if (toSelect) {
-    populateDestinationAccounts(toSelect, accounts, fromSelect?.value);
+    refreshDestinations();
+    toSelect.addEventListener("change", updateRecipientFields);
   }
 
   if (fromSelect && toSelect) {
-    fromSelect.addEventListener("change", () => populateDestinationAccounts(toSelect, accounts, fromSelect.value));
+    fromSelect.addEventListener("change", refreshDestinations);
   }
 
+  // Moving money between your own accounts in different currencies shows the
+  // conversion as you type. Only the latest request is shown.
+  const fxQuoteEl = findFirst("[data-fx-quote]");
+  let fxQuoteRequest = 0;
+  const getFxPair = () => {
+    const fromAccount = accounts.find((account) => account.id === fromSelect?.value);
+    const toAccount = accounts.find((account) => account.id === toSelect?.value);
+    if (!fromAccount || !toAccount || accountCurrency(fromAccount) === accountCurrency(toAccount)) return null;
+    return { fromCurrency: accountCurrency(fromAccount), toCurrency: accountCurrency(toAccount) };
+  };
+  const updateFxQuote = async () => {
+    if (!fxQuoteEl) return;
+    const requestId = ++fxQuoteRequest;
+    const pair = getFxPair();
+    const amount = pair ? parseMoney(amountInput?.value, pair.fromCurrency) : null;
+    if (!pair || !(amount > 0)) {
+      fxQuoteEl.hidden = true;
+      fxQuoteEl.textContent = "";
+      return;
+    }
+
+    try {
+      const quote = await fetchFxQuote({ amount, ...pair }, authToken);
+      if (requestId !== fxQuoteRequest) return;
+      fxQuoteEl.textContent = describeFxQuote(quote, { scheduled: (frequencySelect?.value || "now") !== "now" });
+      fxQuoteEl.hidden = false;
+    } catch (error) {
+      if (requestId === fxQuoteRequest) fxQuoteEl.hidden = true;
+      console.error("[Banking Demo] Failed to load the exchange rate.", error);
+    }
+  };
+
+  [fromSelect, toSelect, amountInput, frequencySelect].forEach((input) =>
+    input?.addEventListener("change", updateFxQuote)
+  );
+
+  let editingPayeeId = null;
+  const showPayees = () => renderPayees(payeeList, payeeEmpty, payees, editingPayeeId);
+
+  const loadPayees = async () => {
+    try {
+      const response = await apiRequest({ path: "/beneficiaries", authToken });
+      payees = response?.beneficiaries || [];
+      showPayees();
+      refreshDestinations();
+    } catch (error) {
+      console.error("[Banking Demo] Failed to load saved payees.", error);
+    }
+  };
+
+  payeeForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const body = Object.fromEntries(
+      Object.entries(payeeInputs).map(([field, input]) => [field, input?.value?.trim() || ""])
+    );
+    if (!body.nickname) delete body.nickname;
+    if (!body.routingNumber || looksLikeIban(body.accountNumber)) delete body.routingNumber;
+
+    // Catch typos in the numbers before asking the API.
+    const problems = getExternalAccountProblems(body);
+    if (problems.length > 0) {
+      applyFieldErrors(problems, payeeInputs)?.focus();
+      return;
+    }
+
+    applyFieldErrors([], payeeInputs);
+    try {
+      const response = await apiRequest({ path: "/beneficiaries", method: "POST", authToken, body });
+      const payee = response.beneficiary;
+      createToast(`${payee.name} saved. ${describePayeeStatus(payee)}`.trim(), { type: "success" });
+      payeeForm.reset();
+      resetPayeeBankHint();
+      loadPayees();
+    } catch (error) {
+      applyFieldErrors(error?.fields, payeeInputs)?.focus();
+      console.error("[Banking Demo] Failed to save payee.", error);
+    }
+  });
+
+  const removePayee = async (payeeId) => {
+    const payee = payees.find((entry) => entry.id === payeeId);
+    const confirmMessage = `Remove ${payee?.nickname || payee?.name || "this payee"}? Past transfers and receipts are kept.`;
+    if (!window.confirm(confirmMessage)) return;
+
+    try {
+      await apiRequest({ path: `/beneficiaries/${payeeId}`, method: "DELETE", authToken });
+      createToast("Payee removed.", { type: "success" });
+      loadPayees();
+    } catch (error) {
+      console.error("[Banking Demo] Failed to remove payee.", error);
+    }
+  };
+
+  payeeList?.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-payee-action]");
+    const payeeId = button?.closest("[data-payee-id]")?.dataset.payeeId;
+    if (!button || !payeeId) return;
+
+    const { payeeAction } = button.dataset;
+    if (payeeAction === "remove") {
+      removePayee(payeeId);
+      return;
+    }
+    editingPayeeId = payeeAction === "edit" ? payeeId : null;
+    showPayees();
+  });
+
+  payeeList?.addEventListener("submit", async (event) => {
+    const editForm = event.target.closest("[data-payee-edit-form]");
+    if (!editForm) return;
+    event.preventDefault();
+
+    const payee = payees.find((entry) => entry.id === editForm.dataset.payeeEditForm);
+    const inputs = Object.fromEntries(
+      [...editForm.querySelectorAll("[data-edit-field]")].map((input) => [input.dataset.editField, input])
+    );
+    // Only send what changed; an emptied nickname is sent as null to remove it.
+    const changes = {};
+    Object.entries(inputs).forEach(([field, input]) => {
+      const value = input.value.trim();
+      if (String(payee?.[field] ?? "") !== value) changes[field] = value || null;
+    });
+
+    if (Object.keys(changes).length === 0) {
+      editingPayeeId = null;
+      showPayees();
+      return;
+    }
+
+    applyFieldErrors([], inputs);
+    try {
+      const response = await apiRequest({
+        path: `/beneficiaries/${editForm.dataset.payeeEditForm}`,
+        method: "PATCH",
+        authToken,
+        body: changes,
+      });
+      editingPayeeId = null;
+      createToast(`Payee updated. ${describePayeeStatus(response.beneficiary)}`.trim(), { type: "success" });
+      loadPayees();
+    } catch (error) {
+      applyFieldErrors(error?.fields, inputs)?.focus();
+      console.error("[Banking Demo] Failed to update payee.", error);
+    }
+  });
+
+  loadPayees();
+
+  // "When" decides which date fields show: none for "Send now", a date for
+  // later, and end conditions as well for repeating transfers.
+  const updateScheduleFields = () => {
+    const frequency = frequencySelect?.value || "now";
+    scheduleFields.forEach((field) => {
+      field.hidden = frequency === "now";
+    });
+    recurringFields.forEach((field) => {
+      field.hidden = frequency === "now" || frequency === "once";
+    });
+    if (startDateInput) startDateInput.min = todayDateValue();
+    if (endDateInput) endDateInput.min = startDateInput?.value || todayDateValue();
+  };
+  frequencySelect?.addEventListener("change", updateScheduleFields);
+  startDateInput?.addEventListener("change", updateScheduleFields);
+  updateScheduleFields();
+
+  let scheduledTransfers = [];
+  let editingScheduleId = null;
+  const showScheduledTransfers = () =>
+    renderScheduledTransfers(scheduledList, scheduledEmpty, scheduledTransfers, accounts, editingScheduleId);
+
+  const loadScheduledTransfers = async () => {
+    if (!scheduledList) return;
+    try {
+      const response = await apiRequest({ path: "/scheduled-transfers", authToken });
+      scheduledTransfers = response?.scheduledTransfers || [];
+      showScheduledTransfers();
+    } catch (error) {
+      console.error("[Banking Demo] Failed to load scheduled transfers.", error);
+    }
+  };
+
+  // Replace one schedule in the list with the version the API sent back.
+  const applyScheduleUpdate = (updated) => {
+    scheduledTransfers = scheduledTransfers.map((schedule) => (schedule.id === updated.id ? updated : schedule));
+    showScheduledTransfers();
+  };
+
+  const runScheduleAction = async (scheduleId, action) => {
+    const requests = {
+      pause: { path: `/scheduled-transfers/${scheduleId}/pause`, method: "POST" },
+      resume: { path: `/scheduled-transfers/${scheduleId}/resume`, method: "POST" },
+      cancel: { path: `/scheduled-transfers/${scheduleId}`, method: "DELETE" },
+    };
+    const messages = { pause: "Transfer paused.", resume: "Transfer resumed.", cancel: "Transfer cancelled." };
+
+    const confirmMessage = "Cancel this scheduled transfer? Upcoming transfers will not be sent.";
+    if (action === "cancel" && !window.confirm(confirmMessage)) return;
+
+    try {
+      const response = await apiRequest({ ...requests[action], authToken });
+      applyScheduleUpdate(response.scheduledTransfer);
+      createToast(messages[action], { type: "success" });
+    } catch (error) {
+      console.error(`[Banking Demo] Failed to ${action} scheduled transfer.`, error);
+    }
+  };
+
+  scheduledList?.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-schedule-action]");
+    const scheduleId = button?.closest("[data-schedule-id]")?.dataset.scheduleId;
+    if (!button || !scheduleId) return;
+
+    const { scheduleAction } = button.dataset;
+    if (scheduleAction === "edit" || scheduleAction === "close-edit") {
+      editingScheduleId = scheduleAction === "edit" ? scheduleId : null;
+      showScheduledTransfers();
+      return;
+    }
+    runScheduleAction(scheduleId, scheduleAction);
+  });
+
+  scheduledList?.addEventListener("submit", async (event) => {
+    const editForm = event.target.closest("[data-schedule-edit-form]");
+    if (!editForm) return;
+    event.preventDefault();
+
+    const schedule = scheduledTransfers.find((entry) => entry.id === editForm.dataset.scheduleEditForm);
+    const inputs = Object.fromEntries(
+      [...editForm.querySelectorAll("[data-edit-field]")].map((input) => [input.dataset.editField, input])
+    );
+    // Only send what changed; an emptied end date is sent as null to remove it.
+    const changes = {};
+    Object.entries(inputs).forEach(([field, input]) => {
+      const value = input.value.trim();
+      if (String(schedule?.[field] ?? "") !== value) changes[field] = value || null;
+    });
+
+    if (Object.keys(changes).length === 0) {
+      editingScheduleId = null;
+      showScheduledTransfers();
+      return;
+    }
+
+    applyFieldErrors([], inputs);
+    try {
+      const response = await apiRequest({
+        path: `/scheduled-transfers/${editForm.dataset.scheduleEditForm}`,
+        method: "PATCH",
+        authToken,
+        body: changes,
+      });
+      editingScheduleId = null;
+      applyScheduleUpdate(response.scheduledTransfer);
+      createToast("Scheduled transfer updated.", { type: "success" });
+    } catch (error) {
+      applyFieldErrors(error?.fields, inputs)?.focus();
+      console.error("[Banking Demo] Failed to update scheduled transfer.", error);
+    }
+  });
+
+  loadScheduledTransfers();
+
   form.addEventListener("submit", async (event) => {
     event.preventDefault();
 
@@ -125,8 +925,10 @@ export const initTransfer = async () => {
     const fromAccountId = fromSelect.value;
     const destinationId = toSelect?.value || "";
     const externalAccount = externalAccountInput?.value?.trim() || "";
-    const amount = Number(amountInput?.value || 0);
+    const toRoutingNumber = routingNumberInput?.value?.trim() || "";
     const note = noteInput?.value?.trim();
+    const beneficiaryName = beneficiaryNameInput?.value?.trim();
+    const beneficiaryBank = beneficiaryBankInput?.value?.trim();
 
     if (!fromAccountId) {
       createToast("Please select the account to transfer from.", { type: "warning" });
@@ -134,30 +936,52 @@ export const initTransfer = async () => {
     }
 
     if (!destinationId && !externalAccount) {
-      createToast("Please select an internal account or enter an external account.", { type: "warning" });
+      createToast("Please choose who to send to or enter an external account.", { type: "warning" });
       return;
     }
 
-    if (!Number.isFinite(amount) || amount <= 0) {
-      createToast("Please enter a valid amount greater than 0.", { type: "warning" });
+    const fromAccount = accounts.find((account) => account.id === fromAccountId);
+    if (!fromAccount) {
+      createToast("The selected source account is unavailable.", { type: "error" });
+      return;
+    }
+
+    // Amounts are in the source account's currency, so JPY accounts take whole numbers.
+    const currency = accountCurrency(fromAccount);
+    const amount = parseMoney(amountInput?.value, currency);
+    if (amount === null || amount <= 0) {
+      createToast(`Please enter an amount greater than 0 ${describeAmountPrecision(currency)}.`, { type: "warning" });
       amountInput?.focus();
       return;
     }
 
-    const fromAccount = accounts.find((account) => account.id === fromAccountId);
-    if (!fromAccount) {
-      createToast("The selected source account is unavailable.", { type: "error" });
+    const frequency = frequencySelect?.value || "now";
+    const startDate = startDateInput?.value || "";
+    if (frequency !== "now" && !startDate) {
+      createToast("Please choose the date for this transfer.", { type: "warning" });
+      startDateInput?.focus();
       return;
     }
 
-    if (amount > Number(fromAccount.balance || 0)) {
+    // Scheduled transfers check the balance when they run, not now.
+    if (frequency === "now" && compareMoney(amount, fromAccount.balance, currency) > 0) {
       createToast("Cannot transfer more than the available balance.", { type: "warning" });
       amountInput?.focus();
       return;
     }
 
     const destinationAccount = accounts.find((account) => account.id === destinationId);
-    const toAccountValue = destinationId || externalAccount;
+    const payee = payees.find((entry) => entry.id === destinationId);
+    let toLabel = externalAccount;
+    if (destinationAccount) toLabel = describeAccount(destinationAccount);
+    else if (payee) toLabel = describePayee(payee);
+
+    // Same for a payee's cooling-off limit: a schedule may run after it has ended.
+    if (frequency === "now" && payee?.status === "cooling_off" && compareMoney(amount, payee.coolingOffLimit) > 0) {
+      createToast(describePayeeStatus(payee), { type: "warning" });
+      amountInput?.focus();
+      return;
+    }
 
     const setSubmitting = (state) => {
       if (!submitButton) return;
@@ -170,36 +994,125 @@ export const initTransfer = async () => {
       }
     };
 
+    // A mistyped account or routing number is caught here, before any money moves.
+    const accountProblems = destinationId
+      ? []
+      : getExternalAccountProblems(
+          { accountNumber: externalAccount, routingNumber: toRoutingNumber },
+          { accountField: "toAccount", routingField: "toRoutingNumber" }
+        );
+    applyFieldErrors(accountProblems, inputsByField)?.focus();
+    if (accountProblems.length > 0) {
+      createToast(accountProblems[0].message, { type: "warning" });
+      return;
+    }
+
+    // Converting between currencies: show the customer the current rate and what
+    // arrives, and send that rate along so the transfer fails rather than going
+    // through at a different one (FX_RATE_CHANGED).
+    let fxRate;
+    const fxPair = destinationAccount ? getFxPair() : null;
+    if (frequency === "now" && fxPair) {
+      let quote;
+      try {
+        quote = await fetchFxQuote({ amount, ...fxPair }, authToken);
+      } catch (error) {
+        console.error("[Banking Demo] Failed to load the exchange rate.", error);
+        return;
+      }
+      const sent = formatCurrency(amount, { currency });
+      const received = formatCurrency(quote.convertedAmount, { currency: quote.toCurrency });
+      if (!window.confirm(`Send ${sent} and receive ${received} at ${describeRate(quote)}?`)) return;
+      fxRate = quote.rate;
+    }
+
     setSubmitting(true);
+    if (resultPanel) resultPanel.hidden = true;
+    applyFieldErrors([], inputsByField);
+
+    const transferBody = {
+      fromAccountId,
+      ...(destinationAccount && { toAccountId: destinationId }),
+      ...(payee && { beneficiaryId: payee.id }),
+      ...(!destinationId && { toAccount: externalAccount, beneficiaryName, beneficiaryBank }),
+      ...(!destinationId && !looksLikeIban(externalAccount) && { toRoutingNumber }),
+      amount,
+      ...(note ? { note } : {}),
+    };
+
+    const resetForm = () => {
+      form.reset();
+      if (fromSelect.options.length > 0) {
+        fromSelect.value = "";
+      }
+      refreshDestinations();
+      updateScheduleFields();
+      resetTransferBankHint();
+      updateFxQuote();
+    };
+
+    if (frequency !== "now") {
+      try {
+        const endDate = endDateInput?.value;
+        const maxOccurrences = occurrencesInput?.value;
+        const response = await apiRequest({
+          path: "/scheduled-transfers",
+          method: "POST",
+          authToken,
+          body: {
+            ...transferBody,
+            frequency,
+            startDate,
+            ...(frequency !== "once" && endDate ? { endDate } : {}),
+            ...(frequency !== "once" && maxOccurrences ? { maxOccurrences: Number(maxOccurrences) } : {}),
+          },
+        });
+
+        const schedule = response.scheduledTransfer;
+        const formattedAmount = formatCurrency(amount, { currency });
+        const message = `${formattedAmount} to ${toLabel}. ${describeSchedulePlan(schedule)}.`;
+
+        createToast(`Scheduled ${message}`, { type: "success" });
+        showResult(resultPanel, { title: "Transfer scheduled", message });
+        resetForm();
+        loadScheduledTransfers();
+      } catch (error) {
+        applyFieldErrors(error?.fields, inputsByField)?.focus();
+        console.error("[Banking Demo] Scheduling the transfer failed.", error);
+      } finally {
+        setSubmitting(false);
+      }
+      return;
+    }
 
     try {
       const response = await apiRequest({
         path: "/transfers",
         method: "POST",
         authToken,
-        body: {
-          fromAccountId,
-          ...(destinationId ? { toAccountId: destinationId } : { toAccount: externalAccount }),
-          amount,
-          ...(note ? { note } : {}),
-        },
+        body: { ...transferBody, ...(fxRate !== undefined && { fxRate }) },
       });
 
       const reference = response?.reference || response?.referenceCode || response?.receipt?.reference || "Pending";
-      const formattedAmount = formatCurrency(amount, { currency: fromAccount.currency || "USD" });
+      const formattedAmount = formatCurrency(amount, { currency });
       const fromLabel = describeAccount(fromAccount);
-      const toLabel = destinationAccount ? describeAccount(destinationAccount) : toAccountValue;
+      const received = response?.fx
+        ? ` (received as ${formatCurrency(response.fx.convertedAmount, { currency: response.fx.toCurrency })})`
+        : "";
 
-      createToast(`Sent ${formattedAmount} from ${fromLabel} to ${toLabel}. Ref: ${reference}`, {
+      createToast(`Sent ${formattedAmount} from ${fromLabel} to ${toLabel}${received}. Ref: ${reference}`, {
         type: "success",
       });
+      showResult(resultPanel, {
+        message: `${formattedAmount} to ${toLabel}${received}. Reference ${reference}.`,
+        transferId: response?.transferId,
+      });
 
-      form.reset();
-      if (fromSelect.options.length > 0) {
-        fromSelect.value = "";
-      }
-      populateDestinationAccounts(toSelect, accounts, fromSelect?.value);
+      resetForm();
     } catch (error) {
+      // The rate moved between the quote and the transfer: show the new one.
+      if (error?.errorCode === "FX_RATE_CHANGED") updateFxQuote();
+      applyFieldErrors(error?.fields, inputsByField)?.focus();
       console.error("[Banking Demo] Transfer submission failed.", error);
     } finally {
       setSubmitting(false);
@@ -44,6 +44,172 @@ export const amount = (value) => {
   return null;
 };
 
+// ---------------------------------------------------------------------------
+// Bank account details (same rules as the backend's bankDirectory.service.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * IBANs are often written in groups of four ("DE89 3704 ...").
+ * Compare them without spaces and in capitals.
+ */
+export const normalizeIban = (value) => String(value ?? "").replace(/\s+/g, "").toUpperCase();
+
+/**
+ * Does the value start like an IBAN (two letters, then two digits)?
+ * Used to decide which checks apply before it is complete.
+ */
+export const looksLikeIban = (value) => /^[A-Z]{2}\d{2}/.test(normalizeIban(value));
+
+/**
+ * US routing (ABA) numbers are 9 digits with a checksum: multiply the digits by
+ * 3, 7, 1, 3, 7, 1... and the total must be a multiple of 10.
+ */
+export const isValidRoutingNumber = (value) => {
+  const text = String(value ?? "").trim();
+  if (!/^\d{9}$/.test(text) || /^0+$/.test(text)) return false;
+  const weights = [3, 7, 1];
+  const sum = [...text].reduce((total, digit, index) => total + Number(digit) * weights[index % 3], 0);
+  return sum % 10 === 0;
+};
+
+// Expected IBAN lengths for common countries. Others only get the general checks.
+const IBAN_LENGTHS = {
+  AT: 20,
+  BE: 16,
+  CH: 21,
+  DE: 22,
+  DK: 18,
+  ES: 24,
+  FI: 18,
+  FR: 27,
+  GB: 22,
+  IE: 22,
+  IT: 27,
+  LU: 20,
+  NL: 18,
+  NO: 15,
+  PL: 28,
+  PT: 25,
+  SE: 24,
+};
+
+/**
+ * IBAN check digits (mod-97): move the first four characters to the end, turn
+ * letters into numbers (A = 10 ... Z = 35) and the remainder after dividing by 97 must be 1.
+ */
+export const isValidIban = (value) => {
+  const iban = normalizeIban(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const expectedLength = IBAN_LENGTHS[iban.slice(0, 2)];
+  if (expectedLength && iban.length !== expectedLength) return false;
+
+  // The number is far too long for JavaScript numbers, so keep only the running remainder.
+  const digits = [...`${iban.slice(4)}${iban.slice(0, 4)}`].map((char) => parseInt(char, 36)).join("");
+  const remainder = [...digits].reduce((total, digit) => (total * 10 + Number(digit)) % 97, 0);
+  return remainder === 1;
+};
+
+/**
+ * Validate a routing number. Empty values are treated as valid so you can combine with `required`.
+ */
+export const routingNumber = (value) => {
+  const text = String(value ?? "").trim();
+  if (text === "") return null;
+  if (!/^\d{9}$/.test(text)) return "Routing number must be 9 digits.";
+  return isValidRoutingNumber(text) ? null : "This routing number is not valid. Check it for typos.";
+};
+
+/**
+ * Validate an outside account number: 4 to 17 digits, or an IBAN with correct check digits.
+ * Empty values are treated as valid so you can combine with `required`.
+ */
+export const accountNumber = (value) => {
+  const text = String(value ?? "").trim();
+  if (text === "") return null;
+  if (looksLikeIban(text)) return isValidIban(text) ? null : "This IBAN is not valid. Check it for typos.";
+  return /^\d{4,17}$/.test(text) ? null : "Account number must be 4 to 17 digits, or an IBAN.";
+};
+
+/**
+ * Check an outside account as a whole: an IBAN on its own, or a US account
+ * number together with a valid routing number.
+ *
+ * Example:
+ * getExternalAccountProblems({ accountNumber: "55508899", routingNumber: "021000021" });
+ * // -> []
+ *
+ * @param {{ accountNumber: string, routingNumber?: string }} details
+ * @param {{ accountField?: string, routingField?: string }} [fieldNames] - API field names to report.
+ * @returns {Array<{field: string, message: string}>}
+ */
+export const getExternalAccountProblems = (
+  { accountNumber: account, routingNumber: routing },
+  { accountField = "accountNumber", routingField = "routingNumber" } = {}
+) => {
+  if (String(account ?? "").trim() === "") {
+    return [{ field: accountField, message: "Account number is required." }];
+  }
+
+  const accountProblem = accountNumber(account);
+  if (accountProblem) return [{ field: accountField, message: accountProblem }];
+  if (looksLikeIban(account)) return [];
+
+  if (String(routing ?? "").trim() === "") {
+    return [{ field: routingField, message: "Routing number is required for US account numbers." }];
+  }
+  const routingProblem = routingNumber(routing);
+  return routingProblem ? [{ field: routingField, message: routingProblem }] : [];
+};
+
+/**
+ * Mark a field as invalid for assistive tech and styling.
+ * The message is kept in `data-error` so it can be shown next to the field.
+ */
+export const markFieldInvalid = (field, message) => {
+  if (!field) return;
+  field.setAttribute("aria-invalid", "true");
+  field.dataset.error = message;
+};
+
+/**
+ * Remove the invalid state added by `markFieldInvalid`.
+ */
+export const clearFieldInvalid = (field) => {
+  if (!field) return;
+  field.removeAttribute("aria-invalid");
+  delete field.dataset.error;
+};
+
+/**
+ * Show field-level errors returned by the API on the matching inputs.
+ *
+ * The API answers validation failures with `fields: [{ field, message }]`, using
+ * its own field names ("amount", "toAccount"...). `elementsByField` maps those
+ * names to the inputs on the page. Every mapped input is cleared first, so stale
+ * errors from an earlier attempt disappear.
+ *
+ * Example:
+ * applyFieldErrors(error.fields, { email: emailInput, password: passwordInput });
+ *
+ * @param {Array<{field: string, message: string}>} [fields]
+ * @param {Object<string, HTMLElement|null>} elementsByField
+ * @returns {HTMLElement|null} The first input that was marked (handy for focus), or null.
+ */
+export const applyFieldErrors = (fields = [], elementsByField = {}) => {
+  Object.values(elementsByField).forEach(clearFieldInvalid);
+
+  let firstInvalid = null;
+  (fields || []).forEach(({ field, message }) => {
+    const element = elementsByField[field];
+    if (!element) return;
+
+    markFieldInvalid(element, message);
+    firstInvalid = firstInvalid || element;
+  });
+
+  return firstInvalid;
+};
+
 /**
  * Apply validation rules declared via data attributes.
  *
@@ -65,6 +231,8 @@ export const validateForm = (formEl) => {
     required,
     email,
     amount,
+    routingNumber,
+    accountNumber,
     minLength: (value, arg) => minLength(Number(arg || 0))(value),
   };
 
@@ -88,11 +256,9 @@ export const validateForm = (formEl) => {
         errors.push({ field: fieldLabel, message });
 
         // Provide basic inline feedback for accessibility.
-        field.setAttribute("aria-invalid", "true");
-        field.dataset.error = message;
+        markFieldInvalid(field, message);
       } else {
-        field.removeAttribute("aria-invalid");
-        delete field.dataset.error;
+        clearFieldInvalid(field);
       }
     });
   });
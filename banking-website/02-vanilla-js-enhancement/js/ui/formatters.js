@@ -3,8 +3,12 @@
  * These functions intentionally keep logic readable for newer developers.
  */
 
+import { roundMoney } from "../../../shared/money.js";
+
 /**
  * Convert a number into a localized currency string.
+ * The amount is rounded to the currency's smallest unit first (see shared/money.js),
+ * so a float such as 0.30000000000000004 prints as "$0.30".
  *
  * @param {number|string} value - Amount to format.
  * @param {Object} options - Optional configuration.
@@ -19,8 +23,7 @@ export const formatCurrency = (value, { locale = "en-US", currency = "USD" } = {
   return new Intl.NumberFormat(locale, {
     style: "currency",
     currency,
-    minimumFractionDigits: 2,
-  }).format(amount);
+  }).format(roundMoney(amount, currency));
 };
 
 /**
@@ -0,0 +1,254 @@
+// File-backed storage with the same surface as memoryDb.
+//
+// memoryDb still holds the working copy; this module makes it durable:
+// - data/bankly-db.json is a full snapshot of every collection.
+// - data/bankly-db.wal is a write-ahead log. Each line is one committed batch
+//   of writes (a single add/update/remove, or everything inside withTransaction).
+//
+// A batch is appended and fsynced before the call returns. On boot we load the
+// snapshot and replay the log. A crash mid-append leaves a torn last line that
+// fails to parse and is skipped, so a transfer is either fully on disk or not at all.
+//
+// Snapshots from before version 2 held money as decimal numbers (balance,
+// amount...). They are converted to integer minor units (balanceMinor,
+// amountMinor...) once, on the first boot after the upgrade.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const memoryDb = require('./memoryDb');
+const logger = require('../services/logger.service');
+const { DEFAULT_CURRENCY, toMinor } = require('../services/money.service');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+const SNAPSHOT_PATH = path.join(DATA_DIR, 'bankly-db.json');
+const WAL_PATH = path.join(DATA_DIR, 'bankly-db.wal');
+
+const SNAPSHOT_VERSION = 2;
+
+// Fold the log into a fresh snapshot after this many batches.
+const CHECKPOINT_EVERY = 200;
+
+// Collection name -> method suffix (users -> addUser, updateUser, removeUser).
+const COLLECTIONS = {
+  users: 'User',
+  accounts: 'Account',
+  transactions: 'Transaction',
+  transfers: 'Transfer',
+  audits: 'Audit',
+  sessions: 'Session',
+  otps: 'Otp',
+  notifications: 'Notification',
+  receipts: 'Receipt',
+  passwordResets: 'PasswordReset',
+  idempotencyKeys: 'IdempotencyKey',
+  scheduledTransfers: 'ScheduledTransfer',
+  beneficiaries: 'Beneficiary',
+  fxRates: 'FxRate'
+};
+
+let lastSeq = 0;
+let batchesSinceCheckpoint = 0;
+let walFd = null;
+
+// Writes made inside withTransaction wait here until the outermost call succeeds.
+let pendingOps = null;
+
+// ---------------------------------------------------------------------------
+// Applying operations to the in-memory copy (used by replay)
+// ---------------------------------------------------------------------------
+
+const applyOp = ({ op, collection, id, record, updates }) => {
+  const items = memoryDb[collection];
+  if (!items) return;
+
+  const index = items.findIndex((entry) => entry.id === id);
+  if (op === 'add' && index === -1) items.push(record);
+  if (op === 'update' && index !== -1) Object.assign(items[index], updates);
+  if (op === 'remove' && index !== -1) items.splice(index, 1);
+};
+
+// ---------------------------------------------------------------------------
+// Disk helpers
+// ---------------------------------------------------------------------------
+
+const writeSnapshot = () => {
+  const collections = Object.fromEntries(Object.keys(COLLECTIONS).map((name) => [name, memoryDb[name]]));
+  const tmpPath = `${SNAPSHOT_PATH}.tmp`;
+
+  // Write to a temp file, fsync, then rename so the snapshot is never half-written.
+  const fd = fs.openSync(tmpPath, 'w');
+  const snapshot = { version: SNAPSHOT_VERSION, lastSeq, savedAt: new Date().toISOString(), collections };
+  fs.writeSync(fd, JSON.stringify(snapshot));
+  fs.fsyncSync(fd);
+  fs.closeSync(fd);
+  fs.renameSync(tmpPath, SNAPSHOT_PATH);
+
+  // Entries up to lastSeq now live in the snapshot. Replay skips them even if
+  // we crash before the truncate below.
+  fs.ftruncateSync(walFd, 0);
+  fs.fsyncSync(walFd);
+  batchesSinceCheckpoint = 0;
+};
+
+const appendBatch = (ops) => {
+  if (ops.length === 0) return;
+
+  lastSeq += 1;
+  fs.writeSync(walFd, `${JSON.stringify({ seq: lastSeq, ops })}\n`);
+  fs.fsyncSync(walFd);
+
+  batchesSinceCheckpoint += 1;
+  if (batchesSinceCheckpoint >= CHECKPOINT_EVERY) {
+    writeSnapshot();
+  }
+};
+
+const record = (op) => {
+  if (pendingOps) {
+    pendingOps.push(op);
+  } else {
+    appendBatch([op]);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Version 1 -> 2: decimal money fields to integer minor units
+// ---------------------------------------------------------------------------
+
+// Swap `field` for `${field}Minor`, keeping the key order.
+const toMinorField = (item, field, currency) =>
+  Object.fromEntries(
+    Object.entries(item).map(([key, value]) =>
+      key === field ? [`${field}Minor`, toMinor(value, currency)] : [key, value]
+    )
+  );
+
+const withMinorFx = (item, currency) => {
+  const migrated = toMinorField(item, 'amount', currency);
+  if (!migrated.fx) return migrated;
+  return { ...migrated, fx: toMinorField(migrated.fx, 'convertedAmount', migrated.fx.toCurrency) };
+};
+
+const migrateToMinorUnits = () => {
+  const currencies = new Map(memoryDb.accounts.map((account) => [account.id, account.currency || DEFAULT_CURRENCY]));
+  const migrate = (name, convert) => {
+    memoryDb[name].splice(0, memoryDb[name].length, ...memoryDb[name].map(convert));
+  };
+
+  migrate('accounts', (account) => toMinorField(account, 'balance', currencies.get(account.id)));
+  migrate('transactions', (entry) => {
+    const currency = currencies.get(entry.accountId);
+    return toMinorField(toMinorField(entry, 'amount', currency), 'balanceAfter', currency);
+  });
+  migrate('transfers', (transfer) =>
+    withMinorFx(transfer, transfer.currency || currencies.get(transfer.fromAccountId))
+  );
+  migrate('scheduledTransfers', (schedule) => toMinorField(schedule, 'amount', currencies.get(schedule.fromAccountId)));
+  // The receipt checksum covers the stored fields, so it is recomputed the way receipt.service.js computes it.
+  migrate('receipts', ({ id, checksum, ...receipt }) => {
+    const migrated = withMinorFx(receipt, receipt.currency);
+    const newChecksum = crypto.createHash('sha256').update(JSON.stringify(migrated)).digest('hex');
+    return { id, ...migrated, checksum: newChecksum };
+  });
+  logger.info('Converted stored money amounts to minor units.', { file: SNAPSHOT_PATH });
+};
+
+const load = () => {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+
+  let version = SNAPSHOT_VERSION;
+  if (fs.existsSync(SNAPSHOT_PATH)) {
+    const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, 'utf8'));
+    version = snapshot.version || 1;
+    lastSeq = snapshot.lastSeq || 0;
+    Object.keys(COLLECTIONS).forEach((name) => {
+      memoryDb[name].splice(0, memoryDb[name].length, ...(snapshot.collections?.[name] || []));
+    });
+  }
+
+  if (fs.existsSync(WAL_PATH)) {
+    const lines = fs.readFileSync(WAL_PATH, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      let batch;
+      try {
+        batch = JSON.parse(line);
+      } catch (error) {
+        // A torn write from a crash. Nothing after it was acknowledged.
+        logger.warn('Ignoring incomplete write-ahead log entry.', { file: WAL_PATH });
+        break;
+      }
+      if (batch.seq > lastSeq) {
+        batch.ops.forEach(applyOp);
+        lastSeq = batch.seq;
+      }
+    }
+  }
+
+  // The log was written by the same version as the snapshot, so it is replayed first.
+  if (version < 2) migrateToMinorUnits();
+
+  walFd = fs.openSync(WAL_PATH, 'a');
+  // Start each run from a clean snapshot and an empty log.
+  writeSnapshot();
+};
+
+load();
+
+// ---------------------------------------------------------------------------
+// Public surface (mirrors memoryDb)
+// ---------------------------------------------------------------------------
+
+const fileDb = { ...memoryDb };
+
+Object.entries(COLLECTIONS).forEach(([collection, suffix]) => {
+  const add = memoryDb[`add${suffix}`];
+  const update = memoryDb[`update${suffix}`];
+  const remove = memoryDb[`remove${suffix}`];
+
+  fileDb[`add${suffix}`] = (item) => {
+    const created = add(item);
+    record({ op: 'add', collection, id: created.id, record: structuredClone(created) });
+    return created;
+  };
+
+  fileDb[`update${suffix}`] = (id, updates) => {
+    const updated = update(id, updates);
+    if (updated) record({ op: 'update', collection, id, updates: structuredClone(updates) });
+    return updated;
+  };
+
+  fileDb[`remove${suffix}`] = (id) => {
+    const removed = remove(id);
+    if (removed) record({ op: 'remove', collection, id });
+    return removed;
+  };
+});
+
+// Same contract as memoryDb.withTransaction, plus: the whole batch reaches the
+// log in one fsynced line, and only if `work` finished without throwing.
+fileDb.withTransaction = (work) => {
+  if (pendingOps) {
+    // Nested call: join the outer batch, but drop our ops if we roll back.
+    const mark = pendingOps.length;
+    try {
+      return memoryDb.withTransaction(work);
+    } catch (error) {
+      pendingOps.length = mark;
+      throw error;
+    }
+  }
+
+  pendingOps = [];
+  try {
+    return memoryDb.withTransaction(() => {
+      const result = work();
+      // Appending inside the memory transaction means a failed disk write rolls memory back too.
+      appendBatch(pendingOps);
+      return result;
+    });
+  } finally {
+    pendingOps = null;
+  }
+};
+
+module.exports = fileDb;
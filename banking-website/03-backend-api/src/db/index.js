@@ -0,0 +1,15 @@
+// Pick the storage driver once at startup.
+// STORAGE_DRIVER=memory (default) keeps everything in arrays and forgets it on restart.
+// STORAGE_DRIVER=file persists to DATA_DIR (default: ./data) with a write-ahead log.
+const driver = (process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+
+const drivers = {
+  memory: () => require('./memoryDb'),
+  file: () => require('./fileDb')
+};
+
+if (!drivers[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(drivers).join(', ')}.`);
+}
+
+module.exports = drivers[driver]();
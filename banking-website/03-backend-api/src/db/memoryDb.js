@@ -7,14 +7,36 @@ const accounts = [];
 const transactions = [];
 const transfers = [];
 const audits = [];
+const sessions = [];
+const otps = [];
+const notifications = [];
+const receipts = [];
+const passwordResets = [];
+const idempotencyKeys = [];
+const scheduledTransfers = [];
+const beneficiaries = [];
+const fxRates = [];
 
 // Helper: generate a simple unique-ish id for each collection.
 const createId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2, 8)}`;
 
+// While withTransaction runs, every write pushes a step here that undoes it.
+// null when no transaction is open (writes are then final straight away).
+let undoLog = null;
+
+const remember = (undo) => {
+  if (undoLog) undoLog.push(undo);
+};
+
 // CRUD helpers used across collections.
+// Records must only be changed through these, or a rollback cannot undo the change.
 const addItem = (collection, prefix, item) => {
   const record = { id: createId(prefix), ...item };
   collection.push(record);
+  remember(() => {
+    const index = collection.indexOf(record);
+    if (index !== -1) collection.splice(index, 1);
+  });
   return record;
 };
 
@@ -23,6 +45,16 @@ const findItem = (collection, id) => collection.find((entry) => entry.id === id)
 const updateItem = (collection, id, updates) => {
   const item = findItem(collection, id);
   if (!item) return null;
+
+  // Keep the old value of each field we overwrite (and which ones did not exist yet).
+  const previous = Object.keys(updates).map((key) => [key, Object.hasOwn(item, key), item[key]]);
+  remember(() =>
+    previous.forEach(([key, existed, value]) => {
+      if (existed) item[key] = value;
+      else delete item[key];
+    })
+  );
+
   Object.assign(item, updates);
   return item;
 };
@@ -30,10 +62,51 @@ const updateItem = (collection, id, updates) => {
 const removeItem = (collection, id) => {
   const index = collection.findIndex((entry) => entry.id === id);
   if (index === -1) return false;
-  collection.splice(index, 1);
+  const [record] = collection.splice(index, 1);
+  remember(() => collection.splice(index, 0, record));
   return true;
 };
 
+const collections = {
+  users,
+  accounts,
+  transactions,
+  transfers,
+  audits,
+  sessions,
+  otps,
+  notifications,
+  receipts,
+  passwordResets,
+  idempotencyKeys,
+  scheduledTransfers,
+  beneficiaries,
+  fxRates
+};
+
+// Run several writes as one all-or-nothing step.
+// Each write inside `work` logs how to undo itself. If `work` throws, those steps
+// run newest first, so no half-applied change (e.g. a debit without its credit)
+// survives. Only the records that were touched are restored, in place, so objects
+// callers already hold stay current. A nested call rolls back only its own writes.
+const withTransaction = (work) => {
+  const outermost = undoLog === null;
+  if (outermost) undoLog = [];
+  const mark = undoLog.length;
+
+  try {
+    return work();
+  } catch (error) {
+    undoLog
+      .splice(mark)
+      .reverse()
+      .forEach((undo) => undo());
+    throw error;
+  } finally {
+    if (outermost) undoLog = null;
+  }
+};
+
 module.exports = {
   // Raw collections (useful for quick reads in lessons).
   users,
@@ -41,6 +114,18 @@ module.exports = {
   transactions,
   transfers,
   audits,
+  sessions,
+  otps,
+  notifications,
+  receipts,
+  passwordResets,
+  idempotencyKeys,
+  scheduledTransfers,
+  beneficiaries,
+  fxRates,
+
+  withTransaction,
+  isEmpty: () => Object.values(collections).every((collection) => collection.length === 0),
 
   // Users
   listUsers: () => [...users],
@@ -70,5 +155,59 @@ module.exports = {
   listAudits: () => [...audits],
   addAudit: (audit) => addItem(audits, 'aud', audit),
   updateAudit: (id, updates) => updateItem(audits, id, updates),
-  removeAudit: (id) => removeItem(audits, id)
+  removeAudit: (id) => removeItem(audits, id),
+
+  // Sessions (one per issued login token so they can be revoked)
+  listSessions: () => [...sessions],
+  addSession: (session) => addItem(sessions, 'ses', session),
+  updateSession: (id, updates) => updateItem(sessions, id, updates),
+  removeSession: (id) => removeItem(sessions, id),
+
+  // One-time passcodes (only a hash of each code is stored)
+  listOtps: () => [...otps],
+  addOtp: (otp) => addItem(otps, 'otp', otp),
+  updateOtp: (id, updates) => updateItem(otps, id, updates),
+  removeOtp: (id) => removeItem(otps, id),
+
+  // In-app notifications shown on the notifications page
+  listNotifications: () => [...notifications],
+  addNotification: (notification) => addItem(notifications, 'ntf', notification),
+  updateNotification: (id, updates) => updateItem(notifications, id, updates),
+  removeNotification: (id) => removeItem(notifications, id),
+
+  // Transfer receipts (written once per completed transfer, never edited)
+  listReceipts: () => [...receipts],
+  addReceipt: (receipt) => addItem(receipts, 'rcp', receipt),
+  updateReceipt: (id, updates) => updateItem(receipts, id, updates),
+  removeReceipt: (id) => removeItem(receipts, id),
+
+  // Password reset tokens (only a hash of each token is stored)
+  listPasswordResets: () => [...passwordResets],
+  addPasswordReset: (reset) => addItem(passwordResets, 'pwr', reset),
+  updatePasswordReset: (id, updates) => updateItem(passwordResets, id, updates),
+  removePasswordReset: (id) => removeItem(passwordResets, id),
+
+  // Idempotency keys with the response first sent for them (replayed on retries)
+  listIdempotencyKeys: () => [...idempotencyKeys],
+  addIdempotencyKey: (entry) => addItem(idempotencyKeys, 'idk', entry),
+  updateIdempotencyKey: (id, updates) => updateItem(idempotencyKeys, id, updates),
+  removeIdempotencyKey: (id) => removeItem(idempotencyKeys, id),
+
+  // Future-dated and recurring transfers, run by the transfer scheduler
+  listScheduledTransfers: () => [...scheduledTransfers],
+  addScheduledTransfer: (schedule) => addItem(scheduledTransfers, 'sch', schedule),
+  updateScheduledTransfer: (id, updates) => updateItem(scheduledTransfers, id, updates),
+  removeScheduledTransfer: (id) => removeItem(scheduledTransfers, id),
+
+  // Saved payees (outside accounts a customer sends money to)
+  listBeneficiaries: () => [...beneficiaries],
+  addBeneficiary: (beneficiary) => addItem(beneficiaries, 'ben', beneficiary),
+  updateBeneficiary: (id, updates) => updateItem(beneficiaries, id, updates),
+  removeBeneficiary: (id) => removeItem(beneficiaries, id),
+
+  // Exchange rates (units of each currency per one unit of the base currency), set by admins
+  listFxRates: () => [...fxRates],
+  addFxRate: (rate) => addItem(fxRates, 'fx', rate),
+  updateFxRate: (id, updates) => updateItem(fxRates, id, updates),
+  removeFxRate: (id) => removeItem(fxRates, id)
 };
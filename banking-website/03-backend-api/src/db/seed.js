@@ -1,22 +1,55 @@
-// Populate the in-memory database with starter data.
+// Populate an empty database with starter data.
 // This keeps early lessons focused on Express fundamentals instead of setup.
+// server.js only calls this when the store is empty, so restarts never duplicate records.
+const { hashPassword } = require('../services/auth.service');
+const { recordAudit } = require('../services/audit.service');
+const { getInternalAccount, postEntry } = require('../services/ledger.service');
+const { toMinor } = require('../services/money.service');
+const { createTransfer, executeTransfer } = require('../services/transfer.service');
+const { createScheduledTransfer } = require('../services/scheduledTransfer.service');
+const defaultFxRates = require('../../../shared/fx-rates.json');
+
+// Opening history goes through the ledger like any other money movement: the
+// customer entry plus the opposite one on an internal account, so every balance
+// equals the sum of its entries.
+const postSeedEntry = (db, { account, amount, type, description, timestamp }) =>
+  db.withTransaction(() => {
+    const amountMinor = toMinor(Math.abs(amount), account.currency);
+    const entry = { type, amountMinor, description, timestamp, status: 'posted' };
+    const direction = amount < 0 ? 'debit' : 'credit';
+    const contraAccount = getInternalAccount('settlement', 'Cash and card settlement', account.currency);
+    postEntry({ ...entry, account: contraAccount, direction: direction === 'debit' ? 'credit' : 'debit' });
+    return postEntry({ ...entry, account, direction });
+  });
+
+// Demo credentials (local development only):
+// - admin@example.com / admin1234
+// - jane@example.com / password123
 function seedDatabase(db) {
-  // Clear old data so restarting the server does not duplicate records.
-  [db.users, db.accounts, db.transactions, db.transfers, db.audits].forEach(
-    (collection) => collection.splice(0, collection.length)
-  );
+  const now = new Date().toISOString();
 
   // Create a simple admin and customer user.
   const adminUser = db.addUser({
     role: 'admin',
     name: 'Bank Admin',
-    email: 'admin@example.com'
+    email: 'admin@example.com',
+    passwordHash: hashPassword('admin1234'),
+    status: 'active',
+    createdAt: now
   });
 
   const customerUser = db.addUser({
     role: 'customer',
     name: 'Jane Customer',
-    email: 'jane@example.com'
+    email: 'jane@example.com',
+    passwordHash: hashPassword('password123'),
+    status: 'active',
+    createdAt: now
+  });
+
+  // Starting exchange rates. Admins change them through /api/admin/fx-rates.
+  Object.entries(defaultFxRates.rates).forEach(([currency, rate]) => {
+    db.addFxRate({ currency, rate, updatedAt: defaultFxRates.asOf, updatedBy: null });
   });
 
   // Starter accounts for the customer.
@@ -25,7 +58,7 @@ function seedDatabase(db) {
     type: 'checking',
     nickname: 'Daily Checking',
     number: '1001',
-    balance: 1500
+    balanceMinor: 0
   });
 
   const savingsAccount = db.addAccount({
@@ -33,58 +66,89 @@ function seedDatabase(db) {
     type: 'savings',
     nickname: 'Rainy Day Savings',
     number: '1002',
-    balance: 3200
+    balanceMinor: 0
   });
 
-  const now = new Date().toISOString();
+  // A euro account, so transfers between currencies and the converted dashboard total can be tried out.
+  const euroAccount = db.addAccount({
+    userId: customerUser.id,
+    type: 'checking',
+    nickname: 'Euro Travel',
+    number: '1003',
+    currency: 'EUR',
+    balanceMinor: 0
+  });
+
+  // Transactions help show history on every account.
+  [
+    { account: checkingAccount, type: 'deposit', amount: 1775, description: 'Initial paycheck deposit' },
+    { account: checkingAccount, type: 'withdrawal', amount: -75, description: 'Grocery store' },
+    { account: savingsAccount, type: 'deposit', amount: 3000, description: 'Opening deposit' },
+    { account: euroAccount, type: 'deposit', amount: 850, description: 'Opening deposit' }
+  ].forEach((entry) => postSeedEntry(db, { ...entry, timestamp: now }));
 
-  // Transactions help show history on both accounts.
-  db.addTransaction({
-    accountId: checkingAccount.id,
-    type: 'deposit',
-    amount: 1500,
-    description: 'Initial paycheck deposit',
-    timestamp: now
+  // A completed transfer between the two accounts, posted through the transfer engine.
+  const savingsTransfer = createTransfer({
+    userId: customerUser.id,
+    fromAccountId: checkingAccount.id,
+    toAccountId: savingsAccount.id,
+    amount: 200,
+    memo: 'Move funds to savings'
   });
+  executeTransfer(savingsTransfer.id);
 
-  db.addTransaction({
-    accountId: checkingAccount.id,
-    type: 'withdrawal',
-    amount: -75,
-    description: 'Grocery store',
-    timestamp: now
+  // An outgoing external payment that has not settled yet, so the admin
+  // review queue (GET /admin/transactions) has an item to work with.
+  const heldTransfer = createTransfer({
+    userId: customerUser.id,
+    fromAccountId: checkingAccount.id,
+    toExternalAccount: '55501234',
+    toRoutingNumber: '111000025',
+    amount: 120,
+    memo: 'Rent share'
   });
+  executeTransfer(heldTransfer.id);
 
-  db.addTransaction({
-    accountId: savingsAccount.id,
-    type: 'deposit',
-    amount: 200,
-    description: 'Monthly savings transfer',
-    timestamp: now
+  // A saved payee whose cooling-off period is long over, so it can receive any amount.
+  const addedAt = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  db.addBeneficiary({
+    userId: customerUser.id,
+    name: 'Jordan Rivers',
+    nickname: 'Landlord',
+    bankName: 'First Example Bank',
+    routingNumber: '021000021',
+    accountNumber: '55508899',
+    coolingOffEndsAt: addedAt,
+    createdAt: addedAt,
+    updatedAt: addedAt
   });
 
-  // Simple transfer record between the two accounts.
-  db.addTransfer({
+  // A weekly savings transfer every Friday, so the upcoming transfers list has an entry.
+  const nextFriday = new Date();
+  nextFriday.setUTCDate(nextFriday.getUTCDate() + ((5 - nextFriday.getUTCDay() + 7) % 7 || 7));
+  createScheduledTransfer({
+    userId: customerUser.id,
     fromAccountId: checkingAccount.id,
     toAccountId: savingsAccount.id,
-    amount: 200,
-    description: 'Move funds to savings',
-    timestamp: now
+    amount: 300,
+    memo: 'Weekly savings',
+    frequency: 'weekly',
+    startDate: nextFriday.toISOString().slice(0, 10)
   });
 
   // Audit log example for admin actions.
-  db.addAudit({
-    userId: adminUser.id,
+  recordAudit({
+    actorId: adminUser.id,
     action: 'seed_database',
-    detail: 'Initial seed complete',
-    timestamp: now
+    detail: 'Initial seed complete'
   });
 
   return {
     adminUser,
     customerUser,
     checkingAccount,
-    savingsAccount
+    savingsAccount,
+    euroAccount
   };
 }
 
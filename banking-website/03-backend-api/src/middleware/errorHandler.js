@@ -1,11 +1,26 @@
 // Centralized error handler to keep API responses predictable.
-// In later lessons you can expand this to log to a file or tracking service.
+// Failures are written to the structured log (see services/logger.service.js).
+const logger = require('../services/logger.service');
+
 // Small helper to make unique-ish identifiers without external packages.
 const createRequestId = () => `req_${Date.now()}_${Math.random().toString(16).slice(2, 8)}`;
 
-function errorHandler(err, req, res, _next) {
-  // Reuse an incoming request id if present, otherwise generate one.
-  const requestId = req.requestId || req.headers['x-request-id'] || createRequestId();
+// Build an Error that the handler below turns into { errorCode, message, requestId }.
+// Errors can also carry `fields` ([{ field, message }]), which are passed through.
+// Example: throw createError(404, 'ACCOUNT_NOT_FOUND', 'Account was not found.');
+const createError = (status, code, message) => Object.assign(new Error(message), { status, code });
+
+// express.json() rejects a body that is not valid JSON with its own error (status 400, type
+// 'entity.parse.failed'). It is bad input like any other, so it goes out as VALIDATION with
+// a plain message instead of INTERNAL_ERROR and the parser's own wording.
+const fromBodyParser = (err) =>
+  err.type === 'entity.parse.failed' ? createError(400, 'VALIDATION', 'The request body is not valid JSON.') : err;
+
+function errorHandler(caught, req, res, _next) {
+  const err = fromBodyParser(caught);
+
+  // requestContext has normally set the id already; the fallback covers errors raised before it ran.
+  const requestId = req.requestId || createRequestId();
   req.requestId = requestId;
 
   // Default values keep the response helpful even for unexpected errors.
@@ -13,23 +28,26 @@ function errorHandler(err, req, res, _next) {
   const errorCode = err.code || 'INTERNAL_ERROR';
   const message = err.message || 'Something went wrong.';
 
-  // Log to the console so beginners can see the stack during development.
-  // eslint-disable-next-line no-console
-  console.error(`[${requestId}]`, err);
+  // Unexpected failures are logged with their stack. Expected ones (bad input, not found...)
+  // show up as the errorCode on the request's own log line.
+  if (status >= 500) {
+    logger.error('Request failed', { requestId, errorCode, error: err });
+  }
+
+  // Lets code that watches finished responses (the rate limiter, the request log) see which error was sent.
+  res.locals.errorCode = errorCode;
 
   res.status(status).json({
     errorCode,
     message,
-    requestId
+    requestId,
+    // Field-level problems from the validate middleware: [{ field, message }].
+    ...(err.fields ? { fields: err.fields } : {})
   });
 }
 
 module.exports = {
   errorHandler,
-  createRequestId
-};
-
-module.exports = {
-  errorHandler,
-  createRequestId
+  createRequestId,
+  createError
 };
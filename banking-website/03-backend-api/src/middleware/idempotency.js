@@ -0,0 +1,90 @@
+// Idempotency-Key support for routes that move money.
+//
+// A client sends `Idempotency-Key: <unique string>` with the request. The first
+// time a key is seen the route runs as usual and its response (status + body) is
+// stored next to a fingerprint of the request. If the same key comes back:
+// - with the same request, the stored response is sent again and nothing runs twice;
+// - with a different request, the client gets 409 IDEMPOTENCY_KEY_REUSED.
+//
+// Keys are scoped to the signed-in user, so mount this after requireAuth.
+// Server errors (5xx) are not stored, so a retry after one runs the route again.
+// Stored keys expire after IDEMPOTENCY_TTL_HOURS (default 24). Requests without
+// the header are handled normally.
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('./errorHandler');
+
+const TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so { a, b } and { b, a } fingerprint the same.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const fingerprintRequest = (req) =>
+  crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+const removeExpiredKeys = (now) => {
+  db.listIdempotencyKeys()
+    .filter((entry) => new Date(entry.expiresAt).getTime() <= now)
+    .forEach((entry) => db.removeIdempotencyKey(entry.id));
+};
+
+function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return next(createError(400, 'VALIDATION', `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters long.`));
+  }
+
+  const now = Date.now();
+  removeExpiredKeys(now);
+
+  const fingerprint = fingerprintRequest(req);
+  const stored = db.listIdempotencyKeys().find((entry) => entry.userId === req.user.id && entry.key === key);
+
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) {
+      return next(
+        createError(409, 'IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request.')
+      );
+    }
+    res.setHeader('Idempotent-Replayed', 'true');
+    return res.status(stored.status).json(stored.body);
+  }
+
+  // Keep a copy of whatever the route (or the error handler) sends back.
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      db.addIdempotencyKey({
+        userId: req.user.id,
+        key,
+        fingerprint,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        status: res.statusCode,
+        body,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + TTL_MS).toISOString()
+      });
+    }
+    return sendJson(body);
+  };
+
+  return next();
+}
+
+module.exports = idempotency;
@@ -0,0 +1,162 @@
+// In-memory rate limiting and brute-force protection.
+//
+// Each limiter counts requests in a sliding window, separately per client IP and
+// (optionally) per account, such as the email being logged into. A client over
+// either limit gets 429 RATE_LIMITED with a Retry-After header.
+//
+// Limiters can also watch for failure codes (for example INVALID_CREDENTIALS).
+// After `threshold` failures inside the window the account (or the IP, for
+// limiters without an account key) is locked out; every
+// further lockout doubles the wait, up to `maxMs`. A successful request clears
+// the failures for that key.
+//
+// Counters live in this process only, so they reset on restart and are not
+// shared between several server instances.
+const { createError } = require('./errorHandler');
+
+// key -> { hits: number[], failures: number[], lockedUntil: number, lockouts: number }
+const buckets = new Map();
+
+const getBucket = (key) => {
+  if (!buckets.has(key)) {
+    buckets.set(key, { hits: [], failures: [], lockedUntil: 0, lockouts: 0 });
+  }
+  return buckets.get(key);
+};
+
+// Drop timestamps that have slid out of the window.
+const prune = (timestamps, windowMs, now) => {
+  while (timestamps.length > 0 && timestamps[0] <= now - windowMs) timestamps.shift();
+};
+
+const rateLimited = (res, retryAfterMs, message) => {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.setHeader('Retry-After', String(seconds));
+  const wait = `${seconds} second${seconds === 1 ? '' : 's'}`;
+  return createError(429, 'RATE_LIMITED', `${message} Please try again in ${wait}.`);
+};
+
+/**
+ * Build a rate-limiting middleware.
+ * @param {Object} options
+ * @param {string} options.name - Keeps counters of different limiters apart (e.g. "login").
+ * @param {number} options.windowMs - Length of the sliding window.
+ * @param {number} options.maxPerIp - Requests allowed per IP in the window.
+ * @param {number} [options.maxPerAccount] - Requests allowed per account in the window.
+ * @param {Function} [options.accountKey] - (req) => account identifier, or nothing to skip the account limit.
+ * @param {Object} [options.lockout] - Progressive lockout after repeated failures.
+ * @param {string[]} options.lockout.codes - Error codes that count as a failure.
+ * @param {number} options.lockout.threshold - Failures in the window before locking.
+ * @param {number} options.lockout.baseMs - First lockout length; doubles each time.
+ * @param {number} options.lockout.maxMs - Longest lockout.
+ */
+const createRateLimiter = ({ name, windowMs, maxPerIp, maxPerAccount, accountKey, lockout }) => {
+  return (req, res, next) => {
+    const now = Date.now();
+    const account = accountKey ? accountKey(req) : null;
+    const limits = [{ key: `${name}:ip:${req.ip}`, max: maxPerIp }];
+    if (account) limits.push({ key: `${name}:account:${String(account).toLowerCase()}`, max: maxPerAccount });
+
+    for (const { key, max } of limits) {
+      const bucket = getBucket(key);
+      if (bucket.lockedUntil > now) {
+        return next(rateLimited(res, bucket.lockedUntil - now, 'Too many failed attempts.'));
+      }
+
+      prune(bucket.hits, windowMs, now);
+      if (max && bucket.hits.length >= max) {
+        return next(rateLimited(res, bucket.hits[0] + windowMs - now, 'Too many requests.'));
+      }
+    }
+
+    limits.forEach(({ key }) => getBucket(key).hits.push(now));
+
+    if (lockout) {
+      // The error handler records the outcome in res.locals.errorCode before the response is sent.
+      // Failures count against the account when there is one, so a shared IP (an office, a NAT)
+      // is not locked out by one person mistyping; the per-IP request cap still applies.
+      const lockoutKey = limits[limits.length - 1].key;
+      res.on('finish', () => {
+        const finishedAt = Date.now();
+        const bucket = getBucket(lockoutKey);
+
+        if (res.statusCode < 400) {
+          bucket.failures = [];
+          bucket.lockouts = 0;
+          return;
+        }
+        if (!lockout.codes.includes(res.locals.errorCode)) return;
+
+        prune(bucket.failures, windowMs, finishedAt);
+        bucket.failures.push(finishedAt);
+        if (bucket.failures.length >= lockout.threshold) {
+          bucket.lockedUntil = finishedAt + Math.min(lockout.baseMs * 2 ** bucket.lockouts, lockout.maxMs);
+          bucket.lockouts += 1;
+          bucket.failures = [];
+        }
+      });
+    }
+
+    return next();
+  };
+};
+
+// Forget idle, unlocked keys now and then so the map does not grow forever.
+// A key that stays quiet this long also starts its lockout ladder from the bottom again.
+// unref() lets the process exit normally.
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+setInterval(() => {
+  const now = Date.now();
+  buckets.forEach((bucket, key) => {
+    const lastSeen = Math.max(bucket.hits.at(-1) || 0, bucket.failures.at(-1) || 0);
+    if (bucket.lockedUntil <= now && lastSeen <= now - CLEANUP_INTERVAL_MS) {
+      buckets.delete(key);
+    }
+  });
+}, CLEANUP_INTERVAL_MS).unref();
+
+const MINUTE = 60 * 1000;
+
+const bodyEmail = (req) => String(req.body?.email || '').trim() || null;
+const signedInUser = (req) => req.user?.id;
+
+// Limits for each protected route. Tune them here; routes pick theirs with `limiters.<name>`.
+const RATE_LIMITS = {
+  login: {
+    windowMs: 15 * MINUTE,
+    maxPerIp: 30,
+    maxPerAccount: 10,
+    accountKey: bodyEmail,
+    lockout: { codes: ['INVALID_CREDENTIALS'], threshold: 5, baseMs: MINUTE, maxMs: 30 * MINUTE }
+  },
+  register: { windowMs: 60 * MINUTE, maxPerIp: 10 },
+  forgotPassword: { windowMs: 15 * MINUTE, maxPerIp: 10, maxPerAccount: 3, accountKey: bodyEmail },
+  resetPassword: { windowMs: 15 * MINUTE, maxPerIp: 10 },
+  confirmEmail: { windowMs: 15 * MINUTE, maxPerIp: 10 },
+  changePassword: {
+    windowMs: 15 * MINUTE,
+    maxPerIp: 20,
+    maxPerAccount: 10,
+    accountKey: signedInUser,
+    lockout: { codes: ['INVALID_CURRENT_PASSWORD'], threshold: 5, baseMs: MINUTE, maxMs: 30 * MINUTE }
+  },
+  sendOtp: { windowMs: 15 * MINUTE, maxPerIp: 20, maxPerAccount: 10, accountKey: signedInUser },
+  // Each transfer already locks after a few wrong codes; this stops guessing across many transfers.
+  verifyOtp: {
+    windowMs: 15 * MINUTE,
+    maxPerIp: 30,
+    maxPerAccount: 20,
+    accountKey: signedInUser,
+    lockout: { codes: ['OTP_INVALID'], threshold: 8, baseMs: 5 * MINUTE, maxMs: 60 * MINUTE }
+  }
+};
+
+const limiters = Object.fromEntries(
+  Object.entries(RATE_LIMITS).map(([name, options]) => [name, createRateLimiter({ name, ...options })])
+);
+
+module.exports = {
+  RATE_LIMITS,
+  createRateLimiter,
+  limiters
+};
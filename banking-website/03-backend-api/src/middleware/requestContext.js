@@ -0,0 +1,58 @@
+// Give every request an id, make it available to the rest of the code, and log
+// one line per request when the response is finished.
+//
+// - A caller-provided x-request-id is reused (if it looks like an id), otherwise
+//   a new one is made. It is echoed back in the x-request-id response header.
+// - The id (and later the signed-in user, see requireAuth) is stored in the
+//   request context, so audits, notifications and log lines can name it.
+const { createRequestId } = require('./errorHandler');
+const { runWithContext } = require('../services/context.service');
+const logger = require('../services/logger.service');
+
+// Keep incoming ids short and printable so they cannot forge extra log lines.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Log "/api/accounts/:id" rather than the raw URL, so entries for the same route group together.
+// Express resets req.baseUrl when an error leaves a router, so the full pattern is
+// captured at the moment Express assigns req.route to the matched route.
+const trackMatchedRoute = (req) => {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      req.matchedRoute = `${req.baseUrl}${value.path}`;
+    }
+  });
+};
+
+function requestContext(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : createRequestId();
+  const startedAt = process.hrtime.bigint();
+
+  req.requestId = requestId;
+  res.setHeader('x-request-id', requestId);
+  trackMatchedRoute(req);
+
+  res.on('finish', () => {
+    const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    logger[level]('request', {
+      requestId,
+      userId: req.user?.id || null,
+      method: req.method,
+      route: req.matchedRoute || req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      errorCode: res.locals.errorCode || null,
+      latencyMs: Math.round(latencyMs * 10) / 10,
+      ip: req.ip
+    });
+  });
+
+  runWithContext({ requestId, userId: null }, next);
+}
+
+module.exports = requestContext;
@@ -0,0 +1,16 @@
+// Limit a route to admin users. Mount after requireAuth so req.user is set.
+const { createError } = require('./errorHandler');
+
+function requireAdmin(req, _res, next) {
+  if (!req.user) {
+    return next(createError(401, 'UNAUTHORIZED', 'Please sign in to continue.'));
+  }
+
+  if (req.user.role !== 'admin') {
+    return next(createError(403, 'FORBIDDEN', 'Admin access is required for this action.'));
+  }
+
+  return next();
+}
+
+module.exports = requireAdmin;
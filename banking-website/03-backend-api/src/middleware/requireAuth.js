@@ -0,0 +1,37 @@
+// Protect routes that need a logged-in user.
+// Expects an "Authorization: Bearer <token>" header and sets req.user for later handlers.
+const db = require('../db');
+const { verifyToken } = require('../services/auth.service');
+const { createError } = require('./errorHandler');
+const { getRequestContext } = require('../services/context.service');
+
+function requireAuth(req, _res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next(createError(401, 'UNAUTHORIZED', 'Please sign in to continue.'));
+  }
+
+  try {
+    const claims = verifyToken(token);
+    const user = db.listUsers().find((entry) => entry.id === claims.sub);
+    if (!user) {
+      throw createError(401, 'UNAUTHORIZED', 'Session expired. Please log in again.');
+    }
+
+    // Suspended users keep their token but lose access until an admin reactivates them.
+    if (user.status === 'suspended') {
+      throw createError(403, 'ACCOUNT_SUSPENDED', 'This account is suspended. Please contact your account officer.');
+    }
+
+    req.user = user;
+    req.sessionId = claims.sid;
+    // Later log lines for this request name the user too.
+    const context = getRequestContext();
+    if (context) context.userId = user.id;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = requireAuth;
@@ -0,0 +1,201 @@
+// Declarative request validation.
+//
+// Routes describe what they accept and this middleware checks it before the
+// handler runs:
+//
+//   router.post('/', validate({ body: { email: { type: 'email', required: true } } }), handler);
+//
+// Every problem is collected, then one 400 VALIDATION error is sent with
+// `fields: [{ field, message }]` so forms can highlight each input.
+//
+// Rules for a field:
+// - type: 'string' | 'email' | 'money' | 'integer' | 'number' | 'boolean' | 'date' | 'routingNumber' | 'accountNumber'
+//   | 'object'
+//   (number takes any decimal, such as an exchange rate)
+//   (money only checks the shape and keeps the text: how many decimals are allowed depends
+//   on the account's currency, so the service parses it with parseMinor in that currency)
+//   (object only checks the shape; the service checks what is inside)
+//   (routingNumber checks the ABA checksum; accountNumber takes 4 to 17 digits or a valid IBAN)
+// - required: reject missing or blank values
+// - enum: list of allowed values, or a function that returns it (for lists that change, such as currencies)
+// - minLength / maxLength (strings), min / max (numbers)
+// - pattern + patternMessage (strings)
+// - lowercase / uppercase (strings; trims and changes case before enum checks, for case-insensitive values)
+// - allowNegative (money; for signed amounts such as balance adjustments)
+// - label: name used in messages (defaults to the field name)
+//
+// A schema can also set `rejectUnknown: true` to refuse body fields it does not list.
+//
+// Numbers, booleans and dates sent as strings (query strings always are) are
+// converted, and the converted value replaces the original on req.
+const { createError } = require('./errorHandler');
+const bankDirectory = require('../services/bankDirectory.service');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const ZERO_PATTERN = /^-?0+(\.0+)?$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Each checker returns { value } when the input is fine or { error } with a message.
+const checkers = {
+  string: (value, rule, label) => {
+    if (typeof value !== 'string') return { error: `${label} must be text.` };
+    if (rule.lowercase) value = value.trim().toLowerCase();
+    if (rule.uppercase) value = value.trim().toUpperCase();
+    if (rule.minLength && value.trim().length < rule.minLength) {
+      return { error: `${label} must be at least ${rule.minLength} characters long.` };
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return { error: `${label} can be at most ${rule.maxLength} characters long.` };
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { error: rule.patternMessage || `${label} is not in the expected format.` };
+    }
+    return { value };
+  },
+
+  email: (value, rule, label) => {
+    const email = String(value).trim();
+    if (typeof value !== 'string' || !EMAIL_PATTERN.test(email)) {
+      return { error: `${label} must be a valid email address.` };
+    }
+    return { value: email };
+  },
+
+  money: (value, rule, label) => {
+    const text = String(value).trim();
+    if (!['number', 'string'].includes(typeof value) || !NUMBER_PATTERN.test(text)) {
+      return { error: `${label} must be an amount such as 25 or 25.50.` };
+    }
+    if (rule.allowNegative && ZERO_PATTERN.test(text)) return { error: `${label} cannot be zero.` };
+    if (!rule.allowNegative && (text.startsWith('-') || ZERO_PATTERN.test(text))) {
+      return { error: `${label} must be greater than zero.` };
+    }
+    return { value: text };
+  },
+
+  integer: (value, rule, label) => {
+    const text = String(value).trim();
+    if (!['number', 'string'].includes(typeof value) || !INTEGER_PATTERN.test(text)) {
+      return { error: `${label} must be a whole number.` };
+    }
+    const number = Number(text);
+    if (rule.min !== undefined && number < rule.min) return { error: `${label} must be at least ${rule.min}.` };
+    if (rule.max !== undefined && number > rule.max) return { error: `${label} can be at most ${rule.max}.` };
+    return { value: number };
+  },
+
+  number: (value, rule, label) => {
+    const text = String(value).trim();
+    if (!['number', 'string'].includes(typeof value) || !NUMBER_PATTERN.test(text)) {
+      return { error: `${label} must be a number.` };
+    }
+    const number = Number(text);
+    if (rule.min !== undefined && number < rule.min) return { error: `${label} must be at least ${rule.min}.` };
+    if (rule.max !== undefined && number > rule.max) return { error: `${label} can be at most ${rule.max}.` };
+    return { value: number };
+  },
+
+  boolean: (value, rule, label) => {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return { error: `${label} must be true or false.` };
+  },
+
+  date: (value, rule, label) => {
+    if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+      return { error: `${label} must be a valid date.` };
+    }
+    return { value };
+  },
+
+  routingNumber: (value, rule, label) => {
+    const text = String(value).trim();
+    if (!/^\d{9}$/.test(text)) return { error: `${label} must be 9 digits.` };
+    if (!bankDirectory.isValidRoutingNumber(text)) {
+      return { error: `This ${label.toLowerCase()} is not valid. Check it for typos.` };
+    }
+    return { value: text };
+  },
+
+  object: (value, rule, label) => {
+    if (typeof value !== 'object' || Array.isArray(value)) return { error: `${label} must be an object.` };
+    return { value };
+  },
+
+  // IBANs come back without spaces and in capitals.
+  accountNumber: (value, rule, label) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: `${label} must be text.` };
+    if (bankDirectory.looksLikeIban(value)) {
+      if (!bankDirectory.isValidIban(value)) return { error: 'This IBAN is not valid. Check it for typos.' };
+      return { value: bankDirectory.normalizeIban(value) };
+    }
+    const text = String(value).trim();
+    if (!/^\d{4,17}$/.test(text)) return { error: `${label} must be 4 to 17 digits, or an IBAN.` };
+    return { value: text };
+  }
+};
+
+// Check one part of the request (body, params or query) against its schema.
+const checkPart = (input, schema, fields) => {
+  const output = { ...input };
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const label = rule.label || field;
+    const value = input[field];
+
+    if (isBlank(value)) {
+      if (rule.required) fields.push({ field, message: `${label} is required.` });
+      return;
+    }
+
+    const checker = checkers[rule.type || 'string'];
+    const result = checker(value, rule, label);
+    if (result.error) {
+      fields.push({ field, message: result.error });
+      return;
+    }
+
+    const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum;
+    if (allowed && !allowed.includes(result.value)) {
+      fields.push({ field, message: `${label} must be one of: ${allowed.join(', ')}.` });
+      return;
+    }
+
+    output[field] = result.value;
+  });
+
+  return output;
+};
+
+/**
+ * Build a middleware that validates req.body, req.params and req.query.
+ * @param {{ body?: Object, params?: Object, query?: Object, rejectUnknown?: boolean }} schemas
+ *   Field name -> rule for each part (see top of file).
+ */
+const validate = (schemas) => (req, _res, next) => {
+  const fields = [];
+  const checked = {};
+
+  ['params', 'query', 'body'].forEach((part) => {
+    if (schemas[part]) checked[part] = checkPart(req[part] || {}, schemas[part], fields);
+  });
+
+  if (schemas.body && schemas.rejectUnknown) {
+    Object.keys(req.body || {})
+      .filter((field) => !(field in schemas.body))
+      .forEach((field) => fields.push({ field, message: `${field} is not accepted here.` }));
+  }
+
+  if (fields.length > 0) {
+    const error = createError(400, 'VALIDATION', fields.map((entry) => entry.message).join(' '));
+    return next(Object.assign(error, { fields }));
+  }
+
+  Object.assign(req, checked);
+  return next();
+};
+
+module.exports = validate;
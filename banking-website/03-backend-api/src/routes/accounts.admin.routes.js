@@ -0,0 +1,124 @@
+// Admin account tools: list every account, post manual adjustments, freeze/unfreeze/close.
+const express = require('express');
+const db = require('../db');
+const requireAuth = require('../middleware/requireAuth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { createError } = require('../middleware/errorHandler');
+const validate = require('../middleware/validate');
+const { findAccount, setAccountStatus, postAdjustment, toPublicAccount } = require('../services/account.service');
+const { auditFromRequest } = require('../services/audit.service');
+const { toPublicEntry } = require('../services/ledger.service');
+
+const router = express.Router();
+router.use(requireAuth, requireAdmin);
+
+const MAX_PAGE_SIZE = 100;
+// "freeze"/"unfreeze" read better in a UI; they map onto statuses.
+const STATUS_ALIASES = { freeze: 'frozen', unfreeze: 'active' };
+const STATUSES = ['active', 'frozen', 'closed'];
+
+const findAccountOr404 = (id) => {
+  const account = findAccount(id);
+  if (!account) {
+    throw createError(404, 'ACCOUNT_NOT_FOUND', 'Account was not found.');
+  }
+  return account;
+};
+
+const toAdminAccount = (account) => {
+  const owner = db.listUsers().find((user) => user.id === account.userId);
+  return {
+    ...toPublicAccount(account),
+    owner: owner ? { id: owner.id, name: owner.name, email: owner.email } : null
+  };
+};
+
+// GET /admin/accounts?search=jane&status=frozen&page=1&pageSize=20
+router.get('/', (req, res) => {
+  const search = String(req.query.search || '').trim().toLowerCase();
+  const status = String(req.query.status || '').trim().toLowerCase();
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+
+  const matches = db
+    .listAccounts()
+    .map(toAdminAccount)
+    .filter((account) => !status || account.status === status)
+    .filter(
+      (account) =>
+        !search ||
+        [account.nickname, account.number, account.owner?.name, account.owner?.email].some((value) =>
+          String(value || '').toLowerCase().includes(search)
+        )
+    );
+
+  const start = (page - 1) * pageSize;
+  res.json({
+    accounts: matches.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: matches.length
+  });
+});
+
+const adjustmentSchema = {
+  body: {
+    amount: { type: 'money', allowNegative: true, required: true, label: 'Amount' },
+    reason: { required: true, maxLength: 200, label: 'Reason' }
+  }
+};
+
+// POST /admin/accounts/:id/adjustments { amount: 25.00 | -25.00, reason }
+router.post('/:id/adjustments', validate(adjustmentSchema), (req, res) => {
+  const account = findAccountOr404(req.params.id);
+  const balanceBefore = toPublicAccount(account).balance;
+
+  const entry = toPublicEntry(
+    postAdjustment({
+      account,
+      amount: req.body?.amount,
+      reason: req.body?.reason,
+      adminId: req.user.id
+    })
+  );
+
+  auditFromRequest(req, {
+    action: 'adjust_balance',
+    entityType: 'account',
+    entityId: account.id,
+    before: { balance: balanceBefore },
+    after: { balance: entry.balanceAfter, ledgerEntryId: entry.id },
+    detail: `${entry.direction} ${Math.abs(entry.amount)}: ${req.body.reason}`
+  });
+
+  res.status(201).json({ entry, account: toAdminAccount(findAccount(account.id)) });
+});
+
+const statusSchema = {
+  body: {
+    status: { required: true, lowercase: true, enum: [...STATUSES, ...Object.keys(STATUS_ALIASES)], label: 'Status' },
+    reason: { maxLength: 200, label: 'Reason' }
+  }
+};
+
+// PATCH /admin/accounts/:id/status { status: "frozen" | "active" | "closed", reason }
+router.patch('/:id/status', validate(statusSchema), (req, res) => {
+  const status = STATUS_ALIASES[req.body.status] || req.body.status;
+  const account = findAccountOr404(req.params.id);
+  const previousStatus = account.status || 'active';
+
+  setAccountStatus(account, status);
+
+  auditFromRequest(req, {
+    action: 'update_account_status',
+    entityType: 'account',
+    entityId: account.id,
+    before: { status: previousStatus },
+    after: { status },
+    detail: `Status changed from ${previousStatus} to ${status}${req.body.reason ? `: ${req.body.reason}` : ''}`
+  });
+
+  res.json({ updated: true, account: toAdminAccount(findAccount(account.id)) });
+});
+
+module.exports = router;
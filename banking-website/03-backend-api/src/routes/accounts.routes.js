@@ -0,0 +1,25 @@
+// The signed-in customer's own accounts.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const { listAccountsForUser, findOwnAccount, getBalanceTotal, toPublicAccount } = require('../services/account.service');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /accounts -> { accounts: [...] }
+router.get('/', (req, res) => {
+  res.json({ accounts: listAccountsForUser(req.user.id).map(toPublicAccount) });
+});
+
+// GET /accounts/summary -> { total: { amount, currency, rateDate } }
+// Every balance added up in the customer's base currency. rateDate is the date of the oldest rate used.
+router.get('/summary', (req, res) => {
+  res.json({ total: getBalanceTotal(req.user) });
+});
+
+// GET /accounts/:id -> { account }
+router.get('/:id', (req, res) => {
+  res.json({ account: toPublicAccount(findOwnAccount(req.user.id, req.params.id)) });
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// Admin audit log: search records and prove the hash chain is intact.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { createError } = require('../middleware/errorHandler');
+const { searchAudits, verifyChain } = require('../services/audit.service');
+
+const router = express.Router();
+router.use(requireAuth, requireAdmin);
+
+const MAX_PAGE_SIZE = 200;
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createError(400, 'VALIDATION', `${name} must be a valid date.`);
+  }
+  return date;
+};
+
+// GET /admin/audit?actor=admin@example.com&action=adjust_balance&entity=account&entityId=...&from=&to=&page=&pageSize=
+router.get('/', (req, res) => {
+  res.json(
+    searchAudits({
+      actor: req.query.actor,
+      action: req.query.action,
+      entityType: req.query.entity,
+      entityId: req.query.entityId,
+      from: parseDate(req.query.from, 'from'),
+      to: parseDate(req.query.to, 'to'),
+      page: Math.max(1, parseInt(req.query.page, 10) || 1),
+      pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 50))
+    })
+  );
+});
+
+// GET /admin/audit/verify -> { ok, checked, firstBrokenLink }
+router.get('/verify', (req, res) => {
+  res.json(verifyChain());
+});
+
+module.exports = router;
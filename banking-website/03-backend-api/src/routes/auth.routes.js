@@ -0,0 +1,205 @@
+// Register, log in and look up the current user.
+const crypto = require('crypto');
+const express = require('express');
+const db = require('../db');
+const requireAuth = require('../middleware/requireAuth');
+const { createError } = require('../middleware/errorHandler');
+const { limiters } = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const {
+  assertPasswordRules,
+  hashPassword,
+  verifyPassword,
+  setUserPassword,
+  issueToken,
+  revokeUserSessions,
+  toPublicUser
+} = require('../services/auth.service');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset.service');
+const { auditFromRequest } = require('../services/audit.service');
+const { EVENTS, emitEvent } = require('../services/events.service');
+
+const router = express.Router();
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const findUserByEmail = (email) => db.listUsers().find((user) => user.email === email);
+
+// POST /auth/register -> { userId, email, token, expiresIn, user }
+const registerSchema = {
+  body: {
+    email: { type: 'email', required: true, label: 'Email' },
+    password: { required: true, label: 'Password' },
+    fullName: { maxLength: 100, label: 'Full name' },
+    name: { maxLength: 100, label: 'Name' }
+  }
+};
+
+router.post('/register', limiters.register, validate(registerSchema), (req, res) => {
+  const { password } = req.body || {};
+  const email = normalizeEmail(req.body?.email);
+  // The spec uses fullName, the vanilla JS form sends name. Accept either.
+  const name = String(req.body?.fullName || req.body?.name || '').trim();
+
+  assertPasswordRules(password, { email });
+
+  if (findUserByEmail(email)) {
+    throw createError(409, 'EMAIL_IN_USE', 'This email is already registered.');
+  }
+
+  const user = db.addUser({
+    role: 'customer',
+    name: name || email.split('@')[0],
+    email,
+    passwordHash: hashPassword(String(password)),
+    status: 'active',
+    createdAt: new Date().toISOString()
+  });
+
+  // New customers get an empty checking account so the dashboard has something to show.
+  const account = db.addAccount({
+    userId: user.id,
+    type: 'checking',
+    nickname: 'New Checking',
+    number: String(crypto.randomInt(1e9, 1e10)),
+    balanceMinor: 0
+  });
+
+  auditFromRequest(req, {
+    actorId: user.id,
+    action: 'register_user',
+    entityType: 'user',
+    entityId: user.id,
+    after: { email, role: user.role, status: user.status, accountId: account.id },
+    detail: `Registered ${email}`
+  });
+
+  const { token, expiresIn } = issueToken(user);
+  res.status(201).json({ userId: user.id, email: user.email, token, expiresIn, user: toPublicUser(user) });
+});
+
+// POST /auth/login -> { userId, token, expiresIn, user }
+const loginSchema = {
+  body: {
+    email: { required: true, label: 'Email' },
+    password: { required: true, label: 'Password' }
+  }
+};
+
+router.post('/login', limiters.login, validate(loginSchema), (req, res) => {
+  const { password } = req.body || {};
+  const email = normalizeEmail(req.body?.email);
+
+  const user = findUserByEmail(email);
+  // Same error for unknown email and wrong password so emails cannot be probed.
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    throw createError(401, 'INVALID_CREDENTIALS', 'Invalid email or password.');
+  }
+
+  if (user.status === 'suspended') {
+    throw createError(403, 'ACCOUNT_SUSPENDED', 'This account is suspended. Please contact your account officer.');
+  }
+
+  const { token, expiresIn, session } = issueToken(user);
+  auditFromRequest(req, {
+    actorId: user.id,
+    action: 'login',
+    entityType: 'session',
+    entityId: session.id,
+    detail: `Signed in as ${email}`
+  });
+  emitEvent(EVENTS.USER_LOGGED_IN, { user, sessionId: session.id, ip: req.ip, userAgent: req.get('user-agent') });
+  res.json({ userId: user.id, token, expiresIn, user: toPublicUser(user) });
+});
+
+// POST /auth/forgot-password { email } -> 202 { accepted, message }
+// The response is the same whether or not the email is registered, so it cannot be used to probe for accounts.
+const forgotPasswordSchema = { body: { email: { type: 'email', required: true, label: 'Email' } } };
+
+router.post('/forgot-password', limiters.forgotPassword, validate(forgotPasswordSchema), (req, res) => {
+  const email = normalizeEmail(req.body.email);
+
+  const user = findUserByEmail(email);
+  if (user) {
+    const reset = requestPasswordReset(user);
+    auditFromRequest(req, {
+      actorId: user.id,
+      action: 'request_password_reset',
+      entityType: 'user',
+      entityId: user.id,
+      after: { resetId: reset.id, expiresAt: reset.expiresAt },
+      detail: `Password reset requested for ${email}`
+    });
+  }
+
+  res.status(202).json({
+    accepted: true,
+    message: 'If that email is registered, we have sent instructions to reset your password.'
+  });
+});
+
+// POST /auth/reset-password { token, password } -> { reset, revokedSessions }
+const resetPasswordSchema = {
+  body: {
+    token: { required: true, label: 'Reset token' },
+    password: { required: true, label: 'Password' }
+  }
+};
+
+router.post('/reset-password', limiters.resetPassword, validate(resetPasswordSchema), (req, res) => {
+  const { user, revokedSessions } = resetPassword({ token: req.body?.token, password: req.body?.password });
+
+  auditFromRequest(req, {
+    actorId: user.id,
+    action: 'reset_password',
+    entityType: 'user',
+    entityId: user.id,
+    after: { passwordChangedAt: user.passwordChangedAt, revokedSessions },
+    detail: `Password reset for ${user.email}; ${revokedSessions} session(s) signed out`
+  });
+  emitEvent(EVENTS.PASSWORD_CHANGED, { user, reason: 'reset', revokedSessions });
+
+  res.json({ reset: true, revokedSessions });
+});
+
+// POST /auth/change-password { currentPassword, newPassword } -> { changed, revokedSessions }
+// The session making the request stays signed in; every other session is revoked.
+const changePasswordSchema = {
+  body: {
+    currentPassword: { required: true, label: 'Current password' },
+    newPassword: { required: true, label: 'New password' }
+  }
+};
+
+router.post('/change-password', requireAuth, limiters.changePassword, validate(changePasswordSchema), (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!verifyPassword(currentPassword, req.user.passwordHash)) {
+    throw createError(400, 'INVALID_CURRENT_PASSWORD', 'Your current password is incorrect.');
+  }
+
+  assertPasswordRules(newPassword, { email: req.user.email, field: 'newPassword' });
+
+  const { user, revokedSessions } = db.withTransaction(() => ({
+    user: setUserPassword(req.user, newPassword),
+    revokedSessions: revokeUserSessions(req.user.id, { exceptSessionId: req.sessionId })
+  }));
+
+  auditFromRequest(req, {
+    action: 'change_password',
+    entityType: 'user',
+    entityId: user.id,
+    after: { passwordChangedAt: user.passwordChangedAt, revokedSessions },
+    detail: `Password changed; ${revokedSessions} other session(s) signed out`
+  });
+  emitEvent(EVENTS.PASSWORD_CHANGED, { user, reason: 'change', revokedSessions });
+
+  res.json({ changed: true, revokedSessions });
+});
+
+// GET /auth/me -> { user }
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+// Saved payees for the signed-in customer.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const validate = require('../middleware/validate');
+const {
+  COOLING_OFF_LIMIT,
+  CREATE_BENEFICIARY_SCHEMA,
+  UPDATE_BENEFICIARY_SCHEMA,
+  findBeneficiaryForUser,
+  listBeneficiariesForUser,
+  toPublicBeneficiary,
+  createBeneficiary,
+  updateBeneficiary,
+  removeBeneficiary
+} = require('../services/beneficiary.service');
+const { auditFromRequest } = require('../services/audit.service');
+const { EVENTS, emitEvent } = require('../services/events.service');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Account numbers stay out of the audit trail except for their last four digits.
+const auditFields = (beneficiary) => ({
+  name: beneficiary.name,
+  nickname: beneficiary.nickname,
+  bankName: beneficiary.bankName,
+  routingNumber: beneficiary.routingNumber,
+  accountNumber: `****${beneficiary.accountNumber.slice(-4)}`,
+  coolingOffEndsAt: beneficiary.coolingOffEndsAt
+});
+
+// GET /beneficiaries -> { beneficiaries } (sorted by nickname or name)
+router.get('/', (req, res) => {
+  const beneficiaries = listBeneficiariesForUser(req.user.id).map((beneficiary) => toPublicBeneficiary(beneficiary));
+  res.json({ beneficiaries });
+});
+
+// POST /beneficiaries { name, nickname?, bankName, routingNumber, accountNumber } -> 201 { beneficiary }
+router.post('/', validate(CREATE_BENEFICIARY_SCHEMA), (req, res) => {
+  const beneficiary = createBeneficiary(req.user.id, req.body);
+
+  auditFromRequest(req, {
+    action: 'create_beneficiary',
+    entityType: 'beneficiary',
+    entityId: beneficiary.id,
+    after: auditFields(beneficiary),
+    detail: `Added payee ${beneficiary.name}`
+  });
+  emitEvent(EVENTS.BENEFICIARY_SAVED, { beneficiary, action: 'added', coolingOffLimit: COOLING_OFF_LIMIT });
+
+  res.status(201).json({ beneficiary: toPublicBeneficiary(beneficiary) });
+});
+
+// PATCH /beneficiaries/:id { name?, nickname?, bankName?, routingNumber?, accountNumber? } -> { beneficiary }
+router.patch('/:id', validate(UPDATE_BENEFICIARY_SCHEMA), (req, res) => {
+  const before = auditFields(findBeneficiaryForUser(req.user.id, req.params.id));
+  const beneficiary = updateBeneficiary(req.user.id, req.params.id, req.body || {});
+
+  auditFromRequest(req, {
+    action: 'update_beneficiary',
+    entityType: 'beneficiary',
+    entityId: beneficiary.id,
+    before,
+    after: auditFields(beneficiary),
+    detail: `Edited payee ${beneficiary.name}`
+  });
+  if (beneficiary.coolingOffEndsAt !== before.coolingOffEndsAt) {
+    emitEvent(EVENTS.BENEFICIARY_SAVED, { beneficiary, action: 'updated', coolingOffLimit: COOLING_OFF_LIMIT });
+  }
+
+  res.json({ beneficiary: toPublicBeneficiary(beneficiary) });
+});
+
+// DELETE /beneficiaries/:id -> { removed: true }
+// Past transfers and receipts keep the payee details they were made with.
+router.delete('/:id', (req, res) => {
+  const beneficiary = removeBeneficiary(req.user.id, req.params.id);
+
+  auditFromRequest(req, {
+    action: 'remove_beneficiary',
+    entityType: 'beneficiary',
+    entityId: beneficiary.id,
+    before: auditFields(beneficiary),
+    detail: `Removed payee ${beneficiary.name}`
+  });
+
+  res.json({ removed: true });
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// Admin exchange-rate table: see every rate and set new ones by hand.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const requireAdmin = require('../middleware/requireAdmin');
+const validate = require('../middleware/validate');
+const { BASE_CURRENCY, listRates, setRate } = require('../services/fx.service');
+const { auditFromRequest } = require('../services/audit.service');
+
+const router = express.Router();
+router.use(requireAuth, requireAdmin);
+
+const rateSchema = { body: { rate: { type: 'number', required: true, label: 'Rate' } } };
+
+// GET /admin/fx-rates -> { baseCurrency, rates: [{ currency, rate, updatedAt }] }
+router.get('/', (req, res) => {
+  res.json({ baseCurrency: BASE_CURRENCY, rates: listRates() });
+});
+
+// PUT /admin/fx-rates/:currency { rate } -> { rate }
+// Sets (or adds) how many units of :currency one unit of the base currency buys.
+// Transfers already made keep the rate they were made at.
+router.put('/:currency', validate(rateSchema), (req, res) => {
+  const { before, after } = setRate({ currency: req.params.currency, rate: req.body.rate }, req.user.id);
+
+  auditFromRequest(req, {
+    action: 'update_fx_rate',
+    entityType: 'fx_rate',
+    entityId: after.currency,
+    before: before ? { rate: before.rate } : null,
+    after: { rate: after.rate },
+    detail: `1 ${BASE_CURRENCY} = ${after.rate} ${after.currency}`
+  });
+
+  res.json({ rate: after });
+});
+
+module.exports = router;
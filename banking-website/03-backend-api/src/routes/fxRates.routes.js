@@ -0,0 +1,41 @@
+// Exchange rates for customers: the rate table and quotes for cross-currency transfers.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const validate = require('../middleware/validate');
+const { BASE_CURRENCY, listRates, quoteConversion, toPublicQuote } = require('../services/fx.service');
+const { parseAmount } = require('../services/ledger.service');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+const CURRENCY_MESSAGE = 'Currency must be a three-letter ISO code such as EUR.';
+
+const quoteSchema = {
+  query: {
+    from: { required: true, pattern: CURRENCY_PATTERN, patternMessage: CURRENCY_MESSAGE, label: 'From currency' },
+    to: { required: true, pattern: CURRENCY_PATTERN, patternMessage: CURRENCY_MESSAGE, label: 'To currency' },
+    amount: { type: 'money', required: true, label: 'Amount' }
+  }
+};
+
+// GET /fx-rates -> { baseCurrency, rates: [{ currency, rate, updatedAt }] }
+// Each rate is how many units of `currency` one unit of the base currency buys.
+router.get('/', (req, res) => {
+  res.json({ baseCurrency: BASE_CURRENCY, rates: listRates() });
+});
+
+// GET /fx-rates/quote?from=USD&to=EUR&amount=100
+//   -> { quote: { fromCurrency, toCurrency, rate, amount, convertedAmount, rateDate } }
+// Show this before a cross-currency transfer and send its `rate` back as `fxRate`.
+router.get('/quote', validate(quoteSchema), (req, res) => {
+  const fromCurrency = String(req.query.from).trim().toUpperCase();
+  const quote = quoteConversion({
+    amountMinor: parseAmount(req.query.amount, fromCurrency),
+    fromCurrency,
+    toCurrency: String(req.query.to).trim().toUpperCase()
+  });
+  res.json({ quote: toPublicQuote(quote) });
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+// In-app notifications and alert preferences for the signed-in customer.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const validate = require('../middleware/validate');
+const {
+  PREFERENCES_SCHEMA,
+  getPreferences,
+  updatePreferences,
+  toPublicNotification,
+  listNotificationsForUser,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../services/notification.service');
+const { auditFromRequest } = require('../services/audit.service');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /notifications -> { notifications, unreadCount } (newest first)
+router.get('/', (req, res) => {
+  const notifications = listNotificationsForUser(req.user.id).map(toPublicNotification);
+  res.json({
+    notifications,
+    unreadCount: notifications.filter((notification) => !notification.read).length
+  });
+});
+
+// GET /notifications/preferences -> { preferences }
+router.get('/preferences', (req, res) => {
+  res.json({ preferences: getPreferences(req.user.id) });
+});
+
+// PUT /notifications/preferences { alerts, lowBalanceThreshold, quietHours } -> { saved, preferences }
+router.put('/preferences', validate(PREFERENCES_SCHEMA), (req, res) => {
+  const before = getPreferences(req.user.id);
+  const preferences = updatePreferences(req.user.id, req.body);
+
+  if (JSON.stringify(before) !== JSON.stringify(preferences)) {
+    auditFromRequest(req, {
+      action: 'update_notification_preferences',
+      entityType: 'user',
+      entityId: req.user.id,
+      before,
+      after: preferences,
+      detail: 'Updated alert preferences'
+    });
+  }
+
+  res.json({ saved: true, preferences });
+});
+
+// POST /notifications/mark-read { id }
+router.post('/mark-read', validate({ body: { id: { required: true, label: 'Notification' } } }), (req, res) => {
+  const { notification, changed } = markNotificationRead(req.user.id, req.body.id);
+
+  if (changed) {
+    auditFromRequest(req, {
+      action: 'mark_notification_read',
+      entityType: 'notification',
+      entityId: notification.id,
+      before: { read: false },
+      after: { read: true, readAt: notification.readAt },
+      detail: notification.title
+    });
+  }
+
+  res.json({ notification: toPublicNotification(notification) });
+});
+
+// POST /notifications/mark-all-read -> { success, updated }
+router.post('/mark-all-read', (req, res) => {
+  const updated = markAllNotificationsRead(req.user.id);
+
+  if (updated > 0) {
+    auditFromRequest(req, {
+      action: 'mark_all_notifications_read',
+      entityType: 'user',
+      entityId: req.user.id,
+      after: { updated },
+      detail: `Marked ${updated} notification${updated === 1 ? '' : 's'} as read`
+    });
+  }
+
+  res.json({ success: true, updated });
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// Step-up transfer flow: initiate -> send-otp -> verify-otp -> confirm.
+// Money only moves in /confirm, and only after the passcode was verified.
+const express = require('express');
+const db = require('../db');
+const requireAuth = require('../middleware/requireAuth');
+const idempotency = require('../middleware/idempotency');
+const validate = require('../middleware/validate');
+const { createError } = require('../middleware/errorHandler');
+const { limiters } = require('../middleware/rateLimit');
+const otpService = require('../services/otp.service');
+const transferService = require('../services/transfer.service');
+const { auditFromRequest } = require('../services/audit.service');
+
+const router = express.Router();
+router.use(requireAuth);
+
+const transferIdSchema = { body: { transferId: { required: true, label: 'Transfer' } } };
+const verifyOtpSchema = {
+  body: { ...transferIdSchema.body, code: { required: true, maxLength: 10, label: 'Passcode' } }
+};
+
+// Load a transfer that belongs to the caller, or 404.
+const findOwnTransfer = (req) => {
+  const transfer = transferService.findTransfer(req.body?.transferId);
+  if (!transfer || transfer.userId !== req.user.id) {
+    throw createError(404, 'TRANSFER_NOT_FOUND', 'Transfer could not be located.');
+  }
+  return transfer;
+};
+
+// POST /transfer/initiate { fromAccountId, toAccountId | beneficiaryId | toAccount, amount, fxRate?, memo }
+// The exchange rate of a cross-currency transfer is fixed here; /confirm moves the money at that rate.
+router.post('/initiate', validate(transferService.TRANSFER_REQUEST_SCHEMA), (req, res) => {
+  const { fromAccountId, toAccountId, toAccount, amount } = req.body || {};
+  const created = transferService.createTransfer({
+    userId: req.user.id,
+    fromAccountId,
+    toAccountId,
+    beneficiaryId: req.body?.beneficiaryId,
+    toExternalAccount: toAccount,
+    toRoutingNumber: req.body?.toRoutingNumber,
+    beneficiaryName: req.body?.beneficiaryName,
+    beneficiaryBank: req.body?.beneficiaryBank,
+    amount,
+    fxRate: req.body?.fxRate,
+    memo: req.body?.memo ?? req.body?.note
+  });
+  const transfer = transferService.toPublicTransfer(created);
+
+  auditFromRequest(req, {
+    action: 'initiate_transfer',
+    entityType: 'transfer',
+    entityId: transfer.id,
+    after: { status: transfer.status, amount: transfer.amount, reference: transfer.reference }
+  });
+
+  res.status(201).json({ transferId: transfer.id, status: transfer.status, fx: transfer.fx });
+});
+
+// POST /transfer/send-otp { transferId } -> the code goes to the user's outbox, never the response.
+router.post('/send-otp', limiters.sendOtp, validate(transferIdSchema), (req, res) => {
+  const transfer = findOwnTransfer(req);
+  if (transfer.status !== transferService.TRANSFER_STATUS.PENDING) {
+    throw createError(409, 'INVALID_TRANSFER_STATE', `Transfer is already ${transfer.status}.`);
+  }
+
+  const { expiresAt, resendAvailableAt } = otpService.sendOtp({ transfer, user: req.user });
+  res.json({ status: 'OTP_SENT', expiresAt, resendAvailableAt });
+});
+
+// POST /transfer/verify-otp { transferId, code }
+router.post('/verify-otp', limiters.verifyOtp, validate(verifyOtpSchema), (req, res) => {
+  const transfer = findOwnTransfer(req);
+  if (transfer.failureCode === 'OTP_LOCKED') {
+    throw createError(423, 'OTP_LOCKED', 'Too many attempts. Please contact your officer.');
+  }
+  if (transfer.status !== transferService.TRANSFER_STATUS.PENDING) {
+    throw createError(409, 'INVALID_TRANSFER_STATE', `Transfer is already ${transfer.status}.`);
+  }
+
+  try {
+    otpService.verifyOtp({ transferId: transfer.id, code: req.body?.code });
+  } catch (error) {
+    if (error.locked) {
+      transferService.failTransfer(transfer.id, 'OTP_LOCKED');
+      auditFromRequest(req, {
+        action: 'lock_transfer_otp',
+        entityType: 'transfer',
+        entityId: transfer.id,
+        before: { status: transfer.status },
+        after: { status: 'failed', failureCode: 'OTP_LOCKED' },
+        detail: 'Too many incorrect passcodes'
+      });
+    }
+    throw error;
+  }
+
+  const verified = transferService.markVerified(transfer.id);
+  auditFromRequest(req, {
+    action: 'verify_transfer',
+    entityType: 'transfer',
+    entityId: verified.id,
+    before: { status: transfer.status },
+    after: { status: verified.status }
+  });
+  res.json({ transferId: verified.id, status: verified.status });
+});
+
+// POST /transfer/confirm { transferId } (accepts an Idempotency-Key header like POST /transfers)
+router.post('/confirm', idempotency, validate(transferIdSchema), (req, res) => {
+  const transfer = findOwnTransfer(req);
+  if (transfer.status !== transferService.TRANSFER_STATUS.VERIFIED) {
+    throw createError(400, 'OTP_REQUIRED', 'Please verify the passcode before confirming.');
+  }
+
+  const completed = transferService.toPublicTransfer(transferService.executeTransfer(transfer.id));
+  auditFromRequest(req, {
+    action: 'complete_transfer',
+    entityType: 'transfer',
+    entityId: completed.id,
+    before: { status: transfer.status },
+    after: { status: completed.status, amount: completed.amount, reference: completed.reference }
+  });
+  const fromAccount = db.listAccounts().find((account) => account.id === completed.fromAccountId);
+  const toAccount = db.listAccounts().find((account) => account.id === completed.toAccountId);
+
+  res.json({
+    transferId: completed.id,
+    status: completed.status,
+    receipt: {
+      id: completed.id,
+      fromAccount: fromAccount?.number,
+      toAccount: toAccount?.number || completed.toExternalAccount,
+      amount: completed.amount,
+      createdAt: completed.completedAt,
+      reference: completed.reference
+    }
+  });
+});
+
+module.exports = router;
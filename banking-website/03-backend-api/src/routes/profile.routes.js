@@ -0,0 +1,77 @@
+// The signed-in customer's own profile, plus the email-change confirmation link.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const { limiters } = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const {
+  PROFILE_UPDATE_SCHEMA,
+  toProfile,
+  updateProfile,
+  confirmEmailChange
+} = require('../services/profile.service');
+const { auditFromRequest } = require('../services/audit.service');
+const { EVENTS, emitEvent } = require('../services/events.service');
+
+const router = express.Router();
+
+// GET /profile -> { profile }
+router.get('/', requireAuth, (req, res) => {
+  res.json({ profile: toProfile(req.user) });
+});
+
+// PATCH /profile { phone?, address?, email?, baseCurrency? } -> { updated, profile, emailVerificationSent }
+router.patch('/', requireAuth, validate(PROFILE_UPDATE_SCHEMA), (req, res) => {
+  const { user, before, after, changedFields, emailVerificationSent } = updateProfile(req.user, req.body);
+
+  if (changedFields.length > 0) {
+    auditFromRequest(req, {
+      action: 'update_profile',
+      entityType: 'user',
+      entityId: user.id,
+      before: Object.fromEntries(changedFields.map((field) => [field, before[field]])),
+      after: Object.fromEntries(changedFields.map((field) => [field, after[field]])),
+      detail: `Updated ${changedFields.join(', ')}`
+    });
+    emitEvent(EVENTS.PROFILE_CHANGED, { user, fields: changedFields });
+  }
+
+  if (emailVerificationSent) {
+    auditFromRequest(req, {
+      action: 'request_email_change',
+      entityType: 'user',
+      entityId: user.id,
+      before: { email: user.email, pendingEmail: before.pendingEmail },
+      after: { email: user.email, pendingEmail: after.pendingEmail },
+      detail: `Confirmation link sent to ${after.pendingEmail}`
+    });
+  }
+
+  res.json({
+    updated: changedFields.length > 0 || emailVerificationSent,
+    profile: toProfile(user),
+    emailVerificationSent
+  });
+});
+
+// POST /profile/confirm-email { token } -> { confirmed, email }
+// No sign-in needed: the token from the emailed link proves the customer owns the new address.
+const confirmEmailSchema = { body: { token: { required: true, label: 'Token' } } };
+
+router.post('/confirm-email', limiters.confirmEmail, validate(confirmEmailSchema), (req, res) => {
+  const { user, previousEmail } = confirmEmailChange(req.body?.token);
+
+  auditFromRequest(req, {
+    actorId: user.id,
+    action: 'confirm_email_change',
+    entityType: 'user',
+    entityId: user.id,
+    before: { email: previousEmail },
+    after: { email: user.email },
+    detail: `Email changed from ${previousEmail} to ${user.email}`
+  });
+  emitEvent(EVENTS.PROFILE_CHANGED, { user, fields: ['email'] });
+
+  res.json({ confirmed: true, email: user.email });
+});
+
+module.exports = router;
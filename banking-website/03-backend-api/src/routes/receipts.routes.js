@@ -0,0 +1,24 @@
+// Transfer receipts as JSON or as a downloadable PDF.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const { getReceiptForUser, toPublicReceipt, renderReceiptPdf } = require('../services/receipt.service');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// GET /receipts/:transferId -> { receipt }
+// GET /receipts/:transferId?format=pdf (or Accept: application/pdf) -> PDF file
+router.get('/:transferId', (req, res) => {
+  const receipt = getReceiptForUser(req.user, req.params.transferId);
+  const wantsPdf = req.query.format === 'pdf' || (req.query.format !== 'json' && req.accepts(['json', 'pdf']) === 'pdf');
+
+  if (wantsPdf) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.reference}.pdf"`);
+    return res.send(renderReceiptPdf(receipt));
+  }
+
+  res.json({ receipt: toPublicReceipt(receipt) });
+});
+
+module.exports = router;
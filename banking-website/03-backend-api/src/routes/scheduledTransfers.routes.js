@@ -0,0 +1,107 @@
+// Future-dated and recurring transfers for the signed-in customer.
+// The transfer scheduler (see scheduledTransfer.service.js) sends them when they are due.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const validate = require('../middleware/validate');
+const {
+  CREATE_SCHEDULE_SCHEMA,
+  UPDATE_SCHEDULE_SCHEMA,
+  toPublicScheduledTransfer,
+  findScheduleForUser,
+  listScheduledTransfersForUser,
+  createScheduledTransfer,
+  updateScheduledTransfer,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer
+} = require('../services/scheduledTransfer.service');
+const { auditFromRequest } = require('../services/audit.service');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// Fields worth keeping in the audit trail when a schedule changes.
+const auditFields = (schedule) => ({
+  status: schedule.status,
+  amount: toPublicScheduledTransfer(schedule).amount,
+  frequency: schedule.frequency,
+  nextRunDate: schedule.nextRunDate,
+  endDate: schedule.endDate,
+  maxOccurrences: schedule.maxOccurrences
+});
+
+// GET /scheduled-transfers -> { scheduledTransfers } (upcoming first, then finished)
+router.get('/', (req, res) => {
+  res.json({ scheduledTransfers: listScheduledTransfersForUser(req.user.id).map(toPublicScheduledTransfer) });
+});
+
+// POST /scheduled-transfers { fromAccountId, toAccountId | beneficiaryId | toAccount (+ toRoutingNumber), amount, memo,
+//   frequency, startDate, endDate?, maxOccurrences? } -> 201 { scheduledTransfer }
+router.post('/', validate(CREATE_SCHEDULE_SCHEMA), (req, res) => {
+  const schedule = createScheduledTransfer({
+    userId: req.user.id,
+    fromAccountId: req.body.fromAccountId,
+    toAccountId: req.body.toAccountId,
+    beneficiaryId: req.body.beneficiaryId,
+    toExternalAccount: req.body.toAccount,
+    toRoutingNumber: req.body.toRoutingNumber,
+    beneficiaryName: req.body.beneficiaryName,
+    beneficiaryBank: req.body.beneficiaryBank,
+    amount: req.body.amount,
+    memo: req.body.memo ?? req.body.note,
+    frequency: req.body.frequency,
+    startDate: req.body.startDate,
+    endDate: req.body.endDate,
+    maxOccurrences: req.body.maxOccurrences
+  });
+
+  auditFromRequest(req, {
+    action: 'create_scheduled_transfer',
+    entityType: 'scheduled_transfer',
+    entityId: schedule.id,
+    after: auditFields(schedule),
+    detail: `Scheduled ${schedule.frequency} transfer of ${auditFields(schedule).amount} from ${schedule.fromAccountId}`
+  });
+
+  res.status(201).json({ scheduledTransfer: toPublicScheduledTransfer(schedule) });
+});
+
+// PATCH /scheduled-transfers/:id { amount?, memo?, frequency?, nextRunDate?, endDate?, maxOccurrences? }
+//   -> { scheduledTransfer }
+router.patch('/:id', validate(UPDATE_SCHEDULE_SCHEMA), (req, res) => {
+  const before = auditFields(findScheduleForUser(req.user.id, req.params.id));
+  const schedule = updateScheduledTransfer(req.user.id, req.params.id, req.body || {});
+
+  auditFromRequest(req, {
+    action: 'update_scheduled_transfer',
+    entityType: 'scheduled_transfer',
+    entityId: schedule.id,
+    before,
+    after: auditFields(schedule),
+    detail: 'Scheduled transfer edited'
+  });
+
+  res.json({ scheduledTransfer: toPublicScheduledTransfer(schedule) });
+});
+
+// POST /scheduled-transfers/:id/pause, /:id/resume and DELETE /scheduled-transfers/:id (cancel)
+//   -> { scheduledTransfer }
+const statusChange = (action, change, detail) => (req, res) => {
+  const schedule = change(req.user.id, req.params.id);
+
+  auditFromRequest(req, {
+    action,
+    entityType: 'scheduled_transfer',
+    entityId: schedule.id,
+    after: { status: schedule.status, nextRunDate: schedule.nextRunDate },
+    detail
+  });
+
+  res.json({ scheduledTransfer: toPublicScheduledTransfer(schedule) });
+};
+
+router.post('/:id/pause', statusChange('pause_scheduled_transfer', pauseScheduledTransfer, 'Transfer paused'));
+router.post('/:id/resume', statusChange('resume_scheduled_transfer', resumeScheduledTransfer, 'Transfer resumed'));
+router.delete('/:id', statusChange('cancel_scheduled_transfer', cancelScheduledTransfer, 'Transfer cancelled'));
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// Admin transaction review queue: list held entries and move them to posted or declined.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const requireAdmin = require('../middleware/requireAdmin');
+const validate = require('../middleware/validate');
+const {
+  ALLOWED_TRANSITIONS,
+  findEntry,
+  listQueue,
+  toQueueItem,
+  updateEntryStatus
+} = require('../services/review.service');
+const { auditFromRequest } = require('../services/audit.service');
+
+const router = express.Router();
+router.use(requireAuth, requireAdmin);
+
+const MAX_PAGE_SIZE = 100;
+const STATUSES = Object.keys(ALLOWED_TRANSITIONS);
+
+const statusField = { lowercase: true, enum: STATUSES, label: 'Status' };
+const queueSchema = { query: { status: statusField } };
+const statusSchema = {
+  body: {
+    status: { ...statusField, required: true },
+    note: { maxLength: 200, label: 'Note' }
+  }
+};
+
+// GET /admin/transactions?status=review&search=REF-&page=1&pageSize=20
+// Without ?status the queue shows everything pending or in review.
+router.get('/', validate(queueSchema), (req, res) => {
+  res.json(
+    listQueue({
+      status: req.query.status || null,
+      search: req.query.search,
+      page: Math.max(1, parseInt(req.query.page, 10) || 1),
+      pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20))
+    })
+  );
+});
+
+// PATCH /admin/transactions/:id/status { status: "posted" | "review" | "declined", note }
+router.patch('/:id/status', validate(statusSchema), (req, res) => {
+  const { status } = req.body;
+  const previousStatus = findEntry(req.params.id)?.status || 'posted';
+
+  const entry = updateEntryStatus({
+    entryId: req.params.id,
+    status,
+    note: req.body.note,
+    adminId: req.user.id
+  });
+  const item = toQueueItem(entry);
+
+  auditFromRequest(req, {
+    action: 'update_transaction_status',
+    entityType: 'transaction',
+    entityId: entry.id,
+    before: { status: previousStatus },
+    after: { status: item.status },
+    detail: `${item.reference}: ${previousStatus} to ${item.status}${item.reviewNote ? ` (${item.reviewNote})` : ''}`
+  });
+
+  res.json({ updated: true, transaction: item });
+});
+
+module.exports = router;
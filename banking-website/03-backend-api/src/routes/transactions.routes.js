@@ -0,0 +1,110 @@
+// Transaction history for the signed-in customer.
+// Mounted twice in server.js:
+// - /accounts/:accountId/transactions for one account
+// - /transactions for every account the caller owns (optionally ?accountId=)
+const express = require('express');
+const db = require('../db');
+const requireAuth = require('../middleware/requireAuth');
+const { createError } = require('../middleware/errorHandler');
+const validate = require('../middleware/validate');
+const { findAccount, listAccountsForUser, findOwnAccount } = require('../services/account.service');
+const { fromMinor } = require('../services/money.service');
+
+const router = express.Router({ mergeParams: true });
+router.use(requireAuth);
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// sort=-timestamp (newest first, default), timestamp, -amount, amount
+const SORTS = {
+  '-timestamp': (a, b) => new Date(b.timestamp) - new Date(a.timestamp),
+  timestamp: (a, b) => new Date(a.timestamp) - new Date(b.timestamp),
+  '-amount': (a, b) => b.amount - a.amount,
+  amount: (a, b) => a.amount - b.amount
+};
+
+// "credit"/"debit" match on the sign; anything else matches the entry type (deposit, transfer...).
+const matchesType = (transaction, type) => {
+  if (!type) return true;
+  if (type === 'credit') return transaction.amount > 0;
+  if (type === 'debit') return transaction.amount < 0;
+  return transaction.type === type;
+};
+
+// Cursors are the id of the last row on the previous page, base64url-encoded.
+const encodeCursor = (id) => Buffer.from(id).toString('base64url');
+const decodeCursor = (cursor) => Buffer.from(String(cursor), 'base64url').toString('utf8');
+
+// Ledger rows hold minor units; the API shows major units of the account's currency.
+const toPublicTransaction = (transaction) => ({
+  id: transaction.id,
+  accountId: transaction.accountId,
+  type: transaction.type,
+  direction: transaction.direction || (transaction.amountMinor >= 0 ? 'credit' : 'debit'),
+  amount: fromMinor(transaction.amountMinor, findAccount(transaction.accountId)?.currency),
+  description: transaction.description,
+  status: transaction.status || 'posted',
+  transferId: transaction.transferId || null,
+  timestamp: transaction.timestamp
+});
+
+const listQuerySchema = {
+  query: {
+    limit: { type: 'integer', min: 1 },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    sort: { enum: Object.keys(SORTS) },
+    cursor: {},
+    type: {},
+    accountId: {}
+  }
+};
+
+// GET ?cursor=&limit=20&from=2024-01-01&to=2024-01-31&type=debit&sort=-timestamp
+router.get('/', validate(listQuerySchema), (req, res) => {
+  const accountId = req.params.accountId || req.query.accountId;
+  const accountIds = accountId
+    ? [findOwnAccount(req.user.id, accountId).id]
+    : listAccountsForUser(req.user.id).map((account) => account.id);
+
+  const sort = req.query.sort || '-timestamp';
+  const limit = Math.min(MAX_LIMIT, req.query.limit || DEFAULT_LIMIT);
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  // A bare date for "to" means "through the end of that day".
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+  const type = String(req.query.type || '').toLowerCase();
+
+  const matches = db
+    .listTransactions()
+    .filter((transaction) => accountIds.includes(transaction.accountId))
+    .map(toPublicTransaction)
+    .filter((transaction) => !from || new Date(transaction.timestamp) >= from)
+    .filter((transaction) => !to || new Date(transaction.timestamp) <= to)
+    .filter((transaction) => matchesType(transaction, type))
+    // Ties fall back to id order so pages never overlap or skip rows.
+    .sort((a, b) => SORTS[sort](a, b) || a.id.localeCompare(b.id));
+
+  let start = 0;
+  if (req.query.cursor) {
+    const index = matches.findIndex((transaction) => transaction.id === decodeCursor(req.query.cursor));
+    if (index === -1) {
+      throw createError(400, 'VALIDATION', 'The pagination cursor is invalid or out of date.');
+    }
+    start = index + 1;
+  }
+
+  const page = matches.slice(start, start + limit);
+  const hasMore = start + limit < matches.length;
+
+  res.json({
+    ...(accountId ? { accountId } : {}),
+    transactions: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].id) : null
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// Send money now: POST /transfers validates, then executes in one step.
+const express = require('express');
+const requireAuth = require('../middleware/requireAuth');
+const idempotency = require('../middleware/idempotency');
+const validate = require('../middleware/validate');
+const {
+  TRANSFER_REQUEST_SCHEMA,
+  createTransfer,
+  executeTransfer,
+  toPublicTransfer
+} = require('../services/transfer.service');
+const { auditFromRequest } = require('../services/audit.service');
+
+const router = express.Router();
+router.use(requireAuth);
+
+// POST /transfers { fromAccountId, toAccountId | beneficiaryId | toAccount, amount, fxRate?, memo | note }
+// `amount` is in the source account's currency. For a cross-currency transfer, `fxRate` is the rate
+// the customer confirmed (from GET /fx-rates/quote); the response's `fx` shows what the recipient got.
+// Send an Idempotency-Key header so a retried request cannot send the money twice.
+router.post('/', idempotency, validate(TRANSFER_REQUEST_SCHEMA), (req, res) => {
+  const { fromAccountId, toAccountId, toAccount, amount } = req.body || {};
+
+  const pending = createTransfer({
+    userId: req.user.id,
+    fromAccountId,
+    toAccountId,
+    beneficiaryId: req.body?.beneficiaryId,
+    toExternalAccount: toAccount,
+    toRoutingNumber: req.body?.toRoutingNumber,
+    beneficiaryName: req.body?.beneficiaryName,
+    beneficiaryBank: req.body?.beneficiaryBank,
+    amount,
+    fxRate: req.body?.fxRate,
+    memo: req.body?.memo ?? req.body?.note
+  });
+  const transfer = toPublicTransfer(executeTransfer(pending.id));
+
+  auditFromRequest(req, {
+    action: 'complete_transfer',
+    entityType: 'transfer',
+    entityId: transfer.id,
+    before: { status: pending.status },
+    after: { status: transfer.status, amount: transfer.amount, reference: transfer.reference },
+    detail: `Sent ${transfer.amount} from ${transfer.fromAccountId}`
+  });
+
+  res.status(201).json({
+    transferId: transfer.id,
+    status: transfer.status,
+    amount: transfer.amount,
+    currency: transfer.currency,
+    fx: transfer.fx,
+    reference: transfer.reference,
+    receiptUrl: `/receipts/${transfer.id}`
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+// Admin user directory: search, invite and change account status.
+const express = require('express');
+const db = require('../db');
+const requireAuth = require('../middleware/requireAuth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { createError } = require('../middleware/errorHandler');
+const validate = require('../middleware/validate');
+const { auditFromRequest } = require('../services/audit.service');
+
+const router = express.Router();
+router.use(requireAuth, requireAdmin);
+
+const ROLES = ['customer', 'admin'];
+// Statuses an admin can set directly. "invited" is only set when a user is created.
+const SETTABLE_STATUSES = ['active', 'review', 'suspended'];
+// The spec's "disabled" maps onto our "suspended" status.
+const STATUS_ALIASES = { disabled: 'suspended' };
+
+const MAX_PAGE_SIZE = 100;
+
+const toAdminUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  status: user.status || 'active',
+  createdAt: user.createdAt || null
+});
+
+// GET /admin/users?search=jane&status=active&page=1&pageSize=20
+router.get('/', (req, res) => {
+  const search = String(req.query.search || '').trim().toLowerCase();
+  const status = String(req.query.status || '').trim().toLowerCase();
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+
+  const matches = db
+    .listUsers()
+    .map(toAdminUser)
+    .filter((user) => !status || user.status === status)
+    .filter(
+      (user) =>
+        !search ||
+        String(user.name || '').toLowerCase().includes(search) ||
+        String(user.email || '').toLowerCase().includes(search)
+    );
+
+  const start = (page - 1) * pageSize;
+  res.json({
+    users: matches.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: matches.length
+  });
+});
+
+const inviteSchema = {
+  body: {
+    email: { type: 'email', required: true, label: 'Email' },
+    name: { maxLength: 100, label: 'Name' },
+    fullName: { maxLength: 100, label: 'Full name' },
+    role: { enum: ROLES, label: 'Role' }
+  }
+};
+
+// POST /admin/users { email, name, role } -> creates an invited user without a password.
+router.post('/', validate(inviteSchema), (req, res) => {
+  const email = req.body.email.toLowerCase();
+  const name = String(req.body.name || req.body.fullName || '').trim();
+  const role = req.body.role || 'customer';
+
+  if (db.listUsers().some((user) => user.email === email)) {
+    throw createError(409, 'EMAIL_IN_USE', 'This email is already registered.');
+  }
+
+  const user = db.addUser({
+    role,
+    name: name || email.split('@')[0],
+    email,
+    status: 'invited',
+    createdAt: new Date().toISOString()
+  });
+
+  auditFromRequest(req, {
+    action: 'invite_user',
+    entityType: 'user',
+    entityId: user.id,
+    after: { email, role, status: 'invited' },
+    detail: `Invited ${email} as ${role}`
+  });
+
+  res.status(201).json({ user: toAdminUser(user) });
+});
+
+const statusSchema = {
+  body: {
+    status: {
+      required: true,
+      lowercase: true,
+      enum: [...SETTABLE_STATUSES, ...Object.keys(STATUS_ALIASES)],
+      label: 'Status'
+    }
+  }
+};
+
+// PATCH /admin/users/:id/status { status: "active" | "review" | "suspended" }
+router.patch('/:id/status', validate(statusSchema), (req, res) => {
+  const status = STATUS_ALIASES[req.body.status] || req.body.status;
+
+  const user = db.listUsers().find((entry) => entry.id === req.params.id);
+  if (!user) {
+    throw createError(404, 'USER_NOT_FOUND', 'User was not found.');
+  }
+
+  if (user.id === req.user.id && status !== 'active') {
+    throw createError(400, 'VALIDATION', 'Admins cannot suspend or review their own account.');
+  }
+
+  const previousStatus = user.status || 'active';
+  db.updateUser(user.id, { status });
+
+  auditFromRequest(req, {
+    action: 'update_user_status',
+    entityType: 'user',
+    entityId: user.id,
+    before: { status: previousStatus },
+    after: { status },
+    detail: `Status changed from ${previousStatus} to ${status}`
+  });
+
+  res.json({ updated: true, user: toAdminUser(user) });
+});
+
+module.exports = router;
@@ -1,32 +1,61 @@
 // Simple Express server scaffold for the backend API.
 // This file will grow over the lessons as you add routes, auth, and more.
 const express = require('express');
-const memoryDb = require('./db/memoryDb');
+const db = require('./db');
 const seedDatabase = require('./db/seed');
-const { errorHandler, createRequestId } = require('./middleware/errorHandler');
+const { errorHandler } = require('./middleware/errorHandler');
+const requestContext = require('./middleware/requestContext');
+const authRoutes = require('./routes/auth.routes');
+const usersAdminRoutes = require('./routes/users.admin.routes');
+const accountsAdminRoutes = require('./routes/accounts.admin.routes');
+const accountsRoutes = require('./routes/accounts.routes');
+const transactionsRoutes = require('./routes/transactions.routes');
+const transfersRoutes = require('./routes/transfers.routes');
+const scheduledTransfersRoutes = require('./routes/scheduledTransfers.routes');
+const beneficiariesRoutes = require('./routes/beneficiaries.routes');
+const fxRatesRoutes = require('./routes/fxRates.routes');
+const otpRoutes = require('./routes/otp.routes');
+const auditAdminRoutes = require('./routes/audit.admin.routes');
+const transactionsAdminRoutes = require('./routes/transactions.admin.routes');
+const fxRatesAdminRoutes = require('./routes/fxRates.admin.routes');
+const notificationsRoutes = require('./routes/notifications.routes');
+const receiptsRoutes = require('./routes/receipts.routes');
+const profileRoutes = require('./routes/profile.routes');
+const { subscribeToEvents, startDeferredDelivery } = require('./services/notification.service');
+const { startTransferScheduler } = require('./services/scheduledTransfer.service');
+const logger = require('./services/logger.service');
 
 const app = express();
 
-// Add a lightweight request id to every request so logs and errors can be traced.
+// Give every request an id (echoed in x-request-id) and log it once it finishes.
+app.use(requestContext);
+
+// Allow the static pages (served by Live Server on another port) to call the API.
+// Set CORS_ORIGIN to lock this down to a single origin.
 app.use((req, res, next) => {
-  const incomingRequestId = req.headers['x-request-id'];
-  req.requestId = incomingRequestId || errorHandler.createRequestId();
-  res.setHeader('x-request-id', req.requestId);
+  res.setHeader('Access-Control-Allow-Origin', process.env.CORS_ORIGIN || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-request-id, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'x-request-id, Content-Disposition, Retry-After, Idempotent-Replayed');
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
   next();
 });
 
 // Parse JSON bodies so req.body works for future routes.
 app.use(express.json());
 
-// Attach a simple request id to every request for easier debugging.
-app.use((req, _res, next) => {
-  // Accept caller-provided request ids for traceability in future lessons.
-  req.requestId = req.headers['x-request-id'] || createRequestId();
-  next();
-});
+// Seed demo data only into an empty store so persisted data survives restarts.
+if (db.isEmpty()) {
+  seedDatabase(db);
+}
 
-// Seed the in-memory database every time the server boots.
-seedDatabase(memoryDb);
+// Start turning account activity into customer notifications (after seeding,
+// so demo data does not produce alerts).
+subscribeToEvents();
+// Deliver alerts that were held back by a customer's quiet hours.
+startDeferredDelivery();
+// Send scheduled and recurring transfers when they fall due.
+startTransferScheduler();
 
 // Health check endpoint for uptime monitoring and local checks.
 app.get('/health', (req, res) => {
@@ -36,11 +65,30 @@ app.get('/health', (req, res) => {
   });
 });
 
+// API routes follow the paths in shared/docs/api-spec.md under the /api prefix.
+app.use('/api/auth', authRoutes);
+app.use('/api/accounts/:accountId/transactions', transactionsRoutes);
+app.use('/api/accounts', accountsRoutes);
+app.use('/api/transactions', transactionsRoutes);
+app.use('/api/transfers', transfersRoutes);
+app.use('/api/scheduled-transfers', scheduledTransfersRoutes);
+app.use('/api/beneficiaries', beneficiariesRoutes);
+app.use('/api/fx-rates', fxRatesRoutes);
+app.use('/api/transfer', otpRoutes);
+app.use('/api/receipts', receiptsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/admin/users', usersAdminRoutes);
+app.use('/api/admin/accounts', accountsAdminRoutes);
+app.use('/api/admin/transactions', transactionsAdminRoutes);
+app.use('/api/admin/audit', auditAdminRoutes);
+app.use('/api/admin/fx-rates', fxRatesAdminRoutes);
+
 // Place all future routes above this line.
 // Centralized error handler keeps responses consistent.
 app.use(errorHandler);
 
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
-  console.log(`API server listening on port ${PORT}`);
+  logger.info(`API server listening on port ${PORT}`, { port: Number(PORT) });
 });
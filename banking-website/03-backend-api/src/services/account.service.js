@@ -0,0 +1,158 @@
+// Account lookups, status rules and manual adjustments shared by the customer and admin routes.
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { parseAmount, getInternalAccount, postEntry } = require('./ledger.service');
+const { fromMinor, toMinor } = require('./money.service');
+const { BASE_CURRENCY, convertTotal } = require('./fx.service');
+const { EVENTS, emitEvent } = require('./events.service');
+const { getPreferences } = require('./notification.service');
+
+// active <-> frozen, and either can be closed. Closing is permanent.
+const ACCOUNT_STATUS_TRANSITIONS = {
+  active: ['frozen', 'closed'],
+  frozen: ['active', 'closed'],
+  closed: []
+};
+
+const findAccount = (id) => db.listAccounts().find((account) => account.id === id);
+
+// Customer-facing accounts only (internal clearing accounts have no owner).
+const listAccountsForUser = (userId) => db.listAccounts().filter((account) => account.userId === userId);
+
+// Someone else's account looks exactly like a missing one, so ids cannot be probed.
+const findOwnAccount = (userId, accountId) => {
+  const account = findAccount(accountId);
+  if (!account || account.userId !== userId) {
+    throw createError(404, 'ACCOUNT_NOT_FOUND', 'Account was not found.');
+  }
+  return account;
+};
+
+// Frozen and closed accounts cannot send money.
+const assertCanSend = (account) => {
+  if (account.status === 'frozen') {
+    throw createError(423, 'ACCOUNT_FROZEN', 'This account is frozen. Please contact your account officer.');
+  }
+  if (account.status === 'closed') {
+    throw createError(409, 'ACCOUNT_CLOSED', 'This account is closed.');
+  }
+};
+
+// Frozen accounts can still receive money; closed ones cannot.
+const assertCanReceive = (account) => {
+  if (account.status === 'closed') {
+    throw createError(409, 'ACCOUNT_CLOSED', 'The destination account is closed.');
+  }
+};
+
+const setAccountStatus = (account, status) => {
+  const current = account.status || 'active';
+  if (!ACCOUNT_STATUS_TRANSITIONS[current]?.includes(status)) {
+    throw createError(409, 'INVALID_ACCOUNT_STATE', `Account cannot move from ${current} to ${status}.`);
+  }
+  if (status === 'closed' && account.balanceMinor !== 0) {
+    throw createError(409, 'INVALID_ACCOUNT_STATE', 'Only accounts with a zero balance can be closed.');
+  }
+  return db.updateAccount(account.id, { status, statusChangedAt: new Date().toISOString() });
+};
+
+// Announce a low balance once, when a debit crosses the owner's threshold (not on every later debit).
+// balanceBeforeMinor is in minor units; the threshold preference is in major units of the account's currency.
+const checkLowBalance = (account, balanceBeforeMinor) => {
+  const current = findAccount(account.id);
+  if (!current?.userId) return;
+
+  const threshold = getPreferences(current.userId).lowBalanceThreshold;
+  const thresholdMinor = toMinor(threshold, current.currency);
+  if (balanceBeforeMinor >= thresholdMinor && current.balanceMinor < thresholdMinor) {
+    emitEvent(EVENTS.LOW_BALANCE, { account: current, threshold });
+  }
+};
+
+/**
+ * Manual credit (positive amount) or debit (negative amount) by an admin.
+ * Posts the customer entry plus the opposite entry on the bank's internal
+ * adjustments account, so the ledger stays balanced and `balanceMinor` is never edited directly.
+ */
+const postAdjustment = ({ account, amount, reason, adminId }) => {
+  const text = String(amount ?? '').trim();
+  const direction = text.startsWith('-') ? 'debit' : 'credit';
+  const amountMinor = parseAmount(text.replace(/^-/, ''), account.currency);
+  const note = String(reason || '').trim();
+
+  if (!note) {
+    throw createError(400, 'VALIDATION', 'A reason is required for balance adjustments.');
+  }
+
+  if (account.status === 'closed') {
+    throw createError(409, 'ACCOUNT_CLOSED', 'Closed accounts cannot be adjusted.');
+  }
+
+  const balanceBeforeMinor = account.balanceMinor;
+  const customerEntry = db.withTransaction(() => {
+    if (direction === 'debit' && amountMinor > account.balanceMinor) {
+      throw createError(422, 'INSUFFICIENT_FUNDS', 'The adjustment would overdraw this account.');
+    }
+
+    const entry = {
+      type: 'adjustment',
+      amountMinor,
+      description: `Adjustment: ${note}`,
+      timestamp: new Date().toISOString(),
+      adjustmentId: `adj_${crypto.randomBytes(6).toString('hex')}`,
+      postedBy: adminId
+    };
+    const contraAccount = getInternalAccount('adjustments', 'Manual adjustments', account.currency);
+
+    const posted = postEntry({ ...entry, account, direction });
+    postEntry({ ...entry, account: contraAccount, direction: direction === 'debit' ? 'credit' : 'debit' });
+    return posted;
+  });
+
+  if (direction === 'credit') {
+    emitEvent(EVENTS.DEPOSIT_POSTED, { account: findAccount(account.id), entry: customerEntry });
+  } else {
+    checkLowBalance(account, balanceBeforeMinor);
+  }
+  return customerEntry;
+};
+
+/**
+ * Everything the customer holds, converted into their base currency (a profile
+ * setting, USD by default) at the current exchange rates.
+ * @returns {{ amount: number, currency: string, rateDate: string|null }} rateDate is null when nothing was converted.
+ */
+const getBalanceTotal = (user) => {
+  const total = convertTotal(
+    listAccountsForUser(user.id).map((account) => ({
+      amountMinor: account.balanceMinor,
+      currency: account.currency || BASE_CURRENCY
+    })),
+    user.baseCurrency || BASE_CURRENCY
+  );
+  return { amount: fromMinor(total.amountMinor, total.currency), currency: total.currency, rateDate: total.rateDate };
+};
+
+const toPublicAccount = (account) => ({
+  id: account.id,
+  type: account.type,
+  nickname: account.nickname,
+  number: account.number,
+  balance: fromMinor(account.balanceMinor, account.currency || 'USD'),
+  currency: account.currency || 'USD',
+  status: account.status || 'active'
+});
+
+module.exports = {
+  findAccount,
+  listAccountsForUser,
+  findOwnAccount,
+  assertCanSend,
+  assertCanReceive,
+  setAccountStatus,
+  checkLowBalance,
+  postAdjustment,
+  getBalanceTotal,
+  toPublicAccount
+};
@@ -0,0 +1,148 @@
+// Central, tamper-evident audit log.
+// Each record stores the hash of the record before it (prevHash) and its own
+// hash over its contents. Editing a record changes its hash; deleting one
+// leaves a gap in `seq` and a prevHash that no longer matches. verifyChain()
+// walks the log and reports the first link that does not hold.
+const crypto = require('crypto');
+const db = require('../db');
+const { getRequestId } = require('./context.service');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fixed field order so the same record always hashes the same way.
+const computeHash = (record) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([
+        record.seq,
+        record.prevHash,
+        record.timestamp,
+        record.actorId,
+        record.action,
+        record.entityType,
+        record.entityId,
+        record.before,
+        record.after,
+        record.ip,
+        record.requestId,
+        record.detail
+      ])
+    )
+    .digest('hex');
+
+const listChain = () => db.listAudits().sort((a, b) => (a.seq || 0) - (b.seq || 0));
+
+/**
+ * Append one audit record.
+ * @param {Object} entry
+ * @param {string|null} entry.actorId - User who made the change (null for the system).
+ * @param {string} entry.action - snake_case verb, e.g. "update_user_status".
+ * @param {string} [entry.entityType] - e.g. "user", "account", "transfer".
+ * @param {string} [entry.entityId]
+ * @param {Object} [entry.before] - Relevant fields before the change.
+ * @param {Object} [entry.after] - Relevant fields after the change.
+ * @param {string} [entry.ip]
+ * @param {string} [entry.requestId] - Defaults to the id of the request being handled, if any.
+ * @param {string} [entry.detail] - Short human-readable summary.
+ */
+const recordAudit = ({
+  actorId = null,
+  action,
+  entityType = null,
+  entityId = null,
+  before = null,
+  after = null,
+  ip = null,
+  requestId = getRequestId(),
+  detail = ''
+}) => {
+  const chain = listChain();
+  const previous = chain[chain.length - 1];
+
+  const record = {
+    seq: (previous?.seq || 0) + 1,
+    prevHash: previous?.hash || GENESIS_HASH,
+    timestamp: new Date().toISOString(),
+    actorId,
+    action,
+    entityType,
+    entityId,
+    before,
+    after,
+    ip,
+    requestId,
+    detail
+  };
+
+  return db.addAudit({ ...record, hash: computeHash(record) });
+};
+
+// Shortcut for route handlers: fills in actor, IP and request id from the request.
+const auditFromRequest = (req, entry) =>
+  recordAudit({
+    actorId: req.user?.id || null,
+    ip: req.ip || null,
+    requestId: req.requestId || null,
+    ...entry
+  });
+
+/**
+ * Check every link in the chain.
+ * @returns {{ ok: boolean, checked: number, firstBrokenLink: null | { seq, id, reason } }}
+ */
+const verifyChain = () => {
+  const chain = listChain();
+  let expectedPrevHash = GENESIS_HASH;
+
+  for (let index = 0; index < chain.length; index += 1) {
+    const record = chain[index];
+    const broken = (reason) => ({
+      ok: false,
+      checked: index,
+      firstBrokenLink: { seq: record.seq ?? null, id: record.id, reason }
+    });
+
+    if (record.seq !== index + 1) return broken(`Expected seq ${index + 1}; a record is missing or out of order.`);
+    if (record.prevHash !== expectedPrevHash) return broken('prevHash does not match the previous record.');
+    if (record.hash !== computeHash(record)) return broken('Record contents do not match its hash.');
+
+    expectedPrevHash = record.hash;
+  }
+
+  return { ok: true, checked: chain.length, firstBrokenLink: null };
+};
+
+/**
+ * Filtered, newest-first page of audit records.
+ * `actor` matches the actor's id or email.
+ */
+const searchAudits = ({ actor, action, entityType, entityId, from, to, page = 1, pageSize = 50 } = {}) => {
+  const usersById = new Map(db.listUsers().map((user) => [user.id, user]));
+  const actorNeedle = String(actor || '').trim().toLowerCase();
+
+  const matches = listChain()
+    .reverse()
+    .map((record) => ({ ...record, actor: usersById.get(record.actorId)?.email || null }))
+    .filter(
+      (record) =>
+        !actorNeedle ||
+        String(record.actorId || '').toLowerCase() === actorNeedle ||
+        String(record.actor || '').toLowerCase() === actorNeedle
+    )
+    .filter((record) => !action || record.action === action)
+    .filter((record) => !entityType || record.entityType === entityType)
+    .filter((record) => !entityId || record.entityId === entityId)
+    .filter((record) => !from || new Date(record.timestamp) >= from)
+    .filter((record) => !to || new Date(record.timestamp) <= to);
+
+  const start = (page - 1) * pageSize;
+  return { entries: matches.slice(start, start + pageSize), page, pageSize, total: matches.length };
+};
+
+module.exports = {
+  recordAudit,
+  auditFromRequest,
+  verifyChain,
+  searchAudits
+};
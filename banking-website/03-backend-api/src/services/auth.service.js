@@ -0,0 +1,182 @@
+// Password hashing and session tokens built on Node's crypto module.
+// Tokens follow the JWT layout (header.payload.signature, HMAC-SHA256) so they
+// are easy to inspect while learning, but no external library is needed.
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const logger = require('./logger.service');
+
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL_SECONDS) || 3600;
+
+// Without a configured secret we fall back to a random one, which means every
+// restart signs everyone out. Set AUTH_TOKEN_SECRET to keep sessions alive.
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_TOKEN_SECRET) {
+  logger.warn('AUTH_TOKEN_SECRET is not set; using a random secret for this process.');
+}
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// How many passwords (the current one included) cannot be chosen again.
+const PASSWORD_HISTORY_SIZE = Number(process.env.PASSWORD_HISTORY_SIZE) || 5;
+
+// VALIDATION error that also names the field, like the validate middleware does.
+const invalidField = (field, message) =>
+  Object.assign(createError(400, 'VALIDATION', message), { fields: [{ field, message }] });
+
+/**
+ * Password rules shared by registration and password resets.
+ * Throws VALIDATION with a message that names the rule that failed, reported on `field`
+ * (the body field the password came in, such as newPassword on change-password).
+ */
+const assertPasswordRules = (password, { email, field = 'password' } = {}) => {
+  const value = String(password || '');
+  if (value.length < MIN_PASSWORD_LENGTH) {
+    throw invalidField(field, `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+  if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) {
+    throw invalidField(field, 'Passwords must contain at least one letter and one number.');
+  }
+  if (email && value.toLowerCase() === String(email).toLowerCase()) {
+    throw invalidField(field, 'Passwords cannot be the same as your email address.');
+  }
+};
+
+// Stored format: scrypt$<salt hex>$<hash hex>
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, storedHash) => {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// True when `password` is the current password or one of the recent ones.
+const isRecentPassword = (user, password) =>
+  [user.passwordHash, ...(user.passwordHistory || [])].some((hash) => verifyPassword(password, hash));
+
+/**
+ * Store a new password for `user`. The old hash moves into `passwordHistory`
+ * (capped at PASSWORD_HISTORY_SIZE - 1) so it cannot be picked again soon.
+ * Throws PASSWORD_REUSED for a recent password; check assertPasswordRules first.
+ * @returns {Object} The updated user.
+ */
+const setUserPassword = (user, password) => {
+  if (isRecentPassword(user, password)) {
+    throw createError(
+      400,
+      'PASSWORD_REUSED',
+      `Please choose a password you have not used for your last ${PASSWORD_HISTORY_SIZE} passwords.`
+    );
+  }
+
+  const passwordHistory = [user.passwordHash, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_HISTORY_SIZE - 1);
+
+  return db.updateUser(user.id, {
+    passwordHash: hashPassword(String(password)),
+    passwordHistory,
+    passwordChangedAt: new Date().toISOString()
+  });
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const sign = (data) => crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+
+// Create a session record and a signed token that points at it.
+const issueToken = (user) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresAt = issuedAt + TOKEN_TTL_SECONDS;
+
+  const session = db.addSession({
+    userId: user.id,
+    createdAt: new Date(issuedAt * 1000).toISOString(),
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+    revokedAt: null
+  });
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: user.id, sid: session.id, iat: issuedAt, exp: expiresAt }));
+  const token = `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+
+  return { token, expiresIn: TOKEN_TTL_SECONDS, session };
+};
+
+// Check signature, expiry and session state. Returns the token claims.
+const verifyToken = (token) => {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) {
+    throw createError(401, 'UNAUTHORIZED', 'Please sign in to continue.');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw createError(401, 'UNAUTHORIZED', 'Invalid session token. Please log in again.');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createError(401, 'UNAUTHORIZED', 'Invalid session token. Please log in again.');
+  }
+
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+    throw createError(401, 'UNAUTHORIZED', 'Session expired. Please log in again.');
+  }
+
+  const session = db.listSessions().find((entry) => entry.id === claims.sid);
+  if (!session || session.revokedAt || session.userId !== claims.sub) {
+    throw createError(401, 'UNAUTHORIZED', 'Session expired. Please log in again.');
+  }
+
+  return claims;
+};
+
+/**
+ * Sign a user out everywhere by revoking their open sessions.
+ * Pass `exceptSessionId` to keep the session making the request.
+ * @returns {number} How many sessions were revoked.
+ */
+const revokeUserSessions = (userId, { exceptSessionId } = {}) => {
+  const revokedAt = new Date().toISOString();
+  const open = db
+    .listSessions()
+    .filter((session) => session.userId === userId && !session.revokedAt && session.id !== exceptSessionId);
+
+  open.forEach((session) => db.updateSession(session.id, { revokedAt }));
+  return open.length;
+};
+
+// Safe user shape for API responses (never includes the password hash).
+const toPublicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role
+});
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  MIN_PASSWORD_LENGTH,
+  assertPasswordRules,
+  hashPassword,
+  verifyPassword,
+  setUserPassword,
+  issueToken,
+  verifyToken,
+  revokeUserSessions,
+  toPublicUser
+};
@@ -0,0 +1,106 @@
+// Checks for outside account details, and the local bank directory.
+//
+// - US routing numbers (ABA) are 9 digits with a checksum: 3, 7 and 1 times the
+//   digits in turn must add up to a multiple of 10.
+// - IBANs start with a country code and two check digits. Moving the first four
+//   characters to the end and reading letters as numbers (A = 10 ... Z = 35)
+//   must leave a remainder of 1 when divided by 97.
+// - Domestic account numbers are 4 to 17 digits and need a routing number.
+//
+// These catch most typos before money moves; they cannot tell whether the
+// account exists. The directory (shared/bank-directory.json, also read by the
+// frontend) maps routing numbers to bank names so forms can show who the bank is.
+const bankDirectory = require('../../../shared/bank-directory.json');
+const { createError } = require('../middleware/errorHandler');
+
+const ROUTING_NUMBER_PATTERN = /^\d{9}$/;
+const DOMESTIC_ACCOUNT_PATTERN = /^\d{4,17}$/;
+const IBAN_PATTERN = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+
+// IBAN lengths for the countries customers send to most. Other countries only get the general checks.
+const IBAN_LENGTHS = {
+  AT: 20,
+  BE: 16,
+  CH: 21,
+  DE: 22,
+  DK: 18,
+  ES: 24,
+  FI: 18,
+  FR: 27,
+  GB: 22,
+  IE: 22,
+  IT: 27,
+  LU: 20,
+  NL: 18,
+  NO: 15,
+  PL: 28,
+  PT: 25,
+  SE: 24
+};
+
+const isValidRoutingNumber = (value) => {
+  const text = String(value ?? '');
+  if (!ROUTING_NUMBER_PATTERN.test(text) || /^0+$/.test(text)) return false;
+  const weights = [3, 7, 1];
+  const sum = [...text].reduce((total, digit, index) => total + Number(digit) * weights[index % 3], 0);
+  return sum % 10 === 0;
+};
+
+// IBANs are often written in groups of four ("DE89 3704 ..."); compare them without spaces, in capitals.
+const normalizeIban = (value) => String(value ?? '').replace(/\s+/g, '').toUpperCase();
+
+// Starts like an IBAN (two letters, two digits), whether or not the rest is right.
+const looksLikeIban = (value) => /^[A-Z]{2}\d{2}/.test(normalizeIban(value));
+
+const isValidIban = (value) => {
+  const iban = normalizeIban(value);
+  if (!IBAN_PATTERN.test(iban)) return false;
+  const expectedLength = IBAN_LENGTHS[iban.slice(0, 2)];
+  if (expectedLength && iban.length !== expectedLength) return false;
+
+  // The number is too long for floating point, so take the remainder one digit at a time.
+  const digits = [...`${iban.slice(4)}${iban.slice(0, 4)}`].map((char) => parseInt(char, 36)).join('');
+  const remainder = [...digits].reduce((total, digit) => (total * 10 + Number(digit)) % 97, 0);
+  return remainder === 1;
+};
+
+const findBankName = (routingNumber) => bankDirectory[routingNumber] || null;
+
+const invalidField = (field, message) =>
+  Object.assign(createError(400, 'VALIDATION', message), { fields: [{ field, message }] });
+
+/**
+ * Check an outside account as a whole: an IBAN on its own, or a domestic account
+ * number with a valid routing number. Field formats are already checked by the
+ * validate middleware; this adds the rule that spans both fields.
+ * @param {{ accountNumber: string, routingNumber?: string, accountField?: string, routingField?: string }} details
+ * @returns {{ accountNumber: string, routingNumber: string|null, bankName: string|null }}
+ */
+const checkExternalAccount = ({ accountNumber, routingNumber, accountField, routingField }) => {
+  if (looksLikeIban(accountNumber)) {
+    const iban = normalizeIban(accountNumber);
+    if (!isValidIban(iban)) throw invalidField(accountField, 'This IBAN is not valid. Check it for typos.');
+    return { accountNumber: iban, routingNumber: null, bankName: null };
+  }
+
+  const number = String(accountNumber ?? '').trim();
+  if (!DOMESTIC_ACCOUNT_PATTERN.test(number)) {
+    throw invalidField(accountField, 'Account number must be 4 to 17 digits, or an IBAN.');
+  }
+  if (!routingNumber) {
+    throw invalidField(routingField, 'Routing number is required for US account numbers.');
+  }
+  if (!isValidRoutingNumber(routingNumber)) {
+    throw invalidField(routingField, 'This routing number is not valid. Check it for typos.');
+  }
+  return { accountNumber: number, routingNumber, bankName: findBankName(routingNumber) };
+};
+
+module.exports = {
+  isValidRoutingNumber,
+  normalizeIban,
+  looksLikeIban,
+  isValidIban,
+  findBankName,
+  checkExternalAccount
+};
@@ -0,0 +1,271 @@
+// Saved beneficiaries (payees): outside accounts a customer sends money to often.
+//
+// A payee stores the recipient's name, bank, routing number and account number,
+// plus an optional nickname for the transfer form. Transfers and schedules can
+// name a payee (beneficiaryId) instead of typing the details each time.
+// Payees abroad have an IBAN as their account number and no routing number.
+// The bank name can be left out when the routing number is in the bank directory.
+//
+// New payees go through a cooling-off period: until it ends, the total sent to
+// them is limited to a small amount. This slows down someone who has taken over a
+// session and adds their own account as a payee. Changing a payee's routing or
+// account number starts the cooling-off period again. Typing a payee's account
+// details by hand instead of picking the payee counts against the same limit.
+//
+// An outside account with no saved payee gets the same treatment: its cooling-off
+// period starts with the first transfer to it. So typing in new details, or
+// deleting a payee and typing its details, does not get around the limit.
+//
+// Configuration:
+// - BENEFICIARY_COOLING_OFF_HOURS (default: 24)
+// - BENEFICIARY_COOLING_OFF_LIMIT: most that can be sent in total while cooling off (default: 500)
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { checkExternalAccount } = require('./bankDirectory.service');
+const { formatMinor, formatMoney, toMinor } = require('./money.service');
+const { BASE_CURRENCY, convertTotal } = require('./fx.service');
+
+const COOLING_OFF_MS = (Number(process.env.BENEFICIARY_COOLING_OFF_HOURS) || 24) * 60 * 60 * 1000;
+const COOLING_OFF_LIMIT = Number(process.env.BENEFICIARY_COOLING_OFF_LIMIT) || 500;
+const COOLING_OFF_LIMIT_MINOR = toMinor(COOLING_OFF_LIMIT, BASE_CURRENCY);
+
+// Transfer statuses that count towards the limit: everything not failed or reversed.
+// (The names match TRANSFER_STATUS in transfer.service.js, which requires this file.)
+const COUNTED_TRANSFER_STATUSES = ['pending', 'verified', 'completed'];
+
+// Request bodies accepted by the /beneficiaries routes (checked by the validate middleware).
+const BENEFICIARY_FIELDS = {
+  name: { minLength: 2, maxLength: 100, label: 'Recipient name' },
+  nickname: { maxLength: 40, label: 'Nickname' },
+  bankName: { maxLength: 100, label: 'Bank name' },
+  routingNumber: { type: 'routingNumber', label: 'Routing number' },
+  accountNumber: { type: 'accountNumber', label: 'Account number' }
+};
+
+const CREATE_BENEFICIARY_SCHEMA = {
+  body: {
+    ...BENEFICIARY_FIELDS,
+    name: { ...BENEFICIARY_FIELDS.name, required: true },
+    accountNumber: { ...BENEFICIARY_FIELDS.accountNumber, required: true }
+  }
+};
+
+const UPDATE_BENEFICIARY_SCHEMA = { body: BENEFICIARY_FIELDS };
+
+const findBeneficiary = (id) => db.listBeneficiaries().find((beneficiary) => beneficiary.id === id);
+
+// Someone else's payee looks exactly like a missing one, so ids cannot be probed.
+const findBeneficiaryForUser = (userId, id) => {
+  const beneficiary = findBeneficiary(id);
+  if (!beneficiary || beneficiary.userId !== userId) {
+    throw createError(404, 'BENEFICIARY_NOT_FOUND', 'Payee not found.');
+  }
+  return beneficiary;
+};
+
+const listBeneficiariesForUser = (userId) =>
+  db
+    .listBeneficiaries()
+    .filter((beneficiary) => beneficiary.userId === userId)
+    .sort((a, b) => (a.nickname || a.name).localeCompare(b.nickname || b.name));
+
+const isCoolingOff = (beneficiary, now = new Date()) => new Date(beneficiary.coolingOffEndsAt) > now;
+
+const isSameAccount = (beneficiary, { accountNumber, routingNumber }) =>
+  beneficiary.accountNumber === accountNumber && (beneficiary.routingNumber || null) === (routingNumber || null);
+
+/**
+ * The user's saved payee for an outside account, if any. Used so a transfer to typed-in
+ * account details is held to that payee's cooling-off limit.
+ * @param {{ accountNumber: string, routingNumber: string|null }} details - As returned by checkExternalAccount.
+ */
+const findBeneficiaryByAccount = (userId, details) =>
+  listBeneficiariesForUser(userId).find((beneficiary) => isSameAccount(beneficiary, details)) || null;
+
+const assertNotDuplicate = (userId, { routingNumber, accountNumber }, exceptId = null) => {
+  const duplicate = listBeneficiariesForUser(userId).find(
+    (beneficiary) =>
+      beneficiary.id !== exceptId &&
+      beneficiary.routingNumber === routingNumber &&
+      beneficiary.accountNumber === accountNumber
+  );
+  if (duplicate) {
+    const label = duplicate.nickname || duplicate.name;
+    throw createError(409, 'BENEFICIARY_EXISTS', `This account is already saved as "${label}".`);
+  }
+};
+
+const invalidField = (field, message) =>
+  Object.assign(createError(400, 'VALIDATION', message), { fields: [{ field, message }] });
+
+// Check the account details together and fill in the bank name from the directory when it was left out.
+const resolveAccountDetails = ({ accountNumber, routingNumber, bankName }) => {
+  const details = checkExternalAccount({
+    accountNumber,
+    routingNumber,
+    accountField: 'accountNumber',
+    routingField: 'routingNumber'
+  });
+  const resolvedBankName = String(bankName || '').trim() || details.bankName;
+  if (!resolvedBankName) throw invalidField('bankName', 'Bank name is required.');
+  return { ...details, bankName: resolvedBankName };
+};
+
+const toPublicBeneficiary = (beneficiary, now = new Date()) => ({
+  id: beneficiary.id,
+  name: beneficiary.name,
+  nickname: beneficiary.nickname,
+  bankName: beneficiary.bankName,
+  routingNumber: beneficiary.routingNumber,
+  accountNumber: beneficiary.accountNumber,
+  // "cooling_off" until coolingOffEndsAt, then "verified".
+  status: isCoolingOff(beneficiary, now) ? 'cooling_off' : 'verified',
+  coolingOffEndsAt: beneficiary.coolingOffEndsAt,
+  coolingOffLimit: COOLING_OFF_LIMIT,
+  createdAt: beneficiary.createdAt,
+  updatedAt: beneficiary.updatedAt
+});
+
+const createBeneficiary = (userId, { name, nickname, bankName, routingNumber, accountNumber }, now = new Date()) => {
+  const details = resolveAccountDetails({ accountNumber, routingNumber, bankName });
+  assertNotDuplicate(userId, details);
+
+  const timestamp = now.toISOString();
+  return db.addBeneficiary({
+    userId,
+    name: name.trim(),
+    nickname: String(nickname || '').trim() || null,
+    bankName: details.bankName,
+    routingNumber: details.routingNumber,
+    accountNumber: details.accountNumber,
+    coolingOffEndsAt: new Date(now.getTime() + COOLING_OFF_MS).toISOString(),
+    createdAt: timestamp,
+    updatedAt: timestamp
+  });
+};
+
+/**
+ * Update a payee. Fields that are left out keep their value. A new routing or
+ * account number restarts the cooling-off period. Switching to an IBAN drops the routing number.
+ */
+const updateBeneficiary = (userId, id, input = {}, now = new Date()) => {
+  const beneficiary = findBeneficiaryForUser(userId, id);
+  const updates = {};
+
+  if (input.name !== undefined) updates.name = String(input.name).trim();
+  if (input.nickname !== undefined) updates.nickname = String(input.nickname || '').trim() || null;
+  if (input.bankName !== undefined) updates.bankName = String(input.bankName || '').trim();
+  if (input.routingNumber !== undefined) updates.routingNumber = input.routingNumber || null;
+  if (input.accountNumber !== undefined) updates.accountNumber = input.accountNumber;
+
+  if (!updates.name && input.name !== undefined) throw invalidField('name', 'Recipient name is required.');
+
+  if (['bankName', 'routingNumber', 'accountNumber'].some((field) => field in updates)) {
+    Object.assign(updates, resolveAccountDetails({ ...beneficiary, ...updates }));
+  }
+  const numbersChanged = ['routingNumber', 'accountNumber'].some(
+    (field) => field in updates && updates[field] !== beneficiary[field]
+  );
+  if (numbersChanged) {
+    assertNotDuplicate(userId, updates, beneficiary.id);
+    updates.coolingOffEndsAt = new Date(now.getTime() + COOLING_OFF_MS).toISOString();
+  }
+
+  return db.updateBeneficiary(beneficiary.id, { ...updates, updatedAt: now.toISOString() });
+};
+
+const removeBeneficiary = (userId, id) => {
+  const beneficiary = findBeneficiaryForUser(userId, id);
+  db.removeBeneficiary(beneficiary.id);
+  return beneficiary;
+};
+
+// What the payee's owner has sent to it since its cooling-off period started, in minor units
+// of the base currency. Transfers to the same account details without naming the payee count too.
+const sentDuringCoolingOff = (beneficiary) => {
+  const startedAt = new Date(new Date(beneficiary.coolingOffEndsAt).getTime() - COOLING_OFF_MS);
+  const transfers = db
+    .listTransfers()
+    .filter(
+      (transfer) =>
+        transfer.userId === beneficiary.userId &&
+        !transfer.toAccountId &&
+        COUNTED_TRANSFER_STATUSES.includes(transfer.status) &&
+        new Date(transfer.createdAt) >= startedAt &&
+        ((beneficiary.id && transfer.beneficiaryId === beneficiary.id) ||
+          isSameAccount(beneficiary, {
+            accountNumber: transfer.toExternalAccount,
+            routingNumber: transfer.toRoutingNumber
+          }))
+    );
+  return convertTotal(
+    transfers.map((transfer) => ({ amountMinor: transfer.amountMinor, currency: transfer.currency })),
+    BASE_CURRENCY
+  ).amountMinor;
+};
+
+// Cooling-off for an outside account with no saved payee, shaped like a payee for the checks above.
+// It starts with the user's first transfer to the account (which may have gone through a payee
+// that has since been deleted), or now if there has been none.
+const coolingOffForAccount = (userId, { accountNumber, routingNumber }, now) => {
+  const account = { userId, accountNumber, routingNumber: routingNumber || null };
+  const firstSentAt = db
+    .listTransfers()
+    .filter(
+      (transfer) =>
+        transfer.userId === userId &&
+        !transfer.toAccountId &&
+        COUNTED_TRANSFER_STATUSES.includes(transfer.status) &&
+        isSameAccount(account, { accountNumber: transfer.toExternalAccount, routingNumber: transfer.toRoutingNumber })
+    )
+    .reduce((earliest, transfer) => Math.min(earliest, new Date(transfer.createdAt).getTime()), now.getTime());
+  return { ...account, id: null, coolingOffEndsAt: new Date(firstSentAt + COOLING_OFF_MS).toISOString() };
+};
+
+/**
+ * Block a transfer that would take the total sent to a cooling-off payee over the limit.
+ * @param {Object} beneficiary - A saved payee, or an unsaved account from coolingOffForAccount.
+ * @param {number} amountMinor - The new transfer, in minor units of the base currency.
+ */
+const assertCanPayBeneficiary = (beneficiary, amountMinor, now = new Date()) => {
+  if (!isCoolingOff(beneficiary, now)) return;
+
+  const remaining = Math.max(0, COOLING_OFF_LIMIT_MINOR - sentDuringCoolingOff(beneficiary));
+  if (amountMinor > remaining) {
+    const until = new Date(beneficiary.coolingOffEndsAt).toUTCString();
+    const limit = formatMoney(COOLING_OFF_LIMIT, BASE_CURRENCY);
+    const reason = beneficiary.id ? 'This payee was added recently' : 'You have not paid this account before';
+    throw createError(
+      422,
+      'BENEFICIARY_COOLING_OFF',
+      `${reason}. Until ${until} you can send them up to ${limit} in total ` +
+        `(${formatMinor(remaining, BASE_CURRENCY)} left).`
+    );
+  }
+};
+
+/**
+ * Apply the cooling-off limit to a transfer to an outside account: the named payee's,
+ * else a saved payee with the same details, else the account's own (see coolingOffForAccount).
+ * @param {{ userId: string, beneficiary?: Object|null, accountNumber: string, routingNumber: string|null }} payment
+ * @param {number} amountMinor - The new transfer, in minor units of the base currency.
+ */
+const assertCanPayOutsideAccount = (payment, amountMinor, now = new Date()) => {
+  const { userId, beneficiary, accountNumber, routingNumber } = payment;
+  const details = { accountNumber, routingNumber };
+  const payee = beneficiary || findBeneficiaryByAccount(userId, details) || coolingOffForAccount(userId, details, now);
+  assertCanPayBeneficiary(payee, amountMinor, now);
+};
+
+module.exports = {
+  COOLING_OFF_LIMIT,
+  CREATE_BENEFICIARY_SCHEMA,
+  UPDATE_BENEFICIARY_SCHEMA,
+  findBeneficiaryForUser,
+  listBeneficiariesForUser,
+  toPublicBeneficiary,
+  createBeneficiary,
+  updateBeneficiary,
+  removeBeneficiary,
+  assertCanPayOutsideAccount
+};
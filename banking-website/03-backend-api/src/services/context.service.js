@@ -0,0 +1,24 @@
+// Per-request context that follows the request through async calls.
+// The requestContext middleware starts one for every request; any code running on
+// behalf of that request (services, event listeners, the logger) can read it
+// without the request object being passed down.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `callback` with `context` available to everything it calls.
+ * @param {{ requestId: string, userId: string|null }} context
+ */
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+// The current request's context, or undefined outside a request (startup, timers).
+const getRequestContext = () => storage.getStore();
+
+const getRequestId = () => getRequestContext()?.requestId || null;
+
+module.exports = {
+  runWithContext,
+  getRequestContext,
+  getRequestId
+};
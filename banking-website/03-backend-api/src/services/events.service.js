@@ -0,0 +1,43 @@
+// In-process domain events.
+// Services announce what happened ("a transfer completed") and other services
+// react to it (the notification service turns it into an alert). Emitters never
+// need to know who is listening.
+//
+// Emit only after the related writes are committed, never inside db.withTransaction,
+// so listeners never see a change that is later rolled back.
+const { EventEmitter } = require('events');
+const logger = require('./logger.service');
+
+const EVENTS = {
+  TRANSFER_COMPLETED: 'transfer.completed',
+  SCHEDULED_TRANSFER_RAN: 'transfer.scheduled_run',
+  DEPOSIT_POSTED: 'deposit.posted',
+  LOW_BALANCE: 'account.low_balance',
+  PROFILE_CHANGED: 'profile.changed',
+  BENEFICIARY_SAVED: 'beneficiary.saved',
+  USER_LOGGED_IN: 'auth.logged_in',
+  PASSWORD_CHANGED: 'auth.password_changed'
+};
+
+const bus = new EventEmitter();
+
+// A failing listener is logged but never breaks the request that emitted the event.
+const onEvent = (name, listener) => {
+  bus.on(name, (payload) => {
+    try {
+      listener(payload);
+    } catch (error) {
+      logger.error('Event listener failed', { event: name, error });
+    }
+  });
+};
+
+const emitEvent = (name, payload = {}) => {
+  bus.emit(name, { ...payload, occurredAt: new Date().toISOString() });
+};
+
+module.exports = {
+  EVENTS,
+  onEvent,
+  emitEvent
+};
@@ -0,0 +1,134 @@
+// Exchange rates and currency conversion.
+//
+// Rates live in db.fxRates, one row per currency: how many units of that
+// currency one unit of the base currency (USD) buys. There is no live feed.
+// Admins set rates through /api/admin/fx-rates, and a fresh database starts
+// from shared/fx-rates.json, which the mock frontend reads too. A rate stays as
+// it is until an admin changes it, so every quote carries the date of the rates it used.
+//
+// Cross rates go through the base currency: EUR -> GBP is rate(GBP) / rate(EUR).
+// A quoted rate has RATE_DECIMALS places. Amounts are converted in integer minor
+// units (convertMinor) and rounded once, to the target currency's smallest unit.
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { RATE_DECIMALS, convertMinor, fromMinor } = require('./money.service');
+const defaultRates = require('../../../shared/fx-rates.json');
+
+const BASE_CURRENCY = defaultRates.baseCurrency;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const invalidField = (field, message) =>
+  Object.assign(createError(400, 'VALIDATION', message), { fields: [{ field, message }] });
+
+const findRate = (currency) => db.listFxRates().find((row) => row.currency === currency);
+
+const toPublicRate = (row) => ({ currency: row.currency, rate: row.rate, updatedAt: row.updatedAt });
+
+const listRates = () =>
+  db
+    .listFxRates()
+    .map(toPublicRate)
+    .sort((a, b) => a.currency.localeCompare(b.currency));
+
+// Currencies accounts can be held in: the base currency plus every currency with a rate.
+const listCurrencies = () => [BASE_CURRENCY, ...listRates().map((row) => row.currency)];
+
+const isSupportedCurrency = (currency) => listCurrencies().includes(currency);
+
+// The base currency is not stored: its rate is always 1 and never changes.
+const getRateRow = (currency) => {
+  if (currency === BASE_CURRENCY) return { currency, rate: 1, updatedAt: null };
+  const row = findRate(currency);
+  if (!row) throw createError(422, 'FX_RATE_UNAVAILABLE', `There is no exchange rate for ${currency}.`);
+  return row;
+};
+
+// A conversion is only as fresh as the oldest rate it used.
+const oldestDate = (dates) => dates.filter(Boolean).sort()[0] || null;
+
+/**
+ * Quote converting `amountMinor` (minor units of `fromCurrency`) at the current table rates.
+ * Same-currency quotes have rate 1 and no rateDate.
+ * Throws FX_RATE_UNAVAILABLE when either currency has no rate.
+ * @returns {{ fromCurrency: string, toCurrency: string, rate: number, amountMinor: number,
+ *   convertedAmountMinor: number, rateDate: string|null }}
+ */
+const quoteConversion = ({ amountMinor, fromCurrency, toCurrency }) => {
+  const from = getRateRow(fromCurrency);
+  const to = getRateRow(toCurrency);
+  const sameCurrency = fromCurrency === toCurrency;
+  const rate = sameCurrency ? 1 : Number((to.rate / from.rate).toFixed(RATE_DECIMALS));
+
+  return {
+    fromCurrency,
+    toCurrency,
+    rate,
+    amountMinor,
+    convertedAmountMinor: convertMinor(amountMinor, rate, fromCurrency, toCurrency),
+    rateDate: sameCurrency ? null : oldestDate([from.updatedAt, to.updatedAt])
+  };
+};
+
+// A quote as the API shows it, with amounts in major units.
+const toPublicQuote = (quote) => ({
+  fromCurrency: quote.fromCurrency,
+  toCurrency: quote.toCurrency,
+  rate: quote.rate,
+  amount: fromMinor(quote.amountMinor, quote.fromCurrency),
+  convertedAmount: fromMinor(quote.convertedAmountMinor, quote.toCurrency),
+  rateDate: quote.rateDate
+});
+
+/**
+ * Add up amounts held in different currencies, converting each into `currency` first.
+ * @param {Array<{ amountMinor: number, currency: string }>} amounts
+ * @returns {{ amountMinor: number, currency: string, rateDate: string|null }}
+ */
+const convertTotal = (amounts, currency) => {
+  const quotes = amounts.map((entry) =>
+    quoteConversion({ amountMinor: entry.amountMinor, fromCurrency: entry.currency, toCurrency: currency })
+  );
+  return {
+    amountMinor: quotes.reduce((total, quote) => total + quote.convertedAmountMinor, 0),
+    currency,
+    rateDate: oldestDate(quotes.map((quote) => quote.rateDate))
+  };
+};
+
+/**
+ * Set (or add) the rate for `currency`: units of it per one unit of the base currency.
+ * @returns {{ before: Object|null, after: Object }} The public rate before and after the change.
+ */
+const setRate = ({ currency, rate }, adminId, now = new Date()) => {
+  const code = String(currency || '').trim().toUpperCase();
+  if (!CURRENCY_PATTERN.test(code) || !Intl.supportedValuesOf('currency').includes(code)) {
+    throw invalidField('currency', 'Currency must be a three-letter ISO code such as EUR.');
+  }
+  if (code === BASE_CURRENCY) {
+    throw invalidField('currency', `${BASE_CURRENCY} is the base currency. Its rate is always 1.`);
+  }
+
+  const value = ['number', 'string'].includes(typeof rate) && String(rate).trim() !== '' ? Number(rate) : NaN;
+  const rounded = Number(value.toFixed(RATE_DECIMALS));
+  if (!Number.isFinite(value) || rounded <= 0) {
+    throw invalidField('rate', 'Rate must be a number greater than zero.');
+  }
+
+  const existing = findRate(code);
+  const before = existing ? toPublicRate(existing) : null;
+  const updates = { rate: rounded, updatedAt: now.toISOString(), updatedBy: adminId };
+  const saved = existing ? db.updateFxRate(existing.id, updates) : db.addFxRate({ currency: code, ...updates });
+
+  return { before, after: toPublicRate(saved) };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  listRates,
+  listCurrencies,
+  isSupportedCurrency,
+  quoteConversion,
+  toPublicQuote,
+  convertTotal,
+  setRate
+};
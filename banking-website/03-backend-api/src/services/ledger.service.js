@@ -0,0 +1,101 @@
+// Ledger building blocks shared by transfers and admin adjustments.
+// A ledger entry is a row in db.transactions. Every posting moves the account
+// balance by exactly the entry's signed amount, and callers always post in
+// balanced pairs inside db.withTransaction. Amounts and balances are integer
+// minor units of the account's currency (amountMinor, balanceMinor).
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { DEFAULT_CURRENCY, fromMinor, getMinorDigits, parseMinor } = require('./money.service');
+
+// "pending" and "review" entries have already moved the sender's balance and wait
+// in the admin review queue. The money they move is held in an internal account
+// until an admin posts them. See review.service.js.
+const ENTRY_STATUS = {
+  PENDING: 'pending',
+  REVIEW: 'review',
+  POSTED: 'posted',
+  DECLINED: 'declined'
+};
+
+// Accepts 100, 100.5, "100.50" and returns minor units (10050 for USD). Rejects zero,
+// negatives and fractions of a cent (or of whatever the currency's smallest unit is).
+const parseAmount = (value, currency = DEFAULT_CURRENCY) => {
+  const amount = parseMinor(value, currency);
+  if (amount === null || amount <= 0) {
+    const digits = getMinorDigits(currency);
+    const decimals = digits > 0 ? `at most ${digits} decimal place${digits === 1 ? '' : 's'}` : 'no decimal places';
+    const message = `Amount must be a positive number with ${decimals}.`;
+    throw Object.assign(createError(400, 'VALIDATION', message), { fields: [{ field: 'amount', message }] });
+  }
+  return amount;
+};
+
+// Bank-owned accounts (no userId) that hold the other side of postings,
+// e.g. "clearing" for outgoing external transfers. One per type and currency, created on first use.
+const getInternalAccount = (type, nickname, currency = DEFAULT_CURRENCY) =>
+  db
+    .listAccounts()
+    .find(
+      (account) => account.type === type && !account.userId && (account.currency || DEFAULT_CURRENCY) === currency
+    ) ||
+  db.addAccount({
+    userId: null,
+    type,
+    nickname,
+    number: '0000',
+    currency,
+    balanceMinor: 0
+  });
+
+/**
+ * Write one ledger row and move the account balance by the same signed amount.
+ * `amountMinor` is the positive size of the entry; `direction` gives its sign.
+ * Extra fields (transferId, adjustmentId...) are stored on the row to link the pair.
+ */
+const postEntry = ({
+  account,
+  direction,
+  amountMinor,
+  type,
+  description,
+  timestamp,
+  status = ENTRY_STATUS.POSTED,
+  ...links
+}) => {
+  if (!Number.isSafeInteger(amountMinor)) throw new TypeError(`Not an amount in minor units: ${amountMinor}`);
+
+  const signedAmount = direction === 'debit' ? -amountMinor : amountMinor;
+  const balanceAfterMinor = account.balanceMinor + signedAmount;
+  db.updateAccount(account.id, { balanceMinor: balanceAfterMinor });
+
+  return db.addTransaction({
+    accountId: account.id,
+    ...links,
+    type,
+    direction,
+    amountMinor: signedAmount,
+    balanceAfterMinor,
+    description,
+    status,
+    timestamp
+  });
+};
+
+// A ledger row as the API shows it: amounts in major units of the account's currency.
+const toPublicEntry = ({ amountMinor, balanceAfterMinor, ...entry }) => {
+  const currency = db.listAccounts().find((account) => account.id === entry.accountId)?.currency || DEFAULT_CURRENCY;
+  return {
+    ...entry,
+    amount: fromMinor(amountMinor, currency),
+    balanceAfter: fromMinor(balanceAfterMinor, currency),
+    currency
+  };
+};
+
+module.exports = {
+  ENTRY_STATUS,
+  parseAmount,
+  getInternalAccount,
+  postEntry,
+  toPublicEntry
+};
@@ -0,0 +1,101 @@
+// Structured JSON logger.
+// Every entry is one line of JSON: { time, level, msg, requestId, userId, ...fields }.
+// requestId and userId come from the current request context, so a service can
+// log without knowing which request it is serving.
+//
+// Secrets never reach the log: fields named like passwords, passcodes or tokens
+// (at any depth) are replaced with "[REDACTED]".
+//
+// Configuration:
+// - LOG_LEVEL=debug|info|warn|error (default: info)
+// - LOG_OUTPUT=stdout|file (default: stdout)
+// - LOG_FILE (default: ./logs/api.log). The file rotates when it reaches
+//   LOG_MAX_BYTES (default 5 MB), keeping LOG_MAX_FILES old files (default 5):
+//   api.log -> api.log.1 -> api.log.2 ...
+const fs = require('fs');
+const path = require('path');
+const { getRequestContext } = require('./context.service');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+const OUTPUT = (process.env.LOG_OUTPUT || 'stdout').toLowerCase();
+const LOG_FILE = process.env.LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'api.log');
+const MAX_BYTES = Number(process.env.LOG_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_FILES = Number(process.env.LOG_MAX_FILES) || 5;
+
+// Matched against field names without case, dashes or underscores.
+const REDACTED_KEYS = new Set(['authorization', 'code', 'otp', 'passcode', 'secret', 'token', 'idempotencykey']);
+const isSecretKey = (key) => {
+  const normalized = key.toLowerCase().replace(/[-_]/g, '');
+  return REDACTED_KEYS.has(normalized) || normalized.includes('password') || normalized.endsWith('token');
+};
+
+/**
+ * Copy `value` with secret fields replaced by "[REDACTED]".
+ */
+const redact = (value, depth = 0) => {
+  if (depth > 6 || value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return { name: value.name, message: value.message, stack: value.stack };
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, isSecretKey(key) ? '[REDACTED]' : redact(item, depth + 1)])
+  );
+};
+
+// Shift api.log -> api.log.1 -> ... and drop the oldest once the file is full.
+const rotateIfNeeded = (incomingBytes) => {
+  let size = 0;
+  try {
+    size = fs.statSync(LOG_FILE).size;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (size === 0 || size + incomingBytes <= MAX_BYTES) return;
+
+  for (let index = MAX_FILES - 1; index >= 1; index -= 1) {
+    const from = `${LOG_FILE}.${index}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${LOG_FILE}.${index + 1}`);
+  }
+  fs.renameSync(LOG_FILE, `${LOG_FILE}.1`);
+  fs.rmSync(`${LOG_FILE}.${MAX_FILES + 1}`, { force: true });
+};
+
+const writeLine = (line) => {
+  if (OUTPUT !== 'file') {
+    process.stdout.write(line);
+    return;
+  }
+  fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+  rotateIfNeeded(Buffer.byteLength(line));
+  fs.appendFileSync(LOG_FILE, line);
+};
+
+const log = (level, msg, fields = {}) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const context = getRequestContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: context?.requestId || null,
+    userId: context?.userId || null,
+    ...redact(fields)
+  };
+
+  try {
+    writeLine(`${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    // Logging must never take a request down with it.
+    process.stderr.write(`[logger] Could not write log entry: ${error.message}\n`);
+  }
+};
+
+module.exports = {
+  redact,
+  debug: (msg, fields) => log('debug', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  error: (msg, fields) => log('error', msg, fields)
+};
@@ -0,0 +1,10 @@
+// Exact money arithmetic.
+//
+// The helpers live in shared/money.js so the browser and the API round the same
+// way; this file only loads them (require() of an ES module needs Node 20.19+).
+//
+// Balances and amounts are stored in integer minor units (balanceMinor,
+// amountMinor...) and only turned into decimal numbers in the toPublic* functions
+// that shape API responses. Amounts that arrive in a request are parsed with
+// parseMinor in the currency of the account they belong to.
+module.exports = require('../../../shared/money.js');
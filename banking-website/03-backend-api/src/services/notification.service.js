@@ -0,0 +1,476 @@
+// Customer notifications.
+//
+// Two halves:
+// - Outbound delivery (email / SMS) through a pluggable transport. Real providers
+//   would plug in here; for local development messages are appended to files in
+//   the outbox folder, or only logged without their body.
+// - Alerts created from domain events (see events.service.js). Each user's
+//   preferences decide which channels an alert uses (in-app, email, SMS) and
+//   whether quiet hours delay it. In-app alerts are served by GET /notifications.
+//
+// Choose the transport with NOTIFICATION_TRANSPORT=file|console (default: file).
+// The file transport writes JSON lines to OUTBOX_DIR/<medium>.jsonl (default: ./outbox).
+// The console transport logs who was sent what subject, never the body: bodies
+// carry passcodes and reset links, and logs are kept and shipped elsewhere.
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { EVENTS, onEvent } = require('./events.service');
+const { getRequestId } = require('./context.service');
+const logger = require('./logger.service');
+const { formatMinor, formatMoney } = require('./money.service');
+
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox');
+
+const transports = new Map();
+
+// A transport is any object with a send(message) function.
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Transport "${name}" must provide a send(message) function.`);
+  }
+  transports.set(name, transport);
+};
+
+registerTransport('console', {
+  send: ({ medium, to, subject }) => {
+    logger.info('Outbox message sent', { medium, to, subject });
+  }
+});
+
+registerTransport('file', {
+  send: (message) => {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+    fs.appendFileSync(path.join(OUTBOX_DIR, `${message.medium}.jsonl`), `${JSON.stringify(message)}\n`);
+  }
+});
+
+const getTransport = () => {
+  const name = process.env.NOTIFICATION_TRANSPORT || 'file';
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown notification transport "${name}".`);
+  }
+  return transport;
+};
+
+/**
+ * Deliver a message to a person.
+ * @param {Object} message
+ * @param {"email"|"sms"} message.medium
+ * @param {string} message.to - Email address or phone number.
+ * @param {string} message.subject
+ * @param {string} message.body
+ */
+const sendMessage = ({ medium = 'email', to, subject, body }) => {
+  // requestId ties the message to the request that caused it (null for scheduled deliveries).
+  const message = { medium, to, subject, body, sentAt: new Date().toISOString(), requestId: getRequestId() };
+  getTransport().send(message);
+  return message;
+};
+
+// ---------------------------------------------------------------------------
+// Preferences
+// ---------------------------------------------------------------------------
+
+const ALERT_TYPES = ['transfer', 'deposit', 'low_balance', 'security'];
+const CHANNELS = ['inApp', 'email', 'sms'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_PREFERENCES = {
+  alerts: {
+    transfer: { inApp: true, email: false, sms: false },
+    deposit: { inApp: true, email: false, sms: false },
+    low_balance: { inApp: true, email: true, sms: false },
+    security: { inApp: true, email: true, sms: false }
+  },
+  lowBalanceThreshold: Number(process.env.LOW_BALANCE_THRESHOLD) || 100,
+  // Times are "HH:MM" in `timezone`. A start later than the end wraps past midnight.
+  quietHours: { enabled: false, start: '22:00', end: '07:00', timezone: 'UTC' }
+};
+
+// Body accepted by PUT /notifications/preferences (checked by the validate middleware).
+// The nested alert and quiet-hours fields are checked by updatePreferences.
+const PREFERENCES_SCHEMA = {
+  body: {
+    alerts: { type: 'object', label: 'Alerts' },
+    lowBalanceThreshold: { type: 'number', min: 0, label: 'Low balance threshold' },
+    quietHours: { type: 'object', label: 'Quiet hours' }
+  }
+};
+
+const findUser = (id) => db.listUsers().find((user) => user.id === id);
+
+// Stored preferences on top of the defaults, so new alert types get a sensible value.
+const getPreferences = (userId) => {
+  const saved = findUser(userId)?.notificationPreferences || {};
+  return {
+    alerts: Object.fromEntries(
+      ALERT_TYPES.map((type) => [type, { ...DEFAULT_PREFERENCES.alerts[type], ...saved.alerts?.[type] }])
+    ),
+    lowBalanceThreshold: saved.lowBalanceThreshold ?? DEFAULT_PREFERENCES.lowBalanceThreshold,
+    quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...saved.quietHours }
+  };
+};
+
+const invalidField = (field, message) =>
+  Object.assign(createError(400, 'VALIDATION', message), { fields: [{ field, message }] });
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate and save a user's preferences. Fields that are left out keep their current value.
+ * @returns {Object} The full preferences after the update.
+ */
+const updatePreferences = (userId, input = {}) => {
+  const current = getPreferences(userId);
+
+  const alerts = { ...current.alerts };
+  Object.entries(input.alerts || {}).forEach(([type, channels]) => {
+    if (!ALERT_TYPES.includes(type)) throw invalidField(`alerts.${type}`, `Unknown alert type "${type}".`);
+    Object.entries(channels || {}).forEach(([channel, enabled]) => {
+      const field = `alerts.${type}.${channel}`;
+      if (!CHANNELS.includes(channel)) throw invalidField(field, `Unknown channel "${channel}".`);
+      if (typeof enabled !== 'boolean') throw invalidField(field, `${type}.${channel} must be true or false.`);
+    });
+    alerts[type] = { ...alerts[type], ...channels };
+  });
+
+  const lowBalanceThreshold =
+    input.lowBalanceThreshold === undefined ? current.lowBalanceThreshold : Number(input.lowBalanceThreshold);
+  if (!Number.isFinite(lowBalanceThreshold) || lowBalanceThreshold < 0) {
+    throw invalidField('lowBalanceThreshold', 'lowBalanceThreshold must be zero or a positive number.');
+  }
+
+  const quietHours = { ...current.quietHours, ...input.quietHours };
+  if (typeof quietHours.enabled !== 'boolean') {
+    throw invalidField('quietHours.enabled', 'quietHours.enabled must be true or false.');
+  }
+  ['start', 'end'].forEach((key) => {
+    if (!TIME_PATTERN.test(quietHours[key])) {
+      throw invalidField(`quietHours.${key}`, 'Quiet hours must use the HH:MM format.');
+    }
+  });
+  if (!isValidTimeZone(quietHours.timezone)) {
+    throw invalidField('quietHours.timezone', 'quietHours.timezone is not a known time zone.');
+  }
+
+  const preferences = { alerts, lowBalanceThreshold, quietHours };
+  db.updateUser(userId, { notificationPreferences: preferences });
+  return preferences;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight right now in the given time zone.
+const minutesInTimeZone = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(date);
+  const read = (type) => Number(parts.find((part) => part.type === type).value);
+  return read('hour') * 60 + read('minute');
+};
+
+// When the current quiet period ends, or null if we are outside quiet hours.
+const getQuietHoursEnd = (quietHours, now = new Date()) => {
+  if (!quietHours.enabled || quietHours.start === quietHours.end) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const current = minutesInTimeZone(now, quietHours.timezone);
+  const inside = start < end ? current >= start && current < end : current >= start || current < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+};
+
+// ---------------------------------------------------------------------------
+// Alerts
+// ---------------------------------------------------------------------------
+
+// "Daily Checking (...1001)" reads better in an alert than a raw id.
+const describeAccount = (account) =>
+  account ? `${account.nickname || account.type} (...${String(account.number).slice(-4)})` : 'your account';
+
+const findAccount = (id) => db.listAccounts().find((account) => account.id === id);
+
+// "$50.00 from Daily Checking (...1001) to Jordan Rivers (...8899)" for a transfer or scheduled transfer.
+// Cross-currency transfers add what arrived: "... to Euro Travel (...1003), received as €46.00".
+const describeTransfer = ({ amountMinor, fx, fromAccountId, toAccountId, toExternalAccount, beneficiaryName }) => {
+  const external = beneficiaryName
+    ? `${beneficiaryName} (...${String(toExternalAccount).slice(-4)})`
+    : `account ${toExternalAccount}`;
+  const fromAccount = findAccount(fromAccountId);
+  const destination = toAccountId ? describeAccount(findAccount(toAccountId)) : external;
+  const amount = formatMinor(amountMinor, fromAccount?.currency);
+  const sent = `${amount} from ${describeAccount(fromAccount)} to ${destination}`;
+  return fx ? `${sent}, received as ${formatMinor(fx.convertedAmountMinor, fx.toCurrency)}` : sent;
+};
+
+// Send an alert out on its email/SMS channels and mark it delivered (visible in-app).
+const dispatch = (notification) => {
+  const user = findUser(notification.userId);
+  const message = { subject: notification.title, body: notification.message };
+
+  if (notification.channels.email && user?.email) sendMessage({ ...message, medium: 'email', to: user.email });
+  if (notification.channels.sms && user?.phone) sendMessage({ ...message, medium: 'sms', to: user.phone });
+
+  return db.updateNotification(notification.id, { deliveredAt: new Date().toISOString() });
+};
+
+/**
+ * Raise an alert for one user on the channels they opted into.
+ * Non-security alerts raised during quiet hours wait until the quiet period ends.
+ * @param {Object} notification
+ * @param {string} notification.userId
+ * @param {"transfer"|"deposit"|"low_balance"|"security"} notification.category
+ * @param {"info"|"success"|"warning"|"danger"} [notification.type] - Alert colour in the UI.
+ * @param {string} notification.title
+ * @param {string} notification.message
+ * @returns {Object|null} The stored notification, or null when every channel is off.
+ */
+const notifyUser = ({ userId, category, type = 'info', title, message }) => {
+  const preferences = getPreferences(userId);
+  const channels = preferences.alerts[category] || DEFAULT_PREFERENCES.alerts.security;
+  if (!CHANNELS.some((channel) => channels[channel])) return null;
+
+  const deliverAt = category === 'security' ? null : getQuietHoursEnd(preferences.quietHours);
+  const notification = db.addNotification({
+    userId,
+    category,
+    type,
+    title,
+    message,
+    channels: { ...channels },
+    read: false,
+    createdAt: new Date().toISOString(),
+    requestId: getRequestId(),
+    deliverAt: deliverAt ? deliverAt.toISOString() : null,
+    deliveredAt: null
+  });
+
+  return deliverAt ? notification : dispatch(notification);
+};
+
+// Deliver alerts that were held for quiet hours and are now due.
+const flushDeferredNotifications = (now = new Date()) => {
+  const due = db
+    .listNotifications()
+    .filter((notification) => !notification.deliveredAt && notification.deliverAt)
+    .filter((notification) => new Date(notification.deliverAt) <= now);
+  due.forEach(dispatch);
+  return due.length;
+};
+
+// Check for held alerts once a minute. unref() lets the process exit normally.
+const startDeferredDelivery = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    try {
+      flushDeferredNotifications();
+    } catch (error) {
+      logger.error('Failed to deliver held alerts', { error });
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+const toPublicNotification = (notification) => ({
+  id: notification.id,
+  category: notification.category,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  read: Boolean(notification.read),
+  createdAt: notification.createdAt
+});
+
+// Delivered in-app alerts, newest first.
+const listNotificationsForUser = (userId) =>
+  db
+    .listNotifications()
+    .filter((notification) => notification.userId === userId)
+    .filter((notification) => notification.channels?.inApp !== false && notification.deliveredAt !== null)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+// Returns the updated notification and whether it was unread before.
+const markNotificationRead = (userId, notificationId) => {
+  const notification = listNotificationsForUser(userId).find((entry) => entry.id === notificationId);
+
+  if (!notification) {
+    throw createError(404, 'NOTIFICATION_NOT_FOUND', 'Notification not found.');
+  }
+  // Read before writing: db.updateNotification changes the stored object in place.
+  const wasUnread = !notification.read;
+  const updated = wasUnread
+    ? db.updateNotification(notification.id, { read: true, readAt: new Date().toISOString() })
+    : notification;
+  return { notification: updated, changed: wasUnread };
+};
+
+// Returns how many notifications changed.
+const markAllNotificationsRead = (userId) => {
+  const readAt = new Date().toISOString();
+  const unread = listNotificationsForUser(userId).filter((notification) => !notification.read);
+  unread.forEach((notification) => db.updateNotification(notification.id, { read: true, readAt }));
+  return unread.length;
+};
+
+// Turn domain events into notifications. server.js calls this after seeding,
+// so only real activity (never demo data) produces alerts.
+const subscribeToEvents = () => {
+  onEvent(EVENTS.TRANSFER_COMPLETED, ({ transfer }) => {
+    // Scheduled transfers are announced by the SCHEDULED_TRANSFER_RAN listener below.
+    if (transfer.scheduledTransferId) return;
+
+    notifyUser({
+      userId: transfer.userId,
+      category: 'transfer',
+      type: 'success',
+      title: 'Transfer completed',
+      message: `You sent ${describeTransfer(transfer)}. Reference ${transfer.reference}.`
+    });
+  });
+
+  onEvent(EVENTS.SCHEDULED_TRANSFER_RAN, ({ schedule, outcome, transfer }) => {
+    const summary = describeTransfer(schedule);
+    const reason = schedule.lastResult?.message || 'The transfer could not be sent.';
+    const retryAt = schedule.lastResult?.retryAt ? new Date(schedule.lastResult.retryAt).toUTCString() : 'a later time';
+    const next =
+      schedule.status === 'active' ? `The next one is due on ${schedule.nextRunDate}.` : 'No more are scheduled.';
+    const alerts = {
+      sent: {
+        type: 'success',
+        title: 'Scheduled transfer sent',
+        message: `We sent ${summary}. Reference ${transfer?.reference}. ${next}`
+      },
+      retrying: {
+        type: 'warning',
+        title: 'Scheduled transfer delayed',
+        message: `We could not send ${summary}: ${reason} We will try again at ${retryAt}.`
+      },
+      skipped: {
+        type: 'danger',
+        title: 'Scheduled transfer skipped',
+        message: `We could not send ${summary}: ${reason} ${next}`
+      },
+      failed: {
+        type: 'danger',
+        title: 'Scheduled transfer failed',
+        message: `We could not send ${summary}: ${reason}`
+      },
+      paused: {
+        type: 'danger',
+        title: 'Scheduled transfer paused',
+        message: `We could not send ${summary} after several tries: ${reason} Resume it when you want us to try again.`
+      }
+    };
+    const alert = alerts[outcome];
+    if (!alert) return;
+
+    notifyUser({ userId: schedule.userId, category: 'transfer', ...alert });
+  });
+
+  // Sent when a payee is added, or when its account details change (which restarts the cooling-off period).
+  onEvent(EVENTS.BENEFICIARY_SAVED, ({ beneficiary, action, coolingOffLimit }) => {
+    const payee = `${beneficiary.name} (...${beneficiary.accountNumber.slice(-4)})`;
+    const change = action === 'added' ? `${payee} was added as a payee` : `The account details for ${payee} changed`;
+    const until = new Date(beneficiary.coolingOffEndsAt).toUTCString();
+    notifyUser({
+      userId: beneficiary.userId,
+      category: 'security',
+      type: 'info',
+      title: action === 'added' ? 'New payee added' : 'Payee details changed',
+      message:
+        `${change}. Until ${until}, transfers to them are limited to ${formatMoney(coolingOffLimit)} in total. ` +
+        'If this was not you, contact your account officer.'
+    });
+  });
+
+  onEvent(EVENTS.DEPOSIT_POSTED, ({ account, entry }) => {
+    notifyUser({
+      userId: account.userId,
+      category: 'deposit',
+      type: 'success',
+      title: 'Deposit received',
+      message: `${formatMinor(entry.amountMinor, account.currency)} was added to ${describeAccount(account)}.`
+    });
+  });
+
+  onEvent(EVENTS.LOW_BALANCE, ({ account, threshold }) => {
+    notifyUser({
+      userId: account.userId,
+      category: 'low_balance',
+      type: 'warning',
+      title: 'Low balance alert',
+      message:
+        `${describeAccount(account)} dropped below ${formatMoney(threshold, account.currency)}. ` +
+        `Current balance: ${formatMinor(account.balanceMinor, account.currency)}.`
+    });
+  });
+
+  onEvent(EVENTS.PROFILE_CHANGED, ({ user, fields = [] }) => {
+    notifyUser({
+      userId: user.id,
+      category: 'security',
+      type: 'info',
+      title: 'Profile updated',
+      message: `Your ${fields.join(', ') || 'profile'} changed. If this was not you, contact your account officer.`
+    });
+  });
+
+  onEvent(EVENTS.PASSWORD_CHANGED, ({ user, reason, revokedSessions = 0 }) => {
+    // A reset signs out every session; a change keeps the one that made it.
+    const summary =
+      reason === 'reset'
+        ? `reset with an emailed link. ${revokedSessions} session(s) were signed out`
+        : `changed from your profile. ${revokedSessions} other session(s) were signed out`;
+    notifyUser({
+      userId: user.id,
+      category: 'security',
+      type: 'warning',
+      title: 'Password changed',
+      message: `Your password was ${summary}. If this was not you, contact your account officer.`
+    });
+  });
+
+  onEvent(EVENTS.USER_LOGGED_IN, ({ user, ip }) => {
+    notifyUser({
+      userId: user.id,
+      category: 'security',
+      type: 'info',
+      title: 'New sign-in',
+      message: `New sign-in from ${ip || 'an unknown address'}. If this was not you, change your password.`
+    });
+  });
+};
+
+module.exports = {
+  ALERT_TYPES,
+  PREFERENCES_SCHEMA,
+  registerTransport,
+  sendMessage,
+  getPreferences,
+  updatePreferences,
+  notifyUser,
+  flushDeferredNotifications,
+  startDeferredDelivery,
+  toPublicNotification,
+  listNotificationsForUser,
+  markNotificationRead,
+  markAllNotificationsRead,
+  subscribeToEvents
+};
@@ -0,0 +1,117 @@
+// Step-up one-time passcodes for transfers.
+// Codes are never stored or returned: we keep a salted hash, an expiry time,
+// a failed-attempt counter and resend bookkeeping per transfer.
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { sendMessage } = require('./notification.service');
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 30 * 1000;
+const MAX_SENDS = 5;
+
+const hashCode = (code, salt) => crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+
+const findOtpForTransfer = (transferId) => db.listOtps().find((otp) => otp.transferId === transferId);
+
+/**
+ * Create (or replace) the code for a transfer and deliver it to the user.
+ * Failed attempts carry over between resends so resending cannot reset the lockout.
+ */
+const sendOtp = ({ transfer, user }) => {
+  const existing = findOtpForTransfer(transfer.id);
+  const now = Date.now();
+
+  if (existing?.lockedAt) {
+    throw createError(423, 'OTP_LOCKED', 'Too many attempts. Please contact your officer.');
+  }
+
+  if (existing) {
+    const waitMs = new Date(existing.lastSentAt).getTime() + RESEND_COOLDOWN_MS - now;
+    if (waitMs > 0) {
+      throw createError(429, 'OTP_RESEND_THROTTLED', `Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting a new code.`);
+    }
+    if (existing.sendCount >= MAX_SENDS) {
+      throw createError(429, 'OTP_RESEND_THROTTLED', 'Too many codes requested for this transfer. Please start a new transfer.');
+    }
+  }
+
+  const code = String(crypto.randomInt(100000, 1000000));
+  const salt = crypto.randomBytes(16).toString('hex');
+  const record = {
+    transferId: transfer.id,
+    userId: user.id,
+    codeHash: hashCode(code, salt),
+    salt,
+    expiresAt: new Date(now + OTP_TTL_MS).toISOString(),
+    attempts: existing?.attempts || 0,
+    sendCount: (existing?.sendCount || 0) + 1,
+    lastSentAt: new Date(now).toISOString(),
+    consumedAt: null,
+    lockedAt: null
+  };
+
+  const otp = existing ? db.updateOtp(existing.id, record) : db.addOtp(record);
+
+  sendMessage({
+    medium: 'email',
+    to: user.email,
+    subject: 'Your transfer verification code',
+    body: `Your verification code is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes. Never share this code.`
+  });
+
+  return {
+    expiresAt: otp.expiresAt,
+    resendAvailableAt: new Date(now + RESEND_COOLDOWN_MS).toISOString()
+  };
+};
+
+/**
+ * Check a submitted code. Throws OTP_REQUIRED, OTP_EXPIRED, OTP_INVALID or OTP_LOCKED.
+ * The error thrown when the last attempt is used up has `locked: true` so the
+ * caller can fail the transfer.
+ */
+const verifyOtp = ({ transferId, code }) => {
+  const otp = findOtpForTransfer(transferId);
+
+  if (!otp || otp.consumedAt) {
+    throw createError(400, 'OTP_REQUIRED', 'Please request a new passcode first.');
+  }
+
+  if (otp.lockedAt) {
+    throw createError(423, 'OTP_LOCKED', 'Too many attempts. Please contact your officer.');
+  }
+
+  if (new Date(otp.expiresAt).getTime() < Date.now()) {
+    throw createError(400, 'OTP_EXPIRED', 'The one-time passcode has expired.');
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code || '').trim(), otp.salt), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const attempts = otp.attempts + 1;
+
+    if (attempts >= MAX_ATTEMPTS) {
+      db.updateOtp(otp.id, { attempts, lockedAt: new Date().toISOString() });
+      throw Object.assign(createError(423, 'OTP_LOCKED', 'Too many attempts. Please contact your officer.'), {
+        locked: true
+      });
+    }
+
+    db.updateOtp(otp.id, { attempts });
+    const remaining = MAX_ATTEMPTS - attempts;
+    throw createError(400, 'OTP_INVALID', `Invalid passcode. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`);
+  }
+
+  db.updateOtp(otp.id, { consumedAt: new Date().toISOString() });
+  return true;
+};
+
+module.exports = {
+  OTP_TTL_MS,
+  MAX_ATTEMPTS,
+  sendOtp,
+  verifyOtp
+};
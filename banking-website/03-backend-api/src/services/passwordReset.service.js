@@ -0,0 +1,93 @@
+// Forgotten-password resets.
+// A reset token is a random secret emailed to the user. Like OTP codes, only a
+// hash of it is stored. Each token works once and expires after
+// PASSWORD_RESET_TTL_MINUTES (default 30). Asking again replaces any earlier token.
+//
+// The link in the email points at PASSWORD_RESET_URL (the reset-password page
+// served by Live Server), with the token in the ?token= query parameter.
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { assertPasswordRules, setUserPassword, revokeUserSessions } = require('./auth.service');
+const { sendMessage } = require('./notification.service');
+
+const RESET_TTL_MS = (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30) * 60 * 1000;
+const RESET_PAGE_URL =
+  process.env.PASSWORD_RESET_URL || 'http://localhost:5500/01-static-html-css/pages/reset-password.html';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const findResetByToken = (token) => {
+  const tokenHash = hashToken(token);
+  return db.listPasswordResets().find((reset) => reset.tokenHash === tokenHash);
+};
+
+const INVALID_TOKEN_MESSAGE = 'This reset link is invalid or has expired. Please request a new one.';
+
+/**
+ * Create a reset token for `user` and email the link.
+ * Earlier unused tokens for the same user stop working.
+ * @returns {Object} The stored reset record (without the token).
+ */
+const requestPasswordReset = (user) => {
+  const now = new Date();
+  const token = crypto.randomBytes(32).toString('hex');
+
+  db.listPasswordResets()
+    .filter((reset) => reset.userId === user.id && !reset.usedAt && !reset.replacedAt)
+    .forEach((reset) => db.updatePasswordReset(reset.id, { replacedAt: now.toISOString() }));
+
+  const reset = db.addPasswordReset({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + RESET_TTL_MS).toISOString(),
+    usedAt: null,
+    replacedAt: null
+  });
+
+  sendMessage({
+    medium: 'email',
+    to: user.email,
+    subject: 'Reset your Bankly password',
+    body:
+      `We received a request to reset your password. Open this link within ${RESET_TTL_MS / 60000} minutes:\n` +
+      `${RESET_PAGE_URL}?token=${token}\n` +
+      'If you did not ask for this, you can ignore this email. Your password has not changed.'
+  });
+
+  return reset;
+};
+
+/**
+ * Set a new password with a reset token, then sign the user out everywhere.
+ * Throws RESET_TOKEN_INVALID for unknown, used, replaced or expired tokens, and
+ * PASSWORD_REUSED when the new password is one of the user's recent ones.
+ * @returns {{ user: Object, revokedSessions: number }}
+ */
+const resetPassword = ({ token, password }) => {
+  const reset = token ? findResetByToken(token) : null;
+  if (!reset || reset.usedAt || reset.replacedAt || new Date(reset.expiresAt).getTime() <= Date.now()) {
+    throw createError(400, 'RESET_TOKEN_INVALID', INVALID_TOKEN_MESSAGE);
+  }
+
+  const user = db.listUsers().find((entry) => entry.id === reset.userId);
+  if (!user) {
+    throw createError(400, 'RESET_TOKEN_INVALID', INVALID_TOKEN_MESSAGE);
+  }
+
+  assertPasswordRules(password, { email: user.email });
+
+  return db.withTransaction(() => {
+    const updated = setUserPassword(user, password);
+    db.updatePasswordReset(reset.id, { usedAt: updated.passwordChangedAt });
+    const revokedSessions = revokeUserSessions(user.id);
+    return { user: updated, revokedSessions };
+  });
+};
+
+module.exports = {
+  RESET_TTL_MS,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,91 @@
+// Minimal PDF writer for one-page text documents (receipts).
+// No external service or library: we write the PDF objects by hand.
+// A PDF is a list of numbered objects followed by a cross-reference table
+// that records the byte offset of each object, so the offsets must be exact.
+
+const PAGE_WIDTH = 612; // US Letter in points (1/72 inch)
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+
+// The built-in fonts use WinAnsiEncoding: printable ASCII, Latin-1 (0xA0-0xFF) and
+// these extra characters in 0x80-0x9F. Anything else becomes "?".
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+  // Intl number formats put a narrow no-break space between some amounts and their symbol.
+  '\u202f': 0xa0
+};
+
+const toWinAnsiCode = (char) => {
+  const code = char.codePointAt(0);
+  if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) return code;
+  return WIN_ANSI_EXTRAS[char] ?? null;
+};
+
+// A PDF string literal: ( ) and \ are escaped, and bytes outside ASCII are written
+// as octal escapes so the content stream stays plain ASCII.
+const toPdfText = (value) =>
+  Array.from(String(value ?? ''))
+    .map((char) => {
+      const code = toWinAnsiCode(char);
+      if (code === null) return '?';
+      if (code > 0x7e) return `\\${code.toString(8)}`;
+      return '\\()'.includes(char) ? `\\${char}` : char;
+    })
+    .join('');
+
+/**
+ * Build a one-page PDF.
+ * @param {Object} document
+ * @param {string} document.title - Large heading at the top.
+ * @param {Array<{ label?: string, value?: string }|null>} document.lines - Label/value rows. null adds a gap.
+ * @param {string} [document.footer] - Small print at the bottom.
+ * @returns {Buffer}
+ */
+const createTextPdf = ({ title, lines = [], footer }) => {
+  const commands = ['BT', `/F2 20 Tf ${MARGIN} ${PAGE_HEIGHT - MARGIN} Td (${toPdfText(title)}) Tj`, 'ET'];
+
+  let y = PAGE_HEIGHT - MARGIN - 40;
+  lines.forEach((line) => {
+    if (line) {
+      commands.push('BT', `/F1 11 Tf ${MARGIN} ${y} Td (${toPdfText(line.label)}) Tj`, 'ET');
+      commands.push('BT', `/F2 11 Tf ${MARGIN + 160} ${y} Td (${toPdfText(line.value)}) Tj`, 'ET');
+    }
+    y -= line ? 20 : 12;
+  });
+
+  if (footer) {
+    commands.push('BT', `/F1 8 Tf ${MARGIN} ${MARGIN} Td (${toPdfText(footer)}) Tj`, 'ET');
+  }
+
+  const content = commands.join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  createTextPdf
+};
@@ -0,0 +1,218 @@
+// Customer profile: contact details the customer can edit themselves, plus the
+// base currency that the dashboard total is shown in.
+// Phone and address changes apply straight away. An email change waits for the
+// customer to open the confirmation link sent to the new address; until then the
+// old address keeps working and the new one is shown as pending.
+//
+// The link points at EMAIL_VERIFY_URL (the profile page served by Live Server)
+// with the token in ?verifyEmail=. Links expire after EMAIL_VERIFY_TTL_HOURS (default 24).
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { sendMessage } = require('./notification.service');
+const { BASE_CURRENCY, isSupportedCurrency, listCurrencies } = require('./fx.service');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const MAX_ADDRESS_LENGTH = 200;
+const MAX_PHONE_LENGTH = 30;
+const EDITABLE_FIELDS = ['phone', 'address', 'email', 'baseCurrency'];
+
+const VERIFY_TTL_MS = (Number(process.env.EMAIL_VERIFY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const VERIFY_PAGE_URL =
+  process.env.EMAIL_VERIFY_URL || 'http://localhost:5500/01-static-html-css/pages/profile.html';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const isEmailTaken = (email, exceptUserId) =>
+  db.listUsers().some((user) => user.id !== exceptUserId && user.email === email);
+
+// VALIDATION error that also names the field, like the validate middleware does.
+const invalidField = (field, message) =>
+  Object.assign(createError(400, 'VALIDATION', message), { fields: [{ field, message }] });
+
+// PATCH /profile body (checked by the validate middleware). updateProfile checks the values again
+// and does the checks a schema cannot, such as phone digit counts and taken email addresses.
+const PROFILE_UPDATE_SCHEMA = {
+  body: {
+    phone: { maxLength: MAX_PHONE_LENGTH, label: 'Phone number' },
+    address: { maxLength: MAX_ADDRESS_LENGTH, label: 'Address' },
+    email: { type: 'email', label: 'Email' },
+    baseCurrency: { uppercase: true, enum: listCurrencies, label: 'Base currency' }
+  },
+  rejectUnknown: true
+};
+
+const isPendingExpired = (user) => !user.pendingEmailExpiresAt || new Date(user.pendingEmailExpiresAt) <= new Date();
+
+// Profile shape for API responses. `pendingEmail` is set while a new address waits for confirmation.
+const toProfile = (user) => {
+  const pending = user.pendingEmail && !isPendingExpired(user);
+  return {
+    fullName: user.name,
+    email: user.email,
+    phone: user.phone || '',
+    address: user.address || '',
+    baseCurrency: user.baseCurrency || BASE_CURRENCY,
+    createdAt: user.createdAt,
+    pendingEmail: pending ? user.pendingEmail : null,
+    pendingEmailExpiresAt: pending ? user.pendingEmailExpiresAt : null
+  };
+};
+
+// Profile values are text. null clears an optional field; numbers, objects and arrays are refused
+// rather than stored as "42" or "[object Object]".
+const readText = (field, label, value, { optional = false } = {}) => {
+  if (optional && (value === null || value === undefined)) return '';
+  if (typeof value !== 'string') throw invalidField(field, `${label} must be text.`);
+  return value.trim();
+};
+
+const validatePhone = (value) => {
+  const phone = readText('phone', 'Phone number', value, { optional: true });
+  const digits = phone.replace(/\D/g, '');
+  if (phone && (!PHONE_PATTERN.test(phone) || digits.length < 7 || digits.length > 15)) {
+    throw invalidField('phone', 'Phone numbers need 7 to 15 digits and may use spaces, +, -, . and brackets.');
+  }
+  return phone;
+};
+
+const validateAddress = (value) => {
+  const address = readText('address', 'Address', value, { optional: true });
+  if (address.length > MAX_ADDRESS_LENGTH) {
+    throw invalidField('address', `Addresses can be at most ${MAX_ADDRESS_LENGTH} characters long.`);
+  }
+  return address;
+};
+
+const validateBaseCurrency = (value) => {
+  const currency = readText('baseCurrency', 'Base currency', value).toUpperCase();
+  if (!isSupportedCurrency(currency)) {
+    throw invalidField('baseCurrency', `Base currency must be one of: ${listCurrencies().join(', ')}.`);
+  }
+  return currency;
+};
+
+// Store a pending address and send the confirmation link to it.
+// The current address is told as well, so a hijacked session cannot quietly move the account.
+const startEmailChange = (user, newEmail) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + VERIFY_TTL_MS).toISOString();
+
+  const updated = db.updateUser(user.id, {
+    pendingEmail: newEmail,
+    pendingEmailTokenHash: hashToken(token),
+    pendingEmailExpiresAt: expiresAt
+  });
+
+  sendMessage({
+    medium: 'email',
+    to: newEmail,
+    subject: 'Confirm your new Bankly email address',
+    body:
+      `Open this link within ${VERIFY_TTL_MS / 3600000} hours to start using this address for Bankly:\n` +
+      `${VERIFY_PAGE_URL}?verifyEmail=${token}\n` +
+      'If you did not ask for this, you can ignore this email.'
+  });
+  sendMessage({
+    medium: 'email',
+    to: user.email,
+    subject: 'Your Bankly email address is changing',
+    body:
+      `We received a request to change your Bankly email address to ${newEmail}. ` +
+      'Nothing changes until the new address is confirmed. If this was not you, contact your account officer.'
+  });
+
+  return updated;
+};
+
+/**
+ * Apply a PATCH /profile body for `user`.
+ * Phone and address are saved immediately; a new email only becomes pending.
+ * Throws VALIDATION for unknown fields or bad values and EMAIL_IN_USE for taken addresses.
+ * @returns {{ user: Object, before: Object, after: Object, changedFields: string[], emailVerificationSent: boolean }}
+ */
+const updateProfile = (user, changes = {}) => {
+  const unknown = Object.keys(changes).filter((field) => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    const fields = unknown.map((field) => ({ field, message: `${field} cannot be changed here.` }));
+    throw Object.assign(
+      createError(400, 'VALIDATION', `These fields cannot be changed here: ${unknown.join(', ')}.`),
+      { fields }
+    );
+  }
+
+  const updates = {};
+  if ('phone' in changes) updates.phone = validatePhone(changes.phone);
+  if ('address' in changes) updates.address = validateAddress(changes.address);
+  if ('baseCurrency' in changes) updates.baseCurrency = validateBaseCurrency(changes.baseCurrency);
+
+  let newEmail = null;
+  if ('email' in changes) {
+    const email = normalizeEmail(readText('email', 'Email', changes.email));
+    if (!EMAIL_PATTERN.test(email)) {
+      throw invalidField('email', 'Please enter a valid email address.');
+    }
+    if (email !== user.email) {
+      if (isEmailTaken(email, user.id)) {
+        throw createError(409, 'EMAIL_IN_USE', 'This email is already registered.');
+      }
+      newEmail = email;
+    }
+  }
+
+  const changedFields = Object.keys(updates).filter((field) => (user[field] || '') !== updates[field]);
+  const before = Object.fromEntries(changedFields.map((field) => [field, user[field] || '']));
+  const after = Object.fromEntries(changedFields.map((field) => [field, updates[field]]));
+
+  // Read before writing: db.updateUser changes the stored user object in place.
+  const previousPendingEmail = isPendingExpired(user) ? null : user.pendingEmail || null;
+
+  let updated = changedFields.length > 0 ? db.updateUser(user.id, after) : user;
+  if (newEmail) {
+    updated = startEmailChange(updated, newEmail);
+    before.pendingEmail = previousPendingEmail;
+    after.pendingEmail = newEmail;
+  }
+
+  return { user: updated, before, after, changedFields, emailVerificationSent: Boolean(newEmail) };
+};
+
+/**
+ * Finish an email change with the token from the confirmation link.
+ * Throws EMAIL_VERIFICATION_INVALID for unknown or expired tokens, and EMAIL_IN_USE
+ * if someone else registered the address in the meantime.
+ * @returns {{ user: Object, previousEmail: string }}
+ */
+const confirmEmailChange = (token) => {
+  const tokenHash = token ? hashToken(token) : null;
+  const user = tokenHash ? db.listUsers().find((entry) => entry.pendingEmailTokenHash === tokenHash) : null;
+
+  if (!user || !user.pendingEmail || isPendingExpired(user)) {
+    throw createError(400, 'EMAIL_VERIFICATION_INVALID', 'This confirmation link is invalid or has expired.');
+  }
+
+  if (isEmailTaken(user.pendingEmail, user.id)) {
+    throw createError(409, 'EMAIL_IN_USE', 'This email is already registered.');
+  }
+
+  const previousEmail = user.email;
+  const updated = db.updateUser(user.id, {
+    email: user.pendingEmail,
+    emailVerifiedAt: new Date().toISOString(),
+    pendingEmail: null,
+    pendingEmailTokenHash: null,
+    pendingEmailExpiresAt: null
+  });
+
+  return { user: updated, previousEmail };
+};
+
+module.exports = {
+  PROFILE_UPDATE_SCHEMA,
+  toProfile,
+  updateProfile,
+  confirmEmailChange
+};
@@ -0,0 +1,141 @@
+// Transfer receipts.
+// A receipt is written once, inside the same db.withTransaction that posts the
+// transfer's ledger entries, and never updated afterwards. It copies the details
+// as they were at that moment (account names, beneficiary) and carries a checksum
+// over its contents so a changed receipt can be spotted.
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { createTextPdf } = require('./pdf.service');
+const { formatMoney, fromMinor } = require('./money.service');
+
+const BANK_NAME = 'Bankly';
+
+const maskNumber = (number) => (number ? `****${String(number).slice(-4)}` : null);
+
+const computeChecksum = (receipt) => crypto.createHash('sha256').update(JSON.stringify(receipt)).digest('hex');
+
+const findReceipt = (transferId) => db.listReceipts().find((receipt) => receipt.transferId === transferId);
+
+/**
+ * Record the receipt for a transfer that just completed.
+ * Pass `toAccount` only for internal transfers; external ones use the beneficiary details on the transfer.
+ */
+const issueReceipt = ({ transfer, fromAccount, toAccount }) => {
+  const existing = findReceipt(transfer.id);
+  if (existing) return existing;
+
+  const receipt = {
+    transferId: transfer.id,
+    userId: transfer.userId,
+    reference: transfer.reference,
+    from: {
+      accountId: fromAccount.id,
+      name: fromAccount.nickname || fromAccount.type,
+      number: maskNumber(fromAccount.number)
+    },
+    to: toAccount
+      ? {
+          accountId: toAccount.id,
+          name: toAccount.nickname || toAccount.type,
+          bank: BANK_NAME,
+          number: maskNumber(toAccount.number)
+        }
+      : {
+          accountId: null,
+          name: transfer.beneficiaryName || null,
+          bank: transfer.beneficiaryBank || null,
+          number: maskNumber(transfer.toExternalAccount)
+        },
+    amountMinor: transfer.amountMinor,
+    currency: fromAccount.currency || 'USD',
+    // Cross-currency transfers: { rate, toCurrency, convertedAmountMinor, rateDate }.
+    fx: transfer.fx
+      ? {
+          rate: transfer.fx.rate,
+          toCurrency: transfer.fx.toCurrency,
+          convertedAmountMinor: transfer.fx.convertedAmountMinor,
+          rateDate: transfer.fx.rateDate
+        }
+      : null,
+    memo: transfer.memo || '',
+    completedAt: transfer.completedAt,
+    issuedAt: new Date().toISOString()
+  };
+
+  return db.addReceipt({ ...receipt, checksum: computeChecksum(receipt) });
+};
+
+// Owners can read their receipts; admins can read any. Everyone else gets a 404.
+const getReceiptForUser = (user, transferId) => {
+  const receipt = findReceipt(transferId);
+  if (!receipt || (receipt.userId !== user.id && user.role !== 'admin')) {
+    throw createError(404, 'RECEIPT_NOT_FOUND', 'Receipt could not be located.');
+  }
+  return receipt;
+};
+
+// The stored receipt plus the transfer's current status (it may have been reversed since).
+// Amounts are stored in minor units and shown in major units.
+const toPublicReceipt = (receipt) => {
+  const transfer = db.listTransfers().find((entry) => entry.id === receipt.transferId);
+  const { fx } = receipt;
+  return {
+    id: receipt.id,
+    transferId: receipt.transferId,
+    reference: receipt.reference,
+    from: receipt.from,
+    to: receipt.to,
+    amount: fromMinor(receipt.amountMinor, receipt.currency),
+    currency: receipt.currency,
+    fx: fx
+      ? {
+          rate: fx.rate,
+          toCurrency: fx.toCurrency,
+          convertedAmount: fromMinor(fx.convertedAmountMinor, fx.toCurrency),
+          rateDate: fx.rateDate
+        }
+      : null,
+    memo: receipt.memo,
+    status: transfer?.status || 'completed',
+    completedAt: receipt.completedAt,
+    issuedAt: receipt.issuedAt,
+    checksum: receipt.checksum
+  };
+};
+
+const renderReceiptPdf = (receipt) => {
+  const publicReceipt = toPublicReceipt(receipt);
+  const { fx } = publicReceipt;
+  const describe = (side) => [side.name, side.number].filter(Boolean).join(' ') || '-';
+
+  return createTextPdf({
+    title: `${BANK_NAME} transfer receipt`,
+    lines: [
+      { label: 'Reference', value: publicReceipt.reference },
+      { label: 'Date', value: new Date(publicReceipt.completedAt).toUTCString() },
+      { label: 'Status', value: publicReceipt.status },
+      null,
+      { label: 'From account', value: describe(publicReceipt.from) },
+      { label: 'To', value: describe(publicReceipt.to) },
+      { label: 'Beneficiary bank', value: publicReceipt.to.bank || '-' },
+      null,
+      { label: 'Amount', value: formatMoney(publicReceipt.amount, publicReceipt.currency) },
+      ...(fx
+        ? [
+            { label: 'Exchange rate', value: `1 ${publicReceipt.currency} = ${fx.rate} ${fx.toCurrency}` },
+            { label: 'Amount received', value: formatMoney(fx.convertedAmount, fx.toCurrency) }
+          ]
+        : []),
+      { label: 'Note', value: publicReceipt.memo || '-' }
+    ],
+    footer: `Receipt ${publicReceipt.id} - checksum ${publicReceipt.checksum}`
+  });
+};
+
+module.exports = {
+  issueReceipt,
+  getReceiptForUser,
+  toPublicReceipt,
+  renderReceiptPdf
+};
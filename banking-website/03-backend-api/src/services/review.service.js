@@ -0,0 +1,155 @@
+// Admin review queue for ledger entries.
+// Entries posted as "pending" or "review" have already left the sender's balance.
+// A pending external transfer sits in the clearing account, and a transfer in review
+// sits in a hold account, so the recipient cannot spend it yet. Posting a transfer
+// pays out anything held; otherwise it only clears the flag. Declining gives the
+// money back with mirror-image entries; the original rows stay in the ledger.
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { findAccount } = require('./account.service');
+const { ENTRY_STATUS, postEntry } = require('./ledger.service');
+const { fromMinor } = require('./money.service');
+const { findTransfer, releaseHeldTransfer, reverseTransfer } = require('./transfer.service');
+
+const ALLOWED_TRANSITIONS = {
+  pending: ['posted', 'review', 'declined'],
+  review: ['posted', 'declined'],
+  posted: [],
+  declined: []
+};
+
+const QUEUE_STATUSES = [ENTRY_STATUS.PENDING, ENTRY_STATUS.REVIEW];
+
+const statusOf = (entry) => entry.status || ENTRY_STATUS.POSTED;
+
+const findEntry = (id) => db.listTransactions().find((entry) => entry.id === id);
+
+const getLinkKey = (entry) => ['transferId', 'adjustmentId'].find((key) => entry[key]);
+
+// Every row written by the same posting (both sides of a transfer or adjustment).
+// A status change always applies to the whole group so the two sides never disagree.
+const findGroup = (entry) => {
+  const linkKey = getLinkKey(entry);
+  if (!linkKey) return [entry];
+  return db
+    .listTransactions()
+    .filter((row) => row[linkKey] === entry[linkKey] && statusOf(row) === statusOf(entry));
+};
+
+// Queue row shape used by GET /admin/transactions.
+const toQueueItem = (entry) => {
+  const account = findAccount(entry.accountId);
+  const owner = db.listUsers().find((user) => user.id === account?.userId);
+  const transfer = entry.transferId ? findTransfer(entry.transferId) : null;
+
+  return {
+    id: entry.id,
+    reference: transfer?.reference || entry.id,
+    customer: owner ? { id: owner.id, name: owner.name, email: owner.email } : null,
+    accountId: entry.accountId,
+    accountNumber: account?.number || null,
+    type: entry.type,
+    amount: fromMinor(entry.amountMinor, account?.currency),
+    currency: account?.currency || 'USD',
+    description: entry.description,
+    status: statusOf(entry),
+    transferId: entry.transferId || null,
+    timestamp: entry.timestamp,
+    reviewNote: entry.reviewNote || null
+  };
+};
+
+/**
+ * Customer-side entries waiting for an admin, oldest first, one row per posting.
+ * Pass `status` to see one bucket, including "posted" or "declined" history.
+ */
+const listQueue = ({ status, search, page = 1, pageSize = 20 } = {}) => {
+  const statuses = status ? [status] : QUEUE_STATUSES;
+  const needle = String(search || '').trim().toLowerCase();
+  const seenPostings = new Set();
+
+  const matches = db
+    .listTransactions()
+    .filter((entry) => statuses.includes(statusOf(entry)))
+    .filter((entry) => findAccount(entry.accountId)?.userId)
+    .filter((entry) => {
+      // An internal transfer has a customer row on both sides; list it once.
+      const linkKey = getLinkKey(entry);
+      if (!linkKey) return true;
+      if (seenPostings.has(entry[linkKey])) return false;
+      seenPostings.add(entry[linkKey]);
+      return true;
+    })
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(toQueueItem)
+    .filter(
+      (item) =>
+        !needle ||
+        [item.reference, item.description, item.customer?.name, item.customer?.email].some((value) =>
+          String(value || '').toLowerCase().includes(needle)
+        )
+    );
+
+  const start = (page - 1) * pageSize;
+  return { items: matches.slice(start, start + pageSize), page, pageSize, total: matches.length };
+};
+
+// Post the mirror image of each row, for postings that are not transfers.
+const reverseEntries = (rows, { reason, timestamp }) =>
+  rows.forEach((row) =>
+    postEntry({
+      account: findAccount(row.accountId),
+      direction: row.direction === 'debit' ? 'credit' : 'debit',
+      amountMinor: Math.abs(row.amountMinor),
+      type: 'reversal',
+      description: `Declined: ${reason || row.description}`,
+      timestamp,
+      reversalOf: row.id
+    })
+  );
+
+/**
+ * Move an entry (and the rest of its posting) to a new status.
+ * Only the moves in ALLOWED_TRANSITIONS are accepted. Declining releases the held funds.
+ * @returns {Object} The updated entry.
+ */
+const updateEntryStatus = ({ entryId, status, note, adminId }) => {
+  const entry = findEntry(entryId);
+  if (!entry) {
+    throw createError(404, 'TRANSACTION_NOT_FOUND', 'Transaction was not found.');
+  }
+
+  const current = statusOf(entry);
+  if (!ALLOWED_TRANSITIONS[current]?.includes(status)) {
+    throw createError(409, 'INVALID_TRANSACTION_STATE', `Transaction cannot move from ${current} to ${status}.`);
+  }
+
+  return db.withTransaction(() => {
+    const group = findGroup(entry);
+    const reviewedAt = new Date().toISOString();
+    const reviewNote = String(note || '').trim() || null;
+
+    if (status === ENTRY_STATUS.POSTED && entry.transferId) {
+      releaseHeldTransfer(entry.transferId);
+    }
+
+    if (status === ENTRY_STATUS.DECLINED) {
+      if (entry.transferId) {
+        reverseTransfer(entry.transferId, { reason: reviewNote || 'Declined in review' });
+      } else {
+        reverseEntries(group, { reason: reviewNote, timestamp: reviewedAt });
+      }
+    }
+
+    group.forEach((row) => db.updateTransaction(row.id, { status, reviewedBy: adminId, reviewedAt, reviewNote }));
+    return findEntry(entry.id);
+  });
+};
+
+module.exports = {
+  ALLOWED_TRANSITIONS,
+  findEntry,
+  listQueue,
+  toQueueItem,
+  updateEntryStatus
+};
@@ -0,0 +1,571 @@
+// Future-dated and recurring transfers.
+//
+// A schedule stores the transfer details plus when to send them: once on a date,
+// or weekly / biweekly / monthly from a start date, optionally ending on a date or
+// after a number of transfers. The scheduler (startTransferScheduler) wakes up
+// periodically and sends every due schedule through the normal transfer path
+// (createTransfer + executeTransfer), so limits, account checks, ledger entries
+// and receipts work exactly as they do for "send now".
+//
+// Each run ends in one of these outcomes (announced with SCHEDULED_TRANSFER_RAN):
+// - sent: the transfer completed.
+// - retrying: not enough money; the same occurrence is tried again later
+//   (after 1 hour, then 6 hours, then 24 hours by default). A server error (5xx)
+//   is also retried, sooner (after 5, 30 and 120 minutes by default).
+// - skipped: a recurring occurrence could not be sent; the schedule moves on to the next date.
+// - failed: a one-off transfer could not be sent; the schedule ends.
+// - paused: server errors outlasted their retries; the schedule waits for the owner to resume it.
+//
+// Dates (startDate, endDate, nextRunDate) are calendar days ("YYYY-MM-DD") in UTC.
+// An occurrence becomes due at midnight UTC on its date.
+//
+// Configuration:
+// - SCHEDULER_INTERVAL_SECONDS: how often the scheduler checks for due transfers (default: 60)
+// - SCHEDULED_TRANSFER_RETRY_MINUTES: comma-separated delays between insufficient-funds
+//   retries (default: "60,360,1440")
+// - SCHEDULED_TRANSFER_ERROR_RETRY_MINUTES: the same for server errors (default: "5,30,120")
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { parseAmount } = require('./ledger.service');
+const { fromMinor } = require('./money.service');
+const { findAccount } = require('./account.service');
+const { assertTransferParties, createTransfer, executeTransfer } = require('./transfer.service');
+const { recordAudit } = require('./audit.service');
+const { EVENTS, emitEvent } = require('./events.service');
+const { runWithContext } = require('./context.service');
+const logger = require('./logger.service');
+
+const FREQUENCIES = ['once', 'weekly', 'biweekly', 'monthly'];
+
+// Lifecycle: active <-> paused, ending in completed, cancelled or failed.
+const SCHEDULE_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+const OUTCOMES = {
+  SENT: 'sent',
+  RETRYING: 'retrying',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+  PAUSED: 'paused'
+};
+
+const MAX_OCCURRENCES = 520;
+
+const parseRetryMinutes = (value, defaults) => {
+  if (!value) return defaults;
+  const minutes = value.split(',').map((part) => Number(part.trim()));
+  return minutes.every((minute) => Number.isFinite(minute) && minute > 0) ? minutes : defaults;
+};
+const RETRY_DELAYS_MS = parseRetryMinutes(process.env.SCHEDULED_TRANSFER_RETRY_MINUTES, [60, 360, 1440]).map(
+  (minutes) => minutes * 60 * 1000
+);
+const ERROR_RETRY_DELAYS_MS = parseRetryMinutes(process.env.SCHEDULED_TRANSFER_ERROR_RETRY_MINUTES, [5, 30, 120]).map(
+  (minutes) => minutes * 60 * 1000
+);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Request bodies accepted by the /scheduled-transfers routes (checked by the validate middleware).
+const SCHEDULE_FIELDS = {
+  frequency: { enum: FREQUENCIES, label: 'Frequency' },
+  endDate: { pattern: DATE_PATTERN, patternMessage: 'End date must use the YYYY-MM-DD format.', label: 'End date' },
+  maxOccurrences: { type: 'integer', min: 1, max: MAX_OCCURRENCES, label: 'Number of transfers' }
+};
+
+const CREATE_SCHEDULE_SCHEMA = {
+  body: {
+    fromAccountId: { required: true, label: 'From account' },
+    toAccountId: { label: 'To account' },
+    toAccount: { type: 'accountNumber', label: 'To account' },
+    toRoutingNumber: { type: 'routingNumber', label: 'Routing number' },
+    beneficiaryId: { label: 'Payee' },
+    beneficiaryName: { maxLength: 100, label: 'Recipient name' },
+    beneficiaryBank: { maxLength: 100, label: 'Recipient bank' },
+    amount: { type: 'money', required: true, label: 'Amount' },
+    memo: { maxLength: 140, label: 'Note' },
+    note: { maxLength: 140, label: 'Note' },
+    ...SCHEDULE_FIELDS,
+    frequency: { ...SCHEDULE_FIELDS.frequency, required: true },
+    startDate: {
+      required: true,
+      pattern: DATE_PATTERN,
+      patternMessage: 'Start date must use the YYYY-MM-DD format.',
+      label: 'Start date'
+    }
+  }
+};
+
+const UPDATE_SCHEDULE_SCHEMA = {
+  body: {
+    amount: { type: 'money', label: 'Amount' },
+    memo: { maxLength: 140, label: 'Note' },
+    ...SCHEDULE_FIELDS,
+    nextRunDate: {
+      pattern: DATE_PATTERN,
+      patternMessage: 'Next date must use the YYYY-MM-DD format.',
+      label: 'Next date'
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Dates
+// ---------------------------------------------------------------------------
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const todayString = (now = new Date()) => toDateString(now);
+
+// Midnight UTC at the start of a "YYYY-MM-DD" day.
+const startOfDay = (dateString) => new Date(`${dateString}T00:00:00.000Z`);
+
+const isRealDate = (dateString) =>
+  DATE_PATTERN.test(dateString) && toDateString(startOfDay(dateString)) === dateString;
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// The occurrence after `dateString`. Monthly schedules keep their day of the month
+// (anchorDay) and fall back to the last day in shorter months: 31 Jan -> 28 Feb -> 31 Mar.
+const addInterval = (dateString, frequency, anchorDay) => {
+  const date = startOfDay(dateString);
+
+  if (frequency === 'weekly' || frequency === 'biweekly') {
+    date.setUTCDate(date.getUTCDate() + (frequency === 'weekly' ? 7 : 14));
+    return toDateString(date);
+  }
+
+  const year = date.getUTCFullYear() + (date.getUTCMonth() === 11 ? 1 : 0);
+  const monthIndex = (date.getUTCMonth() + 1) % 12;
+  const day = Math.min(anchorDay || date.getUTCDate(), daysInMonth(year, monthIndex));
+  return toDateString(new Date(Date.UTC(year, monthIndex, day)));
+};
+
+// First occurrence after `dateString` that is not before today. Occurrences that
+// fell while the server was down are skipped rather than sent in a burst.
+const nextOccurrence = (schedule, dateString, now = new Date()) => {
+  const today = todayString(now);
+  let next = addInterval(dateString, schedule.frequency, schedule.anchorDay);
+  while (next < today) next = addInterval(next, schedule.frequency, schedule.anchorDay);
+  return next;
+};
+
+const invalidField = (field, message) =>
+  Object.assign(createError(400, 'VALIDATION', message), { fields: [{ field, message }] });
+
+const assertDate = (field, value, label, now) => {
+  if (!isRealDate(value)) throw invalidField(field, `${label} is not a real date.`);
+  if (value < todayString(now)) throw invalidField(field, `${label} cannot be in the past.`);
+};
+
+// ---------------------------------------------------------------------------
+// Schedules
+// ---------------------------------------------------------------------------
+
+const findScheduledTransfer = (id) => db.listScheduledTransfers().find((schedule) => schedule.id === id);
+
+const findScheduleForUser = (userId, id) => {
+  const schedule = findScheduledTransfer(id);
+  if (!schedule || schedule.userId !== userId) {
+    throw createError(404, 'SCHEDULE_NOT_FOUND', 'Scheduled transfer not found.');
+  }
+  return schedule;
+};
+
+const isOpen = (schedule) => [SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.PAUSED].includes(schedule.status);
+
+const assertOpen = (schedule) => {
+  if (!isOpen(schedule)) {
+    throw createError(409, 'SCHEDULE_CLOSED', `This scheduled transfer is already ${schedule.status}.`);
+  }
+};
+
+// The "ends" rules in plain checks: is `dateString` still inside the schedule?
+const isWithinSchedule = (schedule, dateString, runCount = schedule.runCount) => {
+  if (schedule.endDate && dateString > schedule.endDate) return false;
+  if (schedule.maxOccurrences && runCount >= schedule.maxOccurrences) return false;
+  return true;
+};
+
+const toPublicScheduledTransfer = (schedule) => ({
+  id: schedule.id,
+  fromAccountId: schedule.fromAccountId,
+  toAccountId: schedule.toAccountId,
+  toAccount: schedule.toExternalAccount,
+  toRoutingNumber: schedule.toRoutingNumber,
+  beneficiaryId: schedule.beneficiaryId,
+  beneficiaryName: schedule.beneficiaryName,
+  beneficiaryBank: schedule.beneficiaryBank,
+  // amountMinor is in the source account's currency.
+  amount: fromMinor(schedule.amountMinor, findAccount(schedule.fromAccountId)?.currency),
+  memo: schedule.memo,
+  frequency: schedule.frequency,
+  startDate: schedule.startDate,
+  endDate: schedule.endDate,
+  maxOccurrences: schedule.maxOccurrences,
+  status: schedule.status,
+  nextRunDate: isOpen(schedule) ? schedule.nextRunDate : null,
+  nextRunAt: isOpen(schedule) ? schedule.nextRunAt : null,
+  runCount: schedule.runCount,
+  retryCount: schedule.retryCount,
+  lastResult: schedule.lastResult,
+  createdAt: schedule.createdAt,
+  updatedAt: schedule.updatedAt
+});
+
+// Open schedules first (soonest next), then finished ones (most recent first).
+const listScheduledTransfersForUser = (userId) =>
+  db
+    .listScheduledTransfers()
+    .filter((schedule) => schedule.userId === userId)
+    .sort((a, b) => {
+      if (isOpen(a) !== isOpen(b)) return isOpen(a) ? -1 : 1;
+      if (isOpen(a)) return a.nextRunAt.localeCompare(b.nextRunAt);
+      return b.updatedAt.localeCompare(a.updatedAt);
+    });
+
+/**
+ * Create a schedule. Accounts are checked now; the balance and a new payee's cooling-off
+ * limit are checked when each transfer runs. A transfer into another currency is
+ * converted at the exchange rate of the day it runs.
+ * @returns {Object} The stored schedule.
+ */
+const createScheduledTransfer = ({
+  userId,
+  fromAccountId,
+  toAccountId,
+  beneficiaryId,
+  toExternalAccount,
+  toRoutingNumber,
+  beneficiaryName,
+  beneficiaryBank,
+  amount,
+  memo,
+  frequency,
+  startDate,
+  endDate,
+  maxOccurrences
+}, now = new Date()) => {
+  const { fromAccount, beneficiary, externalAccount, routingNumber, bankName } = assertTransferParties({
+    userId,
+    fromAccountId,
+    toAccountId,
+    beneficiaryId,
+    toExternalAccount,
+    toRoutingNumber
+  });
+  const parsedAmount = parseAmount(amount, fromAccount.currency);
+
+  assertDate('startDate', startDate, 'Start date', now);
+  if (endDate) {
+    assertDate('endDate', endDate, 'End date', now);
+    if (endDate < startDate) throw invalidField('endDate', 'End date must be on or after the start date.');
+  }
+
+  const timestamp = now.toISOString();
+  const once = frequency === 'once';
+  return db.addScheduledTransfer({
+    userId,
+    fromAccountId,
+    toAccountId: toAccountId || null,
+    toExternalAccount: toAccountId ? null : externalAccount,
+    toRoutingNumber: toAccountId ? null : routingNumber,
+    beneficiaryId: beneficiary?.id || null,
+    beneficiaryName: toAccountId ? null : beneficiary?.name || String(beneficiaryName || '').trim() || null,
+    beneficiaryBank: toAccountId ? null : beneficiary?.bankName || String(beneficiaryBank || '').trim() || bankName,
+    amountMinor: parsedAmount,
+    memo: String(memo || '').trim(),
+    frequency,
+    startDate,
+    endDate: once ? null : endDate || null,
+    maxOccurrences: once ? 1 : maxOccurrences || null,
+    anchorDay: startOfDay(startDate).getUTCDate(),
+    status: SCHEDULE_STATUS.ACTIVE,
+    nextRunDate: startDate,
+    nextRunAt: startOfDay(startDate).toISOString(),
+    runCount: 0,
+    retryCount: 0,
+    errorCount: 0,
+    lastResult: null,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  });
+};
+
+/**
+ * Change the amount, note, frequency, next date or end rules of an open schedule.
+ * Changing the date or frequency cancels any pending insufficient-funds retry.
+ */
+const updateScheduledTransfer = (userId, id, input = {}, now = new Date()) => {
+  const schedule = findScheduleForUser(userId, id);
+  assertOpen(schedule);
+
+  const updates = {};
+  if (input.amount !== undefined) {
+    updates.amountMinor = parseAmount(input.amount, findAccount(schedule.fromAccountId)?.currency);
+  }
+  if (input.memo !== undefined) updates.memo = String(input.memo || '').trim();
+  if (input.frequency) updates.frequency = input.frequency;
+  // A one-off turned into a repeating transfer should not keep its limit of one.
+  if (schedule.frequency === 'once' && updates.frequency && updates.frequency !== 'once') {
+    updates.maxOccurrences = null;
+  }
+  if (input.maxOccurrences !== undefined) updates.maxOccurrences = input.maxOccurrences || null;
+  if (input.endDate !== undefined) updates.endDate = input.endDate || null;
+
+  if (input.nextRunDate) {
+    assertDate('nextRunDate', input.nextRunDate, 'Next date', now);
+    updates.nextRunDate = input.nextRunDate;
+    updates.anchorDay = startOfDay(input.nextRunDate).getUTCDate();
+  }
+  if (updates.nextRunDate || updates.frequency) {
+    updates.nextRunAt = startOfDay(updates.nextRunDate || schedule.nextRunDate).toISOString();
+    updates.retryCount = 0;
+    updates.errorCount = 0;
+  }
+
+  const merged = { ...schedule, ...updates };
+  if (merged.frequency === 'once') {
+    merged.endDate = null;
+    merged.maxOccurrences = schedule.runCount + 1;
+    Object.assign(updates, { endDate: merged.endDate, maxOccurrences: merged.maxOccurrences });
+  }
+  if (merged.endDate) {
+    if (!isRealDate(merged.endDate)) throw invalidField('endDate', 'End date is not a real date.');
+    if (merged.endDate < merged.nextRunDate) {
+      throw invalidField('endDate', 'End date must be on or after the next transfer date.');
+    }
+  }
+  if (merged.maxOccurrences && merged.maxOccurrences <= schedule.runCount) {
+    throw invalidField(
+      'maxOccurrences',
+      `Number of transfers must be more than the ${schedule.runCount} already made.`
+    );
+  }
+
+  return db.updateScheduledTransfer(schedule.id, { ...updates, updatedAt: now.toISOString() });
+};
+
+const pauseScheduledTransfer = (userId, id, now = new Date()) => {
+  const schedule = findScheduleForUser(userId, id);
+  assertOpen(schedule);
+  return db.updateScheduledTransfer(schedule.id, { status: SCHEDULE_STATUS.PAUSED, updatedAt: now.toISOString() });
+};
+
+// Dates missed while paused are skipped; the schedule picks up at its next date from today.
+// A schedule paused after server errors gets a fresh set of retries.
+const resumeScheduledTransfer = (userId, id, now = new Date()) => {
+  const schedule = findScheduleForUser(userId, id);
+  assertOpen(schedule);
+
+  const updates = { status: SCHEDULE_STATUS.ACTIVE, errorCount: 0, updatedAt: now.toISOString() };
+  if (schedule.nextRunDate < todayString(now)) {
+    const nextRunDate =
+      schedule.frequency === 'once' ? todayString(now) : nextOccurrence(schedule, schedule.nextRunDate, now);
+    if (!isWithinSchedule(schedule, nextRunDate)) {
+      return db.updateScheduledTransfer(schedule.id, { ...updates, status: SCHEDULE_STATUS.COMPLETED });
+    }
+    Object.assign(updates, { nextRunDate, nextRunAt: startOfDay(nextRunDate).toISOString(), retryCount: 0 });
+  }
+  return db.updateScheduledTransfer(schedule.id, updates);
+};
+
+const cancelScheduledTransfer = (userId, id, now = new Date()) => {
+  const schedule = findScheduleForUser(userId, id);
+  assertOpen(schedule);
+  return db.updateScheduledTransfer(schedule.id, {
+    status: SCHEDULE_STATUS.CANCELLED,
+    cancelledAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Scheduler
+// ---------------------------------------------------------------------------
+
+// Close out the current occurrence (sent, skipped or failed) and move to the next date, if any.
+const finishOccurrence = (schedule, lastResult, now) => {
+  const runCount = schedule.runCount + 1;
+  const updates = { runCount, retryCount: 0, errorCount: 0, lastResult, updatedAt: now.toISOString() };
+
+  const nextRunDate = schedule.frequency === 'once' ? null : nextOccurrence(schedule, schedule.nextRunDate, now);
+  if (!nextRunDate || !isWithinSchedule(schedule, nextRunDate, runCount)) {
+    const ended = lastResult.outcome === OUTCOMES.FAILED ? SCHEDULE_STATUS.FAILED : SCHEDULE_STATUS.COMPLETED;
+    return db.updateScheduledTransfer(schedule.id, { ...updates, status: ended });
+  }
+  return db.updateScheduledTransfer(schedule.id, {
+    ...updates,
+    nextRunDate,
+    nextRunAt: startOfDay(nextRunDate).toISOString()
+  });
+};
+
+// A server error is logged and retried after a short delay. Once the retries run out the
+// schedule is paused, so a persistent fault does not send (or skip) payments unnoticed.
+const backOffAfterError = (schedule, error, scheduledFor, now) => {
+  logger.error('Scheduled transfer hit a server error', { scheduledTransferId: schedule.id, error });
+
+  const errorCount = (schedule.errorCount || 0) + 1;
+  const result = {
+    scheduledFor,
+    at: now.toISOString(),
+    errorCode: 'INTERNAL_ERROR',
+    message: 'Something went wrong on our side.'
+  };
+  const delay = ERROR_RETRY_DELAYS_MS[errorCount - 1];
+  if (delay) {
+    const retryAt = new Date(now.getTime() + delay).toISOString();
+    return db.updateScheduledTransfer(schedule.id, {
+      errorCount,
+      nextRunAt: retryAt,
+      lastResult: { ...result, outcome: OUTCOMES.RETRYING, retryAt },
+      updatedAt: now.toISOString()
+    });
+  }
+  return db.updateScheduledTransfer(schedule.id, {
+    status: SCHEDULE_STATUS.PAUSED,
+    errorCount,
+    lastResult: { ...result, outcome: OUTCOMES.PAUSED },
+    updatedAt: now.toISOString()
+  });
+};
+
+/**
+ * Send one due schedule and record the outcome. Never throws for a transfer that
+ * cannot be sent; the failure is stored on the schedule instead.
+ * @returns {{ schedule: Object, outcome: string, transfer: Object|null }}
+ */
+const runScheduledTransfer = (schedule, now = new Date()) => {
+  const scheduledFor = schedule.nextRunDate;
+  let transfer = null;
+  let updated;
+  let outcome;
+
+  try {
+    const pending = createTransfer({
+      userId: schedule.userId,
+      fromAccountId: schedule.fromAccountId,
+      toAccountId: schedule.toAccountId,
+      beneficiaryId: schedule.beneficiaryId,
+      toExternalAccount: schedule.toExternalAccount,
+      toRoutingNumber: schedule.toRoutingNumber,
+      beneficiaryName: schedule.beneficiaryName,
+      beneficiaryBank: schedule.beneficiaryBank,
+      amountMinor: schedule.amountMinor,
+      memo: schedule.memo,
+      scheduledTransferId: schedule.id
+    });
+    transfer = executeTransfer(pending.id);
+    outcome = OUTCOMES.SENT;
+    updated = finishOccurrence(
+      schedule,
+      { outcome, scheduledFor, at: now.toISOString(), transferId: transfer.id, reference: transfer.reference },
+      now
+    );
+  } catch (error) {
+    const result = { scheduledFor, at: now.toISOString(), errorCode: error.code, message: error.message };
+    const delay = RETRY_DELAYS_MS[schedule.retryCount];
+    // 5xx errors are bugs, not reasons to skip a customer's payment silently.
+    if (!error.status || error.status >= 500) {
+      updated = backOffAfterError(schedule, error, scheduledFor, now);
+      outcome = updated.lastResult.outcome;
+    } else if (error.code === 'INSUFFICIENT_FUNDS' && delay) {
+      outcome = OUTCOMES.RETRYING;
+      const retryAt = new Date(now.getTime() + delay).toISOString();
+      updated = db.updateScheduledTransfer(schedule.id, {
+        retryCount: schedule.retryCount + 1,
+        nextRunAt: retryAt,
+        lastResult: { ...result, outcome, retryAt },
+        updatedAt: now.toISOString()
+      });
+    } else {
+      outcome = schedule.frequency === 'once' ? OUTCOMES.FAILED : OUTCOMES.SKIPPED;
+      updated = finishOccurrence(schedule, { ...result, outcome }, now);
+    }
+  }
+
+  recordAudit({
+    actorId: null,
+    action: 'run_scheduled_transfer',
+    entityType: 'scheduled_transfer',
+    entityId: schedule.id,
+    before: { nextRunDate: scheduledFor, retryCount: schedule.retryCount, errorCount: schedule.errorCount || 0 },
+    after: {
+      outcome,
+      transferId: transfer?.id || null,
+      status: updated.status,
+      nextRunAt: isOpen(updated) ? updated.nextRunAt : null
+    },
+    detail: `Scheduled transfer ${outcome} for ${scheduledFor}`
+  });
+  emitEvent(EVENTS.SCHEDULED_TRANSFER_RAN, { schedule: updated, outcome, transfer });
+
+  return { schedule: updated, outcome, transfer };
+};
+
+// Active schedules whose next run time has passed.
+const listDueSchedules = (now = new Date()) =>
+  db
+    .listScheduledTransfers()
+    .filter((schedule) => schedule.status === SCHEDULE_STATUS.ACTIVE && new Date(schedule.nextRunAt) <= now);
+
+/**
+ * Run every due schedule. Each one gets its own log context, and one that breaks
+ * is logged and left for the next check rather than stopping the rest.
+ * @returns {number} How many schedules were run.
+ */
+const runDueSchedules = (now = new Date()) => {
+  const due = listDueSchedules(now);
+  due.forEach((schedule) => {
+    const requestId = `sched_${crypto.randomBytes(6).toString('hex')}`;
+    runWithContext({ requestId, userId: schedule.userId }, () => {
+      try {
+        const { outcome } = runScheduledTransfer(schedule, now);
+        logger.info('Scheduled transfer ran', { scheduledTransferId: schedule.id, outcome });
+      } catch (error) {
+        logger.error('Scheduled transfer could not run', { scheduledTransferId: schedule.id, error });
+      }
+    });
+  });
+  return due.length;
+};
+
+// Check for due transfers every SCHEDULER_INTERVAL_SECONDS. unref() lets the process exit normally.
+const startTransferScheduler = (intervalMs = (Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000) => {
+  const timer = setInterval(() => {
+    try {
+      runDueSchedules();
+    } catch (error) {
+      logger.error('Transfer scheduler failed', { error });
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  FREQUENCIES,
+  SCHEDULE_STATUS,
+  OUTCOMES,
+  CREATE_SCHEDULE_SCHEMA,
+  UPDATE_SCHEDULE_SCHEMA,
+  addInterval,
+  findScheduledTransfer,
+  findScheduleForUser,
+  toPublicScheduledTransfer,
+  listScheduledTransfersForUser,
+  createScheduledTransfer,
+  updateScheduledTransfer,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer,
+  runScheduledTransfer,
+  runDueSchedules,
+  startTransferScheduler
+};
@@ -0,0 +1,461 @@
+// Double-entry transfer engine.
+// Every completed transfer writes one debit and one matching credit ledger entry
+// (rows in db.transactions) and updates both balances inside db.withTransaction,
+// so the entries for a transfer always sum to zero.
+// A transfer between accounts in different currencies also posts through the
+// bank's exchange accounts (one per currency), so the entries still sum to zero in each currency.
+// A transfer held for review credits a hold account instead of the recipient; the
+// money only reaches the recipient once an admin posts it (releaseHeldTransfer).
+const crypto = require('crypto');
+const db = require('../db');
+const { createError } = require('../middleware/errorHandler');
+const { findAccount, assertCanSend, assertCanReceive, checkLowBalance } = require('./account.service');
+const { ENTRY_STATUS, parseAmount, getInternalAccount, postEntry } = require('./ledger.service');
+const { fromMinor, toMinor } = require('./money.service');
+const { BASE_CURRENCY, quoteConversion } = require('./fx.service');
+const { EVENTS, emitEvent } = require('./events.service');
+const { issueReceipt } = require('./receipt.service');
+const { findBeneficiaryForUser, assertCanPayOutsideAccount } = require('./beneficiary.service');
+const { checkExternalAccount } = require('./bankDirectory.service');
+
+// Lifecycle: pending -> verified -> completed, with failed/reversed as end states.
+// Transfers that skip step-up verification go straight from pending to completed.
+const TRANSFER_STATUS = {
+  PENDING: 'pending',
+  VERIFIED: 'verified',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  REVERSED: 'reversed'
+};
+
+const ALLOWED_TRANSITIONS = {
+  pending: ['verified', 'completed', 'failed'],
+  verified: ['completed', 'failed'],
+  completed: ['reversed'],
+  failed: [],
+  reversed: []
+};
+
+const makeReference = () => `REF-${crypto.randomBytes(4).toString('hex').toUpperCase().replace(/(.{4})/, '$1-')}`;
+
+const findTransfer = (id) => db.listTransfers().find((transfer) => transfer.id === id);
+
+// Outgoing external transfers are credited here until the bank settles them. They are sent in the source currency.
+const getClearingAccount = (currency = BASE_CURRENCY) =>
+  getInternalAccount('clearing', `External transfers clearing (${currency})`, currency);
+
+// Transfers waiting for review are credited here, so the recipient cannot spend money an admin may still decline.
+const getHoldAccount = (currency) =>
+  getInternalAccount('hold', `Transfers held for review (${currency})`, currency);
+
+// Cross-currency transfers sell one currency to this account and buy the other from it.
+const getExchangeAccount = (currency) => getInternalAccount('fx', `Currency exchange (${currency})`, currency);
+
+// Transfers at or above this amount (in the base currency) are held for an admin to review.
+const REVIEW_THRESHOLD_MINOR = toMinor(Number(process.env.TRANSFER_REVIEW_THRESHOLD) || 5000, BASE_CURRENCY);
+
+// The review threshold and payee cooling-off limit are set in the base currency.
+const toBaseAmount = (amountMinor, currency = BASE_CURRENCY) =>
+  quoteConversion({ amountMinor, fromCurrency: currency, toCurrency: BASE_CURRENCY }).convertedAmountMinor;
+
+// Status for the ledger entries of a transfer. Large transfers wait for review;
+// external ones stay pending until settlement is confirmed.
+const getEntryStatus = (transfer) => {
+  if (toBaseAmount(transfer.amountMinor, transfer.currency) >= REVIEW_THRESHOLD_MINOR) {
+    return ENTRY_STATUS.REVIEW;
+  }
+  if (!transfer.toAccountId) return ENTRY_STATUS.PENDING;
+  return ENTRY_STATUS.POSTED;
+};
+
+// Where a transfer's money goes: the recipient's account, or clearing for outside accounts.
+const findDestination = (transfer, fromAccount) =>
+  transfer.toAccountId ? findAccount(transfer.toAccountId) : getClearingAccount(fromAccount?.currency);
+
+// What the destination receives, in minor units of its own currency.
+const getCreditAmount = (transfer) => (transfer.fx ? transfer.fx.convertedAmountMinor : transfer.amountMinor);
+
+const setStatus = (transfer, status, extra = {}) => {
+  if (!ALLOWED_TRANSITIONS[transfer.status]?.includes(status)) {
+    throw createError(409, 'INVALID_TRANSFER_STATE', `Transfer cannot move from ${transfer.status} to ${status}.`);
+  }
+  return db.updateTransfer(transfer.id, { status, ...extra, updatedAt: new Date().toISOString() });
+};
+
+/**
+ * Post every ledger entry that moves a transfer's money: the debit on `fromAccount`,
+ * the credit on `toAccount` and, when the transfer converts currency, the exchange legs in between.
+ * `reverse` posts the mirror image at the rate the transfer was made at, so a reversal
+ * gives back exactly what was sent.
+ */
+const postTransferEntries = (transfer, { fromAccount, toAccount, reverse = false, ...entry }) => {
+  const { fx } = transfer;
+  const legs = [{ account: fromAccount, direction: 'debit', amountMinor: transfer.amountMinor }];
+  if (fx) {
+    legs.push({ account: getExchangeAccount(fx.fromCurrency), direction: 'credit', amountMinor: transfer.amountMinor });
+    legs.push({ account: getExchangeAccount(fx.toCurrency), direction: 'debit', amountMinor: fx.convertedAmountMinor });
+  }
+  legs.push({ account: toAccount, direction: 'credit', amountMinor: getCreditAmount(transfer) });
+
+  const ordered = reverse
+    ? legs.reverse().map((leg) => ({ ...leg, direction: leg.direction === 'debit' ? 'credit' : 'debit' }))
+    : legs;
+  ordered.forEach((leg) => postEntry({ ...entry, ...leg, type: 'transfer', transferId: transfer.id }));
+};
+
+// Request body accepted by POST /transfers and POST /transfer/initiate (checked by the validate middleware).
+// createTransfer still enforces the rules that span fields, such as needing one kind of destination.
+const TRANSFER_REQUEST_SCHEMA = {
+  body: {
+    fromAccountId: { required: true, label: 'Source account' },
+    toAccountId: { label: 'Destination account' },
+    toAccount: { type: 'accountNumber', label: 'Account number' },
+    toRoutingNumber: { type: 'routingNumber', label: 'Routing number' },
+    beneficiaryId: { label: 'Payee' },
+    beneficiaryName: { maxLength: 100, label: 'Beneficiary name' },
+    beneficiaryBank: { maxLength: 100, label: 'Beneficiary bank' },
+    amount: { type: 'money', required: true, label: 'Amount' },
+    fxRate: { type: 'number', label: 'Exchange rate' },
+    memo: { maxLength: 140, label: 'Note' },
+    note: { maxLength: 140, label: 'Note' }
+  }
+};
+
+/**
+ * Check that `userId` may send from `fromAccountId` to `toAccountId` (one of their own
+ * accounts), to a saved payee (`beneficiaryId`) or to an outside account number.
+ * An outside number is an IBAN, or a US account number with `toRoutingNumber`;
+ * the bank name comes from the bank directory when it knows the routing number.
+ * Balance is not checked here.
+ * @returns {{ fromAccount: Object, toAccount: Object|null, beneficiary: Object|null, externalAccount: string,
+ *   routingNumber: string|null, bankName: string|null }}
+ */
+const assertTransferParties = ({
+  userId,
+  fromAccountId,
+  toAccountId,
+  beneficiaryId,
+  toExternalAccount,
+  toRoutingNumber
+}) => {
+  const beneficiary = !toAccountId && beneficiaryId ? findBeneficiaryForUser(userId, beneficiaryId) : null;
+  const externalAccount = beneficiary ? beneficiary.accountNumber : String(toExternalAccount || '').trim();
+
+  if (!fromAccountId || (!toAccountId && !externalAccount)) {
+    throw createError(400, 'VALIDATION', 'Please provide a source and destination account.');
+  }
+
+  // Payees were checked when they were saved.
+  let external = { accountNumber: externalAccount, routingNumber: null, bankName: null };
+  if (beneficiary) {
+    external = { ...external, routingNumber: beneficiary.routingNumber, bankName: beneficiary.bankName };
+  } else if (!toAccountId) {
+    external = checkExternalAccount({
+      accountNumber: externalAccount,
+      routingNumber: toRoutingNumber,
+      accountField: 'toAccount',
+      routingField: 'toRoutingNumber'
+    });
+  }
+
+  if (toAccountId && toAccountId === fromAccountId) {
+    throw createError(400, 'VALIDATION', 'Source and destination accounts must be different.');
+  }
+
+  const fromAccount = findAccount(fromAccountId);
+  if (!fromAccount || fromAccount.userId !== userId) {
+    throw createError(404, 'ACCOUNT_NOT_FOUND', 'Source account not found.');
+  }
+  assertCanSend(fromAccount);
+
+  let toAccount = null;
+  if (toAccountId) {
+    toAccount = findAccount(toAccountId);
+    if (!toAccount || toAccount.userId !== userId) {
+      throw createError(404, 'ACCOUNT_NOT_FOUND', 'Destination account not found.');
+    }
+    assertCanReceive(toAccount);
+  }
+
+  return {
+    fromAccount,
+    toAccount,
+    beneficiary,
+    externalAccount: external.accountNumber,
+    routingNumber: external.routingNumber,
+    bankName: external.bankName
+  };
+};
+
+/**
+ * Validate and record a new pending transfer. No money moves yet.
+ * Pass `toAccountId` for an internal account, `beneficiaryId` for a saved payee, or
+ * `toExternalAccount` (with `toRoutingNumber` unless it is an IBAN) for an outside number,
+ * optionally with `beneficiaryName` / `beneficiaryBank`, which appear on the receipt.
+ * Payees in their cooling-off period only accept a small total, also when their account
+ * details are typed in rather than picked. So do outside accounts the user has not paid before.
+ * `amount` is the request's text in the source account's currency; code that already
+ * holds minor units (the scheduler) passes `amountMinor` instead. When the destination account holds
+ * another currency, the transfer records an FX quote at the current table rate. Pass
+ * the `fxRate` the customer was shown; if the rate has changed since, FX_RATE_CHANGED is thrown.
+ * `scheduledTransferId` links transfers made by the scheduler to their schedule.
+ */
+const createTransfer = ({
+  userId,
+  fromAccountId,
+  toAccountId,
+  beneficiaryId,
+  toExternalAccount,
+  toRoutingNumber,
+  beneficiaryName,
+  beneficiaryBank,
+  amount,
+  amountMinor,
+  fxRate,
+  memo,
+  scheduledTransferId = null
+}) => {
+  const { fromAccount, toAccount, beneficiary, externalAccount, routingNumber, bankName } = assertTransferParties({
+    userId,
+    fromAccountId,
+    toAccountId,
+    beneficiaryId,
+    toExternalAccount,
+    toRoutingNumber
+  });
+  const currency = fromAccount.currency || BASE_CURRENCY;
+  const parsedAmount = amountMinor ?? parseAmount(amount, currency);
+  if (!toAccountId) {
+    assertCanPayOutsideAccount(
+      { userId, beneficiary, accountNumber: externalAccount, routingNumber },
+      toBaseAmount(parsedAmount, currency)
+    );
+  }
+
+  const toCurrency = toAccount ? toAccount.currency || BASE_CURRENCY : currency;
+  let fx = null;
+  if (toCurrency !== currency) {
+    const { rate, convertedAmountMinor, rateDate } = quoteConversion({
+      amountMinor: parsedAmount,
+      fromCurrency: currency,
+      toCurrency
+    });
+    if (fxRate !== undefined && fxRate !== null && Number(fxRate) !== rate) {
+      throw createError(
+        409,
+        'FX_RATE_CHANGED',
+        `The exchange rate has changed to 1 ${currency} = ${rate} ${toCurrency}. Please review the new amount.`
+      );
+    }
+    fx = { fromCurrency: currency, toCurrency, rate, convertedAmountMinor, rateDate };
+  }
+
+  if (parsedAmount > fromAccount.balanceMinor) {
+    throw createError(422, 'INSUFFICIENT_FUNDS', 'Insufficient funds for this transfer.');
+  }
+
+  const now = new Date().toISOString();
+  return db.addTransfer({
+    userId,
+    fromAccountId,
+    toAccountId: toAccountId || null,
+    toExternalAccount: toAccountId ? null : externalAccount,
+    toRoutingNumber: toAccountId ? null : routingNumber,
+    beneficiaryId: beneficiary?.id || null,
+    beneficiaryName: toAccountId ? null : beneficiary?.name || String(beneficiaryName || '').trim() || null,
+    beneficiaryBank: toAccountId ? null : beneficiary?.bankName || String(beneficiaryBank || '').trim() || bankName,
+    amountMinor: parsedAmount,
+    currency,
+    fx,
+    memo: String(memo || '').trim(),
+    scheduledTransferId,
+    reference: makeReference(),
+    status: TRANSFER_STATUS.PENDING,
+    createdAt: now,
+    updatedAt: now,
+    timestamp: now
+  });
+};
+
+// Mark a pending transfer as verified (e.g. after a step-up OTP check).
+const markVerified = (transferId) => {
+  const transfer = findTransfer(transferId);
+  if (!transfer) throw createError(404, 'TRANSFER_NOT_FOUND', 'Transfer could not be located.');
+  return setStatus(transfer, TRANSFER_STATUS.VERIFIED, { verifiedAt: new Date().toISOString() });
+};
+
+/**
+ * Move the money: post the paired debit/credit entries and complete the transfer.
+ * Either every write lands or none do. A failure leaves the transfer marked "failed".
+ * Emits TRANSFER_COMPLETED (and LOW_BALANCE when it applies) once the writes are committed.
+ */
+const executeTransfer = (transferId) => {
+  const transfer = findTransfer(transferId);
+  if (!transfer) throw createError(404, 'TRANSFER_NOT_FOUND', 'Transfer could not be located.');
+
+  let balanceBeforeMinor;
+  let completed;
+  try {
+    completed = db.withTransaction(() => {
+      const fromAccount = findAccount(transfer.fromAccountId);
+      const toAccount = findDestination(transfer, fromAccount);
+
+      if (!fromAccount || !toAccount) {
+        throw createError(404, 'ACCOUNT_NOT_FOUND', 'One of the transfer accounts no longer exists.');
+      }
+      // Re-check: an admin may have frozen or closed an account since the transfer was created.
+      assertCanSend(fromAccount);
+      assertCanReceive(toAccount);
+
+      if (transfer.amountMinor > fromAccount.balanceMinor) {
+        throw createError(422, 'INSUFFICIENT_FUNDS', 'Insufficient funds for this transfer.');
+      }
+
+      balanceBeforeMinor = fromAccount.balanceMinor;
+      const timestamp = new Date().toISOString();
+      const description = transfer.memo || 'Transfer';
+      const status = getEntryStatus(transfer);
+      const held = status === ENTRY_STATUS.REVIEW;
+      const holdAccount = held ? getHoldAccount(toAccount.currency || BASE_CURRENCY) : null;
+      setStatus(transfer, TRANSFER_STATUS.COMPLETED, {
+        completedAt: timestamp,
+        heldAccountId: holdAccount?.id || null
+      });
+
+      postTransferEntries(transfer, {
+        fromAccount,
+        toAccount: holdAccount || toAccount,
+        description,
+        timestamp,
+        status
+      });
+
+      const updated = findTransfer(transfer.id);
+      issueReceipt({ transfer: updated, fromAccount, toAccount: transfer.toAccountId ? toAccount : null });
+      return updated;
+    });
+  } catch (error) {
+    const current = findTransfer(transfer.id);
+    if (current && ALLOWED_TRANSITIONS[current.status]?.includes(TRANSFER_STATUS.FAILED)) {
+      setStatus(current, TRANSFER_STATUS.FAILED, { failureCode: error.code || 'INTERNAL_ERROR' });
+    }
+    throw error;
+  }
+
+  emitEvent(EVENTS.TRANSFER_COMPLETED, { transfer: completed });
+  checkLowBalance(findAccount(completed.fromAccountId), balanceBeforeMinor);
+  return completed;
+};
+
+// Mark a transfer that never moved money as failed.
+const failTransfer = (transferId, failureCode) => {
+  const transfer = findTransfer(transferId);
+  if (!transfer) throw createError(404, 'TRANSFER_NOT_FOUND', 'Transfer could not be located.');
+  return setStatus(transfer, TRANSFER_STATUS.FAILED, { failureCode });
+};
+
+/**
+ * Pay out a transfer that was held for review: move the money from the hold account
+ * to its destination. Called when an admin posts the transfer. Does nothing for a
+ * transfer that is not held.
+ */
+const releaseHeldTransfer = (transferId) => {
+  const transfer = findTransfer(transferId);
+  if (!transfer) throw createError(404, 'TRANSFER_NOT_FOUND', 'Transfer could not be located.');
+  if (!transfer.heldAccountId) return transfer;
+
+  return db.withTransaction(() => {
+    const holdAccount = findAccount(transfer.heldAccountId);
+    const toAccount = findDestination(transfer, findAccount(transfer.fromAccountId));
+    if (!toAccount) {
+      throw createError(404, 'ACCOUNT_NOT_FOUND', 'The destination account no longer exists.');
+    }
+    assertCanReceive(toAccount);
+
+    const timestamp = new Date().toISOString();
+    const entry = {
+      amountMinor: getCreditAmount(transfer),
+      type: 'transfer',
+      transferId: transfer.id,
+      description: transfer.memo || 'Transfer',
+      timestamp
+    };
+    postEntry({ ...entry, account: holdAccount, direction: 'debit' });
+    postEntry({ ...entry, account: toAccount, direction: 'credit' });
+
+    return db.updateTransfer(transfer.id, { heldAccountId: null, releasedAt: timestamp });
+  });
+};
+
+/**
+ * Undo a completed transfer with mirror-image entries. The original entries stay in the ledger.
+ * A held transfer takes the money back from the hold account. Otherwise it comes out of
+ * the recipient's account, and the reversal is refused (REVERSAL_WOULD_OVERDRAW) when
+ * the recipient no longer has it.
+ */
+const reverseTransfer = (transferId, { reason } = {}) => {
+  const transfer = findTransfer(transferId);
+  if (!transfer) throw createError(404, 'TRANSFER_NOT_FOUND', 'Transfer could not be located.');
+
+  return db.withTransaction(() => {
+    const fromAccount = findAccount(transfer.fromAccountId);
+    const toAccount = transfer.heldAccountId
+      ? findAccount(transfer.heldAccountId)
+      : findDestination(transfer, fromAccount);
+    const timestamp = new Date().toISOString();
+    const description = `Reversal: ${transfer.memo || 'Transfer'}`;
+
+    if (toAccount.userId && toAccount.balanceMinor < getCreditAmount(transfer)) {
+      throw createError(
+        409,
+        'REVERSAL_WOULD_OVERDRAW',
+        'The recipient account no longer holds these funds, so the transfer cannot be reversed.'
+      );
+    }
+
+    setStatus(transfer, TRANSFER_STATUS.REVERSED, {
+      reversedAt: timestamp,
+      reversalReason: reason || null,
+      heldAccountId: null
+    });
+
+    postTransferEntries(transfer, { fromAccount, toAccount, description, timestamp, reverse: true });
+
+    return findTransfer(transfer.id);
+  });
+};
+
+// Sum of every ledger entry for a transfer, in minor units. Reconciliation expects 0 (it is 0 in each currency, too).
+const getTransferLedgerTotal = (transferId) =>
+  db
+    .listTransactions()
+    .filter((entry) => entry.transferId === transferId)
+    .reduce((total, entry) => total + entry.amountMinor, 0);
+
+// A transfer as the API shows it: amounts in major units of their currencies.
+const toPublicTransfer = ({ amountMinor, fx, ...transfer }) => ({
+  ...transfer,
+  amount: fromMinor(amountMinor, transfer.currency),
+  fx: fx && {
+    fromCurrency: fx.fromCurrency,
+    toCurrency: fx.toCurrency,
+    rate: fx.rate,
+    convertedAmount: fromMinor(fx.convertedAmountMinor, fx.toCurrency),
+    rateDate: fx.rateDate
+  }
+});
+
+module.exports = {
+  TRANSFER_STATUS,
+  TRANSFER_REQUEST_SCHEMA,
+  findTransfer,
+  assertTransferParties,
+  createTransfer,
+  markVerified,
+  executeTransfer,
+  failTransfer,
+  releaseHeldTransfer,
+  reverseTransfer,
+  getTransferLedgerTotal,
+  toPublicTransfer
+};
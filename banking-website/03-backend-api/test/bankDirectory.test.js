@@ -0,0 +1,102 @@
+// Routing number (ABA) and IBAN checks, on their own and through the validate middleware.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidRoutingNumber,
+  isValidIban,
+  normalizeIban,
+  findBankName,
+  checkExternalAccount
+} = require('../src/services/bankDirectory.service');
+const validate = require('../src/middleware/validate');
+
+test('routing numbers need nine digits and a valid ABA checksum', () => {
+  ['021000021', '011000015', '111000025', '026009593'].forEach((number) =>
+    assert.equal(isValidRoutingNumber(number), true, number)
+  );
+
+  assert.equal(isValidRoutingNumber('021000022'), false, 'one digit off');
+  assert.equal(isValidRoutingNumber('012000021'), false, 'two digits swapped');
+  assert.equal(isValidRoutingNumber('000000000'), false, 'all zeros passes the sum but is not a bank');
+  assert.equal(isValidRoutingNumber('02100002'), false);
+  assert.equal(isValidRoutingNumber('0210000210'), false);
+  assert.equal(isValidRoutingNumber('02100002a'), false);
+  assert.equal(isValidRoutingNumber(undefined), false);
+});
+
+test('IBANs pass the mod-97 check, with or without spaces and in any case', () => {
+  ['DE89370400440532013000', 'GB82WEST12345698765432', 'NL91ABNA0417164300', 'FR1420041010050500013M02606'].forEach(
+    (iban) => assert.equal(isValidIban(iban), true, iban)
+  );
+  assert.equal(isValidIban('de89 3704 0044 0532 0130 00'), true);
+  assert.equal(normalizeIban(' gb82 west 1234 5698 7654 32 '), 'GB82WEST12345698765432');
+});
+
+test('IBANs with a wrong check digit, a typo or the wrong length are rejected', () => {
+  assert.equal(isValidIban('DE88370400440532013000'), false, 'check digits');
+  assert.equal(isValidIban('DE89370400440532013001'), false, 'typo in the account part');
+  assert.equal(isValidIban('DE8937040044053201300'), false, 'one character short for Germany');
+  assert.equal(isValidIban('GB82WEST1234569876543X'), false);
+  assert.equal(isValidIban('DE89'), false);
+  assert.equal(isValidIban(''), false);
+});
+
+test('checkExternalAccount accepts an IBAN alone or a domestic number with a routing number', () => {
+  assert.deepEqual(checkExternalAccount({ accountNumber: 'de89 3704 0044 0532 0130 00' }), {
+    accountNumber: 'DE89370400440532013000',
+    routingNumber: null,
+    bankName: null
+  });
+  assert.deepEqual(checkExternalAccount({ accountNumber: '55501234', routingNumber: '021000021' }), {
+    accountNumber: '55501234',
+    routingNumber: '021000021',
+    bankName: 'First Example Bank'
+  });
+  assert.equal(findBankName('999999999'), null);
+});
+
+test('checkExternalAccount reports the field that is wrong', () => {
+  const fieldOf = (details) => {
+    try {
+      checkExternalAccount({ accountField: 'toAccount', routingField: 'toRoutingNumber', ...details });
+    } catch (error) {
+      assert.equal(error.status, 400);
+      return error.fields[0].field;
+    }
+    return null;
+  };
+
+  assert.equal(fieldOf({ accountNumber: 'DE88370400440532013000' }), 'toAccount');
+  assert.equal(fieldOf({ accountNumber: '123', routingNumber: '021000021' }), 'toAccount');
+  assert.equal(fieldOf({ accountNumber: '55501234' }), 'toRoutingNumber');
+  assert.equal(fieldOf({ accountNumber: '55501234', routingNumber: '021000022' }), 'toRoutingNumber');
+});
+
+test('the validate middleware checks routing and account numbers field by field', () => {
+  const schema = {
+    body: {
+      toAccount: { type: 'accountNumber', label: 'Account number' },
+      toRoutingNumber: { type: 'routingNumber', label: 'Routing number' }
+    }
+  };
+  const run = (body) => {
+    const req = { body };
+    let error = null;
+    validate(schema)(req, {}, (value) => {
+      error = value || null;
+    });
+    return { req, error };
+  };
+
+  const ok = run({ toAccount: 'gb82 west 1234 5698 7654 32', toRoutingNumber: ' 021000021 ' });
+  assert.equal(ok.error, null);
+  assert.equal(ok.req.body.toAccount, 'GB82WEST12345698765432');
+  assert.equal(ok.req.body.toRoutingNumber, '021000021');
+
+  const { error } = run({ toAccount: 'GB82WEST1234569876543X', toRoutingNumber: '021000022' });
+  assert.equal(error.code, 'VALIDATION');
+  assert.deepEqual(error.fields, [
+    { field: 'toAccount', message: 'This IBAN is not valid. Check it for typos.' },
+    { field: 'toRoutingNumber', message: 'This routing number is not valid. Check it for typos.' }
+  ]);
+});
@@ -0,0 +1,118 @@
+// The payee cooling-off limit, for saved payees and for outside accounts typed in by hand,
+// run against a freshly seeded in-memory database.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const seedDatabase = require('../src/db/seed');
+const { createBeneficiary, removeBeneficiary } = require('../src/services/beneficiary.service');
+const { createTransfer, executeTransfer } = require('../src/services/transfer.service');
+const { findAccount, postAdjustment } = require('../src/services/account.service');
+
+const { adminUser, customerUser, checkingAccount, euroAccount } = seedDatabase(db);
+const DAY = 24 * 60 * 60 * 1000;
+
+// Enough in checking that the cooling-off limit, not the balance, is what stops a transfer.
+postAdjustment({
+  account: findAccount(checkingAccount.id),
+  amount: '10000',
+  reason: 'Test funds',
+  adminId: adminUser.id
+});
+
+const send = (input) =>
+  executeTransfer(createTransfer({ userId: customerUser.id, fromAccountId: checkingAccount.id, ...input }).id);
+const sendTo = (toExternalAccount, amount) => send({ toExternalAccount, toRoutingNumber: '021000021', amount });
+
+const COOLING_OFF = { code: 'BENEFICIARY_COOLING_OFF' };
+
+test('a new payee only accepts the limit in total, also when its details are typed in', () => {
+  const payee = createBeneficiary(customerUser.id, {
+    name: 'New Payee',
+    routingNumber: '021000021',
+    accountNumber: '44400001'
+  });
+
+  send({ beneficiaryId: payee.id, amount: '300' });
+  assert.throws(() => send({ beneficiaryId: payee.id, amount: '200.01' }), COOLING_OFF);
+  assert.throws(() => sendTo('44400001', '200.01'), COOLING_OFF);
+  sendTo('44400001', '200');
+  assert.throws(() => send({ beneficiaryId: payee.id, amount: '0.01' }), {
+    message: /This payee was added recently\. .* \(\$0\.00 left\)\./
+  });
+});
+
+test('typed-in details for an account never paid before are held to the same limit', () => {
+  assert.throws(() => sendTo('44400002', '500.01'), {
+    ...COOLING_OFF,
+    message: /You have not paid this account before\. .* up to \$500\.00 in total \(\$500\.00 left\)\./
+  });
+
+  sendTo('44400002', '250');
+  sendTo('44400002', '250');
+  assert.throws(() => sendTo('44400002', '0.01'), COOLING_OFF);
+  assert.throws(
+    () => send({ toExternalAccount: '44400002', toRoutingNumber: '011000015', amount: '600' }),
+    { message: /\$500\.00 left/ },
+    'a different routing number is a different account'
+  );
+});
+
+test('the limit is counted in the base currency', () => {
+  const euros = (amount) =>
+    executeTransfer(
+      createTransfer({
+        userId: customerUser.id,
+        fromAccountId: euroAccount.id,
+        toExternalAccount: 'DE89370400440532013000',
+        amount
+      }).id
+    );
+
+  euros('400');
+  assert.throws(() => euros('100'), { message: /\$65\.22 left/ }, '400 EUR is 434.78 USD at 0.92');
+});
+
+test('deleting a payee does not reset its cooling-off period', () => {
+  const payee = createBeneficiary(customerUser.id, {
+    name: 'Short Lived',
+    routingNumber: '021000021',
+    accountNumber: '44400003'
+  });
+  send({ beneficiaryId: payee.id, amount: '450' });
+  removeBeneficiary(customerUser.id, payee.id);
+
+  assert.throws(() => sendTo('44400003', '50.01'), { ...COOLING_OFF, message: /\$50\.00 left/ });
+  sendTo('44400003', '50');
+  assert.throws(() => sendTo('44400003', '1'), COOLING_OFF);
+});
+
+test('a deleted payee that was never paid is treated as a new account', () => {
+  const payee = createBeneficiary(customerUser.id, {
+    name: 'Never Paid',
+    routingNumber: '021000021',
+    accountNumber: '44400004'
+  });
+  removeBeneficiary(customerUser.id, payee.id);
+
+  assert.throws(() => sendTo('44400004', '900'), COOLING_OFF);
+});
+
+test('accounts first paid longer ago than the cooling-off period have no limit', () => {
+  sendTo('44400005', '100');
+  const first = db.listTransfers().find((transfer) => transfer.toExternalAccount === '44400005');
+  db.updateTransfer(first.id, { createdAt: new Date(Date.now() - 2 * DAY).toISOString() });
+
+  assert.equal(sendTo('44400005', '900').status, 'completed');
+});
+
+test('failed or reversed transfers do not count as having paid an account', () => {
+  sendTo('44400006', '100');
+  const first = db.listTransfers().find((transfer) => transfer.toExternalAccount === '44400006');
+  db.updateTransfer(first.id, { status: 'reversed', createdAt: new Date(Date.now() - 2 * DAY).toISOString() });
+
+  assert.throws(() => sendTo('44400006', '900'), COOLING_OFF);
+});
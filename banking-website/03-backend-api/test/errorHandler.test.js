@@ -0,0 +1,56 @@
+// The error handler's response shape, through a small Express app with the same JSON parser as the server.
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { errorHandler, createError } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.post('/echo', (req, res) => res.json({ body: req.body }));
+app.post('/missing', () => {
+  throw Object.assign(createError(400, 'VALIDATION', 'Email is required.'), {
+    fields: [{ field: 'email', message: 'Email is required.' }]
+  });
+});
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+test.before(
+  () =>
+    new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+);
+test.after(() => server.close());
+
+const post = async (path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body
+  });
+  return { status: response.status, json: await response.json() };
+};
+
+test('a body that is not valid JSON is a VALIDATION error, not INTERNAL_ERROR', async () => {
+  const { status, json } = await post('/echo', '{bad');
+  assert.equal(status, 400);
+  assert.equal(json.errorCode, 'VALIDATION');
+  assert.equal(json.message, 'The request body is not valid JSON.');
+  assert.ok(json.requestId);
+});
+
+test('errors from createError keep their code and field list', async () => {
+  assert.deepEqual((await post('/echo', '{"ok":true}')).json, { body: { ok: true } });
+
+  const { status, json } = await post('/missing', '{}');
+  assert.equal(status, 400);
+  assert.equal(json.errorCode, 'VALIDATION');
+  assert.deepEqual(json.fields, [{ field: 'email', message: 'Email is required.' }]);
+});
@@ -0,0 +1,133 @@
+// Idempotency-Key replays, through a small Express app with a stand-in for requireAuth and
+// a route that counts how often it really runs.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const idempotency = require('../src/middleware/idempotency');
+const { errorHandler, createError } = require('../src/middleware/errorHandler');
+
+let runs = 0;
+// What the route does on its next run: 'ok', 'declined' (422) or 'crash' (500).
+let nextOutcome = 'ok';
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: req.get('x-test-user') || 'usr_1' };
+  next();
+});
+app.post('/transfers', idempotency, (req, res) => {
+  runs += 1;
+  if (nextOutcome === 'crash') throw new Error('Database unavailable');
+  if (nextOutcome === 'declined') throw createError(422, 'INSUFFICIENT_FUNDS', 'Insufficient funds for this transfer.');
+  res.status(201).json({ transferId: `trf_${runs}`, amount: req.body.amount });
+});
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+test.before(
+  () =>
+    new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+);
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  nextOutcome = 'ok';
+});
+
+const post = async (body, { key, user } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key !== undefined) headers['Idempotency-Key'] = key;
+  if (user) headers['x-test-user'] = user;
+  const response = await fetch(`${baseUrl}/transfers`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return {
+    status: response.status,
+    replayed: response.headers.get('Idempotent-Replayed'),
+    json: await response.json()
+  };
+};
+
+test('the same key and body replay the first response without running the route again', async () => {
+  const first = await post({ fromAccountId: 'acc_1', amount: '25.00' }, { key: 'key-same' });
+  const runsAfterFirst = runs;
+  const again = await post({ amount: '25.00', fromAccountId: 'acc_1' }, { key: 'key-same' });
+
+  assert.equal(first.status, 201);
+  assert.equal(first.replayed, null);
+  assert.equal(again.status, 201);
+  assert.equal(again.replayed, 'true');
+  assert.deepEqual(again.json, first.json, 'key order in the body does not matter');
+  assert.equal(runs, runsAfterFirst);
+});
+
+test('the same key with a different body is refused with IDEMPOTENCY_KEY_REUSED', async () => {
+  await post({ amount: '25.00' }, { key: 'key-reused' });
+  const runsBefore = runs;
+  const { status, json } = await post({ amount: '2500.00' }, { key: 'key-reused' });
+
+  assert.equal(status, 409);
+  assert.equal(json.errorCode, 'IDEMPOTENCY_KEY_REUSED');
+  assert.equal(runs, runsBefore);
+});
+
+test('keys belong to one user', async () => {
+  const mine = await post({ amount: '10' }, { key: 'key-shared', user: 'usr_1' });
+  const theirs = await post({ amount: '10' }, { key: 'key-shared', user: 'usr_2' });
+
+  assert.equal(theirs.replayed, null);
+  assert.notEqual(theirs.json.transferId, mine.json.transferId);
+});
+
+test('server errors are not stored, so a retry runs the route again', async () => {
+  nextOutcome = 'crash';
+  const failed = await post({ amount: '10' }, { key: 'key-5xx' });
+  assert.equal(failed.status, 500);
+
+  nextOutcome = 'ok';
+  const runsBefore = runs;
+  const retried = await post({ amount: '10' }, { key: 'key-5xx' });
+  assert.equal(retried.status, 201);
+  assert.equal(retried.replayed, null);
+  assert.equal(runs, runsBefore + 1);
+});
+
+test('client errors are stored and replayed like successes', async () => {
+  nextOutcome = 'declined';
+  const declined = await post({ amount: '10' }, { key: 'key-4xx' });
+
+  nextOutcome = 'ok';
+  const again = await post({ amount: '10' }, { key: 'key-4xx' });
+  assert.equal(again.status, 422);
+  assert.equal(again.replayed, 'true');
+  assert.deepEqual(again.json, declined.json);
+});
+
+test('stored keys expire after a day', async (t) => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  await post({ amount: '10' }, { key: 'key-expiry' });
+
+  t.mock.method(Date, 'now', () => now + 24 * 60 * 60 * 1000);
+  const later = await post({ amount: '10' }, { key: 'key-expiry' });
+  assert.equal(later.replayed, null);
+  assert.equal(later.status, 201);
+});
+
+test('requests without a key run every time, and blank or long keys are refused', async () => {
+  const runsBefore = runs;
+  await post({ amount: '10' });
+  await post({ amount: '10' });
+  assert.equal(runs, runsBefore + 2);
+
+  assert.equal((await post({ amount: '10' }, { key: ' ' })).json.errorCode, 'VALIDATION');
+  assert.equal((await post({ amount: '10' }, { key: 'k'.repeat(256) })).status, 400);
+});
@@ -0,0 +1,211 @@
+// Ledger postings, the admin review queue and transfer reversals, run against a
+// freshly seeded in-memory database.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const seedDatabase = require('../src/db/seed');
+const { ENTRY_STATUS, getInternalAccount, postEntry } = require('../src/services/ledger.service');
+const { findAccount, postAdjustment } = require('../src/services/account.service');
+const {
+  TRANSFER_STATUS,
+  createTransfer,
+  executeTransfer,
+  reverseTransfer,
+  getTransferLedgerTotal
+} = require('../src/services/transfer.service');
+const { updateEntryStatus } = require('../src/services/review.service');
+
+const { adminUser, customerUser, checkingAccount, savingsAccount, euroAccount } = seedDatabase(db);
+
+const balanceOf = (account) => findAccount(account.id).balanceMinor;
+const entriesFor = (transfer) => db.listTransactions().filter((entry) => entry.transferId === transfer.id);
+const customerEntry = (transfer, account) => entriesFor(transfer).find((entry) => entry.accountId === account.id);
+
+// Every account balance must equal the sum of its ledger entries.
+const assertLedgerBalanced = () => {
+  db.listAccounts().forEach((account) => {
+    const total = db
+      .listTransactions()
+      .filter((entry) => entry.accountId === account.id)
+      .reduce((sum, entry) => sum + entry.amountMinor, 0);
+    assert.equal(total, account.balanceMinor, `${account.nickname} does not match its entries`);
+  });
+};
+
+const send = (input) => executeTransfer(createTransfer({ userId: customerUser.id, ...input }).id);
+
+// Give the savings account enough for a transfer that needs review (5000 USD and up by default).
+const topUpSavings = (amount) =>
+  postAdjustment({ account: findAccount(savingsAccount.id), amount, reason: 'Test funds', adminId: adminUser.id });
+
+test('the seeded ledger adds up to every balance', () => {
+  assert.equal(balanceOf(checkingAccount), 138000);
+  assert.equal(balanceOf(savingsAccount), 320000);
+  assert.equal(balanceOf(euroAccount), 85000);
+  assertLedgerBalanced();
+});
+
+test('postEntry moves the balance by the signed amount and rejects non-integer amounts', () => {
+  const account = getInternalAccount('test', 'Test account', 'USD');
+  postEntry({ account, direction: 'credit', amountMinor: 1050, type: 'test', description: 'In', timestamp: 'now' });
+  const entry = postEntry({
+    account,
+    direction: 'debit',
+    amountMinor: 50,
+    type: 'test',
+    description: 'Out',
+    timestamp: 'now'
+  });
+
+  assert.equal(entry.amountMinor, -50);
+  assert.equal(entry.balanceAfterMinor, 1000);
+  assert.equal(findAccount(account.id).balanceMinor, 1000);
+  assert.throws(() => postEntry({ account, direction: 'credit', amountMinor: 10.5, type: 'test' }), TypeError);
+  assert.equal(findAccount(account.id).balanceMinor, 1000);
+});
+
+test('an internal transfer posts a matching debit and credit', () => {
+  const transfer = send({ fromAccountId: checkingAccount.id, toAccountId: savingsAccount.id, amount: '10.01' });
+
+  assert.equal(transfer.status, TRANSFER_STATUS.COMPLETED);
+  assert.equal(transfer.amountMinor, 1001);
+  assert.equal(customerEntry(transfer, checkingAccount).amountMinor, -1001);
+  assert.equal(customerEntry(transfer, savingsAccount).amountMinor, 1001);
+  assert.equal(getTransferLedgerTotal(transfer.id), 0);
+  assertLedgerBalanced();
+});
+
+test('a cross-currency transfer balances in each currency through the exchange accounts', () => {
+  const transfer = send({ fromAccountId: checkingAccount.id, toAccountId: euroAccount.id, amount: '100.05' });
+
+  assert.equal(transfer.fx.rate, 0.92);
+  assert.equal(transfer.fx.convertedAmountMinor, 9205);
+  assert.equal(customerEntry(transfer, euroAccount).amountMinor, 9205);
+
+  const totals = {};
+  entriesFor(transfer).forEach((entry) => {
+    const { currency = 'USD' } = findAccount(entry.accountId);
+    totals[currency] = (totals[currency] || 0) + entry.amountMinor;
+  });
+  assert.deepEqual(totals, { USD: 0, EUR: 0 });
+  assertLedgerBalanced();
+});
+
+test('a transfer cannot overdraw the source account', () => {
+  const before = balanceOf(checkingAccount);
+  assert.throws(
+    () => send({ fromAccountId: checkingAccount.id, toAccountId: savingsAccount.id, amount: '999999' }),
+    { code: 'INSUFFICIENT_FUNDS' }
+  );
+  assert.equal(balanceOf(checkingAccount), before);
+});
+
+test('a large transfer waits in the hold account until an admin posts it', () => {
+  topUpSavings('5000');
+  const savingsBefore = balanceOf(savingsAccount);
+  const checkingBefore = balanceOf(checkingAccount);
+
+  const transfer = send({ fromAccountId: savingsAccount.id, toAccountId: checkingAccount.id, amount: '5000' });
+  const entry = customerEntry(transfer, savingsAccount);
+  const { heldAccountId } = transfer;
+
+  assert.equal(entry.status, ENTRY_STATUS.REVIEW);
+  assert.ok(heldAccountId);
+  assert.equal(balanceOf(savingsAccount), savingsBefore - 500000);
+  assert.equal(balanceOf(checkingAccount), checkingBefore, 'the recipient is not paid while in review');
+
+  updateEntryStatus({ entryId: entry.id, status: ENTRY_STATUS.POSTED, adminId: adminUser.id });
+
+  assert.equal(balanceOf(checkingAccount), checkingBefore + 500000);
+  assert.equal(findAccount(heldAccountId).balanceMinor, 0);
+  assert.equal(db.listTransfers().find((row) => row.id === transfer.id).heldAccountId, null);
+  assertLedgerBalanced();
+});
+
+test('declining a held transfer gives the money back and marks the transfer reversed', () => {
+  topUpSavings('6000');
+  const savingsBefore = balanceOf(savingsAccount);
+  const euroBefore = balanceOf(euroAccount);
+
+  const transfer = send({ fromAccountId: savingsAccount.id, toAccountId: euroAccount.id, amount: '6000.01' });
+  const entry = customerEntry(transfer, savingsAccount);
+  updateEntryStatus({ entryId: entry.id, status: ENTRY_STATUS.DECLINED, note: 'Suspicious', adminId: adminUser.id });
+
+  assert.equal(balanceOf(savingsAccount), savingsBefore);
+  assert.equal(balanceOf(euroAccount), euroBefore);
+  const reversed = db.listTransfers().find((row) => row.id === transfer.id);
+  assert.equal(reversed.status, TRANSFER_STATUS.REVERSED);
+  assert.equal(reversed.reversalReason, 'Suspicious');
+  assert.equal(getTransferLedgerTotal(transfer.id), 0);
+  assertLedgerBalanced();
+});
+
+test('review status changes follow the allowed transitions', () => {
+  const transfer = send({ fromAccountId: checkingAccount.id, toAccountId: savingsAccount.id, amount: '1' });
+  const entry = customerEntry(transfer, checkingAccount);
+
+  assert.throws(() => updateEntryStatus({ entryId: entry.id, status: ENTRY_STATUS.DECLINED, adminId: adminUser.id }), {
+    code: 'INVALID_TRANSACTION_STATE'
+  });
+  assert.throws(() => updateEntryStatus({ entryId: 'txn_missing', status: 'posted', adminId: adminUser.id }), {
+    code: 'TRANSACTION_NOT_FOUND'
+  });
+});
+
+test('declining an entry that is not a transfer posts mirror-image entries', () => {
+  const account = findAccount(savingsAccount.id);
+  const before = account.balanceMinor;
+  const contra = getInternalAccount('settlement', 'Cash and card settlement', 'USD');
+  const fields = {
+    type: 'deposit',
+    description: 'Cheque',
+    timestamp: new Date().toISOString(),
+    adjustmentId: 'adj_test'
+  };
+  postEntry({ ...fields, account: contra, direction: 'debit', amountMinor: 2500, status: ENTRY_STATUS.PENDING });
+  const entry = postEntry({ ...fields, account, direction: 'credit', amountMinor: 2500, status: ENTRY_STATUS.PENDING });
+
+  updateEntryStatus({ entryId: entry.id, status: ENTRY_STATUS.DECLINED, note: 'Bounced', adminId: adminUser.id });
+
+  assert.equal(balanceOf(savingsAccount), before);
+  const reversals = db.listTransactions().filter((row) => row.type === 'reversal' && row.reversalOf);
+  assert.equal(reversals.length, 2);
+  assert.ok(reversals.every((row) => row.description === 'Declined: Bounced'));
+  assertLedgerBalanced();
+});
+
+test('a reversal is refused when the recipient no longer holds the money', () => {
+  const transfer = send({ fromAccountId: euroAccount.id, toAccountId: checkingAccount.id, amount: '10' });
+  const spendAll = balanceOf(checkingAccount);
+  postAdjustment({
+    account: findAccount(checkingAccount.id),
+    amount: `-${spendAll / 100}`,
+    reason: 'Spent',
+    adminId: adminUser.id
+  });
+
+  assert.throws(() => reverseTransfer(transfer.id, { reason: 'Chargeback' }), { code: 'REVERSAL_WOULD_OVERDRAW' });
+  assert.equal(db.listTransfers().find((row) => row.id === transfer.id).status, TRANSFER_STATUS.COMPLETED);
+  assertLedgerBalanced();
+});
+
+test('a reversal posts the mirror image at the original rate', () => {
+  topUpSavings('100');
+  const savingsBefore = balanceOf(savingsAccount);
+  const euroBefore = balanceOf(euroAccount);
+  const transfer = send({ fromAccountId: savingsAccount.id, toAccountId: euroAccount.id, amount: '20' });
+
+  db.updateFxRate(db.listFxRates().find((row) => row.currency === 'EUR').id, { rate: 0.5 });
+  const reversed = reverseTransfer(transfer.id, { reason: 'Customer request' });
+
+  assert.equal(reversed.status, TRANSFER_STATUS.REVERSED);
+  assert.equal(balanceOf(savingsAccount), savingsBefore);
+  assert.equal(balanceOf(euroAccount), euroBefore);
+  assert.equal(getTransferLedgerTotal(transfer.id), 0);
+  assert.throws(() => reverseTransfer(transfer.id), { code: 'INVALID_TRANSFER_STATE' });
+  assertLedgerBalanced();
+});
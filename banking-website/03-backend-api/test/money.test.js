@@ -0,0 +1,134 @@
+// Money helpers (shared/money.js through money.service.js) and how amounts are parsed per currency.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toMinor,
+  fromMinor,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  sumMoney,
+  compareMoney,
+  parseMinor,
+  parseMoney,
+  convertMinor,
+  formatMinor,
+  formatMoney
+} = require('../src/services/money.service');
+const { parseAmount } = require('../src/services/ledger.service');
+const validate = require('../src/middleware/validate');
+
+test('toMinor rounds half away from zero without float drift', () => {
+  assert.equal(toMinor(1.005), 101, '1.005 * 100 is 100.49999... as a float');
+  assert.equal(toMinor('10.005'), 1001);
+  assert.equal(toMinor(-0.125), -13);
+  assert.equal(toMinor(0.1 + 0.2), 30);
+  assert.equal(toMinor(1234.5, 'JPY'), 1235);
+  assert.equal(toMinor(1.2345, 'BHD'), 1235);
+  assert.equal(toMinor(0), 0);
+  assert.ok(Object.is(toMinor(-0.001), 0), 'no negative zero');
+  assert.throws(() => toMinor('abc'), TypeError);
+});
+
+test('fromMinor and roundMoney respect the currency minor unit', () => {
+  assert.equal(fromMinor(1001), 10.01);
+  assert.equal(fromMinor(1001, 'JPY'), 1001);
+  assert.equal(fromMinor(1001, 'BHD'), 1.001);
+  assert.equal(roundMoney(0.30000000000000004), 0.3);
+  assert.equal(roundMoney(2.675), 2.68, '2.675.toFixed(2) gives 2.67');
+  assert.equal(roundMoney(1234.5, 'JPY'), 1235);
+});
+
+test('addition, subtraction, sums and comparisons work to the cent', () => {
+  assert.equal(addMoney(0.1, 0.2), 0.3);
+  assert.equal(subtractMoney(0.3, 0.1), 0.2);
+  assert.equal(sumMoney([0.1, 0.1, 0.1]), 0.3);
+  assert.equal(sumMoney([]), 0);
+  assert.equal(compareMoney(0.1 + 0.2, 0.3), 0);
+  assert.equal(compareMoney(10, 10.01), -1);
+  assert.equal(compareMoney(10.01, 10), 1);
+});
+
+test('parseMinor reads text exactly, with no more decimals than the currency has', () => {
+  assert.equal(parseMinor('100'), 10000);
+  assert.equal(parseMinor('100.5'), 10050);
+  assert.equal(parseMinor(' 100.50 '), 10050);
+  assert.equal(parseMinor(100.5), 10050);
+  assert.equal(parseMinor('0.29'), 29, 'not 28.999999999999996');
+  assert.equal(parseMinor('1000', 'JPY'), 1000);
+  assert.equal(parseMinor('1.234', 'BHD'), 1234);
+
+  assert.equal(parseMinor('10.001'), null);
+  assert.equal(parseMinor('10.5', 'JPY'), null);
+  assert.equal(parseMinor('1.2345', 'BHD'), null);
+  ['', 'abc', '1e3', '1,000', '.5', '5.', '+5', 'Infinity'].forEach((text) =>
+    assert.equal(parseMinor(text), null, text)
+  );
+  assert.equal(parseMinor('99999999999999999'), null, 'beyond a safe integer');
+});
+
+test('parseMinor only accepts a minus sign when asked to', () => {
+  assert.equal(parseMinor('-25.5'), null);
+  assert.equal(parseMinor('-25.5', 'USD', { allowNegative: true }), -2550);
+  assert.ok(Object.is(parseMinor('-0', 'USD', { allowNegative: true }), 0));
+  assert.equal(parseMoney('-25.5', 'USD', { allowNegative: true }), -25.5);
+  assert.equal(parseMoney('nope'), null);
+});
+
+test('convertMinor converts exactly and rounds once, half away from zero', () => {
+  assert.equal(convertMinor(10005, 0.92, 'USD', 'EUR'), 9205, '100.05 * 0.92 = 92.046');
+  assert.equal(convertMinor(50, 1.15, 'USD', 'EUR'), 58, '0.575 rounds up; 0.5 * 1.15 is 0.57499... as a float');
+  assert.equal(convertMinor(115, 0.9, 'USD', 'EUR'), 104, '1.035 rounds up');
+  assert.equal(convertMinor(-1005, 0.5, 'USD', 'EUR'), -503);
+  assert.equal(convertMinor(1000, 150.25, 'USD', 'JPY'), 1503, '10 USD = 1502.5 JPY');
+  assert.equal(convertMinor(100, 0.001, 'JPY', 'BHD'), 100, '100 JPY = 0.100 BHD');
+  assert.equal(convertMinor(123456789, 1.234567, 'EUR', 'GBP'), 152415678, '1234567.89 * 1.234567 = 1524156.77625363');
+  assert.equal(convertMinor(0, 1.1, 'USD', 'EUR'), 0);
+});
+
+test('formatting uses the currency symbol and its minor unit', () => {
+  assert.equal(formatMoney(1234.5, 'USD'), '$1,234.50');
+  assert.equal(formatMoney(0.1 + 0.2), '$0.30');
+  assert.equal(formatMinor(123450, 'EUR'), '€1,234.50');
+  assert.equal(formatMinor(1235, 'JPY'), '¥1,235');
+});
+
+test('parseAmount parses in the account currency and reports the amount field', () => {
+  assert.equal(parseAmount('25.50', 'USD'), 2550);
+  assert.equal(parseAmount('2500', 'JPY'), 2500);
+  assert.equal(parseAmount('2.505', 'BHD'), 2505);
+
+  assert.throws(() => parseAmount('25.5', 'JPY'), {
+    code: 'VALIDATION',
+    message: 'Amount must be a positive number with no decimal places.',
+    fields: [{ field: 'amount', message: 'Amount must be a positive number with no decimal places.' }]
+  });
+  assert.throws(() => parseAmount('25.505', 'USD'), { message: /at most 2 decimal places/ });
+  assert.throws(() => parseAmount('0', 'USD'), { code: 'VALIDATION' });
+  assert.throws(() => parseAmount('-5', 'USD'), { code: 'VALIDATION' });
+});
+
+test('the money validator checks the shape and leaves the decimals to the account currency', () => {
+  const run = (amount, rule = {}) => {
+    const req = { body: { amount } };
+    let error = null;
+    validate({ body: { amount: { type: 'money', label: 'Amount', ...rule } } })(req, {}, (value) => {
+      error = value || null;
+    });
+    return error ? error.fields[0].message : req.body.amount;
+  };
+
+  assert.equal(run(' 2.505 '), '2.505', 'kept as text for the service to parse (valid for BHD)');
+  assert.equal(run(12.5), '12.5');
+  assert.equal(run('abc'), 'Amount must be an amount such as 25 or 25.50.');
+  assert.equal(run('1e3'), 'Amount must be an amount such as 25 or 25.50.');
+  assert.equal(run(true), 'Amount must be an amount such as 25 or 25.50.');
+  assert.equal(run('0.00'), 'Amount must be greater than zero.');
+  assert.equal(run('-5'), 'Amount must be greater than zero.');
+  assert.equal(run('-5', { allowNegative: true }), '-5');
+  assert.equal(run('-0', { allowNegative: true }), 'Amount cannot be zero.');
+});
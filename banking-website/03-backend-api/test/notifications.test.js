@@ -0,0 +1,86 @@
+// Marking notifications as read through the real router, checking what lands in the audit log.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('../src/db');
+const seedDatabase = require('../src/db/seed');
+const notificationsRoutes = require('../src/routes/notifications.routes');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { issueToken } = require('../src/services/auth.service');
+const { notifyUser, listNotificationsForUser } = require('../src/services/notification.service');
+
+const { customerUser } = seedDatabase(db);
+const { token } = issueToken(customerUser);
+
+const app = express();
+app.use(express.json());
+app.use('/notifications', notificationsRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+test.before(
+  () =>
+    new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+);
+test.after(() => server.close());
+
+const post = async (path, body = {}) => {
+  const response = await fetch(`${baseUrl}/notifications${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, json: await response.json() };
+};
+
+// Security alerts skip quiet hours, so they are visible straight away.
+const addUnread = (title) => notifyUser({ userId: customerUser.id, category: 'security', title, message: title });
+const auditsFor = (action) => db.listAudits().filter((audit) => audit.action === action);
+
+test('marking one notification as read is audited once', async () => {
+  const notification = addUnread('Statement ready');
+
+  const { status, json } = await post('/mark-read', { id: notification.id });
+  assert.equal(status, 200);
+  assert.equal(json.notification.read, true);
+
+  const [audit, ...rest] = auditsFor('mark_notification_read');
+  assert.equal(rest.length, 0);
+  assert.equal(audit.actorId, customerUser.id);
+  assert.equal(audit.entityType, 'notification');
+  assert.equal(audit.entityId, notification.id);
+  assert.deepEqual(audit.before, { read: false });
+  const stored = db.listNotifications().find((entry) => entry.id === notification.id);
+  assert.deepEqual(audit.after, { read: true, readAt: stored.readAt });
+
+  await post('/mark-read', { id: notification.id });
+  assert.equal(auditsFor('mark_notification_read').length, 1, 'nothing changed the second time');
+});
+
+test('marking all as read is audited with the count, and not when nothing was unread', async () => {
+  addUnread('Login from a new device');
+  addUnread('Large transfer');
+  const unread = listNotificationsForUser(customerUser.id).filter((entry) => !entry.read).length;
+
+  const { json } = await post('/mark-all-read');
+  assert.equal(json.updated, unread);
+
+  const [audit] = auditsFor('mark_all_notifications_read');
+  assert.equal(audit.entityType, 'user');
+  assert.equal(audit.entityId, customerUser.id);
+  assert.deepEqual(audit.after, { updated: unread });
+  assert.equal(audit.detail, `Marked ${unread} notifications as read`);
+
+  assert.equal((await post('/mark-all-read')).json.updated, 0);
+  assert.equal(auditsFor('mark_all_notifications_read').length, 1);
+});
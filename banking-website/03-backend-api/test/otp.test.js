@@ -0,0 +1,133 @@
+// Step-up passcodes for transfers: hashed storage, expiry, lockout and resend limits,
+// with a fake clock and a transport that keeps the sent codes.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+process.env.NOTIFICATION_TRANSPORT = 'test';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const seedDatabase = require('../src/db/seed');
+const { registerTransport } = require('../src/services/notification.service');
+const { OTP_TTL_MS, MAX_ATTEMPTS, sendOtp, verifyOtp } = require('../src/services/otp.service');
+const { createTransfer } = require('../src/services/transfer.service');
+
+const { customerUser, checkingAccount, savingsAccount } = seedDatabase(db);
+
+const sent = [];
+registerTransport('test', { send: (message) => sent.push(message) });
+
+let clock = Date.UTC(2026, 0, 1);
+test.beforeEach((t) => {
+  t.mock.method(Date, 'now', () => clock);
+});
+
+const newTransfer = () =>
+  createTransfer({
+    userId: customerUser.id,
+    fromAccountId: checkingAccount.id,
+    toAccountId: savingsAccount.id,
+    amount: '5'
+  });
+const send = (transfer) => sendOtp({ transfer, user: customerUser });
+const lastCode = () => sent[sent.length - 1].body.match(/code is (\d{6})/)[1];
+const otpFor = (transfer) => db.listOtps().find((otp) => otp.transferId === transfer.id);
+// Codes are six digits from 100000, so this one never matches.
+const WRONG_CODE = '000000';
+
+test('the code is emailed to the user and only a salted hash is stored', () => {
+  const transfer = newTransfer();
+  const result = send(transfer);
+  const code = lastCode();
+
+  assert.equal(sent[sent.length - 1].to, customerUser.email);
+  assert.equal(result.expiresAt, new Date(clock + OTP_TTL_MS).toISOString());
+  assert.equal(result.resendAvailableAt, new Date(clock + 30 * 1000).toISOString());
+  assert.ok(!('code' in result));
+
+  const otp = otpFor(transfer);
+  assert.match(otp.codeHash, /^[0-9a-f]{64}$/);
+  assert.match(otp.salt, /^[0-9a-f]{32}$/);
+  assert.ok(!JSON.stringify(otp).includes(code), 'the plain code is not stored');
+
+  assert.equal(verifyOtp({ transferId: transfer.id, code: ` ${code} ` }), true);
+  assert.throws(() => verifyOtp({ transferId: transfer.id, code }), { code: 'OTP_REQUIRED' }, 'codes work once');
+});
+
+test('a code expires after five minutes', () => {
+  const transfer = newTransfer();
+  send(transfer);
+  const code = lastCode();
+
+  clock += OTP_TTL_MS + 1;
+  assert.throws(() => verifyOtp({ transferId: transfer.id, code }), { status: 400, code: 'OTP_EXPIRED' });
+});
+
+test('a transfer without a code asks for one', () => {
+  assert.throws(() => verifyOtp({ transferId: newTransfer().id, code: '123456' }), { code: 'OTP_REQUIRED' });
+});
+
+test('five wrong codes lock the transfer, even for the right code or a resend', () => {
+  const transfer = newTransfer();
+  send(transfer);
+  const code = lastCode();
+
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const left = MAX_ATTEMPTS - attempt;
+    assert.throws(() => verifyOtp({ transferId: transfer.id, code: WRONG_CODE }), {
+      code: 'OTP_INVALID',
+      message: `Invalid passcode. ${left} attempt${left === 1 ? '' : 's'} left.`
+    });
+  }
+  assert.throws(() => verifyOtp({ transferId: transfer.id, code: WRONG_CODE }), {
+    status: 423,
+    code: 'OTP_LOCKED',
+    locked: true
+  });
+
+  assert.throws(() => verifyOtp({ transferId: transfer.id, code }), { code: 'OTP_LOCKED' });
+  clock += 60 * 1000;
+  assert.throws(() => send(transfer), { code: 'OTP_LOCKED' });
+});
+
+test('a resend waits 30 seconds, replaces the code and keeps the failed attempts', () => {
+  const transfer = newTransfer();
+  send(transfer);
+  const firstCode = lastCode();
+  assert.throws(() => verifyOtp({ transferId: transfer.id, code: WRONG_CODE }), { code: 'OTP_INVALID' });
+
+  clock += 29 * 1000;
+  assert.throws(() => send(transfer), {
+    status: 429,
+    code: 'OTP_RESEND_THROTTLED',
+    message: 'Please wait 1 seconds before requesting a new code.'
+  });
+
+  clock += 1000;
+  send(transfer);
+  assert.equal(otpFor(transfer).attempts, 1);
+  assert.equal(otpFor(transfer).sendCount, 2);
+  // The new code is random and, very rarely, the same as the first one.
+  if (lastCode() !== firstCode) {
+    assert.throws(() => verifyOtp({ transferId: transfer.id, code: firstCode }), {
+      message: 'Invalid passcode. 3 attempts left.'
+    });
+  }
+  assert.equal(verifyOtp({ transferId: transfer.id, code: lastCode() }), true);
+});
+
+test('at most five codes are sent for one transfer', () => {
+  const transfer = newTransfer();
+  for (let sends = 0; sends < 5; sends += 1) {
+    send(transfer);
+    clock += 30 * 1000;
+  }
+
+  const sentBefore = sent.length;
+  assert.throws(() => send(transfer), {
+    code: 'OTP_RESEND_THROTTLED',
+    message: 'Too many codes requested for this transfer. Please start a new transfer.'
+  });
+  assert.equal(sent.length, sentBefore);
+});
@@ -0,0 +1,79 @@
+// PATCH /profile rules in the profile service, run against a freshly seeded in-memory database.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/db');
+const seedDatabase = require('../src/db/seed');
+const validate = require('../src/middleware/validate');
+const { listCurrencies } = require('../src/services/fx.service');
+const { PROFILE_UPDATE_SCHEMA, updateProfile } = require('../src/services/profile.service');
+
+const { customerUser } = seedDatabase(db);
+const currentUser = () => db.listUsers().find((user) => user.id === customerUser.id);
+
+// The `fields` of the VALIDATION error that `changes` cause.
+const fieldErrors = (changes) => {
+  try {
+    updateProfile(currentUser(), changes);
+  } catch (error) {
+    assert.equal(error.code, 'VALIDATION');
+    return error.fields;
+  }
+  return null;
+};
+
+test('saves text values and clears optional ones with null', () => {
+  const { changedFields } = updateProfile(currentUser(), { phone: ' +1 555 010 2030 ', address: '1 Main St' });
+  assert.deepEqual(changedFields, ['phone', 'address']);
+  assert.equal(currentUser().phone, '+1 555 010 2030');
+
+  updateProfile(currentUser(), { address: null });
+  assert.equal(currentUser().address, '');
+});
+
+test('refuses values that are not text instead of storing them as strings', () => {
+  const before = { ...currentUser() };
+
+  assert.deepEqual(fieldErrors({ address: { line1: 'x' } }), [{ field: 'address', message: 'Address must be text.' }]);
+  assert.deepEqual(fieldErrors({ phone: 5550102030 }), [{ field: 'phone', message: 'Phone number must be text.' }]);
+  assert.deepEqual(fieldErrors({ email: ['jane@example.com'] }), [{ field: 'email', message: 'Email must be text.' }]);
+  assert.deepEqual(fieldErrors({ baseCurrency: null }), [
+    { field: 'baseCurrency', message: 'Base currency must be text.' }
+  ]);
+
+  const after = currentUser();
+  ['phone', 'address', 'email', 'baseCurrency'].forEach((field) => assert.equal(after[field], before[field], field));
+});
+
+test('names every field that cannot be changed', () => {
+  assert.deepEqual(fieldErrors({ bogus: 1, role: 'admin', phone: '' }), [
+    { field: 'bogus', message: 'bogus cannot be changed here.' },
+    { field: 'role', message: 'role cannot be changed here.' }
+  ]);
+  assert.equal(currentUser().role, customerUser.role);
+});
+
+test('the PATCH /profile schema checks types, lengths and currencies and refuses unknown fields', () => {
+  const run = (body) => {
+    const req = { body };
+    let error = null;
+    validate(PROFILE_UPDATE_SCHEMA)(req, {}, (value) => {
+      error = value || null;
+    });
+    return error ? error.fields : req.body;
+  };
+
+  assert.deepEqual(run({ baseCurrency: ' eur ', phone: '' }), { baseCurrency: 'EUR', phone: '' });
+  assert.deepEqual(run({ address: { line1: 'x' }, email: 'not-an-email', baseCurrency: 'XYZ', bogus: 1 }), [
+    { field: 'address', message: 'Address must be text.' },
+    { field: 'email', message: 'Email must be a valid email address.' },
+    { field: 'baseCurrency', message: `Base currency must be one of: ${listCurrencies().join(', ')}.` },
+    { field: 'bogus', message: 'bogus is not accepted here.' }
+  ]);
+  assert.deepEqual(run({ address: 'x'.repeat(201) }), [
+    { field: 'address', message: 'Address can be at most 200 characters long.' }
+  ]);
+});
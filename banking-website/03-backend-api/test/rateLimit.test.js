@@ -0,0 +1,134 @@
+// The rate limiter middleware, driven with stub requests and a fake clock.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { createRateLimiter } = require('../src/middleware/rateLimit');
+
+const MINUTE = 60 * 1000;
+
+let clock = Date.UTC(2026, 0, 1);
+test.beforeEach((t) => {
+  t.mock.method(Date, 'now', () => clock);
+});
+
+const makeRes = () => {
+  const res = Object.assign(new EventEmitter(), { headers: {}, locals: {}, statusCode: 200 });
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  return res;
+};
+
+// Run one request through the limiter. `outcome` is what the route answered, for lockout counting.
+const hit = (limiter, { ip = '10.0.0.1', email, outcome } = {}) => {
+  const res = makeRes();
+  let error = null;
+  limiter({ ip, body: { email } }, res, (value) => {
+    error = value || null;
+  });
+  if (!error && outcome) {
+    res.statusCode = outcome.status;
+    res.locals.errorCode = outcome.code;
+    res.emit('finish');
+  }
+  return { error, res };
+};
+
+let names = 0;
+const limiterWith = (options) => createRateLimiter({ name: `test${(names += 1)}`, windowMs: MINUTE, ...options });
+
+test('lets requests through up to the per-IP limit, then answers 429 with Retry-After', () => {
+  const limiter = limiterWith({ maxPerIp: 3 });
+  for (let i = 0; i < 3; i += 1) assert.equal(hit(limiter).error, null);
+
+  clock += 20 * 1000;
+  const { error, res } = hit(limiter);
+  assert.equal(error.status, 429);
+  assert.equal(error.code, 'RATE_LIMITED');
+  assert.equal(res.headers['Retry-After'], '40');
+
+  assert.equal(hit(limiter, { ip: '10.0.0.2' }).error, null, 'other IPs have their own count');
+});
+
+test('the window slides: old requests stop counting once they are older than windowMs', () => {
+  const limiter = limiterWith({ maxPerIp: 2 });
+  hit(limiter);
+  clock += 30 * 1000;
+  hit(limiter);
+  assert.equal(hit(limiter).error?.status, 429);
+
+  clock += 30 * 1000;
+  assert.equal(hit(limiter).error, null);
+  assert.equal(hit(limiter).error?.status, 429);
+});
+
+test('counts per account as well as per IP, ignoring the case of the account key', () => {
+  const limiter = limiterWith({ maxPerIp: 100, maxPerAccount: 2, accountKey: (req) => req.body.email });
+  hit(limiter, { ip: '10.0.0.1', email: 'jane@example.com' });
+  hit(limiter, { ip: '10.0.0.2', email: 'JANE@example.com' });
+
+  assert.equal(hit(limiter, { ip: '10.0.0.3', email: 'jane@example.com' }).error?.status, 429);
+  assert.equal(hit(limiter, { ip: '10.0.0.3', email: 'sam@example.com' }).error, null);
+});
+
+test('locks an account out after repeated failures, doubling the wait each time up to maxMs', () => {
+  const limiter = limiterWith({
+    maxPerIp: 100,
+    maxPerAccount: 100,
+    accountKey: (req) => req.body.email,
+    lockout: { codes: ['INVALID_CREDENTIALS'], threshold: 3, baseMs: MINUTE, maxMs: 3 * MINUTE }
+  });
+  const fail = (email = 'jane@example.com') =>
+    hit(limiter, { email, outcome: { status: 401, code: 'INVALID_CREDENTIALS' } });
+  const lockedFor = () => Number(fail().res.headers['Retry-After']);
+
+  [1, 2, 3].forEach(() => fail());
+  let blocked = fail();
+  assert.equal(blocked.error.status, 429);
+  assert.match(blocked.error.message, /Too many failed attempts/);
+  assert.equal(blocked.res.headers['Retry-After'], '60');
+  assert.equal(fail('sam@example.com').error, null, 'other accounts are not locked');
+
+  clock += MINUTE;
+  [1, 2, 3].forEach(() => fail());
+  assert.equal(lockedFor(), 120);
+
+  clock += 2 * MINUTE;
+  [1, 2, 3].forEach(() => fail());
+  assert.equal(lockedFor(), 180, 'capped at maxMs');
+
+  clock += 3 * MINUTE;
+  blocked = fail();
+  assert.equal(blocked.error, null);
+});
+
+test('only the configured failure codes count, and a success clears the failures', () => {
+  const limiter = limiterWith({
+    maxPerIp: 100,
+    maxPerAccount: 100,
+    accountKey: (req) => req.body.email,
+    lockout: { codes: ['INVALID_CREDENTIALS'], threshold: 3, baseMs: MINUTE, maxMs: MINUTE }
+  });
+  const email = 'jane@example.com';
+
+  hit(limiter, { email, outcome: { status: 401, code: 'INVALID_CREDENTIALS' } });
+  hit(limiter, { email, outcome: { status: 401, code: 'INVALID_CREDENTIALS' } });
+  hit(limiter, { email, outcome: { status: 400, code: 'VALIDATION' } });
+  hit(limiter, { email, outcome: { status: 200 } });
+  hit(limiter, { email, outcome: { status: 401, code: 'INVALID_CREDENTIALS' } });
+  hit(limiter, { email, outcome: { status: 401, code: 'INVALID_CREDENTIALS' } });
+
+  assert.equal(hit(limiter, { email }).error, null);
+});
+
+test('without an account key, failures lock out the IP', () => {
+  const limiter = limiterWith({
+    maxPerIp: 100,
+    lockout: { codes: ['OTP_INVALID'], threshold: 2, baseMs: MINUTE, maxMs: MINUTE }
+  });
+  hit(limiter, { outcome: { status: 400, code: 'OTP_INVALID' } });
+  hit(limiter, { outcome: { status: 400, code: 'OTP_INVALID' } });
+
+  assert.equal(hit(limiter).error?.status, 429);
+  assert.equal(hit(limiter, { ip: '10.0.0.9' }).error, null);
+});
@@ -0,0 +1,161 @@
+/**
+ * Exact money arithmetic, shared by the browser code and the API.
+ *
+ * Money is counted in integer minor units (cents for USD, none for JPY,
+ * thousandths for BHD). The API stores balances and amounts that way and only
+ * turns them into decimal numbers (100.5 means $100.50) at its edges, so stored
+ * values never drift (0.1 + 0.2 !== 0.3). The major-unit helpers below do the
+ * same for code that holds decimal amounts: convert to minor units, work on
+ * whole numbers, convert back.
+ *
+ * This file is a plain ES module. The frontend imports it directly and the API
+ * loads it with require() (03-backend-api/src/services/money.service.js).
+ */
+
+export const DEFAULT_CURRENCY = "USD";
+
+// Exchange rates are quoted with this many decimal places.
+export const RATE_DECIMALS = 6;
+
+const minorDigitsCache = new Map();
+
+/**
+ * Decimal places of the currency's minor unit, as Intl knows them (USD 2, JPY 0, BHD 3).
+ *
+ * @param {string} [currency="USD"]
+ * @returns {number}
+ */
+export const getMinorDigits = (currency = DEFAULT_CURRENCY) => {
+  if (!minorDigitsCache.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+    }).resolvedOptions();
+    minorDigitsCache.set(currency, maximumFractionDigits);
+  }
+  return minorDigitsCache.get(currency);
+};
+
+/**
+ * Move the decimal point of a non-negative number `digits` places to the right and
+ * round half up. Shifting the number's text form ("10.005e2") avoids 10.005 * 100 = 1000.4999...
+ */
+const shiftDecimal = (magnitude, digits) => {
+  const text = String(magnitude);
+  const shifted = text.includes("e") ? magnitude * 10 ** digits : Number(`${text}e${digits}`);
+  return Math.round(shifted);
+};
+
+/**
+ * Convert a major-unit amount (number or numeric string) to integer minor units,
+ * rounding half away from zero: toMinor(10.005) -> 1001, toMinor(-0.125) -> -13.
+ *
+ * @param {number|string} amount
+ * @param {string} [currency="USD"]
+ * @returns {number}
+ */
+export const toMinor = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount || 0);
+  if (!Number.isFinite(value)) throw new TypeError(`Not a money amount: ${amount}`);
+  return Math.sign(value) * shiftDecimal(Math.abs(value), getMinorDigits(currency)) || 0;
+};
+
+/**
+ * Integer minor units back to a major-unit number (1001 -> 10.01).
+ */
+export const fromMinor = (minor, currency = DEFAULT_CURRENCY) => minor / 10 ** getMinorDigits(currency);
+
+/**
+ * Round to the currency's smallest unit (10.005 -> 10.01 for USD, 1234.5 -> 1235 for JPY).
+ */
+export const roundMoney = (amount, currency = DEFAULT_CURRENCY) => fromMinor(toMinor(amount, currency), currency);
+
+export const addMoney = (a, b, currency = DEFAULT_CURRENCY) =>
+  fromMinor(toMinor(a, currency) + toMinor(b, currency), currency);
+
+export const subtractMoney = (a, b, currency = DEFAULT_CURRENCY) =>
+  fromMinor(toMinor(a, currency) - toMinor(b, currency), currency);
+
+export const sumMoney = (amounts = [], currency = DEFAULT_CURRENCY) =>
+  fromMinor(
+    amounts.reduce((total, amount) => total + toMinor(amount, currency), 0),
+    currency,
+  );
+
+/**
+ * Compare two amounts like a sort comparator: -1, 0 or 1.
+ * compareMoney(balance, amount) < 0 means the balance is short.
+ */
+export const compareMoney = (a, b, currency = DEFAULT_CURRENCY) =>
+  Math.sign(toMinor(a, currency) - toMinor(b, currency));
+
+/**
+ * Strictly parse user input into integer minor units: digits with no more decimals
+ * than the currency allows. The text is read digit by digit, never through a float.
+ *
+ * @param {number|string} value
+ * @param {string} [currency="USD"]
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNegative=false] - Accept a leading minus sign.
+ * @returns {number|null} The amount in minor units, or null when the text is not a valid amount.
+ */
+export const parseMinor = (value, currency = DEFAULT_CURRENCY, { allowNegative = false } = {}) => {
+  const text = typeof value === "number" ? String(value) : String(value ?? "").trim();
+  const digits = getMinorDigits(currency);
+  const decimals = digits > 0 ? `(?:\\.(\\d{1,${digits}}))?` : "";
+  const match = new RegExp(`^(${allowNegative ? "-?" : ""})(\\d+)${decimals}$`).exec(text);
+  if (!match) return null;
+
+  const [, sign, whole, fraction = ""] = match;
+  const minor = Number(`${whole}${fraction.padEnd(digits, "0")}`);
+  if (!Number.isSafeInteger(minor)) return null;
+  return sign ? -minor || 0 : minor;
+};
+
+/**
+ * Like parseMinor, but returns the amount in major units.
+ *
+ * @returns {number|null}
+ */
+export const parseMoney = (value, currency = DEFAULT_CURRENCY, options = {}) => {
+  const minor = parseMinor(value, currency, options);
+  return minor === null ? null : fromMinor(minor, currency);
+};
+
+/**
+ * Convert minor units of one currency into minor units of another at `rate`
+ * (units of `toCurrency` per unit of `fromCurrency`, at most RATE_DECIMALS places).
+ * The whole calculation is done on integers and rounded once, half away from zero.
+ *
+ * @param {number} amountMinor
+ * @param {number} rate
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @returns {number}
+ */
+export const convertMinor = (amountMinor, rate, fromCurrency, toCurrency) => {
+  const rateScaled = BigInt(shiftDecimal(rate, RATE_DECIMALS));
+  const numerator = BigInt(Math.abs(amountMinor)) * rateScaled * 10n ** BigInt(getMinorDigits(toCurrency));
+  const denominator = 10n ** BigInt(RATE_DECIMALS + getMinorDigits(fromCurrency));
+
+  let quotient = numerator / denominator;
+  if ((numerator % denominator) * 2n >= denominator) quotient += 1n;
+  return Math.sign(amountMinor) * Number(quotient) || 0;
+};
+
+/**
+ * Format an amount for people: formatMoney(1234.5, "EUR") -> "€1,234.50".
+ *
+ * @param {number} amount - Major units.
+ * @param {string} [currency="USD"]
+ * @param {string} [locale="en-US"]
+ * @returns {string}
+ */
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, locale = "en-US") =>
+  new Intl.NumberFormat(locale, { style: "currency", currency }).format(roundMoney(amount, currency));
+
+/**
+ * formatMoney for an amount in minor units.
+ */
+export const formatMinor = (minor, currency = DEFAULT_CURRENCY, locale = "en-US") =>
+  formatMoney(fromMinor(minor, currency), currency, locale);